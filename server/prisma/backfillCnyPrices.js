@@ -0,0 +1,57 @@
+import prisma from '../prismaClient.js';
+import { LEGACY_CNY_CEILING, resolveProvider } from '../services/productSource.js';
+
+const BATCH_SIZE = 500;
+
+// One-time backfill for products imported before originalPrice and provider
+// were stored. Exchange-rate repricing only touches rows with a CNY price, so
+// without this the legacy catalog never follows the rate. Raw prices under
+// LEGACY_CNY_CEILING were CNY by convention and are copied into originalPrice;
+// the provider is read off the purchase URL. Safe to re-run: only rows still
+// missing a value are touched.
+async function backfillPrices() {
+  const products = await prisma.$executeRaw`
+    UPDATE "Product" SET "originalPrice" = "basePriceIQD"
+    WHERE "originalPrice" IS NULL AND "basePriceIQD" > 0 AND "basePriceIQD" < ${LEGACY_CNY_CEILING}`;
+  const variants = await prisma.$executeRaw`
+    UPDATE "ProductVariant" SET "originalPrice" = "basePriceIQD"
+    WHERE "originalPrice" IS NULL AND "basePriceIQD" > 0 AND "basePriceIQD" < ${LEGACY_CNY_CEILING}`;
+  console.log(`CNY prices backfilled: ${products} products, ${variants} variants`);
+}
+
+async function backfillProviders() {
+  let cursor = 0;
+  let updated = 0;
+  for (;;) {
+    const batch = await prisma.product.findMany({
+      where: { id: { gt: cursor }, provider: null, purchaseUrl: { not: null } },
+      select: { id: true, purchaseUrl: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE
+    });
+    if (batch.length === 0) break;
+    cursor = batch[batch.length - 1].id;
+
+    for (const product of batch) {
+      const provider = resolveProvider({ purchaseUrl: product.purchaseUrl });
+      if (!provider) continue;
+      await prisma.product.update({ where: { id: product.id }, data: { provider } });
+      updated++;
+    }
+  }
+  console.log(`Providers backfilled: ${updated} products`);
+}
+
+async function main() {
+  await backfillPrices();
+  await backfillProviders();
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,27 @@
+import prisma from '../prismaClient.js';
+
+// One-time migration for admins created before staff roles existed. They had
+// neither a role nor permissions and were treated as super admins; access now
+// fails closed, so they are given the explicit super admin permission the
+// seed admin has. Run it once on upgrade, before restarting the server.
+async function main() {
+  const result = await prisma.user.updateMany({
+    where: {
+      role: 'ADMIN',
+      staffRoleId: null,
+      permissions: { in: ['', '[]'] }
+    },
+    data: { permissions: '["*"]' }
+  });
+
+  console.log(`Legacy admins migrated to super admin: ${result.count}`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
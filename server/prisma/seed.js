@@ -29,7 +29,7 @@ async function main() {
       password: hashedPassword,
       name: 'Admin User',
       role: 'ADMIN',
-      permissions: '["manage_products", "manage_orders", "view_reports", "manage_users", "manage_settings"]'
+      permissions: '["*"]'
     }
   });
 
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import prisma from '../prismaClient.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// One-time import of the category tree that used to ship with the frontend
+// (src/data/categories.ts). Ids are kept so links stay stable, and categories
+// that already exist are left untouched so admin edits survive a re-run.
+async function main() {
+  const tree = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'categories.json'), 'utf8'));
+  const seen = new Set();
+  let created = 0;
+  let skipped = 0;
+
+  const importLevel = async (nodes, parentId) => {
+    for (const [index, node] of nodes.entries()) {
+      if (seen.has(node.id)) {
+        console.warn(`Skipping duplicate category id ${node.id} (${node.name_en})`);
+        skipped++;
+        continue;
+      }
+      seen.add(node.id);
+
+      const existing = await prisma.category.findUnique({ where: { id: node.id }, select: { id: true } });
+      if (existing) {
+        skipped++;
+      } else {
+        await prisma.category.create({
+          data: {
+            id: node.id,
+            parentId,
+            nameAr: node.name_ar,
+            nameEn: node.name_en,
+            icon: node.icon || null,
+            sortOrder: index
+          }
+        });
+        created++;
+      }
+
+      if (Array.isArray(node.children) && node.children.length > 0) {
+        await importLevel(node.children, node.id);
+      }
+    }
+  };
+
+  console.log('Seeding categories...');
+  await importLevel(tree, null);
+
+  // Explicit ids bypass the sequence; move it past them for categories added later
+  await prisma.$executeRawUnsafe(
+    `SELECT setval(pg_get_serial_sequence('"Category"', 'id'), (SELECT COALESCE(MAX(id), 1) FROM "Category"))`
+  );
+
+  console.log(`Categories seeded: ${created} created, ${skipped} skipped`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
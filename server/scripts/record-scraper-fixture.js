@@ -0,0 +1,76 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { assertNotBlocked, getEnvProxy, openBrowserSession, safeGoto, scrollPage } from '../services/scrapers/browserSession.js';
+import { getAdapterForUrl } from '../services/scrapers/adapters/index.js';
+import { saveFixture } from '../test/scrapers/fixtureStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const USAGE = `Usage: node scripts/record-scraper-fixture.js <url> [name] [options]
+
+Captures a marketplace page once into test/scrapers/fixtures/<provider>/<name>/
+together with the parser's current output as expected.json. Review both before
+committing.
+
+  --listing              Record a listing/search page instead of a product
+  --headed               Show the browser window (to log in or solve a captcha)
+  --browser-url <url>    Attach to a Chrome started with --remote-debugging-port
+  --user-data-dir <dir>  Chrome profile to launch with`;
+
+async function main() {
+  const positional = [];
+  const flags = {};
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) positional.push(argv[i]);
+    else if (['listing', 'headed', 'help'].includes(argv[i].slice(2))) flags[argv[i].slice(2)] = true;
+    else flags[argv[i].slice(2)] = argv[++i];
+  }
+
+  const [url, nameArg] = positional;
+  if (!url || flags.help) {
+    console.log(USAGE);
+    process.exit(url ? 0 : 1);
+  }
+
+  const adapter = getAdapterForUrl(url);
+  const name = nameArg || (flags.listing ? `listing-${Date.now()}` : adapter.sourceIdFromUrl(url)) || `page-${Date.now()}`;
+  const session = await openBrowserSession({
+    proxy: getEnvProxy(),
+    headless: !flags.headed,
+    browserURL: flags['browser-url'],
+    userDataDir: flags['user-data-dir']
+  });
+
+  try {
+    const page = await session.newPage();
+    let snapshot;
+    if (flags.listing) {
+      await safeGoto(page, url);
+      await assertNotBlocked(page);
+      await scrollPage(page);
+      snapshot = {
+        provider: adapter.provider,
+        kind: 'listing',
+        url: page.url(),
+        capturedAt: new Date().toISOString(),
+        pages: { listing: await page.content() },
+        data: {}
+      };
+    } else {
+      snapshot = await adapter.fetchProduct(page, adapter.normalizeUrl(url));
+    }
+
+    const fixture = saveFixture(snapshot, name);
+    console.log(`Recorded ${adapter.provider} fixture in ${path.relative(process.cwd(), fixture.dir)}`);
+  } finally {
+    await session.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Recording failed:', error.message);
+  process.exitCode = 1;
+});
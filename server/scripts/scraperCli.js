@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const USAGE = `Usage: node scripts/<provider>-scraper.js [url] [options]
+
+  --limit <n>            Products to collect from the listing
+  --max-pages <n>        Listing pages to walk
+  --status <status>      Status for saved products (default PUBLISHED)
+  --out <file.json>      Write the scraped products to a file instead of the database
+  --no-enrich            Skip AI translation and descriptions
+  --headed               Show the browser window
+  --browser-url <url>    Attach to a Chrome started with --remote-debugging-port
+  --user-data-dir <dir>  Chrome profile to launch with`;
+
+function parseArgs(argv) {
+  const args = { flags: {}, url: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.url = args.url || arg;
+      continue;
+    }
+    const name = arg.slice(2);
+    if (['no-enrich', 'headed', 'help'].includes(name)) args.flags[name] = true;
+    else args.flags[name] = argv[++i];
+  }
+  return args;
+}
+
+function askQuestion(query) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(query, answer => {
+    rl.close();
+    resolve(answer.trim());
+  }));
+}
+
+/**
+ * Shared entry point for the per-marketplace scraper scripts: reads the URL
+ * and flags, runs scrapeCatalog and prints a summary. Provider defaults (limit,
+ * browser options) come from the wrapper script.
+ * @param {string} provider  Adapter provider, used to check the URL
+ * @param {{limit?: number, maxPages?: number, browser?: Object}} [defaults]
+ */
+export async function runScraperCli(provider, defaults = {}) {
+  if (process.env.NODE_ENV === 'production' && process.env.ALLOW_SCRAPER_IN_PROD !== 'true') {
+    console.error('CRITICAL: Scraper is BLOCKED in production environment.');
+    console.error('To run this script on the server, set ALLOW_SCRAPER_IN_PROD=true in your environment variables.');
+    process.exit(1);
+  }
+
+  const { flags, url: argUrl } = parseArgs(process.argv.slice(2));
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Imported after dotenv so the services see the .env settings
+  const { default: prisma } = await import('../prismaClient.js');
+  const { getScraperAdapter, scrapeCatalog } = await import('../services/scraperService.js');
+
+  const adapter = getScraperAdapter(provider);
+  const url = argUrl || await askQuestion(`Enter a ${provider} listing or product URL: `);
+  if (!adapter.matchUrl(url)) {
+    console.error(`Not a ${provider} URL: ${url}`);
+    process.exit(1);
+  }
+
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(130);
+    console.log('\nReceived SIGINT. Finishing the current product, press Ctrl+C again to quit now...');
+    stopping = true;
+  });
+
+  const outFile = flags.out ? path.resolve(flags.out) : null;
+  const browser = {
+    ...defaults.browser,
+    ...(flags.headed ? { headless: false } : {}),
+    ...(flags['browser-url'] ? { browserURL: flags['browser-url'] } : {}),
+    ...(flags['user-data-dir'] ? { userDataDir: flags['user-data-dir'] } : {})
+  };
+
+  try {
+    const summary = await scrapeCatalog(url, {
+      limit: Number(flags.limit) || defaults.limit,
+      maxPages: Number(flags['max-pages']) || defaults.maxPages,
+      status: flags.status || 'PUBLISHED',
+      enrich: !flags['no-enrich'],
+      save: !outFile,
+      browser,
+      shouldStop: () => stopping,
+      onProduct: (result) => {
+        const detail = result.productId ? `#${result.productId}` : (result.reason || result.error || '');
+        console.log(`[${provider}] ${result.outcome.padEnd(9)} ${result.url} ${detail}`);
+      }
+    });
+
+    if (outFile) {
+      fs.writeFileSync(outFile, JSON.stringify(summary.products, null, 2));
+      console.log(`Wrote ${summary.products.length} products to ${outFile}`);
+    }
+    console.log(`[${provider}] Done: ${summary.found} found, ${summary.saved} saved, ${summary.existing} already imported, ${summary.collected} collected, ${summary.skipped} skipped, ${summary.failed} failed`);
+  } catch (error) {
+    console.error(`[${provider}] Scrape failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
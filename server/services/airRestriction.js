@@ -0,0 +1,13 @@
+/**
+ * Air restriction to store after a product edit. An explicit value from the
+ * request wins; otherwise the stored flag is kept, since it may have been set
+ * by hand or at import. Either way a SEA_ONLY verdict from the compliance
+ * rules restricts the product.
+ * @param {{requested?: any, stored: boolean, verdict: string}} input
+ */
+export function resolveAirRestriction({ requested, stored, verdict }) {
+  const manual = requested === undefined
+    ? Boolean(stored)
+    : requested === true || requested === 'true' || requested === 1;
+  return manual || verdict === 'SEA_ONLY';
+}
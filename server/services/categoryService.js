@@ -0,0 +1,230 @@
+import prisma from '../prismaClient.js';
+
+// The taxonomy is small and read on every product listing and price
+// calculation, so it is cached and reloaded after admin edits.
+const CACHE_TTL_MS = 5 * 60 * 1000;
+let cache = { list: [], byId: new Map(), childrenByParent: new Map(), loadedAt: 0 };
+
+function categoryError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+export async function refreshCategoryCache() {
+  const list = await prisma.category.findMany({
+    orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }]
+  });
+  const byId = new Map();
+  const childrenByParent = new Map();
+  for (const category of list) {
+    byId.set(category.id, category);
+    const key = category.parentId ?? null;
+    if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+    childrenByParent.get(key).push(category);
+  }
+  cache = { list, byId, childrenByParent, loadedAt: Date.now() };
+  return cache;
+}
+
+export function setupCategoryCache() {
+  refreshCategoryCache().catch((e) => console.error('[Categories] Failed to load categories:', e));
+  const timer = setInterval(() => {
+    refreshCategoryCache().catch((e) => console.error('[Categories] Failed to refresh categories:', e));
+  }, CACHE_TTL_MS);
+  timer.unref?.();
+}
+
+async function loadCache() {
+  if (!cache.loadedAt || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    await refreshCategoryCache();
+  }
+  return cache;
+}
+
+/**
+ * Nested category tree ordered by sortOrder. Inactive categories (and their
+ * subtrees) are hidden unless includeInactive is set.
+ */
+export async function getCategoryTree({ includeInactive = false } = {}) {
+  const { childrenByParent } = await loadCache();
+  const build = (parentId) => (childrenByParent.get(parentId) || [])
+    .filter(c => includeInactive || c.isActive)
+    .map(c => ({
+      id: c.id,
+      parentId: c.parentId,
+      nameAr: c.nameAr,
+      nameEn: c.nameEn,
+      icon: c.icon,
+      sortOrder: c.sortOrder,
+      ...(includeInactive ? { isActive: c.isActive } : {}),
+      children: build(c.id)
+    }));
+  return build(null);
+}
+
+/**
+ * The category itself plus everything below it, so filtering by a parent
+ * also returns products linked only to its subcategories.
+ */
+export async function getCategoryDescendantIds(categoryId) {
+  const { byId, childrenByParent } = await loadCache();
+  if (!byId.has(categoryId)) {
+    throw categoryError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+  const ids = [];
+  const stack = [categoryId];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    ids.push(id);
+    for (const child of childrenByParent.get(id) || []) stack.push(child.id);
+  }
+  return ids;
+}
+
+/**
+ * Linked categories plus all their ancestors, from the cache. Used by pricing
+ * rules so a rule on a parent category covers products in its subcategories.
+ */
+export function getCategoryAncestorIds(categoryIds = []) {
+  const result = new Set();
+  for (const start of categoryIds) {
+    let current = cache.byId.get(start);
+    if (!current) {
+      result.add(start);
+      continue;
+    }
+    while (current && !result.has(current.id)) {
+      result.add(current.id);
+      current = current.parentId ? cache.byId.get(current.parentId) : null;
+    }
+  }
+  return [...result];
+}
+
+/**
+ * Prisma `where` fragment for the `category` query parameter of the product
+ * listing and search endpoints, or null when no category was requested.
+ */
+export async function buildCategoryFilter(param) {
+  if (param === undefined || param === null || param === '') return null;
+  const categoryId = parseInt(param);
+  if (Number.isNaN(categoryId)) {
+    throw categoryError('Invalid category', 400, 'INVALID_CATEGORY');
+  }
+  const ids = await getCategoryDescendantIds(categoryId);
+  return { categories: { some: { categoryId: { in: ids } } } };
+}
+
+function normalizeCategory(input, { partial = false } = {}) {
+  const data = {};
+  const has = (key) => input[key] !== undefined;
+
+  for (const key of ['nameAr', 'nameEn']) {
+    if (has(key) || !partial) {
+      if (!input[key] || !String(input[key]).trim()) {
+        throw categoryError(`${key} is required`, 400, 'INVALID_CATEGORY');
+      }
+      data[key] = String(input[key]).trim();
+    }
+  }
+  if (has('icon')) data.icon = input.icon ? String(input.icon).trim() : null;
+  if (has('parentId')) {
+    data.parentId = input.parentId === null || input.parentId === '' ? null : parseInt(input.parentId);
+    if (Number.isNaN(data.parentId)) {
+      throw categoryError('parentId is invalid', 400, 'INVALID_CATEGORY');
+    }
+  }
+  if (has('sortOrder')) data.sortOrder = parseInt(input.sortOrder) || 0;
+  if (has('isActive')) data.isActive = Boolean(input.isActive);
+
+  return data;
+}
+
+async function assertParentExists(parentId) {
+  if (parentId === null || parentId === undefined) return;
+  const parent = await prisma.category.findUnique({ where: { id: parentId }, select: { id: true } });
+  if (!parent) {
+    throw categoryError('Parent category not found', 400, 'INVALID_PARENT');
+  }
+}
+
+export async function createCategory(input) {
+  const data = normalizeCategory(input);
+  await assertParentExists(data.parentId);
+  const category = await prisma.category.create({ data });
+  await refreshCategoryCache();
+  return category;
+}
+
+export async function updateCategory(id, input) {
+  const existing = await prisma.category.findUnique({ where: { id } });
+  if (!existing) {
+    throw categoryError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+  const data = normalizeCategory(input, { partial: true });
+  if (data.parentId !== undefined && data.parentId !== null) {
+    await assertParentExists(data.parentId);
+    // Moving a category under itself or one of its descendants would detach the subtree
+    await refreshCategoryCache();
+    const subtree = await getCategoryDescendantIds(id);
+    if (subtree.includes(data.parentId)) {
+      throw categoryError('A category cannot be moved under itself', 400, 'CATEGORY_CYCLE');
+    }
+  }
+
+  const category = await prisma.category.update({ where: { id }, data });
+  await refreshCategoryCache();
+  return category;
+}
+
+/**
+ * Deletes a leaf category. Product links and pricing rules on it are removed
+ * by the relation rules; subcategories must be moved or deleted first.
+ */
+export async function deleteCategory(id) {
+  const existing = await prisma.category.findUnique({
+    where: { id },
+    include: { _count: { select: { children: true } } }
+  });
+  if (!existing) {
+    throw categoryError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+  if (existing._count.children > 0) {
+    throw categoryError('Category has subcategories', 409, 'CATEGORY_HAS_CHILDREN');
+  }
+  await prisma.category.delete({ where: { id } });
+  await refreshCategoryCache();
+  return existing;
+}
+
+/**
+ * Replaces the category links of a product.
+ * @param {number} productId
+ * @param {Array<number|string>} categoryIds
+ * @param {Object} [client] - Prisma client or transaction
+ */
+export async function setProductCategories(productId, categoryIds, client = prisma) {
+  if (!Array.isArray(categoryIds)) {
+    throw categoryError('categoryIds must be an array', 400, 'INVALID_CATEGORY');
+  }
+  const ids = [...new Set(categoryIds.map(id => parseInt(id)))];
+  if (ids.some(Number.isNaN)) {
+    throw categoryError('categoryIds must be numbers', 400, 'INVALID_CATEGORY');
+  }
+  if (ids.length > 0) {
+    const found = await client.category.count({ where: { id: { in: ids } } });
+    if (found !== ids.length) {
+      throw categoryError('One or more categories do not exist', 400, 'INVALID_CATEGORY');
+    }
+  }
+
+  await client.productCategory.deleteMany({ where: { productId } });
+  if (ids.length > 0) {
+    await client.productCategory.createMany({
+      data: ids.map(categoryId => ({ productId, categoryId }))
+    });
+  }
+  return ids;
+}
@@ -0,0 +1,340 @@
+import prisma from '../prismaClient.js';
+import { getCategoryAncestorIds } from './categoryService.js';
+import { normalizeSearchText } from './searchDictionaryService.js';
+
+export const COMPLIANCE_MATCH_TYPES = ['KEYWORD', 'REGEX', 'CATEGORY'];
+export const COMPLIANCE_ACTIONS = ['BLOCKED', 'SEA_ONLY', 'ALLOW'];
+export const COMPLIANCE_LANGUAGES = ['zh', 'ar', 'en'];
+
+const keywordRules = (name, action, keywords) => keywords.map(pattern => ({ name, matchType: 'KEYWORD', action, pattern }));
+
+// Rules created on first start; admins edit them from then on. ALLOW rules
+// only exempt a product from SEA_ONLY rules with the same name, so a sofa
+// cover is not furniture but a toy with a lithium battery is still a battery.
+const DEFAULT_RULES = [
+  ...keywordRules('Food and supplements', 'BLOCKED', [
+    '食品', '零食', '坚果', '罐头', '饮料', '糖果', '饼干', '调料', '茶叶', '酒水', '鲜肉', '鸡蛋',
+    '牛奶', '食用油', '大米', '面粉', '果冻', '巧克力', '咖啡豆', '保健品', '维生素', '钙片', '酵素', '益生菌'
+  ]),
+  ...keywordRules('Batteries', 'SEA_ONLY', [
+    'battery', 'batteries', 'lithium', 'power bank', 'powerbank',
+    'بطارية', 'ليثيوم', 'باور بانك', 'شاحن متنقل',
+    '电池', '锂电', '充电宝', '移动电源'
+  ]),
+  ...keywordRules('Liquids and creams', 'SEA_ONLY', [
+    'liquid', 'oil', 'cream', 'gel', 'paste', 'shampoo', 'perfume', 'spray', 'aerosol',
+    'سائل', 'زيت', 'كريم', 'جل', 'معجون', 'شامبو', 'عطر', 'بخاخ',
+    '液体', '精油', '香水', '洗发水', '喷雾', '乳液'
+  ]),
+  ...keywordRules('Powders', 'SEA_ONLY', ['powder', 'dust', 'مسحوق', 'بودرة', '粉末', '爽身粉']),
+  ...keywordRules('Magnets', 'SEA_ONLY', ['magnet', 'magnetic', 'مغناطيس', 'مغناطيسي', '磁铁', '强磁']),
+  ...keywordRules('Blades and weapons', 'SEA_ONLY', [
+    'knife', 'knives', 'sword', 'dagger', 'weapon', 'gun', 'rifle',
+    'سكين', 'سيف', 'خنجر', 'سلاح', 'بندقية',
+    '刀具', '匕首'
+  ]),
+  ...keywordRules('Flammables', 'SEA_ONLY', ['flammable', 'lighter', 'gas', 'قابل للاشتعال', 'ولاعة', 'غاز', '打火机', '易燃']),
+  ...keywordRules('Furniture', 'SEA_ONLY', [
+    'furniture', 'sofa', 'couch', 'chair', 'table', 'desk', 'wardrobe', 'cabinet', 'cupboard',
+    'bed', 'mattress', 'bookshelf', 'shelf', 'shelves', 'dresser', 'sideboard', 'stool', 'bench',
+    'armchair', 'recliner', 'ottoman', 'bean bag', 'dining set', 'tv stand', 'shoe rack',
+    'أثاث', 'كنبة', 'أريكة', 'كرسي', 'طاولة', 'مكتب', 'دولاب', 'خزانة', 'سرير', 'مرتبة',
+    'رف', 'ارفف', 'تسريحة', 'كومودينو', 'بوفيه', 'مقعد', 'بنش', 'طقم جلوس', 'طاولة طعام',
+    'حامل تلفزيون', 'جزامة', 'طقم صالون', 'غرفة نوم',
+    '家具', '沙发', '床垫', '衣柜'
+  ]),
+  ...keywordRules('Furniture', 'ALLOW', [
+    'cover', 'cloth', 'slipcover', 'cushion case', 'pillow case', 'protector', 'accessory', 'accessories', 'toy', 'miniature', 'model',
+    'غطاء', 'مفرش', 'تلبيسة', 'كيس وسادة', 'حماية', 'اكسسوار', 'لعبة', 'نموذج', 'مجسم'
+  ])
+];
+
+const RULES_REFRESH_MS = 60 * 1000;
+// Bulk imports append a JSON review summary to Product.specs after this line
+const REVIEW_SUMMARY_MARKER = '---REVIEW_SUMMARY---';
+
+const HAS_CHINESE = /[㐀-鿿]/;
+const HAS_ARABIC = /[؀-ۿ]/;
+// Article and conjunction prefixes an Arabic keyword may carry in a title
+const ARABIC_PREFIXES = '(?:وال|بال|كال|فال|لل|ال|و|ب|ل|ك|ف)?';
+
+function complianceError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function detectLanguage(text) {
+  if (HAS_CHINESE.test(text)) return 'zh';
+  if (HAS_ARABIC.test(text)) return 'ar';
+  return 'en';
+}
+
+/**
+ * Keyword matching follows the script: Chinese has no word breaks so it is a
+ * plain substring; English must be a whole word, plural allowed; Arabic must
+ * start a word after an optional article so plurals and suffixes still match,
+ * and the final teh marbuta is dropped because plurals replace it. Short
+ * Arabic keywords must be the whole word, so جل does not match جلد.
+ */
+function compileKeyword(pattern, language) {
+  if (language === 'zh') return (context) => context.text.includes(pattern);
+  if (language === 'en') {
+    const regex = new RegExp(`(?<![a-z0-9])${escapeRegExp(pattern)}(?:s|es)?(?![a-z0-9])`);
+    return (context) => regex.test(context.lowerText);
+  }
+  const stem = pattern.length > 3 && pattern.endsWith('ه') ? pattern.slice(0, -1) : pattern;
+  const end = pattern.length <= 3 ? '(?=\\s|$)' : '';
+  const regex = new RegExp(`(?:^|\\s)${ARABIC_PREFIXES}${escapeRegExp(stem)}${end}`);
+  return (context) => regex.test(context.arabicText);
+}
+
+function compileRule(rule) {
+  let test;
+  if (rule.matchType === 'CATEGORY') {
+    test = (context) => context.categoryIds.includes(rule.categoryId);
+  } else if (rule.matchType === 'REGEX') {
+    const regex = new RegExp(rule.pattern, 'iu');
+    test = (context) => regex.test(context.text);
+  } else {
+    test = compileKeyword(rule.pattern, rule.language || detectLanguage(rule.pattern));
+  }
+  return { ...rule, test };
+}
+
+function compileRules(rules) {
+  const compiled = [];
+  for (const rule of rules) {
+    try {
+      compiled.push(compileRule(rule.language === undefined ? { ...rule, ...normalizeComplianceRule(rule) } : rule));
+    } catch (error) {
+      console.warn(`[Compliance] Skipping rule ${rule.id ?? rule.name}: ${error.message}`);
+    }
+  }
+  return compiled;
+}
+
+let cachedRules = compileRules(DEFAULT_RULES);
+let rulesLoadedAt = 0;
+
+export async function refreshComplianceRules() {
+  const rules = await prisma.complianceRule.findMany({ where: { isActive: true }, orderBy: { id: 'asc' } });
+  cachedRules = compileRules(rules);
+  rulesLoadedAt = Date.now();
+  return cachedRules;
+}
+
+export async function ensureDefaultComplianceRules() {
+  try {
+    if (await prisma.complianceRule.count() === 0) {
+      await prisma.complianceRule.createMany({
+        data: DEFAULT_RULES.map(rule => normalizeComplianceRule(rule))
+      });
+    }
+    await refreshComplianceRules();
+  } catch (error) {
+    console.error('[Compliance] Failed to load compliance rules:', error);
+  }
+}
+
+export function setupComplianceRuleRefresh() {
+  ensureDefaultComplianceRules();
+  const timer = setInterval(() => {
+    refreshComplianceRules().catch((e) => console.error('[Compliance] Failed to refresh compliance rules:', e));
+  }, RULES_REFRESH_MS);
+  timer.unref?.();
+}
+
+export function getComplianceRuleStats() {
+  return { rules: cachedRules.length, loadedAt: rulesLoadedAt ? new Date(rulesLoadedAt) : null };
+}
+
+/**
+ * Facts a rule can match on. Accepts a saved product or a ScrapedProduct, so
+ * the Chinese title and description are checked when the product has them.
+ * The review summary stored after the specs is left out; a customer
+ * mentioning a battery does not make the product one.
+ */
+export function buildComplianceContext(product) {
+  const specs = product?.specs && typeof product.specs === 'object'
+    ? Object.entries(product.specs).map(([key, value]) => `${key}: ${value}`).join('\n')
+    : (typeof product?.specs === 'string' ? product.specs.split(REVIEW_SUMMARY_MARKER)[0] : null);
+  const text = [product?.name, product?.title, product?.originalTitle, product?.chineseName, product?.description, specs]
+    .filter(value => typeof value === 'string' && value.trim())
+    .join('\n');
+  const linkedIds = Array.isArray(product?.categoryIds)
+    ? product.categoryIds
+    : (Array.isArray(product?.categories) ? product.categories.map(c => c.categoryId) : []);
+  return {
+    text,
+    lowerText: text.toLowerCase(),
+    arabicText: normalizeSearchText(text),
+    categoryIds: getCategoryAncestorIds(linkedIds)
+  };
+}
+
+/**
+ * Classifies a product against the active rules. BLOCKED wins over
+ * everything; SEA_ONLY applies unless an ALLOW rule of the same name matched.
+ * @returns {{ verdict: 'BLOCKED'|'SEA_ONLY'|'ALLOWED', matches: Array<{ id: number|null, name: string, action: string, matchType: string, pattern: string|null, categoryId: number|null }> }}
+ */
+export function classifyProduct(product, rules = cachedRules) {
+  const context = buildComplianceContext(product);
+  const matches = rules
+    .filter(rule => rule.test(context))
+    .map(({ id, name, action, matchType, pattern, categoryId }) => ({ id: id ?? null, name, action, matchType, pattern: pattern ?? null, categoryId: categoryId ?? null }));
+
+  const allowed = new Set(matches.filter(m => m.action === 'ALLOW').map(m => m.name));
+  let verdict = 'ALLOWED';
+  if (matches.some(m => m.action === 'BLOCKED')) {
+    verdict = 'BLOCKED';
+  } else if (matches.some(m => m.action === 'SEA_ONLY' && !allowed.has(m.name))) {
+    verdict = 'SEA_ONLY';
+  }
+  return { verdict, matches };
+}
+
+/**
+ * Checkout guard for one product and shipping method. Rules are applied again
+ * here so a rule added after import still holds, on top of the stored
+ * isAirRestricted flag an admin may have set by hand.
+ */
+export function assertShippable(product, shippingMethod) {
+  const { verdict } = classifyProduct(product);
+  if (verdict === 'BLOCKED') {
+    const error = complianceError('This product cannot be shipped', 422, 'PRODUCT_RESTRICTED');
+    error.productId = product.id;
+    throw error;
+  }
+  if (String(shippingMethod || '').toLowerCase() === 'air' && (product.isAirRestricted || verdict === 'SEA_ONLY')) {
+    const error = complianceError('This product can only be shipped by sea', 422, 'AIR_SHIPPING_RESTRICTED');
+    error.productId = product.id;
+    throw error;
+  }
+}
+
+/**
+ * Validates and normalizes admin input for a rule. Keywords are stored in the
+ * form they are matched in, with their language detected when not given.
+ */
+export function normalizeComplianceRule(input) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw complianceError('name is required', 400, 'INVALID_RULE');
+  }
+  const matchType = String(input.matchType || '').toUpperCase();
+  if (!COMPLIANCE_MATCH_TYPES.includes(matchType)) {
+    throw complianceError(`matchType must be one of ${COMPLIANCE_MATCH_TYPES.join(', ')}`, 400, 'INVALID_RULE');
+  }
+  const action = String(input.action || '').toUpperCase();
+  if (!COMPLIANCE_ACTIONS.includes(action)) {
+    throw complianceError(`action must be one of ${COMPLIANCE_ACTIONS.join(', ')}`, 400, 'INVALID_RULE');
+  }
+
+  const data = { name, matchType, action, pattern: null, language: null, categoryId: null };
+  if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+
+  if (matchType === 'CATEGORY') {
+    data.categoryId = parseInt(input.categoryId);
+    if (Number.isNaN(data.categoryId)) {
+      throw complianceError('categoryId is required for a category rule', 400, 'INVALID_RULE');
+    }
+    return data;
+  }
+
+  const pattern = String(input.pattern || '').trim();
+  if (!pattern) {
+    throw complianceError('pattern is required', 400, 'INVALID_RULE');
+  }
+  if (matchType === 'REGEX') {
+    try {
+      new RegExp(pattern, 'iu');
+    } catch (error) {
+      throw complianceError(`pattern is not a valid regular expression: ${error.message}`, 400, 'INVALID_RULE');
+    }
+    data.pattern = pattern;
+    return data;
+  }
+
+  const language = input.language ? String(input.language).toLowerCase() : detectLanguage(pattern);
+  if (!COMPLIANCE_LANGUAGES.includes(language)) {
+    throw complianceError(`language must be one of ${COMPLIANCE_LANGUAGES.join(', ')}`, 400, 'INVALID_RULE');
+  }
+  data.language = language;
+  data.pattern = language === 'ar' ? normalizeSearchText(pattern) : (language === 'en' ? pattern.toLowerCase() : pattern);
+  return data;
+}
+
+export async function listComplianceRules({ action, search } = {}) {
+  const where = {};
+  if (action) where.action = String(action).toUpperCase();
+  if (search) {
+    where.OR = [
+      { name: { contains: String(search), mode: 'insensitive' } },
+      { pattern: { contains: String(search), mode: 'insensitive' } }
+    ];
+  }
+  return prisma.complianceRule.findMany({
+    where,
+    orderBy: [{ name: 'asc' }, { id: 'asc' }],
+    include: { category: { select: { id: true, nameAr: true } } }
+  });
+}
+
+export async function createComplianceRule(input, { createdById = null } = {}) {
+  const rule = await prisma.complianceRule.create({
+    data: { ...normalizeComplianceRule(input), createdById }
+  });
+  await refreshComplianceRules();
+  return rule;
+}
+
+export async function updateComplianceRule(id, input) {
+  const existing = await prisma.complianceRule.findUnique({ where: { id } });
+  if (!existing) {
+    throw complianceError('Compliance rule not found', 404, 'RULE_NOT_FOUND');
+  }
+  // Language is detected again when a keyword changes unless one is given
+  const language = input.pattern !== undefined && input.language === undefined ? null : existing.language;
+  const rule = await prisma.complianceRule.update({
+    where: { id },
+    data: normalizeComplianceRule({ ...existing, language, ...input })
+  });
+  await refreshComplianceRules();
+  return rule;
+}
+
+export async function deleteComplianceRule(id) {
+  const existing = await prisma.complianceRule.findUnique({ where: { id } });
+  if (!existing) {
+    throw complianceError('Compliance rule not found', 404, 'RULE_NOT_FOUND');
+  }
+  await prisma.complianceRule.delete({ where: { id } });
+  await refreshComplianceRules();
+  return existing;
+}
+
+/**
+ * Shows how a saved product, or unsaved text, is classified with the active
+ * rules.
+ */
+export async function testComplianceRules({ productId, text, categoryIds } = {}) {
+  if (productId) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, name: true, specs: true, isAirRestricted: true, categories: { select: { categoryId: true } } }
+    });
+    if (!product) {
+      throw complianceError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+    }
+    return { productId: product.id, name: product.name, isAirRestricted: product.isAirRestricted, ...classifyProduct(product) };
+  }
+  if (!text || !String(text).trim()) {
+    throw complianceError('productId or text is required', 400, 'INVALID_INPUT');
+  }
+  const ids = Array.isArray(categoryIds) ? categoryIds.map(id => parseInt(id)).filter(id => !Number.isNaN(id)) : [];
+  return classifyProduct({ name: String(text), categoryIds: ids });
+}
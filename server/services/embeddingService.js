@@ -0,0 +1,288 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import cron from 'node-cron';
+import prisma from '../prismaClient.js';
+import { enqueueJob } from './jobQueueService.js';
+import { normalizeSearchText } from './searchDictionaryService.js';
+
+// Product.embedding is compared with pgvector's cosine distance, so every stored
+// vector has to come from the same provider and model. Product.embeddingModel
+// records which one produced it; rows from another model count as missing.
+export const EMBEDDING_DIMENSIONS = 384;
+
+const BACKFILL_BATCH_SIZE = 32;
+
+function embeddingError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return length > 0 ? vector.map(v => v / length) : vector;
+}
+
+function fitDimensions(vector) {
+  if (vector.length === EMBEDDING_DIMENSIONS) return vector;
+  if (vector.length > EMBEDDING_DIMENSIONS) return normalizeVector(vector.slice(0, EMBEDDING_DIMENSIONS));
+  throw embeddingError(`Embedding has ${vector.length} dimensions, expected ${EMBEDDING_DIMENSIONS}`, 500, 'EMBEDDING_DIMENSIONS');
+}
+
+/**
+ * Deterministic stand-in: hashed word and character-trigram features. Needs no
+ * model or network, so it suits tests and machines that cannot run the local
+ * model, at the cost of matching spelling rather than meaning.
+ */
+function createHashProvider() {
+  const featuresOf = (text) => {
+    // Normalization only: stored vectors must not change when the dictionary is edited
+    const words = normalizeSearchText(text).split(' ').filter(Boolean);
+    const features = [];
+    for (const word of words) {
+      features.push(`w:${word}`);
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) features.push(`t:${padded.slice(i, i + 3)}`);
+    }
+    return features;
+  };
+
+  return {
+    id: 'hash-v1',
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+        for (const feature of featuresOf(text)) {
+          const digest = crypto.createHash('md5').update(feature).digest();
+          const index = digest.readUInt32LE(0) % EMBEDDING_DIMENSIONS;
+          vector[index] += digest[4] & 1 ? 1 : -1;
+        }
+        return normalizeVector(vector);
+      });
+    }
+  };
+}
+
+/**
+ * CPU model through @huggingface/transformers (optional dependency). The model is
+ * downloaded once into the cache directory, or read from EMBEDDING_MODEL_PATH
+ * for deployments without internet access.
+ */
+function createLocalProvider() {
+  const model = process.env.EMBEDDING_LOCAL_MODEL || 'Xenova/paraphrase-multilingual-MiniLM-L12-v2';
+  let extractorPromise = null;
+
+  const loadExtractor = async () => {
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch {
+      throw embeddingError('Local embeddings need the @huggingface/transformers package', 500, 'EMBEDDING_PROVIDER_UNAVAILABLE');
+    }
+    if (process.env.EMBEDDING_MODEL_PATH) {
+      transformers.env.localModelPath = process.env.EMBEDDING_MODEL_PATH;
+      transformers.env.allowRemoteModels = false;
+    }
+    return transformers.pipeline('feature-extraction', model, { dtype: 'q8' });
+  };
+
+  return {
+    id: `local:${model}`,
+    async embed(texts) {
+      if (!extractorPromise) {
+        extractorPromise = loadExtractor().catch((e) => {
+          extractorPromise = null;
+          throw e;
+        });
+      }
+      const extractor = await extractorPromise;
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist().map(fitDimensions);
+    }
+  };
+}
+
+function createDeepInfraProvider() {
+  const model = 'google/embeddinggemma-300m';
+  return {
+    id: `deepinfra:${model}`,
+    async embed(texts) {
+      if (!process.env.DEEPINFRA_API_KEY) {
+        throw embeddingError('DEEPINFRA_API_KEY is not set', 500, 'EMBEDDING_PROVIDER_UNAVAILABLE');
+      }
+      const response = await axios.post(
+        `https://api.deepinfra.com/v1/inference/${model}`,
+        { inputs: texts },
+        {
+          headers: {
+            'Authorization': `Bearer ${process.env.DEEPINFRA_API_KEY}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 15000
+        }
+      );
+      return response.data.embeddings.map(fitDimensions);
+    }
+  };
+}
+
+const PROVIDERS = {
+  local: createLocalProvider,
+  hash: createHashProvider,
+  deepinfra: createDeepInfraProvider
+};
+
+let provider = null;
+
+/**
+ * The provider chosen with EMBEDDING_PROVIDER (local, hash or deepinfra).
+ * Defaults to the local model so search works without outside services.
+ */
+export function getEmbeddingProvider() {
+  if (!provider) {
+    const name = String(process.env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+    if (!PROVIDERS[name]) {
+      throw embeddingError(`Unknown EMBEDDING_PROVIDER "${name}"`, 500, 'EMBEDDING_PROVIDER_UNAVAILABLE');
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+}
+
+// Text that represents a product in the vector space
+export function productEmbeddingText(product) {
+  const parts = [product.name];
+  if (product.specs) parts.push(String(product.specs).slice(0, 1000));
+  return parts.filter(Boolean).join('\n');
+}
+
+// pgvector literal, passed as a parameter and cast with ::vector
+export function toVectorLiteral(vector) {
+  return `[${vector.join(',')}]`;
+}
+
+/**
+ * Embedding of a search query, or null when the provider is unavailable so
+ * callers can fall back to keyword search.
+ */
+export async function embedQuery(text) {
+  try {
+    const [vector] = await getEmbeddingProvider().embed([String(text || '')]);
+    return vector;
+  } catch (error) {
+    console.error('[Embeddings] Query embedding failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Forgets a product's embedding after its text changed; the backfill regenerates it.
+ */
+export async function markEmbeddingStale(productId, client = prisma) {
+  await client.$executeRaw`UPDATE "Product" SET "embeddingModel" = NULL WHERE id = ${productId}`;
+}
+
+export async function countMissingEmbeddings() {
+  const modelId = getEmbeddingProvider().id;
+  const [row] = await prisma.$queryRaw`
+    SELECT COUNT(*)::int AS missing, (SELECT COUNT(*)::int FROM "Product") AS total
+    FROM "Product"
+    WHERE embedding IS NULL OR "embeddingModel" IS DISTINCT FROM ${modelId}
+  `;
+  return { ...row, model: modelId };
+}
+
+/**
+ * Regenerates embeddings for the given products now instead of waiting for
+ * the backfill. Runs as the AI_PROCESS job.
+ * @param {number[]} productIds
+ * @param {{reportProgress?: Function, throwIfCancelled?: Function}} [ctx]
+ */
+export async function embedProducts(productIds, { reportProgress = () => {}, throwIfCancelled = () => {} } = {}) {
+  const embedder = getEmbeddingProvider();
+  const result = { total: productIds.length, processed: 0, missing: 0 };
+
+  for (let i = 0; i < productIds.length; i += BACKFILL_BATCH_SIZE) {
+    throwIfCancelled();
+    const ids = productIds.slice(i, i + BACKFILL_BATCH_SIZE);
+    const batch = await prisma.product.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, name: true, specs: true }
+    });
+    result.missing += ids.length - batch.length;
+    if (batch.length > 0) {
+      const vectors = await embedder.embed(batch.map(productEmbeddingText));
+      for (const [index, product] of batch.entries()) {
+        await prisma.$executeRaw`
+          UPDATE "Product"
+          SET embedding = ${toVectorLiteral(vectors[index])}::vector, "embeddingModel" = ${embedder.id}
+          WHERE id = ${product.id}
+        `;
+        result.processed++;
+      }
+    }
+    reportProgress(((i + ids.length) / productIds.length) * 100, result);
+  }
+  return result;
+}
+
+/**
+ * Fills embeddings for every product that lacks one for the current model.
+ * Runs as the EMBEDDING_BACKFILL job. Progress lives in the Product rows
+ * themselves, so a later run simply continues with whatever is still missing.
+ * @param {{reportProgress?: Function, throwIfCancelled?: Function}} [ctx]
+ */
+export async function runEmbeddingBackfill({ reportProgress = () => {}, throwIfCancelled = () => {} } = {}) {
+  const embedder = getEmbeddingProvider();
+  const { missing } = await countMissingEmbeddings();
+  const result = { total: missing, processed: 0, failed: 0, lastError: null };
+  // Products the provider rejected are skipped for the rest of this run
+  const failedIds = new Set();
+
+  while (true) {
+    throwIfCancelled();
+    const skip = failedIds.size > 0 ? [...failedIds] : [-1];
+    const batch = await prisma.$queryRaw`
+      SELECT id, name, specs FROM "Product"
+      WHERE (embedding IS NULL OR "embeddingModel" IS DISTINCT FROM ${embedder.id})
+        AND id <> ALL(${skip}::int[])
+      ORDER BY id
+      LIMIT ${BACKFILL_BATCH_SIZE}
+    `;
+    if (batch.length === 0) break;
+
+    // A failing provider fails the job, which the queue retries later
+    const vectors = await embedder.embed(batch.map(productEmbeddingText));
+
+    for (const [i, product] of batch.entries()) {
+      try {
+        await prisma.$executeRaw`
+          UPDATE "Product"
+          SET embedding = ${toVectorLiteral(vectors[i])}::vector, "embeddingModel" = ${embedder.id}
+          WHERE id = ${product.id}
+        `;
+        result.processed++;
+      } catch (error) {
+        failedIds.add(product.id);
+        result.failed++;
+        result.lastError = `Product ${product.id}: ${error.message}`;
+      }
+    }
+    // Products added meanwhile can push the count past the initial total
+    reportProgress(Math.min(99, ((result.processed + result.failed) / Math.max(1, missing)) * 100), result);
+  }
+
+  console.log(`[Embeddings] Backfill finished: ${result.processed} embedded, ${result.failed} failed`);
+  return result;
+}
+
+export function setupEmbeddingBackfillCron() {
+  const schedule = process.env.EMBEDDING_BACKFILL_CRON || '*/10 * * * *';
+  cron.schedule(schedule, () => {
+    enqueueJob('EMBEDDING_BACKFILL', {}, { unique: true })
+      .catch((error) => console.error('[Embeddings] Failed to queue backfill:', error));
+  });
+
+  console.log(`[Embeddings] Backfill scheduled (${schedule})`);
+}
@@ -0,0 +1,355 @@
+import fs from 'fs';
+import axios from 'axios';
+import cron from 'node-cron';
+import prisma from '../prismaClient.js';
+import { enqueueJob, getLatestJob } from './jobQueueService.js';
+import { calculateCostPrice } from './pricingService.js';
+
+// Currencies we buy in, always quoted as IQD per unit
+export const SUPPORTED_CURRENCIES = ['CNY', 'USD'];
+
+// Only CNY drives catalog prices; USD is kept for reporting and manual quotes
+const CATALOG_CURRENCY = 'CNY';
+
+const REPRICE_BATCH_SIZE = 150;
+const MAX_PREVIEW_SAMPLES = 20;
+
+function exchangeRateError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function normalizeCurrency(currency) {
+  const code = String(currency || '').trim().toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(code)) {
+    throw exchangeRateError(`Unsupported currency ${currency}`, 400, 'UNSUPPORTED_CURRENCY');
+  }
+  return code;
+}
+
+/**
+ * Stored prices for a CNY cost: converted goods cost plus the domestic China
+ * shipping fee (already IQD). Margins are applied on top by the pricing rules.
+ */
+export function priceFromCny(originalPrice, rate, domesticFee = 0) {
+  const basePriceIQD = Math.round(originalPrice * rate);
+  return { basePriceIQD, price: calculateCostPrice(basePriceIQD, domesticFee) };
+}
+
+/**
+ * The rate in force at a given moment: the latest entry whose effectiveFrom has passed.
+ */
+export async function getEffectiveRate(currency, at = new Date()) {
+  return prisma.exchangeRate.findFirst({
+    where: { currency: normalizeCurrency(currency), effectiveFrom: { lte: at } },
+    orderBy: [{ effectiveFrom: 'desc' }, { id: 'desc' }]
+  });
+}
+
+export async function getCurrentRates() {
+  const entries = await Promise.all(SUPPORTED_CURRENCIES.map(c => getEffectiveRate(c)));
+  const scheduled = await prisma.exchangeRate.findMany({
+    where: { effectiveFrom: { gt: new Date() } },
+    orderBy: { effectiveFrom: 'asc' }
+  });
+  return {
+    rates: Object.fromEntries(SUPPORTED_CURRENCIES.map((c, i) => [c, entries[i]])),
+    scheduled
+  };
+}
+
+export async function listExchangeRates({ currency, page = 1, limit = 50 } = {}) {
+  const where = currency ? { currency: normalizeCurrency(currency) } : {};
+  const [rates, total] = await Promise.all([
+    prisma.exchangeRate.findMany({
+      where,
+      orderBy: [{ effectiveFrom: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.exchangeRate.count({ where })
+  ]);
+  return { rates, total, page, totalPages: Math.ceil(total / limit) };
+}
+
+/**
+ * Records a new rate. It takes effect at effectiveFrom (default now); entries are
+ * never edited so the history shows which rate priced the catalog when.
+ */
+export async function setExchangeRate({ currency, rate, effectiveFrom = null, source = 'MANUAL', note = null, createdById = null }) {
+  const code = normalizeCurrency(currency);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw exchangeRateError('rate must be a positive number', 400, 'INVALID_RATE');
+  }
+  const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
+  if (Number.isNaN(effectiveDate.getTime())) {
+    throw exchangeRateError('Invalid effectiveFrom date', 400, 'INVALID_DATE');
+  }
+
+  return prisma.exchangeRate.create({
+    data: { currency: code, rate, effectiveFrom: effectiveDate, source, note, createdById }
+  });
+}
+
+// Accepts { CNY: 205, USD: 1310 } or { rates: { ... } }
+function parseRatePayload(payload) {
+  const rates = payload?.rates && typeof payload.rates === 'object' ? payload.rates : payload;
+  if (!rates || typeof rates !== 'object') {
+    throw exchangeRateError('Rate payload must be an object of currency → IQD', 400, 'INVALID_PAYLOAD');
+  }
+
+  const parsed = {};
+  for (const [key, value] of Object.entries(rates)) {
+    const code = String(key).toUpperCase();
+    const rate = typeof value === 'number' ? value : parseFloat(value);
+    if (SUPPORTED_CURRENCIES.includes(code) && Number.isFinite(rate) && rate > 0) {
+      parsed[code] = rate;
+    }
+  }
+  if (Object.keys(parsed).length === 0) {
+    throw exchangeRateError('No supported currency rates found', 400, 'INVALID_PAYLOAD');
+  }
+  return parsed;
+}
+
+async function loadRatesFromFile() {
+  const filePath = process.env.EXCHANGE_RATE_FILE;
+  if (!filePath) {
+    throw exchangeRateError('EXCHANGE_RATE_FILE is not configured', 400, 'SOURCE_NOT_CONFIGURED');
+  }
+  let raw;
+  try {
+    raw = await fs.promises.readFile(filePath, 'utf8');
+  } catch {
+    throw exchangeRateError(`Cannot read rate file ${filePath}`, 400, 'SOURCE_UNAVAILABLE');
+  }
+  try {
+    return parseRatePayload(JSON.parse(raw));
+  } catch (error) {
+    if (error.status) throw error;
+    throw exchangeRateError('Rate file is not valid JSON', 400, 'INVALID_PAYLOAD');
+  }
+}
+
+async function fetchRatesFromFeed() {
+  const url = process.env.EXCHANGE_RATE_FEED_URL;
+  if (!url) {
+    throw exchangeRateError('EXCHANGE_RATE_FEED_URL is not configured', 400, 'SOURCE_NOT_CONFIGURED');
+  }
+  try {
+    const { data } = await axios.get(url, { timeout: 10000 });
+    return parseRatePayload(data);
+  } catch (error) {
+    if (error.status) throw error;
+    throw exchangeRateError(`Rate feed request failed: ${error.message}`, 502, 'SOURCE_UNAVAILABLE');
+  }
+}
+
+/**
+ * Pulls rates from the configured file or feed and records the ones that differ
+ * from the rate currently in force.
+ * @param {'FILE'|'FEED'} source
+ * @returns {Promise<{ created: Object[], unchanged: string[] }>}
+ */
+export async function importExchangeRates(source, { createdById = null } = {}) {
+  const kind = String(source || '').toUpperCase();
+  if (kind !== 'FILE' && kind !== 'FEED') {
+    throw exchangeRateError('source must be FILE or FEED', 400, 'INVALID_SOURCE');
+  }
+
+  const rates = kind === 'FILE' ? await loadRatesFromFile() : await fetchRatesFromFeed();
+  const created = [];
+  const unchanged = [];
+
+  for (const [currency, rate] of Object.entries(rates)) {
+    const current = await getEffectiveRate(currency);
+    if (current && current.rate === rate) {
+      unchanged.push(currency);
+      continue;
+    }
+    created.push(await setExchangeRate({ currency, rate, source: kind, createdById }));
+  }
+
+  return { created, unchanged };
+}
+
+/**
+ * Walks the catalog and reprices every product and variant that has a stored CNY
+ * price. Items without one were priced in IQD directly and are left alone;
+ * legacy imports get theirs from `npm run backfill:cny-prices`.
+ * With apply=false nothing is written and the result is a preview.
+ */
+async function computeRepricing(rate, { apply, reportProgress = () => {}, throwIfCancelled = () => {} }) {
+  const stats = {
+    rate,
+    products: { checked: 0, changed: 0, skipped: 0 },
+    variants: { checked: 0, changed: 0, skipped: 0 },
+    totalDelta: 0,
+    maxIncrease: 0,
+    maxDecrease: 0,
+    samples: []
+  };
+  let changePercentSum = 0;
+  let lastId = 0;
+  const totalProducts = apply ? await prisma.product.count({ where: { status: { not: 'DELETED' } } }) : 0;
+
+  const recordSample = (sample) => {
+    stats.samples.push(sample);
+    stats.samples.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+    if (stats.samples.length > MAX_PREVIEW_SAMPLES) stats.samples.pop();
+  };
+
+  const track = (kind, delta, oldPrice) => {
+    stats[kind].changed += 1;
+    stats.totalDelta += delta;
+    stats.maxIncrease = Math.max(stats.maxIncrease, delta);
+    stats.maxDecrease = Math.min(stats.maxDecrease, delta);
+    if (oldPrice > 0) changePercentSum += (delta / oldPrice) * 100;
+  };
+
+  while (true) {
+    throwIfCancelled();
+    const products = await prisma.product.findMany({
+      where: { id: { gt: lastId }, status: { not: 'DELETED' } },
+      orderBy: { id: 'asc' },
+      take: REPRICE_BATCH_SIZE,
+      select: {
+        id: true,
+        name: true,
+        price: true,
+        originalPrice: true,
+        domesticShippingFee: true,
+        variants: { select: { id: true, price: true, originalPrice: true } }
+      }
+    });
+    if (products.length === 0) break;
+    lastId = products[products.length - 1].id;
+
+    const writes = [];
+    for (const product of products) {
+      stats.products.checked += 1;
+      if (Number(product.originalPrice) > 0) {
+        const next = priceFromCny(product.originalPrice, rate, product.domesticShippingFee);
+        if (next.price !== product.price) {
+          const delta = next.price - product.price;
+          track('products', delta, product.price);
+          recordSample({ productId: product.id, variantId: null, name: product.name, oldPrice: product.price, newPrice: next.price, delta });
+          if (apply) writes.push(prisma.product.update({ where: { id: product.id }, data: next }));
+        }
+      } else {
+        stats.products.skipped += 1;
+      }
+
+      for (const variant of product.variants) {
+        stats.variants.checked += 1;
+        if (!(Number(variant.originalPrice) > 0)) {
+          stats.variants.skipped += 1;
+          continue;
+        }
+        const next = priceFromCny(variant.originalPrice, rate, product.domesticShippingFee);
+        if (next.price !== variant.price) {
+          const delta = next.price - variant.price;
+          track('variants', delta, variant.price);
+          recordSample({ productId: product.id, variantId: variant.id, name: product.name, oldPrice: variant.price, newPrice: next.price, delta });
+          if (apply) writes.push(prisma.productVariant.update({ where: { id: variant.id }, data: next }));
+        }
+      }
+    }
+
+    if (writes.length > 0) {
+      await prisma.$transaction(writes);
+    }
+    if (apply) reportProgress(Math.min(99, (stats.products.checked / Math.max(1, totalProducts)) * 100));
+    await new Promise((r) => setImmediate(r));
+  }
+
+  const changed = stats.products.changed + stats.variants.changed;
+  stats.averageChangePercent = changed > 0 ? Math.round((changePercentSum / changed) * 100) / 100 : 0;
+  return stats;
+}
+
+/**
+ * Dry run: how many products and variants a rate would change and by how much.
+ * Defaults to the CNY rate currently in force.
+ */
+export async function previewRepricing({ rate = null } = {}) {
+  let effectiveRate = rate;
+  if (effectiveRate === null) {
+    const current = await getEffectiveRate(CATALOG_CURRENCY);
+    if (!current) {
+      throw exchangeRateError('No CNY exchange rate has been set', 400, 'NO_RATE');
+    }
+    effectiveRate = current.rate;
+  }
+  if (!Number.isFinite(effectiveRate) || effectiveRate <= 0) {
+    throw exchangeRateError('rate must be a positive number', 400, 'INVALID_RATE');
+  }
+  return computeRepricing(effectiveRate, { apply: false });
+}
+
+// The latest CNY_REPRICE job, for the admin screen
+export function getRepricingStatus() {
+  return getLatestJob('CNY_REPRICE');
+}
+
+/**
+ * Queues a repricing of the catalog at a stored CNY rate. A run already queued
+ * or in progress is returned instead of starting another; the cron queues the
+ * newer rate again once it is done.
+ */
+export async function startRepricing(rateEntry, { createdById = null } = {}) {
+  if (rateEntry.currency !== CATALOG_CURRENCY) {
+    throw exchangeRateError('Only CNY rates reprice the catalog', 400, 'UNSUPPORTED_CURRENCY');
+  }
+  return enqueueJob('CNY_REPRICE', { rateId: rateEntry.id }, { createdById, unique: true });
+}
+
+/**
+ * Reprices the catalog at the rate in the payload and stamps the rate's
+ * appliedAt once done. Runs as the CNY_REPRICE job.
+ * @param {number} rateId
+ * @param {{reportProgress?: Function, throwIfCancelled?: Function}} [ctx]
+ */
+export async function runRepricing(rateId, ctx = {}) {
+  const rateEntry = await prisma.exchangeRate.findUnique({ where: { id: rateId } });
+  if (!rateEntry) {
+    throw exchangeRateError('Exchange rate not found', 404, 'RATE_NOT_FOUND');
+  }
+
+  const result = await computeRepricing(rateEntry.rate, { apply: true, ...ctx });
+  await prisma.exchangeRate.update({ where: { id: rateEntry.id }, data: { appliedAt: new Date() } });
+  console.log('[ExchangeRate] Repricing finished', { rate: rateEntry.rate, products: result.products, variants: result.variants });
+  return result;
+}
+
+/**
+ * Queues repricing if the CNY rate in force has not priced the catalog yet,
+ * e.g. a rate scheduled for later has just become effective.
+ */
+export async function applyDueExchangeRate({ createdById = null } = {}) {
+  const current = await getEffectiveRate(CATALOG_CURRENCY);
+  if (!current || current.appliedAt) return null;
+  return startRepricing(current, { createdById });
+}
+
+export function setupExchangeRateCron() {
+  // Pick up scheduled rates shortly after they take effect
+  cron.schedule('*/15 * * * *', () => {
+    applyDueExchangeRate().catch((e) => console.error('[ExchangeRate] Scheduled repricing failed:', e));
+  });
+
+  if (process.env.EXCHANGE_RATE_FEED_URL) {
+    cron.schedule('0 6 * * *', async () => {
+      try {
+        const { created } = await importExchangeRates('FEED');
+        if (created.length > 0) await applyDueExchangeRate();
+      } catch (e) {
+        console.error('[ExchangeRate] Feed import failed:', e.message);
+      }
+    });
+  }
+
+  console.log('[ExchangeRate] Cron job scheduled (*/15 * * * *)');
+}
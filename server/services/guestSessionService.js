@@ -0,0 +1,148 @@
+import prisma from '../prismaClient.js';
+import { getSalePrice } from './pricingService.js';
+import { assertShippable } from './complianceService.js';
+
+// Guest activity older than this is not attached to an account on login
+const MERGE_WINDOW_DAYS = 30;
+const MAX_GUEST_CART_ITEMS = 100;
+const SHIPPING_METHODS = ['air', 'sea'];
+
+const normalizeOptions = (options) =>
+  (options && typeof options === 'object' ? JSON.stringify(options) : (options || null));
+
+const lineKey = (line) => [line.productId, line.variantId ?? '', line.selectedOptions ?? '', line.shippingMethod].join('|');
+
+function normalizeGuestCart(cart) {
+  if (!Array.isArray(cart)) return { lines: [], skipped: [] };
+  const lines = new Map();
+  const skipped = [];
+
+  for (const raw of cart.slice(0, MAX_GUEST_CART_ITEMS)) {
+    const productId = parseInt(raw?.productId);
+    if (Number.isNaN(productId)) {
+      skipped.push({ productId: raw?.productId ?? null, reason: 'INVALID_ITEM' });
+      continue;
+    }
+    const variantId = raw.variantId === null || raw.variantId === undefined || raw.variantId === '' ? null : parseInt(raw.variantId);
+    const line = {
+      productId,
+      variantId: Number.isNaN(variantId) ? null : variantId,
+      selectedOptions: normalizeOptions(raw.selectedOptions),
+      shippingMethod: SHIPPING_METHODS.includes(raw.shippingMethod) ? raw.shippingMethod : 'air',
+      quantity: Math.max(1, parseInt(raw.quantity) || 1)
+    };
+    // Repeated lines in the guest cart were added on this device; they add up
+    const key = lineKey(line);
+    const existing = lines.get(key);
+    if (existing) existing.quantity += line.quantity;
+    else lines.set(key, line);
+  }
+  return { lines: [...lines.values()], skipped };
+}
+
+/**
+ * Moves a guest cart into the user's server cart. A line matching an existing
+ * row (same product, variant, options and shipping method) keeps the larger of
+ * the two quantities rather than the sum, since the guest cart is often the
+ * same selection made again before logging in. Lines for products that are
+ * gone, unpublished or restricted from the chosen shipping method are skipped.
+ */
+async function mergeGuestCart(tx, userId, cart) {
+  const { lines, skipped } = normalizeGuestCart(cart);
+  const result = { added: 0, merged: 0, skipped };
+  if (lines.length === 0) return result;
+
+  const products = await tx.product.findMany({
+    where: { id: { in: [...new Set(lines.map(l => l.productId))] } },
+    include: { variants: true, categories: { select: { categoryId: true } } }
+  });
+  const productsById = new Map(products.map(p => [p.id, p]));
+
+  for (const line of lines) {
+    const product = productsById.get(line.productId);
+    if (!product || !product.isActive || product.status !== 'PUBLISHED') {
+      skipped.push({ productId: line.productId, reason: 'PRODUCT_UNAVAILABLE' });
+      continue;
+    }
+    const variant = line.variantId ? product.variants.find(v => v.id === line.variantId) : null;
+    if (line.variantId && !variant) {
+      skipped.push({ productId: line.productId, reason: 'VARIANT_UNAVAILABLE' });
+      continue;
+    }
+    // Same compliance check as POST /api/cart
+    try {
+      assertShippable(product, line.shippingMethod);
+    } catch (error) {
+      if (!error.code) throw error;
+      skipped.push({ productId: line.productId, reason: error.code });
+      continue;
+    }
+
+    const price = getSalePrice(product, variant, line.shippingMethod);
+    const existing = await tx.cartItem.findFirst({
+      where: {
+        userId,
+        productId: line.productId,
+        variantId: line.variantId,
+        selectedOptions: line.selectedOptions,
+        shippingMethod: line.shippingMethod
+      }
+    });
+
+    if (existing) {
+      await tx.cartItem.update({
+        where: { id: existing.id },
+        data: { quantity: Math.max(existing.quantity, line.quantity), price }
+      });
+      result.merged++;
+    } else {
+      await tx.cartItem.create({
+        data: { userId, ...line, price }
+      });
+      result.added++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Attaches what a visitor did before logging in to their account: tracked
+ * interactions and searches recorded under the guest session id, and the
+ * guest cart kept in the browser.
+ * @param {number} userId
+ * @param {{sessionId?: string, cart?: Array<Object>}} guest
+ * @returns {Promise<{interactions: number, searches: number, cart: Object}>}
+ */
+export async function mergeGuestSession(userId, guest = {}) {
+  // 'guest' is the placeholder /api/track stores when no session id was sent
+  const sessionId = typeof guest.sessionId === 'string' && guest.sessionId !== 'guest'
+    ? guest.sessionId.slice(0, 100)
+    : null;
+  const since = new Date(Date.now() - MERGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  return prisma.$transaction(async (tx) => {
+    let interactions = 0;
+    let searches = 0;
+    if (sessionId) {
+      const sessionRows = { sessionId, userId: null, createdAt: { gte: since } };
+      ({ count: interactions } = await tx.userInteraction.updateMany({ where: sessionRows, data: { userId } }));
+      ({ count: searches } = await tx.searchHistory.updateMany({ where: sessionRows, data: { userId } }));
+    }
+    const cart = await mergeGuestCart(tx, userId, guest.cart);
+    return { interactions, searches, cart };
+  });
+}
+
+/**
+ * Login flows call this after the user is known. A failed merge must not
+ * fail the login, so errors are logged and null is returned.
+ */
+export async function mergeGuestSessionOnLogin(userId, guest) {
+  if (!guest || typeof guest !== 'object') return null;
+  try {
+    return await mergeGuestSession(userId, guest);
+  } catch (error) {
+    console.error('[GuestMerge] Failed to merge guest session:', error);
+    return null;
+  }
+}
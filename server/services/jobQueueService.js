@@ -0,0 +1,368 @@
+import os from 'os';
+import prisma from '../prismaClient.js';
+
+// Jobs live in the Job table so a restart does not lose queued work. A worker
+// claims one job at a time with a lease (lockedBy/lockedUntil) that it keeps
+// extending while the handler runs; a job whose lease ran out belonged to a
+// worker that died and is picked up again.
+export const JOB_STATUSES = ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'];
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = 2000;
+const LEASE_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 15 * 1000;
+const PROGRESS_WRITE_MS = 2000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+
+const handlers = new Map();
+const updateListeners = [];
+// Jobs this process is running, so a cancel handled here takes effect at once;
+// other workers see the flag on their next heartbeat
+const runningJobs = new Map();
+let pollTimer = null;
+let polling = false;
+
+function jobError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Thrown inside a handler when an admin cancelled the running job
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+const jobSummarySelect = {
+  id: true,
+  type: true,
+  status: true,
+  attempts: true,
+  maxAttempts: true,
+  progress: true,
+  result: true,
+  error: true,
+  cancelRequested: true,
+  createdById: true,
+  runAt: true,
+  createdAt: true,
+  startedAt: true,
+  finishedAt: true
+};
+
+/**
+ * Registers the function that runs jobs of one type. The handler receives the
+ * payload and a context with reportProgress(progress, partialResult),
+ * isCancelled() and throwIfCancelled(); its return value becomes the result.
+ * @param {string} type
+ * @param {(payload: any, ctx: Object) => Promise<any>} handler
+ * @param {{maxAttempts?: number}} [options]
+ */
+export function registerJobHandler(type, handler, options = {}) {
+  handlers.set(type, { handler, maxAttempts: options.maxAttempts ?? 3 });
+}
+
+/**
+ * Listener receives the job summary (no payload) whenever a job is queued,
+ * reports progress or changes status. Failures are logged, not rethrown.
+ */
+export function onJobUpdate(listener) {
+  updateListeners.push(listener);
+}
+
+function emitJobUpdate(job) {
+  for (const listener of updateListeners) {
+    try {
+      listener(job);
+    } catch (error) {
+      console.error('[Jobs] Update listener failed:', error);
+    }
+  }
+}
+
+/**
+ * Adds a job to the queue. With unique set, an existing queued or running job
+ * of the same type is returned instead of adding another.
+ * @param {string} type
+ * @param {any} payload
+ * @param {{createdById?: number|null, unique?: boolean, runAt?: Date}} [options]
+ */
+export async function enqueueJob(type, payload = {}, { createdById = null, unique = false, runAt = new Date() } = {}) {
+  const registered = handlers.get(type);
+  if (!registered) {
+    throw jobError(`Unknown job type: ${type}`, 400, 'UNKNOWN_JOB_TYPE');
+  }
+  if (unique) {
+    const existing = await prisma.job.findFirst({
+      where: { type, status: { in: ['QUEUED', 'RUNNING'] } },
+      select: jobSummarySelect
+    });
+    if (existing) return existing;
+  }
+
+  const job = await prisma.job.create({
+    data: { type, payload, createdById, runAt, maxAttempts: registered.maxAttempts },
+    select: jobSummarySelect
+  });
+  emitJobUpdate(job);
+  schedulePoll(0);
+  return job;
+}
+
+export async function getJob(id) {
+  const job = Number.isInteger(id)
+    ? await prisma.job.findUnique({ where: { id }, select: jobSummarySelect })
+    : null;
+  if (!job) {
+    throw jobError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+  return job;
+}
+
+// Most recent job of a type, or null if none has been queued yet
+export function getLatestJob(type) {
+  return prisma.job.findFirst({ where: { type }, select: jobSummarySelect, orderBy: { createdAt: 'desc' } });
+}
+
+export async function listJobs({ status, type, page = 1, limit = 20 } = {}) {
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw jobError('Invalid status', 400, 'INVALID_STATUS');
+  }
+  const take = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const skip = (Math.max(1, parseInt(page) || 1) - 1) * take;
+  const where = {
+    ...(status ? { status } : {}),
+    ...(type ? { type } : {})
+  };
+  const [jobs, total] = await Promise.all([
+    prisma.job.findMany({ where, select: jobSummarySelect, orderBy: { createdAt: 'desc' }, skip, take }),
+    prisma.job.count({ where })
+  ]);
+  return { jobs, total, page: skip / take + 1, totalPages: Math.ceil(total / take) };
+}
+
+/**
+ * Queued jobs are cancelled at once; running jobs are flagged and stop at the
+ * handler's next cancellation check.
+ */
+export async function cancelJob(id) {
+  let job = await getJob(id);
+  if (job.status === 'QUEUED') {
+    const cancelled = await finishJob(id, { status: 'CANCELLED', error: null }, { status: 'QUEUED' });
+    if (cancelled) return cancelled;
+    // A worker claimed it in the meantime, so it is cancelled like a running job
+    job = await getJob(id);
+  }
+  if (job.status !== 'RUNNING') {
+    throw jobError(`Job is already ${job.status.toLowerCase()}`, 409, 'JOB_FINISHED');
+  }
+  const updated = await prisma.job.update({
+    where: { id },
+    data: { cancelRequested: true },
+    select: jobSummarySelect
+  });
+  runningJobs.get(id)?.cancel();
+  emitJobUpdate(updated);
+  return updated;
+}
+
+// Puts a failed or cancelled job back in the queue with a fresh set of attempts
+export async function retryJob(id) {
+  const job = await getJob(id);
+  if (job.status !== 'FAILED' && job.status !== 'CANCELLED') {
+    throw jobError('Only failed or cancelled jobs can be retried', 409, 'JOB_NOT_RETRYABLE');
+  }
+  const updated = await prisma.job.update({
+    where: { id },
+    data: {
+      status: 'QUEUED',
+      attempts: 0,
+      progress: 0,
+      error: null,
+      result: null,
+      cancelRequested: false,
+      runAt: new Date(),
+      finishedAt: null
+    },
+    select: jobSummarySelect
+  });
+  emitJobUpdate(updated);
+  schedulePoll(0);
+  return updated;
+}
+
+// Updates the job only while `guard` still holds and returns its summary, or
+// null when it did not. Worker writes are guarded on the lease so a worker
+// whose lease expired cannot overwrite the job another worker reclaimed.
+async function updateJobIf(id, guard, data) {
+  const { count } = await prisma.job.updateMany({ where: { id, ...guard }, data });
+  if (count === 0) return null;
+  return prisma.job.findUnique({ where: { id }, select: jobSummarySelect });
+}
+
+async function finishJob(id, data, guard = { lockedBy: WORKER_ID }) {
+  const job = await updateJobIf(id, guard, { ...data, lockedBy: null, lockedUntil: null, finishedAt: new Date() });
+  if (job) emitJobUpdate(job);
+  return job;
+}
+
+// Oldest due job, or one whose worker stopped renewing its lease
+async function claimNextJob() {
+  const leaseUntil = new Date(Date.now() + LEASE_MS);
+  const [job] = await prisma.$queryRaw`
+    UPDATE "Job"
+    SET status = 'RUNNING',
+        "lockedBy" = ${WORKER_ID},
+        "lockedUntil" = ${leaseUntil},
+        attempts = attempts + 1,
+        "startedAt" = NOW(),
+        "updatedAt" = NOW()
+    WHERE id = (
+      SELECT id FROM "Job"
+      WHERE (status = 'QUEUED' AND "runAt" <= NOW())
+         OR (status = 'RUNNING' AND "lockedUntil" < NOW())
+      ORDER BY "runAt", id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, type, payload, attempts, "maxAttempts", "cancelRequested"
+  `;
+  return job || null;
+}
+
+const retryDelay = (attempts) => Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+
+async function runJob(job) {
+  const registered = handlers.get(job.type);
+  let cancelled = job.cancelRequested;
+  let progress = 0;
+  let partialResult;
+  let lastWriteAt = 0;
+
+  // Renews the lease and picks up cancellation requests made from the admin
+  // page. Writes are chained so a late one cannot land after the final update.
+  let pendingWrite = Promise.resolve();
+  const heartbeat = () => {
+    lastWriteAt = Date.now();
+    pendingWrite = pendingWrite
+      .then(async () => {
+        const row = await updateJobIf(job.id, { lockedBy: WORKER_ID }, {
+          lockedUntil: new Date(Date.now() + LEASE_MS),
+          progress,
+          ...(partialResult !== undefined ? { result: partialResult } : {})
+        });
+        if (!row) {
+          // The lease ran out and another worker took the job over; stop ours
+          console.warn(`[Jobs] Lost the lease on job ${job.id}, stopping`);
+          cancelled = true;
+          return;
+        }
+        cancelled = cancelled || row.cancelRequested;
+        emitJobUpdate(row);
+      })
+      .catch((e) => console.error(`[Jobs] Heartbeat failed for job ${job.id}:`, e.message));
+  };
+  const heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+  heartbeatTimer.unref?.();
+  runningJobs.set(job.id, { cancel: () => { cancelled = true; } });
+  const stopHeartbeat = async () => {
+    clearInterval(heartbeatTimer);
+    runningJobs.delete(job.id);
+    await pendingWrite;
+  };
+
+  const ctx = {
+    jobId: job.id,
+    attempt: job.attempts,
+    isCancelled: () => cancelled,
+    throwIfCancelled: () => {
+      if (cancelled) throw new JobCancelledError();
+    },
+    reportProgress: (value, result) => {
+      progress = Math.max(0, Math.min(100, Math.round(value)));
+      if (result !== undefined) partialResult = result;
+      if (Date.now() - lastWriteAt >= PROGRESS_WRITE_MS) heartbeat();
+    }
+  };
+
+  try {
+    if (!registered) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    ctx.throwIfCancelled();
+    const result = await registered.handler(job.payload, ctx);
+    await stopHeartbeat();
+    if (cancelled) {
+      await finishJob(job.id, { status: 'CANCELLED', progress, result: result ?? partialResult ?? null });
+      return;
+    }
+    await finishJob(job.id, { status: 'COMPLETED', progress: 100, result: result ?? null, error: null });
+  } catch (error) {
+    await stopHeartbeat();
+    if (error instanceof JobCancelledError || cancelled) {
+      await finishJob(job.id, { status: 'CANCELLED', progress, result: partialResult ?? null });
+      return;
+    }
+
+    console.error(`[Jobs] ${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error);
+    const message = String(error?.message || error).slice(0, 2000);
+    if (job.attempts < job.maxAttempts) {
+      const retried = await updateJobIf(job.id, { lockedBy: WORKER_ID }, {
+        status: 'QUEUED',
+        error: message,
+        runAt: new Date(Date.now() + retryDelay(job.attempts)),
+        lockedBy: null,
+        lockedUntil: null
+      });
+      if (retried) emitJobUpdate(retried);
+    } else {
+      await finishJob(job.id, { status: 'FAILED', error: message, result: partialResult ?? null });
+    }
+  }
+}
+
+async function pollJobs() {
+  if (polling) return;
+  polling = true;
+  try {
+    for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+      // Reclaimed from a worker that died on its last attempt
+      if (job.attempts > job.maxAttempts) {
+        await finishJob(job.id, { status: 'FAILED', error: 'Worker stopped while running the job' });
+        continue;
+      }
+      emitJobUpdate(await getJob(job.id));
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('[Jobs] Worker poll failed:', error);
+  } finally {
+    polling = false;
+    schedulePoll(POLL_INTERVAL_MS);
+  }
+}
+
+// A poll already in progress keeps claiming until the queue is empty, so an
+// early poll requested meanwhile costs nothing
+function schedulePoll(delay) {
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(() => {
+    pollTimer = null;
+    pollJobs();
+  }, delay);
+  pollTimer.unref?.();
+}
+
+/**
+ * Starts this process's worker loop. Jobs left RUNNING by a previous process
+ * are retried once their lease expires.
+ */
+export function setupJobWorker() {
+  console.log(`[Jobs] Worker ${WORKER_ID} started`);
+  schedulePoll(0);
+}
@@ -0,0 +1,194 @@
+import prisma from '../prismaClient.js';
+
+export const ORDER_STATUSES = [
+  'PENDING',
+  'AWAITING_PAYMENT',
+  'PAYMENT_REVIEW',
+  'PREPARING',
+  'SHIPPED',
+  'ARRIVED_IRAQ',
+  'OUT_FOR_DELIVERY',
+  'DELIVERED',
+  'CANCELLED',
+  'REFUNDED'
+];
+
+/**
+ * Allowed next statuses for every order status.
+ * Anything not listed here is rejected by transitionOrder.
+ */
+export const ORDER_TRANSITIONS = {
+  PENDING: ['AWAITING_PAYMENT', 'CANCELLED'],
+  AWAITING_PAYMENT: ['PAYMENT_REVIEW', 'PREPARING', 'CANCELLED'], // PREPARING directly for cash received in person
+  PAYMENT_REVIEW: ['PREPARING', 'AWAITING_PAYMENT', 'CANCELLED'], // Rejected proofs go back to AWAITING_PAYMENT
+  PREPARING: ['SHIPPED', 'CANCELLED', 'REFUNDED'],
+  SHIPPED: ['ARRIVED_IRAQ', 'REFUNDED'],
+  ARRIVED_IRAQ: ['OUT_FOR_DELIVERY', 'REFUNDED'],
+  OUT_FOR_DELIVERY: ['DELIVERED', 'ARRIVED_IRAQ', 'REFUNDED'], // Failed delivery goes back to the warehouse
+  DELIVERED: ['REFUNDED'],
+  CANCELLED: ['REFUNDED'],
+  REFUNDED: []
+};
+
+// Statuses written by older versions of the app
+const LEGACY_STATUSES = {
+  PENDING_PAYMENT: 'PENDING',
+  NEED_PAYMENT: 'AWAITING_PAYMENT'
+};
+
+const transitionListeners = [];
+const transitionGuards = [];
+const transitionEffects = [];
+
+export function normalizeOrderStatus(status) {
+  const upper = String(status || 'PENDING').toUpperCase();
+  return LEGACY_STATUSES[upper] || upper;
+}
+
+export function canTransition(from, to) {
+  const allowed = ORDER_TRANSITIONS[normalizeOrderStatus(from)] || [];
+  return allowed.includes(to);
+}
+
+function transitionError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Register a callback fired after every committed transition.
+ * Listener receives { order, from, to, event, actor, effects }.
+ */
+export function onOrderTransition(listener) {
+  transitionListeners.push(listener);
+}
+
+/**
+ * Register a check run before a transition is applied.
+ * Guard receives { order, from, to, actor } and throws (with .status/.code) to block it.
+ */
+export function addTransitionGuard(guard) {
+  transitionGuards.push(guard);
+}
+
+/**
+ * Register a write that must commit or roll back with every transition, such
+ * as a refund owed for a cancelled order. Effect receives
+ * (tx, { order, from, to, actor }); a failure aborts the transition, and the
+ * result reaches the listeners as effects[name].
+ */
+export function addTransitionEffect(name, effect) {
+  transitionEffects.push({ name, effect });
+}
+
+async function runTransitionListeners(payload) {
+  for (const listener of transitionListeners) {
+    try {
+      await listener(payload);
+    } catch (error) {
+      console.error('[OrderState] Transition listener failed:', error);
+    }
+  }
+}
+
+/**
+ * Records an order event inside an existing transaction without firing listeners.
+ * Used for the creation event when the order itself is created.
+ */
+export function recordOrderEvent(tx, orderId, { fromStatus = null, toStatus, actor = {}, note = null }) {
+  return tx.orderEvent.create({
+    data: {
+      orderId,
+      fromStatus,
+      toStatus,
+      actorType: actor.type || 'SYSTEM',
+      actorId: actor.id || null,
+      actorName: actor.name || null,
+      note
+    }
+  });
+}
+
+/**
+ * Moves an order to a new status, rejecting illegal jumps.
+ * @param {number} orderId
+ * @param {string} toStatus
+ * @param {Object} options
+ * @param {{type: string, id?: number, name?: string}} options.actor - Who made the change
+ * @param {string} [options.note] - Shown on the order timeline
+ * @param {Object} [options.data] - Extra order fields updated together with the status
+ * @param {string[]} [options.expectedFrom] - Only transition from one of these statuses
+ * @param {(tx: Object) => Promise<any>} [options.inTransaction] - Writes that must commit or fail with the status change; its result is returned as `result`
+ */
+export async function transitionOrder(orderId, toStatus, { actor = { type: 'SYSTEM' }, note = null, data = {}, expectedFrom = null, inTransaction = null } = {}) {
+  const to = String(toStatus || '').toUpperCase();
+  if (!ORDER_STATUSES.includes(to)) {
+    throw transitionError(`Unknown order status: ${toStatus}`, 400, 'INVALID_STATUS');
+  }
+
+  const current = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!current) {
+    throw transitionError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+
+  const from = normalizeOrderStatus(current.status);
+  if (expectedFrom && !expectedFrom.includes(from)) {
+    throw transitionError(`Order is ${from}, expected ${expectedFrom.join(' or ')}`, 400, 'INVALID_TRANSITION');
+  }
+  if (!canTransition(from, to)) {
+    throw transitionError(`Cannot move order from ${from} to ${to}`, 400, 'INVALID_TRANSITION');
+  }
+  for (const guard of transitionGuards) {
+    await guard({ order: current, from, to, actor });
+  }
+
+  const { event, result, effects } = await prisma.$transaction(async (tx) => {
+    // Guard on the stored status so two concurrent transitions cannot both win
+    const updated = await tx.order.updateMany({
+      where: { id: orderId, status: current.status },
+      data: { ...data, status: to }
+    });
+    if (updated.count === 0) {
+      throw transitionError('Order status changed concurrently, please retry', 409, 'TRANSITION_CONFLICT');
+    }
+    const result = inTransaction ? await inTransaction(tx) : undefined;
+    const effects = {};
+    for (const { name, effect } of transitionEffects) {
+      effects[name] = await effect(tx, { order: current, from, to, actor });
+    }
+    return { event: await recordOrderEvent(tx, orderId, { fromStatus: from, toStatus: to, actor, note }), result, effects };
+  });
+
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  await runTransitionListeners({ order, from, to, event, actor, effects });
+
+  return { order, event, result };
+}
+
+/**
+ * Applies the same transition to many orders, collecting per-order failures.
+ */
+export async function transitionOrders(orderIds, toStatus, options = {}) {
+  const updated = [];
+  const rejected = [];
+
+  for (const orderId of orderIds) {
+    try {
+      const { order } = await transitionOrder(orderId, toStatus, options);
+      updated.push(order.id);
+    } catch (error) {
+      rejected.push({ id: orderId, error: error.message });
+    }
+  }
+
+  return { updated, rejected };
+}
+
+export async function getOrderTimeline(orderId) {
+  return prisma.orderEvent.findMany({
+    where: { orderId },
+    orderBy: { createdAt: 'asc' }
+  });
+}
@@ -0,0 +1,370 @@
+import jwt from 'jsonwebtoken';
+import axios from 'axios';
+import { randomUUID } from 'node:crypto';
+import prisma from '../prismaClient.js';
+import { transitionOrder } from './orderStateService.js';
+
+/**
+ * Every gateway implements the same contract:
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Stored as Order.paymentProvider and, uppercased, as Transaction.method
+ * @property {() => boolean} isEnabled
+ * @property {(args: { order: Object, amount: number, callbackUrl: string }) => Promise<{ paymentUrl: string, reference: string }>} createPayment
+ * @property {(token: string) => Object} verifySignature - Returns the decoded payload or throws
+ * @property {(params: Object) => { orderId: number, status: string, reference: string, amount: number|null, message: string|null }} handleCallback
+ * @property {(args: { order: Object, amount: number, reference: string }) => Promise<{ reference: string }>} refund
+ */
+
+// Checkout payment methods that redirect to a gateway instead of a manual transfer
+export const ONLINE_PAYMENT_METHODS = {
+  zain_cash_online: 'zaincash',
+  mock_online: 'mock'
+};
+
+function paymentError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const zainCashProvider = {
+  name: 'zaincash',
+
+  config() {
+    const production = process.env.ZAINCASH_PRODUCTION === 'true';
+    return {
+      merchantId: process.env.ZAINCASH_MERCHANT_ID,
+      secret: process.env.ZAINCASH_SECRET,
+      msisdn: process.env.ZAINCASH_MSISDN,
+      baseUrl: process.env.ZAINCASH_API_URL || (production ? 'https://api.zaincash.iq' : 'https://test.zaincash.iq')
+    };
+  },
+
+  isEnabled() {
+    const { merchantId, secret, msisdn } = this.config();
+    return Boolean(merchantId && secret && msisdn);
+  },
+
+  async createPayment({ order, amount, callbackUrl }) {
+    const { merchantId, secret, msisdn, baseUrl } = this.config();
+
+    // ZainCash rejects amounts below 250 IQD
+    if (amount < 250) {
+      throw paymentError('المبلغ أقل من الحد الأدنى للدفع الإلكتروني', 400, 'AMOUNT_TOO_LOW');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const token = jwt.sign({
+      amount: Math.round(amount),
+      serviceType: `Order #${order.id}`,
+      msisdn,
+      orderId: String(order.id),
+      redirectUrl: callbackUrl,
+      iat: now,
+      exp: now + 60 * 60 * 4
+    }, secret, { algorithm: 'HS256', noTimestamp: true });
+
+    const { data } = await axios.post(`${baseUrl}/transaction/init`, new URLSearchParams({
+      token,
+      merchantId,
+      lang: 'ar'
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000
+    });
+
+    if (!data?.id) {
+      throw paymentError(data?.err?.msg || 'تعذر إنشاء عملية الدفع', 502, 'GATEWAY_ERROR');
+    }
+
+    return {
+      paymentUrl: `${baseUrl}/transaction/pay?id=${data.id}`,
+      reference: data.id
+    };
+  },
+
+  verifySignature(token) {
+    try {
+      return jwt.verify(token, this.config().secret, { algorithms: ['HS256'] });
+    } catch {
+      throw paymentError('Invalid payment signature', 400, 'INVALID_SIGNATURE');
+    }
+  },
+
+  // ZainCash redirects back with ?token=<JWT> carrying { status, orderid, id, msg }
+  handleCallback(params) {
+    const payload = this.verifySignature(params.token);
+    return {
+      orderId: parseInt(payload.orderid),
+      status: payload.status === 'success' ? 'SUCCESS' : payload.status === 'pending' ? 'PENDING' : 'FAILED',
+      reference: payload.id,
+      amount: null,
+      message: payload.msg || null
+    };
+  },
+
+  async refund() {
+    throw paymentError('ZainCash does not support refunds through the API, refund to the wallet instead', 501, 'REFUND_NOT_SUPPORTED');
+  }
+};
+
+/**
+ * Gateway simulated entirely by this server for development and tests.
+ * The checkout page at /api/payments/mock/checkout signs the callback itself,
+ * so anyone who can reach it can mark an order paid: it only runs when
+ * PAYMENT_MOCK_ENABLED=true and MOCK_PAYMENT_SECRET are both set.
+ */
+const mockProvider = {
+  name: 'mock',
+
+  secret() {
+    return process.env.MOCK_PAYMENT_SECRET;
+  },
+
+  isEnabled() {
+    return process.env.PAYMENT_MOCK_ENABLED === 'true' && Boolean(this.secret());
+  },
+
+  async createPayment({ order, amount, callbackUrl }) {
+    const reference = `MOCK-${randomUUID()}`;
+    const token = jwt.sign({ orderId: order.id, amount, reference, callbackUrl }, this.secret(), { expiresIn: '4h' });
+    const baseUrl = new URL(callbackUrl).origin;
+    return {
+      paymentUrl: `${baseUrl}/api/payments/mock/checkout?token=${encodeURIComponent(token)}`,
+      reference
+    };
+  },
+
+  verifySignature(token) {
+    try {
+      return jwt.verify(token, this.secret());
+    } catch {
+      throw paymentError('Invalid payment signature', 400, 'INVALID_SIGNATURE');
+    }
+  },
+
+  // Signs the outcome the mock checkout page sends back, mirroring a real gateway
+  signResult(checkout, status) {
+    return jwt.sign({
+      orderId: checkout.orderId,
+      amount: checkout.amount,
+      reference: checkout.reference,
+      status
+    }, this.secret(), { expiresIn: '1h' });
+  },
+
+  handleCallback(params) {
+    const payload = this.verifySignature(params.token);
+    return {
+      orderId: parseInt(payload.orderId),
+      status: payload.status === 'success' ? 'SUCCESS' : 'FAILED',
+      reference: payload.reference,
+      amount: payload.amount ?? null,
+      message: null
+    };
+  },
+
+  async refund() {
+    return { reference: `MOCK-RF-${randomUUID()}` };
+  }
+};
+
+if (process.env.PAYMENT_MOCK_ENABLED === 'true' && !process.env.MOCK_PAYMENT_SECRET) {
+  console.error('[Payment] PAYMENT_MOCK_ENABLED is set without MOCK_PAYMENT_SECRET; the mock gateway stays off');
+}
+
+const providers = new Map([
+  [zainCashProvider.name, zainCashProvider],
+  [mockProvider.name, mockProvider]
+]);
+
+export function getPaymentProvider(name) {
+  const provider = providers.get(name);
+  if (!provider || !provider.isEnabled()) {
+    throw paymentError(`Payment provider ${name} is not available`, 404, 'PROVIDER_UNAVAILABLE');
+  }
+  return provider;
+}
+
+export function isOnlinePaymentMethod(paymentMethod) {
+  return Object.prototype.hasOwnProperty.call(ONLINE_PAYMENT_METHODS, paymentMethod);
+}
+
+export function getAmountDue(order) {
+  return Math.max(0, (order.total || 0) - (order.walletAmountPaid || 0));
+}
+
+/**
+ * Opens a gateway payment for an order awaiting payment and remembers its reference.
+ * @param {Object} order
+ * @param {string} apiBaseUrl - Public origin of this server, used for the callback URL
+ */
+export async function startOnlinePayment(order, apiBaseUrl) {
+  const provider = getPaymentProvider(ONLINE_PAYMENT_METHODS[order.paymentMethod]);
+  if (order.status !== 'AWAITING_PAYMENT') {
+    throw paymentError('الطلب غير جاهز للدفع', 400, 'ORDER_NOT_PAYABLE');
+  }
+
+  const amount = getAmountDue(order);
+  if (amount <= 0) {
+    throw paymentError('لا يوجد مبلغ مستحق لهذا الطلب', 400, 'NOTHING_DUE');
+  }
+
+  const { paymentUrl, reference } = await provider.createPayment({
+    order,
+    amount,
+    callbackUrl: `${apiBaseUrl}/api/payments/${provider.name}/callback`
+  });
+
+  await prisma.order.update({
+    where: { id: order.id },
+    data: { paymentProvider: provider.name, paymentReference: reference }
+  });
+
+  return { paymentUrl, reference, amount };
+}
+
+/**
+ * Verifies a gateway callback and settles the order.
+ * Successful payments are recorded once per gateway reference (enforced by a
+ * unique index), then the order leaves AWAITING_PAYMENT. Replayed or
+ * concurrent callbacks return the existing transaction.
+ * @returns {Promise<{ orderId: number, status: string, transaction: Object|null, transitioned: boolean, message: string|null }>}
+ */
+export async function settleOnlinePayment(providerName, params) {
+  const provider = getPaymentProvider(providerName);
+  const result = provider.handleCallback(params);
+
+  if (!result.orderId || !result.reference) {
+    throw paymentError('Malformed payment callback', 400, 'INVALID_CALLBACK');
+  }
+  if (result.status !== 'SUCCESS') {
+    return { orderId: result.orderId, status: result.status, transaction: null, transitioned: false, message: result.message };
+  }
+
+  const order = await prisma.order.findUnique({ where: { id: result.orderId } });
+  if (!order) {
+    throw paymentError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+
+  const method = provider.name.toUpperCase();
+  const existing = await prisma.transaction.findFirst({
+    where: { orderId: order.id, type: 'PAYMENT', method, referenceId: String(result.reference) }
+  });
+  if (existing) {
+    return { orderId: order.id, status: 'SUCCESS', transaction: existing, transitioned: false, message: null };
+  }
+
+  const amount = result.amount ?? getAmountDue(order);
+  let transaction;
+  try {
+    transaction = await prisma.transaction.create({
+      data: {
+        userId: order.userId,
+        amount: -Math.abs(amount),
+        type: 'PAYMENT',
+        status: 'COMPLETED',
+        method,
+        referenceId: String(result.reference),
+        description: `دفع الطلب #${order.id} عبر ${provider.name}`,
+        orderId: order.id
+      }
+    });
+  } catch (error) {
+    // A callback and a webhook for the same payment raced; the other one settled it
+    if (error.code !== 'P2002') throw error;
+    const settled = await prisma.transaction.findFirst({
+      where: { orderId: order.id, method, referenceId: String(result.reference) }
+    });
+    return { orderId: order.id, status: 'SUCCESS', transaction: settled, transitioned: false, message: null };
+  }
+
+  // The money is recorded even if the order moved on (e.g. cancelled meanwhile);
+  // the caller reports that case so an admin can refund it.
+  let transitioned = false;
+  if (order.status === 'AWAITING_PAYMENT') {
+    await transitionOrder(order.id, 'PREPARING', {
+      actor: { type: 'SYSTEM', name: provider.name },
+      note: `تم الدفع إلكترونياً، رقم العملية: ${result.reference}`,
+      expectedFrom: ['AWAITING_PAYMENT']
+    });
+    transitioned = true;
+  }
+
+  return { orderId: order.id, status: 'SUCCESS', transaction, transitioned, message: null };
+}
+
+/**
+ * Returns gateway money for an order through the provider that collected it.
+ *
+ * Cancelling an order refunds everything paid for it to the wallet, gateway
+ * payments included, since ZainCash has no refund API. So only money that no
+ * refund of any method has returned yet can go back through the gateway. The
+ * refund is reserved as a PENDING entry under a lock on the order before the
+ * gateway is called, so a second click or a wallet refund running at the
+ * same time sees it and cannot pay the same money back again.
+ */
+export async function refundOnlinePayment(orderId, { amount = null, createdById = null } = {}) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order || !order.paymentProvider) {
+    throw paymentError('Order was not paid online', 400, 'NOT_PAID_ONLINE');
+  }
+
+  const provider = getPaymentProvider(order.paymentProvider);
+  const method = provider.name.toUpperCase();
+
+  const { pending, payment } = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM "Order" WHERE id = ${orderId} FOR UPDATE`;
+    const entries = await tx.transaction.findMany({
+      where: { orderId, status: { in: ['COMPLETED', 'PENDING'] }, type: { in: ['PAYMENT', 'REFUND'] } }
+    });
+    const payments = entries.filter(e => e.type === 'PAYMENT' && e.status === 'COMPLETED');
+    const refunds = entries.filter(e => e.type === 'REFUND');
+    const payment = payments.find(e => e.method === method);
+    if (!payment) {
+      throw paymentError('No completed gateway payment for this order', 400, 'NOT_PAID_ONLINE');
+    }
+
+    const sum = (list) => list.reduce((total, e) => total + Math.abs(e.amount), 0);
+    const refundable = Math.max(0, Math.min(
+      sum(payments.filter(e => e.method === method)) - sum(refunds.filter(e => e.method === method)),
+      sum(payments) - sum(refunds)
+    ));
+    const refundAmount = amount === null ? refundable : amount;
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw paymentError(`Refund amount must be between 0 and ${refundable}`, 400, 'INVALID_AMOUNT');
+    }
+
+    const pending = await tx.transaction.create({
+      data: {
+        userId: order.userId,
+        amount: refundAmount,
+        type: 'REFUND',
+        status: 'PENDING',
+        method,
+        description: `استرجاع مبلغ الطلب #${orderId} عبر ${provider.name}`,
+        orderId,
+        createdById
+      }
+    });
+    return { pending, payment };
+  });
+
+  let reference;
+  try {
+    ({ reference } = await provider.refund({ order, amount: pending.amount, reference: payment.referenceId }));
+  } catch (error) {
+    await prisma.transaction.update({ where: { id: pending.id }, data: { status: 'FAILED' } });
+    throw error;
+  }
+
+  return prisma.transaction.update({
+    where: { id: pending.id },
+    data: { status: 'COMPLETED', referenceId: reference }
+  });
+}
+
+export function getMockProvider() {
+  return getPaymentProvider(mockProvider.name);
+}
@@ -0,0 +1,140 @@
+import prisma from '../prismaClient.js';
+
+/**
+ * Catalog of every permission an admin route can require.
+ * Keys are stored in User.permissions and Role.permissions as JSON arrays.
+ */
+export const PERMISSIONS = {
+  view_dashboard: 'عرض لوحة التحكم والإشعارات',
+  manage_orders: 'إدارة الطلبات',
+  manage_products: 'إدارة المنتجات',
+  delete_products: 'حذف المنتجات',
+  manage_users: 'إدارة المستخدمين',
+  manage_roles: 'إدارة الأدوار والصلاحيات',
+  manage_coupons: 'إدارة الكوبونات',
+  manage_wallets: 'إدارة المحافظ والأرصدة',
+  review_payments: 'مراجعة إثباتات الدفع',
+  view_reports: 'عرض التقارير',
+  manage_reviews: 'إدارة التقييمات',
+  manage_messages: 'الرد على رسائل العملاء',
+  manage_content: 'إدارة المحتوى والبانرات',
+  manage_settings: 'إعدادات المتجر'
+};
+
+export const SUPER_ADMIN_PERMISSION = '*';
+
+/**
+ * Built-in roles created on startup if missing.
+ * Admins may edit their permissions but cannot delete them.
+ */
+export const DEFAULT_ROLES = [
+  {
+    name: 'super_admin',
+    label: 'مدير عام',
+    description: 'Full access to every admin feature',
+    permissions: [SUPER_ADMIN_PERMISSION]
+  },
+  {
+    name: 'warehouse_clerk',
+    label: 'موظف مستودع',
+    description: 'Processes orders and updates shipping status',
+    permissions: ['view_dashboard', 'manage_orders']
+  },
+  {
+    name: 'support_agent',
+    label: 'خدمة العملاء',
+    description: 'Answers customers, follows up orders and moderates reviews',
+    permissions: ['view_dashboard', 'manage_orders', 'manage_reviews', 'manage_messages', 'manage_products']
+  },
+  {
+    name: 'catalog_editor',
+    label: 'محرر المنتجات',
+    description: 'Imports, edits and removes products and banners',
+    permissions: ['view_dashboard', 'manage_products', 'delete_products', 'manage_content']
+  },
+  {
+    name: 'finance',
+    label: 'المالية',
+    description: 'Reports, coupons, wallets and order payments',
+    permissions: ['view_dashboard', 'view_reports', 'manage_coupons', 'manage_orders', 'manage_wallets', 'review_payments']
+  }
+];
+
+// Permissions given to a default role after it first shipped, keyed by seed
+// version. A stored role receives each batch once, when its seedVersion is
+// older; a permission an admin removes later stays removed.
+const DEFAULT_ROLE_UPGRADES = {
+  1: { finance: ['manage_wallets'] },
+  2: { finance: ['review_payments'] }
+};
+const ROLE_SEED_VERSION = Math.max(...Object.keys(DEFAULT_ROLE_UPGRADES).map(Number));
+
+export function parsePermissions(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Returns the permission keys that are not part of the catalog.
+ */
+export function findUnknownPermissions(permissions) {
+  return permissions.filter(p => p !== SUPER_ADMIN_PERMISSION && !Object.prototype.hasOwnProperty.call(PERMISSIONS, p));
+}
+
+/**
+ * Union of the user's direct permissions and those of their staff role.
+ * An admin with neither has no access; admins from before staff roles are
+ * given '*' by prisma/migrateLegacyAdmins.js.
+ */
+export function resolveUserPermissions(user) {
+  const direct = parsePermissions(user.permissions);
+  const fromRole = user.staffRole ? parsePermissions(user.staffRole.permissions) : [];
+  return [...new Set([...direct, ...fromRole])];
+}
+
+export function permissionsAllow(permissions, permission) {
+  return permissions.includes(SUPER_ADMIN_PERMISSION) || permissions.includes(permission);
+}
+
+/**
+ * Creates the built-in roles and applies each permission upgrade a stored
+ * role has not seen yet, once. Admin edits to the lists are kept after that.
+ */
+export async function ensureDefaultRoles() {
+  try {
+    for (const role of DEFAULT_ROLES) {
+      const existing = await prisma.role.findUnique({ where: { name: role.name } });
+      if (!existing) {
+        await prisma.role.create({
+          data: {
+            name: role.name,
+            label: role.label,
+            description: role.description,
+            permissions: JSON.stringify(role.permissions),
+            isSystem: true,
+            seedVersion: ROLE_SEED_VERSION
+          }
+        });
+        continue;
+      }
+      if (existing.seedVersion >= ROLE_SEED_VERSION) continue;
+
+      const stored = parsePermissions(existing.permissions);
+      const added = Object.entries(DEFAULT_ROLE_UPGRADES)
+        .filter(([version]) => Number(version) > existing.seedVersion)
+        .flatMap(([, upgrades]) => upgrades[role.name] || [])
+        .filter(p => !stored.includes(p));
+      await prisma.role.update({
+        where: { id: existing.id },
+        data: { permissions: JSON.stringify([...stored, ...new Set(added)]), seedVersion: ROLE_SEED_VERSION }
+      });
+    }
+  } catch (error) {
+    console.error('[Roles] Failed to seed default roles:', error);
+  }
+}
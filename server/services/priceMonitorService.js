@@ -0,0 +1,382 @@
+import cron from 'node-cron';
+import prisma from '../prismaClient.js';
+import { enqueueJob } from './jobQueueService.js';
+import { getEffectiveRate, priceFromCny } from './exchangeRateService.js';
+import { getEnvProxy, humanDelay, openBrowserSession } from './scrapers/browserSession.js';
+import { getAdapterForUrl } from './scrapers/adapters/index.js';
+
+// Xianyu items are one-off second-hand listings, nothing to keep in sync
+export const MONITORED_PROVIDERS = ['TAOBAO', 'PDD', '1688'];
+// APPLIED: prices/availability were written. FLAGGED: waiting for an admin.
+// DISMISSED: an admin kept the old values.
+export const PRICE_CHANGE_STATUSES = ['APPLIED', 'FLAGGED', 'DISMISSED'];
+
+const DEFAULT_MAX_CHANGE = 0.15;
+const DEFAULT_BATCH_SIZE = 100;
+// Carts older than this no longer count as a reason to check first
+const ACTIVE_CART_DAYS = 30;
+const PRICE_EPSILON = 0.005;
+
+function priceMonitorError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const parseJsonArray = (value) => {
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const parseCombination = (value) => {
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const combinationKey = (values) => values.map(String).sort().join('|');
+
+// Without a stored CNY price there is nothing to compare against, so any
+// price counts as an unbounded change and goes to review
+const relativeChange = (before, after) => (before > 0 ? Math.abs(after - before) / before : Infinity);
+
+const monitoredProductSelect = {
+  id: true,
+  name: true,
+  provider: true,
+  originalUrl: true,
+  purchaseUrl: true,
+  originalPrice: true,
+  domesticShippingFee: true,
+  options: { select: { values: true, originalValues: true } },
+  variants: { select: { id: true, combination: true, originalPrice: true, isActive: true } }
+};
+
+/**
+ * Products in active carts and wishlists come first, then the rest of the
+ * catalog; within each group the ones checked longest ago.
+ */
+async function selectProductsToCheck(limit) {
+  const monitored = {
+    isActive: true,
+    provider: { in: MONITORED_PROVIDERS },
+    OR: [{ originalUrl: { not: null } }, { purchaseUrl: { not: null } }]
+  };
+  const orderBy = [{ priceCheckedAt: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }];
+  const activeCartSince = new Date(Date.now() - ACTIVE_CART_DAYS * 24 * 60 * 60 * 1000);
+
+  const watched = await prisma.product.findMany({
+    where: {
+      AND: [
+        monitored,
+        { OR: [{ cartItems: { some: { updatedAt: { gte: activeCartSince } } } }, { wishlistItems: { some: {} } }] }
+      ]
+    },
+    orderBy,
+    take: limit,
+    select: monitoredProductSelect
+  });
+  if (watched.length >= limit) return watched;
+
+  const rest = await prisma.product.findMany({
+    where: { AND: [monitored, { id: { notIn: watched.map(p => p.id) } }] },
+    orderBy,
+    take: limit - watched.length,
+    select: monitoredProductSelect
+  });
+  return [...watched, ...rest];
+}
+
+// Stored variants use translated values; the options keep the marketplace
+// originals in the same order, which is how scraped SKUs are matched back
+function variantMatcher(product) {
+  const translations = new Map();
+  for (const option of product.options) {
+    const values = parseJsonArray(option.values);
+    parseJsonArray(option.originalValues).forEach((original, i) => {
+      if (values[i] !== undefined) translations.set(String(original), String(values[i]));
+    });
+  }
+
+  const byKey = new Map();
+  for (const variant of product.variants) {
+    byKey.set(combinationKey(Object.values(parseCombination(variant.combination))), variant);
+  }
+
+  return (sku) => {
+    const originals = Object.values(sku.combination);
+    return byKey.get(combinationKey(originals.map(value => translations.get(value) ?? value)))
+      || byKey.get(combinationKey(originals));
+  };
+}
+
+/**
+ * Compares a fresh scrape against the stored product.
+ * @returns {{ priceCny: number|null, changeRatio: number, priceChanged: boolean, availabilityChanged: boolean, unavailable: boolean, variantChanges: Object[] }}
+ */
+function diffProduct(product, scraped) {
+  const unavailable = !scraped.title || !scraped.priceCny
+    || (scraped.skus.length > 0 && scraped.skus.every(sku => !sku.available));
+  if (unavailable) {
+    return { priceCny: null, changeRatio: 0, priceChanged: false, availabilityChanged: false, unavailable: true, variantChanges: [] };
+  }
+
+  const previousPriceCny = Number(product.originalPrice) || 0;
+  const priceChanged = Math.abs(scraped.priceCny - previousPriceCny) > PRICE_EPSILON;
+  let changeRatio = priceChanged ? relativeChange(previousPriceCny, scraped.priceCny) : 0;
+
+  const matchVariant = variantMatcher(product);
+  const seen = new Map();
+  for (const sku of scraped.skus) {
+    const variant = matchVariant(sku);
+    if (variant) seen.set(variant.id, sku);
+  }
+
+  // A variant whose SKU disappeared from the page is treated as out of stock,
+  // but only when the page's SKUs could be matched at all: a page without SKU
+  // data or with renamed values must not switch every variant off
+  const variantChanges = [];
+  for (const variant of seen.size > 0 ? product.variants : []) {
+    const sku = seen.get(variant.id);
+    const isActive = Boolean(sku?.available);
+    const priceCny = sku?.priceCny || null;
+    const variantPriceChanged = priceCny !== null && Math.abs(priceCny - (Number(variant.originalPrice) || 0)) > PRICE_EPSILON;
+    if (!variantPriceChanged && isActive === variant.isActive) continue;
+
+    if (variantPriceChanged) changeRatio = Math.max(changeRatio, relativeChange(Number(variant.originalPrice) || 0, priceCny));
+    variantChanges.push({
+      variantId: variant.id,
+      combination: parseCombination(variant.combination),
+      previousPriceCny: variant.originalPrice,
+      priceCny: variantPriceChanged ? priceCny : variant.originalPrice,
+      wasActive: variant.isActive,
+      isActive
+    });
+  }
+
+  return {
+    priceCny: scraped.priceCny,
+    changeRatio,
+    priceChanged: priceChanged || variantChanges.some(c => c.priceCny !== c.previousPriceCny),
+    availabilityChanged: variantChanges.some(c => c.isActive !== c.wasActive),
+    unavailable: false,
+    variantChanges
+  };
+}
+
+function changeTypeOf(diff) {
+  if (diff.unavailable) return 'UNAVAILABLE';
+  if (diff.priceChanged && diff.availabilityChanged) return 'PRICE_AND_AVAILABILITY';
+  return diff.priceChanged ? 'PRICE' : 'AVAILABILITY';
+}
+
+// Writes for a change: availability always, prices only when asked
+function changeWrites(product, { priceCny, variantChanges }, rate, { applyPrices }) {
+  const writes = [];
+  if (applyPrices && priceCny) {
+    writes.push(prisma.product.update({
+      where: { id: product.id },
+      data: { originalPrice: priceCny, ...priceFromCny(priceCny, rate, product.domesticShippingFee || 0) }
+    }));
+  }
+  for (const change of variantChanges) {
+    const priceData = applyPrices && change.priceCny && change.priceCny !== change.previousPriceCny
+      ? { originalPrice: change.priceCny, ...priceFromCny(change.priceCny, rate, product.domesticShippingFee || 0) }
+      : {};
+    if (change.isActive === change.wasActive && Object.keys(priceData).length === 0) continue;
+    writes.push(prisma.productVariant.update({
+      where: { id: change.variantId },
+      data: { isActive: change.isActive, ...priceData }
+    }));
+  }
+  return writes;
+}
+
+async function recordCheck(product, diff, { rate, maxChange, jobId }) {
+  const checked = prisma.product.update({ where: { id: product.id }, data: { priceCheckedAt: new Date() } });
+  if (!diff.unavailable && !diff.priceChanged && !diff.availabilityChanged) {
+    await checked;
+    return null;
+  }
+
+  // Large moves and vanished listings wait for an admin; stock changes on
+  // individual variants are always applied
+  const flagged = diff.unavailable || diff.changeRatio > maxChange;
+  const observed = {
+    jobId,
+    changeType: changeTypeOf(diff),
+    priceCny: diff.priceCny,
+    changeRatio: Number.isFinite(diff.changeRatio) ? diff.changeRatio : null,
+    variantChanges: diff.variantChanges
+  };
+  // A product keeps one flag until an admin settles it; later runs refresh it
+  // with what they saw instead of queueing the same review again
+  const pending = flagged
+    ? await prisma.productPriceHistory.findFirst({
+      where: { productId: product.id, status: 'FLAGGED' },
+      orderBy: { createdAt: 'desc' },
+      select: { id: true }
+    })
+    : null;
+  const [history] = await prisma.$transaction([
+    pending
+      ? prisma.productPriceHistory.update({ where: { id: pending.id }, data: observed })
+      : prisma.productPriceHistory.create({
+        data: {
+          ...observed,
+          productId: product.id,
+          status: flagged ? 'FLAGGED' : 'APPLIED',
+          previousPriceCny: product.originalPrice
+        }
+      }),
+    ...changeWrites(product, diff, rate, { applyPrices: !flagged }),
+    checked
+  ]);
+  return history;
+}
+
+async function getMaxChange() {
+  const settings = await prisma.storeSettings.findUnique({ where: { id: 1 }, select: { priceMonitorMaxChange: true } });
+  return settings?.priceMonitorMaxChange ?? DEFAULT_MAX_CHANGE;
+}
+
+/**
+ * Re-scrapes a batch of marketplace products and records what changed. Runs
+ * as the PRICE_MONITOR job; changes within the configured ratio are applied,
+ * larger ones and listings that disappeared are flagged for review.
+ * @param {{limit?: number, jobId?: number, reportProgress?: Function, throwIfCancelled?: Function}} [options]
+ */
+export async function runPriceMonitor({ limit, jobId = null, reportProgress = () => {}, throwIfCancelled = () => {} } = {}) {
+  const rateEntry = await getEffectiveRate('CNY');
+  if (!rateEntry) throw priceMonitorError('No CNY exchange rate has been set', 400, 'NO_RATE');
+  const maxChange = await getMaxChange();
+  const batchSize = Number(limit) || Number(process.env.PRICE_MONITOR_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+
+  const products = await selectProductsToCheck(batchSize);
+  const result = { total: products.length, checked: 0, unchanged: 0, applied: 0, flagged: 0, failed: 0 };
+  console.log(`[PriceMonitor] Checking ${products.length} products (max auto change ${Math.round(maxChange * 100)}%)`);
+  if (products.length === 0) return result;
+
+  const session = await openBrowserSession({ proxy: getEnvProxy() });
+  try {
+    const page = await session.newPage();
+    for (const product of products) {
+      throwIfCancelled();
+      try {
+        const adapter = getAdapterForUrl(product.originalUrl || product.purchaseUrl);
+        const url = adapter.normalizeUrl(product.originalUrl || product.purchaseUrl);
+        const scraped = adapter.parseProduct(await adapter.fetchProduct(page, url));
+        const history = await recordCheck(product, diffProduct(product, scraped), { rate: rateEntry.rate, maxChange, jobId });
+        if (!history) result.unchanged++;
+        else if (history.status === 'FLAGGED') result.flagged++;
+        else result.applied++;
+      } catch (error) {
+        console.error(`[PriceMonitor] Product ${product.id} check failed:`, error.message);
+        result.failed++;
+        if (error.code === 'SCRAPER_BLOCKED') await session.rotateCookies(page);
+      }
+      result.checked++;
+      reportProgress((result.checked / products.length) * 100, result);
+      await humanDelay(3000, 6000);
+    }
+  } finally {
+    await session.close();
+  }
+
+  console.log(`[PriceMonitor] Finished: ${result.applied} applied, ${result.flagged} flagged, ${result.failed} failed`);
+  return result;
+}
+
+const historyProductSelect = { id: true, name: true, image: true, provider: true, originalUrl: true, isActive: true, status: true };
+
+/**
+ * Changes recorded by one monitor run, the latest finished one by default.
+ */
+export async function getPriceMonitorReport({ jobId = null } = {}) {
+  const job = await prisma.job.findFirst({
+    where: { type: 'PRICE_MONITOR', ...(jobId ? { id: jobId } : { status: { in: ['COMPLETED', 'CANCELLED'] } }) },
+    orderBy: { createdAt: 'desc' },
+    select: { id: true, status: true, result: true, startedAt: true, finishedAt: true }
+  });
+  if (!job) return { job: null, changes: [] };
+
+  const changes = await prisma.productPriceHistory.findMany({
+    where: { jobId: job.id },
+    orderBy: [{ status: 'asc' }, { changeRatio: 'desc' }],
+    include: { product: { select: historyProductSelect } }
+  });
+  return { job, changes };
+}
+
+export async function listFlaggedPriceChanges() {
+  return prisma.productPriceHistory.findMany({
+    where: { status: 'FLAGGED' },
+    orderBy: { createdAt: 'desc' },
+    include: { product: { select: historyProductSelect } }
+  });
+}
+
+export async function getProductPriceHistory(productId) {
+  return prisma.productPriceHistory.findMany({
+    where: { productId },
+    orderBy: { createdAt: 'desc' },
+    take: 100
+  });
+}
+
+/**
+ * Settles a flagged change. Accepting a price change writes the new prices at
+ * the current rate; accepting an UNAVAILABLE flag archives the product.
+ * Dismissing keeps the product as it is.
+ * @param {number} id
+ * @param {'apply'|'dismiss'} action
+ * @param {number|null} adminId
+ */
+export async function resolvePriceChange(id, action, adminId = null) {
+  const change = await prisma.productPriceHistory.findUnique({
+    where: { id },
+    include: { product: { select: { id: true, domesticShippingFee: true } } }
+  });
+  if (!change) throw priceMonitorError('Price change not found', 404, 'PRICE_CHANGE_NOT_FOUND');
+  if (change.status !== 'FLAGGED') throw priceMonitorError('Price change is not waiting for review', 409, 'PRICE_CHANGE_RESOLVED');
+  if (!['apply', 'dismiss'].includes(action)) throw priceMonitorError('action must be apply or dismiss', 400, 'INVALID_ACTION');
+
+  const resolved = { status: action === 'apply' ? 'APPLIED' : 'DISMISSED', resolvedById: adminId, resolvedAt: new Date() };
+  const writes = [];
+  if (action === 'apply' && change.changeType === 'UNAVAILABLE') {
+    writes.push(prisma.product.update({ where: { id: change.productId }, data: { isActive: false, status: 'ARCHIVED' } }));
+  } else if (action === 'apply') {
+    const rateEntry = await getEffectiveRate('CNY');
+    if (!rateEntry) throw priceMonitorError('No CNY exchange rate has been set', 400, 'NO_RATE');
+    writes.push(...changeWrites(
+      change.product,
+      { priceCny: change.priceCny, variantChanges: parseJsonArray(change.variantChanges) },
+      rateEntry.rate,
+      { applyPrices: true }
+    ));
+  }
+
+  const [updated] = await prisma.$transaction([
+    prisma.productPriceHistory.update({ where: { id }, data: resolved }),
+    ...writes
+  ]);
+  return updated;
+}
+
+export function setupPriceMonitorCron() {
+  const schedule = process.env.PRICE_MONITOR_CRON || '0 3 * * *';
+  cron.schedule(schedule, () => {
+    enqueueJob('PRICE_MONITOR', {}, { unique: true })
+      .catch((error) => console.error('[PriceMonitor] Failed to queue monitor run:', error));
+  });
+
+  console.log(`[PriceMonitor] Cron job scheduled (${schedule})`);
+}
@@ -0,0 +1,304 @@
+import prisma from '../prismaClient.js';
+import { getCategoryAncestorIds } from './categoryService.js';
+
+export const MARKUP_TYPES = ['PERCENT', 'FIXED'];
+export const RULE_PROVIDERS = ['TAOBAO', 'PDD', '1688'];
+export const RULE_SHIPPING_METHODS = ['AIR', 'SEA'];
+
+// Rules are read on every price calculation, so they are cached and refreshed
+// after admin edits and periodically for other server instances.
+const RULES_REFRESH_MS = 60 * 1000;
+let cachedRules = [];
+let rulesLoadedAt = 0;
+
+function pricingError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const roundUpTo10 = (value) => Math.ceil(value / 10) * 10;
+
+/**
+ * Cost price of an item as stored on Product/ProductVariant.price:
+ * goods cost plus domestic China shipping, rounded up to 10 IQD. No margin.
+ */
+export function calculateCostPrice(basePrice, domesticFee = 0) {
+  return roundUpTo10((Number(basePrice) || 0) + (Number(domesticFee) || 0));
+}
+
+export async function refreshPricingRules() {
+  cachedRules = await prisma.pricingRule.findMany({
+    where: { isActive: true },
+    orderBy: [{ priority: 'desc' }, { id: 'asc' }]
+  });
+  rulesLoadedAt = Date.now();
+  return cachedRules;
+}
+
+export function setupPricingRuleRefresh() {
+  refreshPricingRules().catch((e) => console.error('[Pricing] Failed to load pricing rules:', e));
+  const timer = setInterval(() => {
+    refreshPricingRules().catch((e) => console.error('[Pricing] Failed to refresh pricing rules:', e));
+  }, RULES_REFRESH_MS);
+  timer.unref?.();
+}
+
+export function getCachedPricingRules() {
+  return { rules: cachedRules, loadedAt: rulesLoadedAt ? new Date(rulesLoadedAt) : null };
+}
+
+/**
+ * Facts a rule can match on for one product or variant.
+ * @param {Object} product - Needs provider, originalPrice and categories (or categoryIds) when rules use them
+ * @param {Object|null} variant
+ * @param {string|null} shippingMethod - air/sea, any case
+ */
+export function buildPricingContext(product, variant = null, shippingMethod = null) {
+  const linkedIds = Array.isArray(product?.categoryIds)
+    ? product.categoryIds
+    : (Array.isArray(product?.categories) ? product.categories.map(c => c.categoryId) : []);
+  const cnyPrice = Number(variant?.originalPrice) > 0 ? Number(variant.originalPrice) : (Number(product?.originalPrice) > 0 ? Number(product.originalPrice) : null);
+  return {
+    provider: product?.provider ? String(product.provider).toUpperCase() : null,
+    categoryIds: getCategoryAncestorIds(linkedIds),
+    cnyPrice,
+    shippingMethod: shippingMethod ? String(shippingMethod).toUpperCase() : null
+  };
+}
+
+function ruleMatches(rule, context) {
+  if (rule.provider && rule.provider !== context.provider) return false;
+  if (rule.categoryId && !context.categoryIds.includes(rule.categoryId)) return false;
+  if (rule.shippingMethod && rule.shippingMethod !== context.shippingMethod) return false;
+  if (rule.minCnyPrice !== null && rule.minCnyPrice !== undefined) {
+    if (context.cnyPrice === null || context.cnyPrice < rule.minCnyPrice) return false;
+  }
+  if (rule.maxCnyPrice !== null && rule.maxCnyPrice !== undefined) {
+    if (context.cnyPrice === null || context.cnyPrice >= rule.maxCnyPrice) return false;
+  }
+  return true;
+}
+
+// Number of conditions set, so a narrower rule beats a broader one at equal priority
+const specificity = (rule) =>
+  [rule.provider, rule.categoryId, rule.shippingMethod, rule.minCnyPrice ?? null, rule.maxCnyPrice ?? null]
+    .filter(v => v !== null && v !== undefined).length;
+
+/**
+ * Picks the single rule that prices an item: highest priority first, then the
+ * most specific. Rules do not stack.
+ */
+export function findPricingRule(context, rules = cachedRules) {
+  let best = null;
+  for (const rule of rules) {
+    if (rule.isActive === false || !ruleMatches(rule, context)) continue;
+    if (!best) {
+      best = rule;
+      continue;
+    }
+    const priorityDiff = (rule.priority || 0) - (best.priority || 0);
+    if (priorityDiff > 0 || (priorityDiff === 0 && specificity(rule) > specificity(best))) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+/**
+ * Applies the matching markup to a cost price.
+ * @returns {{ costPrice: number, price: number, markup: number, rule: Object|null }}
+ */
+export function applyPricingRules(costPrice, context, rules = cachedRules) {
+  const cost = Number(costPrice) || 0;
+  if (cost <= 0) {
+    return { costPrice: cost, price: cost, markup: 0, rule: null };
+  }
+
+  const rule = findPricingRule(context, rules);
+  if (!rule) {
+    return { costPrice: cost, price: cost, markup: 0, rule: null };
+  }
+
+  const raw = rule.markupType === 'FIXED'
+    ? cost + rule.markupValue
+    : cost * (1 + rule.markupValue / 100);
+  const price = Math.max(roundUpTo10(raw), 0);
+  return {
+    costPrice: cost,
+    price,
+    markup: price - cost,
+    rule: { id: rule.id ?? null, name: rule.name, markupType: rule.markupType, markupValue: rule.markupValue }
+  };
+}
+
+/**
+ * Customer-facing price of a product or variant for a shipping method.
+ * Every place that shows or charges a price goes through here.
+ */
+export function getSalePrice(product, variant = null, shippingMethod = null, rules = cachedRules) {
+  const costPrice = variant?.price || product?.price || 0;
+  return applyPricingRules(costPrice, buildPricingContext(product, variant, shippingMethod), rules).price;
+}
+
+/**
+ * Validates and normalizes admin input for a rule. Used for saved rules and for
+ * unsaved drafts sent to the simulation endpoint.
+ */
+export function normalizePricingRule(input, { partial = false } = {}) {
+  const data = {};
+  const has = (key) => input[key] !== undefined;
+  const optionalNumber = (key) => {
+    if (input[key] === null || input[key] === '') return null;
+    const n = typeof input[key] === 'number' ? input[key] : parseFloat(input[key]);
+    if (!Number.isFinite(n) || n < 0) {
+      throw pricingError(`${key} must be a non-negative number`, 400, 'INVALID_RULE');
+    }
+    return n;
+  };
+
+  if (has('name') || !partial) {
+    if (!input.name || !String(input.name).trim()) {
+      throw pricingError('name is required', 400, 'INVALID_RULE');
+    }
+    data.name = String(input.name).trim();
+  }
+  if (has('markupType') || !partial) {
+    const type = String(input.markupType || '').toUpperCase();
+    if (!MARKUP_TYPES.includes(type)) {
+      throw pricingError(`markupType must be one of ${MARKUP_TYPES.join(', ')}`, 400, 'INVALID_RULE');
+    }
+    data.markupType = type;
+  }
+  if (has('markupValue') || !partial) {
+    const value = typeof input.markupValue === 'number' ? input.markupValue : parseFloat(input.markupValue);
+    // Negative markups act as discounts; a percentage may not wipe out the whole price
+    if (!Number.isFinite(value) || (data.markupType === 'PERCENT' && value <= -100)) {
+      throw pricingError('markupValue is invalid', 400, 'INVALID_RULE');
+    }
+    data.markupValue = value;
+  }
+  if (has('provider')) {
+    const provider = input.provider ? String(input.provider).toUpperCase() : null;
+    if (provider && !RULE_PROVIDERS.includes(provider)) {
+      throw pricingError(`provider must be one of ${RULE_PROVIDERS.join(', ')}`, 400, 'INVALID_RULE');
+    }
+    data.provider = provider;
+  }
+  if (has('shippingMethod')) {
+    const method = input.shippingMethod ? String(input.shippingMethod).toUpperCase() : null;
+    if (method && !RULE_SHIPPING_METHODS.includes(method)) {
+      throw pricingError('shippingMethod must be AIR or SEA', 400, 'INVALID_RULE');
+    }
+    data.shippingMethod = method;
+  }
+  if (has('categoryId')) {
+    data.categoryId = input.categoryId === null || input.categoryId === '' ? null : parseInt(input.categoryId);
+    if (Number.isNaN(data.categoryId)) {
+      throw pricingError('categoryId is invalid', 400, 'INVALID_RULE');
+    }
+  }
+  if (has('minCnyPrice')) data.minCnyPrice = optionalNumber('minCnyPrice');
+  if (has('maxCnyPrice')) data.maxCnyPrice = optionalNumber('maxCnyPrice');
+  if (data.minCnyPrice != null && data.maxCnyPrice != null && data.minCnyPrice >= data.maxCnyPrice) {
+    throw pricingError('minCnyPrice must be below maxCnyPrice', 400, 'INVALID_RULE');
+  }
+  if (has('priority')) data.priority = parseInt(input.priority) || 0;
+  if (has('isActive')) data.isActive = Boolean(input.isActive);
+
+  return data;
+}
+
+export async function listPricingRules() {
+  return prisma.pricingRule.findMany({ orderBy: [{ priority: 'desc' }, { id: 'asc' }] });
+}
+
+export async function createPricingRule(input, { createdById = null } = {}) {
+  const rule = await prisma.pricingRule.create({
+    data: { ...normalizePricingRule(input), createdById }
+  });
+  await refreshPricingRules();
+  return rule;
+}
+
+export async function updatePricingRule(id, input) {
+  const existing = await prisma.pricingRule.findUnique({ where: { id } });
+  if (!existing) {
+    throw pricingError('Pricing rule not found', 404, 'RULE_NOT_FOUND');
+  }
+  const data = normalizePricingRule(input, { partial: true });
+  const minCny = data.minCnyPrice !== undefined ? data.minCnyPrice : existing.minCnyPrice;
+  const maxCny = data.maxCnyPrice !== undefined ? data.maxCnyPrice : existing.maxCnyPrice;
+  if (minCny != null && maxCny != null && minCny >= maxCny) {
+    throw pricingError('minCnyPrice must be below maxCnyPrice', 400, 'INVALID_RULE');
+  }
+
+  const rule = await prisma.pricingRule.update({ where: { id }, data });
+  await refreshPricingRules();
+  return rule;
+}
+
+export async function deletePricingRule(id) {
+  const existing = await prisma.pricingRule.findUnique({ where: { id } });
+  if (!existing) {
+    throw pricingError('Pricing rule not found', 404, 'RULE_NOT_FOUND');
+  }
+  await prisma.pricingRule.delete({ where: { id } });
+  await refreshPricingRules();
+  return existing;
+}
+
+/**
+ * Prices one product (and its variants) for both shipping methods, either with
+ * the saved rules or with a draft rule set that has not been saved yet.
+ */
+export async function simulatePricing(productId, { rules: draftRules = null } = {}) {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: {
+      id: true,
+      name: true,
+      price: true,
+      provider: true,
+      originalPrice: true,
+      categories: { select: { categoryId: true } },
+      variants: { select: { id: true, combination: true, price: true, originalPrice: true } }
+    }
+  });
+  if (!product) {
+    throw pricingError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  let rules = cachedRules;
+  if (Array.isArray(draftRules)) {
+    rules = draftRules.map(r => ({
+      id: r.id ?? null,
+      priority: 0,
+      isActive: true,
+      minCnyPrice: null,
+      maxCnyPrice: null,
+      ...normalizePricingRule(r)
+    }));
+  }
+
+  const priceFor = (variant) => Object.fromEntries(RULE_SHIPPING_METHODS.map(method => [
+    method,
+    applyPricingRules(variant?.price || product.price, buildPricingContext(product, variant, method), rules)
+  ]));
+
+  return {
+    productId: product.id,
+    name: product.name,
+    provider: product.provider,
+    cnyPrice: product.originalPrice,
+    usingDraftRules: Array.isArray(draftRules),
+    product: priceFor(null),
+    variants: product.variants.map(v => ({
+      id: v.id,
+      combination: v.combination,
+      cnyPrice: v.originalPrice,
+      prices: priceFor(v)
+    }))
+  };
+}
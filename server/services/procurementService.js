@@ -0,0 +1,266 @@
+import prisma from '../prismaClient.js';
+import { postWalletEntry } from './walletService.js';
+import { getEffectiveRate } from './exchangeRateService.js';
+
+export const ITEM_STATUSES = [
+  'PENDING',
+  'PURCHASED',
+  'ARRIVED_WAREHOUSE',
+  'QC_COMPLETED',
+  'RETURN_REQUESTED',
+  'RETURNED'
+];
+
+/**
+ * Allowed next statuses for an OrderItem while the agent buys it in China.
+ * QC_COMPLETED → RETURN_REQUESTED is the customer's decision; the rest are admin actions.
+ */
+export const ITEM_TRANSITIONS = {
+  PENDING: ['PURCHASED'],
+  PURCHASED: ['ARRIVED_WAREHOUSE'],
+  ARRIVED_WAREHOUSE: ['QC_COMPLETED'],
+  QC_COMPLETED: ['RETURN_REQUESTED'],
+  RETURN_REQUESTED: ['RETURNED', 'QC_COMPLETED'], // Return accepted or denied
+  RETURNED: []
+};
+
+// Items past this point are physically in the China warehouse
+const IN_WAREHOUSE_STATUSES = ['ARRIVED_WAREHOUSE', 'QC_COMPLETED', 'RETURN_REQUESTED', 'RETURNED'];
+
+function procurementError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+export function normalizeItemStatus(status) {
+  return String(status || 'PENDING').toUpperCase();
+}
+
+async function loadItem(itemId) {
+  const item = await prisma.orderItem.findUnique({
+    where: { id: itemId },
+    include: {
+      order: { select: { id: true, userId: true, status: true } },
+      product: { select: { id: true, name: true } }
+    }
+  });
+  if (!item) {
+    throw procurementError('Order item not found', 404, 'ITEM_NOT_FOUND');
+  }
+  return item;
+}
+
+function assertItemTransition(item, to) {
+  const from = normalizeItemStatus(item.status);
+  if (!(ITEM_TRANSITIONS[from] || []).includes(to)) {
+    throw procurementError(`Cannot move item from ${from} to ${to}`, 400, 'INVALID_ITEM_TRANSITION');
+  }
+  // Procurement only starts once the order is paid
+  if (item.order.status !== 'PREPARING') {
+    throw procurementError(`Order is ${item.order.status}, items can only be processed while PREPARING`, 400, 'ORDER_NOT_PREPARING');
+  }
+  return from;
+}
+
+/**
+ * Keeps Order.warehouseStatus in step with its items: ARRIVED once every item reached the warehouse.
+ */
+async function syncWarehouseStatus(tx, orderId) {
+  const items = await tx.orderItem.findMany({ where: { orderId }, select: { status: true } });
+  const allArrived = items.every(i => IN_WAREHOUSE_STATUSES.includes(normalizeItemStatus(i.status)));
+  await tx.order.update({
+    where: { id: orderId },
+    data: { warehouseStatus: allArrived ? 'ARRIVED' : 'PENDING' }
+  });
+}
+
+async function updateItem(item, to, data) {
+  return prisma.$transaction(async (tx) => {
+    // Guard on the stored status so concurrent admin actions cannot both apply
+    const result = await tx.orderItem.updateMany({
+      where: { id: item.id, status: item.status },
+      data: { ...data, status: to }
+    });
+    if (result.count === 0) {
+      throw procurementError('Item status changed concurrently, please retry', 409, 'ITEM_CONFLICT');
+    }
+    await syncWarehouseStatus(tx, item.orderId);
+    return tx.orderItem.findUnique({ where: { id: item.id } });
+  });
+}
+
+/**
+ * Records the purchase from Taobao/PDD/1688.
+ * @param {number} itemId
+ * @param {Object} purchase
+ * @param {number} purchase.originalPrice - CNY actually paid for the whole line
+ * @param {number} [purchase.exchangeRate] - IQD per CNY at purchase time, defaults to the rate in force
+ * @param {string} purchase.sellerOrderNumber - Order number on the source platform
+ */
+export async function markItemPurchased(itemId, { originalPrice, exchangeRate = null, sellerOrderNumber, remark = null }) {
+  const item = await loadItem(itemId);
+  assertItemTransition(item, 'PURCHASED');
+
+  if (!Number.isFinite(originalPrice) || originalPrice <= 0) {
+    throw procurementError('originalPrice (CNY paid) is required', 400, 'INVALID_PRICE');
+  }
+  if (!sellerOrderNumber) {
+    throw procurementError('sellerOrderNumber is required', 400, 'MISSING_SELLER_ORDER');
+  }
+
+  const rate = exchangeRate ?? (await getEffectiveRate('CNY'))?.rate ?? null;
+
+  return updateItem(item, 'PURCHASED', {
+    originalPrice,
+    exchangeRate: rate,
+    sellerOrderNumber: String(sellerOrderNumber).trim(),
+    remark,
+    purchasedAt: new Date()
+  });
+}
+
+/**
+ * Domestic (in-China) tracking can be entered or corrected any time after purchase.
+ */
+export async function setItemDomesticTracking(itemId, trackingNumber) {
+  const item = await loadItem(itemId);
+  if (normalizeItemStatus(item.status) === 'PENDING') {
+    throw procurementError('Item has not been purchased yet', 400, 'INVALID_ITEM_TRANSITION');
+  }
+  if (!trackingNumber) {
+    throw procurementError('trackingNumber is required', 400, 'MISSING_TRACKING');
+  }
+
+  return prisma.orderItem.update({
+    where: { id: item.id },
+    data: { domesticTrackingNumber: String(trackingNumber).trim() }
+  });
+}
+
+export async function markItemArrived(itemId, { weight = null } = {}) {
+  const item = await loadItem(itemId);
+  assertItemTransition(item, 'ARRIVED_WAREHOUSE');
+
+  return updateItem(item, 'ARRIVED_WAREHOUSE', {
+    arrivedAt: new Date(),
+    ...(weight !== null ? { weight } : {})
+  });
+}
+
+/**
+ * Stores the inspection photos (already converted data URLs) and the measured weight.
+ */
+export async function completeItemQc(itemId, { photos, weight = null, remark = null }) {
+  const item = await loadItem(itemId);
+  assertItemTransition(item, 'QC_COMPLETED');
+
+  if (!Array.isArray(photos) || photos.length === 0) {
+    throw procurementError('At least one QC photo is required', 400, 'MISSING_QC_PHOTOS');
+  }
+
+  return updateItem(item, 'QC_COMPLETED', {
+    qcPhotos: photos,
+    qcCompletedAt: new Date(),
+    ...(weight !== null ? { weight } : {}),
+    ...(remark !== null ? { remark } : {})
+  });
+}
+
+/**
+ * Customer verdict on the QC photos: approve the item for international shipping
+ * or ask for it to be returned to the seller.
+ */
+export async function recordCustomerQcDecision(orderId, itemId, userId, { approve, reason = null }) {
+  const item = await loadItem(itemId);
+  if (item.orderId !== orderId) {
+    throw procurementError('Order item not found', 404, 'ITEM_NOT_FOUND');
+  }
+  if (item.order.userId !== userId) {
+    throw procurementError('Forbidden', 403, 'FORBIDDEN');
+  }
+  if (normalizeItemStatus(item.status) !== 'QC_COMPLETED' || item.qcApprovedAt) {
+    throw procurementError('هذا المنتج لا ينتظر موافقتك', 400, 'NO_PENDING_DECISION');
+  }
+
+  if (approve) {
+    return prisma.orderItem.update({
+      where: { id: item.id },
+      data: { qcApprovedAt: new Date() }
+    });
+  }
+
+  assertItemTransition(item, 'RETURN_REQUESTED');
+  if (!reason || !String(reason).trim()) {
+    throw procurementError('يرجى كتابة سبب الإرجاع', 400, 'MISSING_REASON');
+  }
+  return updateItem(item, 'RETURN_REQUESTED', { returnReason: String(reason).trim() });
+}
+
+/**
+ * Admin answer to a return request. Accepted returns credit the line amount
+ * to the customer's wallet; denied ones are approved for shipping as they are.
+ */
+export async function resolveItemReturn(itemId, { accept, note = null, createdById = null }) {
+  const item = await loadItem(itemId);
+  const to = accept ? 'RETURNED' : 'QC_COMPLETED';
+  assertItemTransition(item, to);
+
+  if (!accept) {
+    return updateItem(item, 'QC_COMPLETED', {
+      qcApprovedAt: new Date(),
+      ...(note ? { remark: note } : {})
+    });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const result = await tx.orderItem.updateMany({
+      where: { id: item.id, status: item.status },
+      data: { status: 'RETURNED', ...(note ? { remark: note } : {}) }
+    });
+    if (result.count === 0) {
+      throw procurementError('Item status changed concurrently, please retry', 409, 'ITEM_CONFLICT');
+    }
+
+    await postWalletEntry(tx, {
+      userId: item.order.userId,
+      amount: item.price * item.quantity,
+      type: 'REFUND',
+      description: `استرجاع مبلغ ${item.product?.name || 'منتج'} من الطلب #${item.orderId}`,
+      orderId: item.orderId,
+      referenceId: `ITEM-${item.id}`,
+      createdById
+    });
+
+    await syncWarehouseStatus(tx, item.orderId);
+    return tx.orderItem.findUnique({ where: { id: item.id } });
+  });
+}
+
+/**
+ * Throws unless every item went through QC and the customer settled it.
+ * Orders that never entered the procurement workflow (no item status) pass.
+ */
+export async function assertOrderReadyToShip(orderId, client = prisma) {
+  const items = await client.orderItem.findMany({
+    where: { orderId },
+    select: { id: true, status: true, qcApprovedAt: true }
+  });
+
+  if (items.every(i => !i.status)) return;
+
+  const blocking = items.filter(i => {
+    const status = normalizeItemStatus(i.status);
+    if (status === 'RETURNED') return false;
+    return status !== 'QC_COMPLETED' || !i.qcApprovedAt;
+  });
+
+  if (blocking.length > 0) {
+    throw procurementError(
+      `Items ${blocking.map(i => i.id).join(', ')} are not QC-approved yet`,
+      400,
+      'ITEMS_NOT_READY'
+    );
+  }
+}
@@ -0,0 +1,39 @@
+import { getAdapterForUrl, getScraperAdapter } from './scrapers/adapters/index.js';
+
+// Raw prices below this were entered in CNY before originalPrice existed;
+// anything at or above it is already an IQD amount.
+export const LEGACY_CNY_CEILING = 1000;
+
+/**
+ * Marketplace a product is bought from. An explicit provider in the payload
+ * wins when it names a known adapter; otherwise it is read off the purchase
+ * URL. Returns null when neither identifies a marketplace.
+ * @param {{provider?: string, purchaseUrl?: string}} input
+ */
+export function resolveProvider({ provider, purchaseUrl }) {
+  if (provider) {
+    try {
+      return getScraperAdapter(provider).provider;
+    } catch {
+      // Unknown name in the payload, fall back to the URL
+    }
+  }
+  if (!purchaseUrl) return null;
+  try {
+    return getAdapterForUrl(purchaseUrl).provider;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * CNY cost to store as originalPrice. An explicit CNY amount wins; otherwise a
+ * raw price under LEGACY_CNY_CEILING is taken as CNY. Returns null for prices
+ * that are known to be IQD or missing.
+ * @param {{explicit?: number, raw?: number, isIqd?: boolean}} input
+ */
+export function resolveCnyPrice({ explicit, raw, isIqd = false }) {
+  if (explicit > 0) return explicit;
+  if (isIqd || !(raw > 0) || raw >= LEGACY_CNY_CEILING) return null;
+  return raw;
+}
@@ -0,0 +1,359 @@
+import cron from 'node-cron';
+import prisma from '../prismaClient.js';
+import { enqueueJob } from './jobQueueService.js';
+import { normalizeSearchText } from './searchDictionaryService.js';
+
+// Item-item neighbours are computed in bulk by a scheduled job and stored in
+// ProductRecommendation; content similarity and the personal feed are built
+// per request on top of them.
+const NEIGHBOURS_PER_PRODUCT = 30;
+const INTERACTION_DAYS = 90;
+const ORDER_DAYS = 365;
+// Products one visitor touched beyond this many are mostly browsing noise
+const MAX_ITEMS_PER_ACTOR = 50;
+// A pair seen by a single visitor says nothing about the products
+const MIN_SHARED_ACTORS = 2;
+const SIMILAR_CACHE_TTL_MS = 10 * 60 * 1000;
+const SIMILAR_CACHE_SIZE = 1000;
+// Share of content similarity in "similar products"; the rest is co-viewing
+const CONTENT_WEIGHT = 0.6;
+// Interest in something looked at two weeks ago counts half
+const INTEREST_HALF_LIFE_DAYS = 14;
+
+const similarCache = new Map();
+
+function recommendationError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Keeps the order of ids while dropping products that cannot be sold
+async function filterAvailable(ids, limit) {
+  if (ids.length === 0) return [];
+  const rows = await prisma.product.findMany({
+    where: { id: { in: ids }, isActive: true, status: 'PUBLISHED' },
+    select: { id: true }
+  });
+  const available = new Set(rows.map(r => r.id));
+  return ids.filter(id => available.has(id)).slice(0, limit);
+}
+
+async function assertProductExists(productId) {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true, name: true, categories: { select: { categoryId: true } } }
+  });
+  if (!product) {
+    throw recommendationError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+  return product;
+}
+
+// Nearest neighbours by embedding, from the same model only; similarity in [0, 1]
+async function embeddingNeighbours(productId, take) {
+  const rows = await prisma.$queryRaw`
+    SELECT p.id, (p.embedding <=> src.embedding)::float AS distance
+    FROM "Product" p, (SELECT embedding, "embeddingModel" FROM "Product" WHERE id = ${productId}) src
+    WHERE p.id <> ${productId}
+      AND src.embedding IS NOT NULL
+      AND p.embedding IS NOT NULL
+      AND p."embeddingModel" = src."embeddingModel"
+      AND p."isActive" = true AND p.status = 'PUBLISHED'
+    ORDER BY p.embedding <=> src.embedding
+    LIMIT ${take}
+  `;
+  return new Map(rows.map(r => [r.id, Math.max(0, 1 - r.distance)]));
+}
+
+// Without an embedding: shared name words, plus a bonus for a shared category
+async function nameNeighbours(product, take) {
+  const words = [...new Set(normalizeSearchText(product.name).split(' ').filter(w => w.length > 2))].slice(0, 6);
+  const categoryIds = product.categories.map(c => c.categoryId);
+  const or = [
+    ...words.map(word => ({ name: { contains: word, mode: 'insensitive' } })),
+    ...(categoryIds.length > 0 ? [{ categories: { some: { categoryId: { in: categoryIds } } } }] : [])
+  ];
+  if (or.length === 0) return new Map();
+
+  const candidates = await prisma.product.findMany({
+    where: { id: { not: product.id }, isActive: true, status: 'PUBLISHED', OR: or },
+    select: { id: true, name: true, categories: { select: { categoryId: true } } },
+    orderBy: { updatedAt: 'desc' },
+    take: 200
+  });
+
+  const wordSet = new Set(words);
+  const scores = new Map();
+  for (const candidate of candidates) {
+    const candidateWords = new Set(normalizeSearchText(candidate.name).split(' ').filter(w => w.length > 2));
+    const shared = [...candidateWords].filter(w => wordSet.has(w)).length;
+    const union = new Set([...wordSet, ...candidateWords]).size;
+    const sameCategory = candidate.categories.some(c => categoryIds.includes(c.categoryId));
+    const score = (union > 0 ? shared / union : 0) * 0.7 + (sameCategory ? 0.3 : 0);
+    if (score > 0) scores.set(candidate.id, score);
+  }
+  return new Map([...scores.entries()].sort((a, b) => b[1] - a[1]).slice(0, take));
+}
+
+async function storedNeighbours(productId, kind, take) {
+  const rows = await prisma.productRecommendation.findMany({
+    where: { productId, kind },
+    orderBy: { score: 'desc' },
+    take,
+    select: { relatedProductId: true, score: true }
+  });
+  return new Map(rows.map(r => [r.relatedProductId, r.score]));
+}
+
+/**
+ * "Similar products": content similarity (embedding, or name and category
+ * when the product has no embedding yet) blended with co-viewing.
+ * @returns {Promise<number[]>} Product ids, best first
+ */
+export async function getSimilarProductIds(productId, { limit = 12 } = {}) {
+  const cacheKey = `${productId}:${limit}`;
+  const cached = similarCache.get(cacheKey);
+  if (cached && Date.now() - cached.at < SIMILAR_CACHE_TTL_MS) return cached.ids;
+
+  const product = await assertProductExists(productId);
+  const pool = Math.max(limit * 3, 30);
+  let content = await embeddingNeighbours(productId, pool);
+  if (content.size === 0) content = await nameNeighbours(product, pool);
+  const coViewed = await storedNeighbours(productId, 'CO_VIEW', pool);
+
+  const scores = new Map();
+  for (const [id, score] of content) scores.set(id, CONTENT_WEIGHT * score);
+  for (const [id, score] of coViewed) scores.set(id, (scores.get(id) || 0) + (1 - CONTENT_WEIGHT) * score);
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+  const ids = await filterAvailable(ranked, limit);
+
+  if (similarCache.size >= SIMILAR_CACHE_SIZE) {
+    similarCache.delete(similarCache.keys().next().value);
+  }
+  similarCache.set(cacheKey, { ids, at: Date.now() });
+  return ids;
+}
+
+/**
+ * "Customers also bought": products most often in the same orders.
+ * @returns {Promise<number[]>} Product ids, best first
+ */
+export async function getBoughtTogetherIds(productId, { limit = 8 } = {}) {
+  await assertProductExists(productId);
+  const together = await storedNeighbours(productId, 'BOUGHT_TOGETHER', limit * 2);
+  return filterAvailable([...together.keys()], limit);
+}
+
+// Best sellers of the last month, then featured products, for visitors without history
+async function popularProductIds(take, exclude) {
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const sales = await prisma.orderItem.groupBy({
+    by: ['productId'],
+    where: { order: { status: { not: 'CANCELLED' }, createdAt: { gte: since } } },
+    _sum: { quantity: true },
+    orderBy: { _sum: { quantity: 'desc' } },
+    take: take * 2
+  });
+  const ids = sales.map(s => s.productId).filter(id => !exclude.has(id));
+  if (ids.length < take) {
+    const featured = await prisma.product.findMany({
+      where: { isActive: true, status: 'PUBLISHED', id: { notIn: [...exclude, ...ids] } },
+      select: { id: true },
+      orderBy: [{ isFeatured: 'desc' }, { updatedAt: 'desc' }],
+      take: take * 2
+    });
+    ids.push(...featured.map(p => p.id));
+  }
+  return ids;
+}
+
+/**
+ * Home feed for a user or guest session: neighbours of what they recently
+ * viewed, carted and bought, weighted by interaction strength and recency.
+ * Already purchased and recently viewed products are left out; popular
+ * products fill the feed when there is little history.
+ * @param {{userId?: number|null, sessionId?: string|null}} requester
+ * @returns {Promise<{ids: number[], personalized: boolean}>}
+ */
+export async function getPersonalRecommendationIds({ userId = null, sessionId = null } = {}, { limit = 20 } = {}) {
+  const interest = new Map();
+  const purchased = new Set();
+
+  if (userId || sessionId) {
+    const interactions = await prisma.userInteraction.findMany({
+      where: userId ? { userId } : { sessionId },
+      orderBy: { createdAt: 'desc' },
+      take: 100,
+      select: { productId: true, weight: true, type: true, createdAt: true }
+    });
+    for (const interaction of interactions) {
+      const ageDays = (Date.now() - interaction.createdAt.getTime()) / (24 * 60 * 60 * 1000);
+      const decay = Math.pow(0.5, ageDays / INTEREST_HALF_LIFE_DAYS);
+      interest.set(interaction.productId, (interest.get(interaction.productId) || 0) + interaction.weight * decay);
+      if (interaction.type === 'PURCHASE') purchased.add(interaction.productId);
+    }
+  }
+  if (userId) {
+    const ordered = await prisma.orderItem.findMany({
+      where: { order: { userId, status: { not: 'CANCELLED' } } },
+      select: { productId: true },
+      distinct: ['productId'],
+      take: 100
+    });
+    for (const item of ordered) {
+      purchased.add(item.productId);
+      interest.set(item.productId, (interest.get(item.productId) || 0) + 5);
+    }
+  }
+
+  const seeds = [...interest.entries()].sort((a, b) => b[1] - a[1]).slice(0, 30);
+  const scores = new Map();
+  if (seeds.length > 0) {
+    const neighbours = await prisma.productRecommendation.findMany({
+      where: { productId: { in: seeds.map(([id]) => id) } },
+      select: { productId: true, relatedProductId: true, kind: true, score: true }
+    });
+    // Order counts and cosine scores are on different scales; scale each list to its best entry
+    const best = new Map();
+    for (const n of neighbours) {
+      const key = `${n.productId}:${n.kind}`;
+      best.set(key, Math.max(best.get(key) || 0, n.score));
+    }
+    const seedWeight = new Map(seeds);
+    for (const n of neighbours) {
+      if (interest.has(n.relatedProductId) || purchased.has(n.relatedProductId)) continue;
+      const normalized = n.score / (best.get(`${n.productId}:${n.kind}`) || 1);
+      scores.set(n.relatedProductId, (scores.get(n.relatedProductId) || 0) + seedWeight.get(n.productId) * normalized);
+    }
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+  let ids = await filterAvailable(ranked, limit);
+  const personalized = ids.length > 0;
+
+  if (ids.length < limit) {
+    const exclude = new Set([...ids, ...purchased, ...interest.keys()]);
+    const fill = await filterAvailable(await popularProductIds(limit, exclude), limit - ids.length);
+    ids = [...ids, ...fill];
+  }
+  return { ids, personalized };
+}
+
+// Co-viewing: cosine similarity over visitors, each visitor's weight on a
+// product capped so repeated views do not dominate
+async function computeCoViewed() {
+  const since = new Date(Date.now() - INTERACTION_DAYS * 24 * 60 * 60 * 1000);
+  return prisma.$queryRaw`
+    WITH actor_items AS (
+      SELECT COALESCE('u' || "userId"::text, 's' || "sessionId") AS actor, "productId", LEAST(SUM(weight), 10) AS weight
+      FROM "UserInteraction"
+      WHERE "createdAt" >= ${since}
+        AND ("userId" IS NOT NULL OR ("sessionId" IS NOT NULL AND "sessionId" <> 'guest'))
+      GROUP BY 1, 2
+    ),
+    capped AS (
+      SELECT actor, "productId", weight
+      FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY actor ORDER BY weight DESC) AS rn FROM actor_items
+      ) ranked
+      WHERE rn <= ${MAX_ITEMS_PER_ACTOR}
+    ),
+    norms AS (
+      SELECT "productId", SQRT(SUM(weight * weight)) AS norm FROM capped GROUP BY 1
+    ),
+    pairs AS (
+      SELECT a."productId", b."productId" AS "relatedId", SUM(a.weight * b.weight) AS dot, COUNT(*) AS actors
+      FROM capped a
+      JOIN capped b ON a.actor = b.actor AND a."productId" <> b."productId"
+      GROUP BY 1, 2
+    ),
+    scored AS (
+      SELECT p."productId", p."relatedId", (p.dot / (na.norm * nb.norm))::float AS score,
+        ROW_NUMBER() OVER (PARTITION BY p."productId" ORDER BY p.dot / (na.norm * nb.norm) DESC) AS rn
+      FROM pairs p
+      JOIN norms na ON na."productId" = p."productId"
+      JOIN norms nb ON nb."productId" = p."relatedId"
+      WHERE p.actors >= ${MIN_SHARED_ACTORS}
+    )
+    SELECT "productId", "relatedId", score FROM scored WHERE rn <= ${NEIGHBOURS_PER_PRODUCT}
+  `;
+}
+
+// Bought together: number of orders containing both products
+async function computeBoughtTogether() {
+  const since = new Date(Date.now() - ORDER_DAYS * 24 * 60 * 60 * 1000);
+  return prisma.$queryRaw`
+    WITH items AS (
+      SELECT DISTINCT oi."orderId", oi."productId"
+      FROM "OrderItem" oi
+      JOIN "Order" o ON o.id = oi."orderId"
+      WHERE o.status <> 'CANCELLED' AND o."createdAt" >= ${since}
+    ),
+    pairs AS (
+      SELECT a."productId", b."productId" AS "relatedId", COUNT(*) AS together
+      FROM items a
+      JOIN items b ON a."orderId" = b."orderId" AND a."productId" <> b."productId"
+      GROUP BY 1, 2
+    ),
+    scored AS (
+      SELECT "productId", "relatedId", together::float AS score,
+        ROW_NUMBER() OVER (PARTITION BY "productId" ORDER BY together DESC, "relatedId") AS rn
+      FROM pairs
+    )
+    SELECT "productId", "relatedId", score FROM scored WHERE rn <= ${NEIGHBOURS_PER_PRODUCT}
+  `;
+}
+
+async function replaceNeighbours(kind, rows) {
+  const now = new Date();
+  await prisma.$transaction(async (tx) => {
+    await tx.productRecommendation.deleteMany({ where: { kind } });
+    for (let i = 0; i < rows.length; i += 5000) {
+      await tx.productRecommendation.createMany({
+        data: rows.slice(i, i + 5000).map(r => ({
+          productId: r.productId,
+          relatedProductId: r.relatedId,
+          kind,
+          score: r.score,
+          updatedAt: now
+        })),
+        skipDuplicates: true
+      });
+    }
+  }, { timeout: 5 * 60 * 1000 });
+}
+
+/**
+ * Rebuilds the stored neighbour lists. Runs as the RECOMMENDATIONS_RECOMPUTE job.
+ * @param {{reportProgress?: Function, throwIfCancelled?: Function}} [ctx]
+ */
+export async function recomputeRecommendations({ reportProgress = () => {}, throwIfCancelled = () => {} } = {}) {
+  const pairs = {};
+  const coViewed = await computeCoViewed();
+  throwIfCancelled();
+  await replaceNeighbours('CO_VIEW', coViewed);
+  pairs.CO_VIEW = coViewed.length;
+  reportProgress(50, { pairs });
+
+  const boughtTogether = await computeBoughtTogether();
+  throwIfCancelled();
+  await replaceNeighbours('BOUGHT_TOGETHER', boughtTogether);
+  pairs.BOUGHT_TOGETHER = boughtTogether.length;
+
+  similarCache.clear();
+  console.log('[Recommendations] Recomputed neighbours:', pairs);
+  return { pairs };
+}
+
+export function setupRecommendationCron() {
+  const schedule = process.env.RECOMMENDATIONS_CRON || '0 */6 * * *';
+  cron.schedule(schedule, () => {
+    enqueueJob('RECOMMENDATIONS_RECOMPUTE', {}, { unique: true })
+      .catch((error) => console.error('[Recommendations] Failed to queue recompute:', error));
+  });
+
+  console.log(`[Recommendations] Recompute scheduled (${schedule})`);
+}
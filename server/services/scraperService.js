@@ -1,309 +1,320 @@
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-// import { executablePath } from 'puppeteer'; // Use local detection instead
-
-// puppeteer.use(StealthPlugin());
-
-const BRIGHT_DATA_PROXY_URL = process.env.BRIGHT_DATA_PROXY_URL;
-const BRIGHT_DATA_USERNAME = process.env.BRIGHT_DATA_USERNAME;
-const BRIGHT_DATA_PASSWORD = process.env.BRIGHT_DATA_PASSWORD;
-
-// Configure global-agent
-// process.env.GLOBAL_AGENT_HTTP_PROXY = `http://${BRIGHT_DATA_USERNAME}:${BRIGHT_DATA_PASSWORD}@${BRIGHT_DATA_PROXY_URL}`;
-// process.env.GLOBAL_AGENT_HTTPS_PROXY = `http://${BRIGHT_DATA_USERNAME}:${BRIGHT_DATA_PASSWORD}@${BRIGHT_DATA_PROXY_URL}`;
-// process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0'; // Allow self-signed certs for proxy
-
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-import { execSync } from 'child_process';
-
-const getExecutablePath = async () => {
-    console.log(`[Scraper] PUPPETEER_EXECUTABLE_PATH env var: ${process.env.PUPPETEER_EXECUTABLE_PATH}`);
-
-    // 1. Docker/Linux: Always use the system-installed Chrome from the base image
-    if (process.platform === 'linux') {
-        // Try to read the path found during Docker build
-        try {
-            if (fs.existsSync('/tmp/chrome_path.txt')) {
-                const pathFromBuild = fs.readFileSync('/tmp/chrome_path.txt', 'utf8').trim();
-                if (pathFromBuild && fs.existsSync(pathFromBuild)) {
-                     console.log(`[Scraper] Found Chrome via build log: ${pathFromBuild}`);
-                     return pathFromBuild;
-                }
-            }
-        } catch (e) {
-            console.warn('[Scraper] Failed to read /tmp/chrome_path.txt:', e.message);
-        }
-
-        // Fallback: Check known paths again (since hardcoding failed)
-        const possiblePaths = [
-            '/usr/bin/google-chrome-stable',
-            '/usr/bin/google-chrome',
-            '/usr/bin/chromium',
-            '/usr/bin/chromium-browser',
-            '/opt/google/chrome/google-chrome'
-        ];
-        
-        for (const p of possiblePaths) {
-            if (fs.existsSync(p)) {
-                console.log(`[Scraper] Found Chrome at known path: ${p}`);
-                return p;
-            }
-        }
-
-        // Last ditch effort: which
-        try {
-             const path = execSync('which google-chrome-stable || which google-chrome || which chromium || which chromium-browser').toString().trim();
-             if (path) {
-                 console.log(`[Scraper] Found Chrome via 'which': ${path}`);
-                 return path;
-             }
-        } catch (e) {
-             console.warn('[Scraper] Failed to find Chrome via which:', e.message);
-        }
-    }
+import prisma from '../prismaClient.js';
+import { getEffectiveRate, priceFromCny } from './exchangeRateService.js';
+import { getEnvProxy, humanDelay, openBrowserSession, safeGoto } from './scrapers/browserSession.js';
+import { missingScrapedFields } from './scrapers/scrapedProduct.js';
+import { enrichScrapedProduct } from './scrapers/enrichment.js';
+import { getAdapterForUrl } from './scrapers/adapters/index.js';
+import { classifyProduct } from './complianceService.js';
+
+export { getAdapterForUrl, getScraperAdapter } from './scrapers/adapters/index.js';
+
+// Description images follow the gallery so both fit in one ordered list
+const DESCRIPTION_IMAGE_ORDER_OFFSET = 100;
+
+function scraperError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
 
-    // 2. Windows/Local Development fallback
-    const paths = [
-        'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-        'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
-    ];
-    for (const p of paths) {
-        if (fs.existsSync(p)) {
-            console.log(`[Scraper] Found local Chrome at: ${p}`);
-            return p;
-        }
-    }
-    
-    // 3. Last resort: try bundled (likely won't work in Docker if we skipped download)
-    try {
-        const puppeteer = await import('puppeteer');
-        if (puppeteer.executablePath) {
-             return puppeteer.executablePath();
-        }
-    } catch (e) {
-        console.warn('[Scraper] Bundled Chrome not found:', e.message);
-    }
+/**
+ * Looks a scraped product up by its normalized URL, or by provider and item id
+ * for rows saved before URLs were normalized.
+ */
+export async function findScrapedProduct({ provider, url, sourceId }) {
+  return prisma.product.findFirst({
+    where: {
+      OR: [
+        { originalUrl: url },
+        { purchaseUrl: url },
+        ...(sourceId ? [{ provider, skuId: sourceId }] : [])
+      ]
+    },
+    select: { id: true, name: true, status: true }
+  });
+}
 
-    return null;
-};
+// Why a product may not be saved: a BLOCKED compliance rule, or the model
+// calling it edible when no keyword caught it
+function findBlockReason(product, compliance) {
+  if (compliance.verdict === 'BLOCKED') {
+    return compliance.matches.filter(m => m.action === 'BLOCKED').map(m => m.pattern || m.name).join(', ');
+  }
+  return product.isEdible ? 'edible' : null;
+}
 
-export async function testProxyConnection() {
-  console.log('---------------------------------------------------');
-  console.log('🧪 Testing Residential Proxy Connection (Scraper Service)');
-  console.log('---------------------------------------------------');
-  console.log(`Proxy URL: ${BRIGHT_DATA_PROXY_URL}`);
-  
-  let browser;
-  try {
-    const chromePath = await getExecutablePath();
-    if (!chromePath) throw new Error('Chrome not found');
-
-    const launchOptions = {
-      headless: "new",
-      ignoreHTTPSErrors: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        `--proxy-server=${BRIGHT_DATA_PROXY_URL}`,
-        '--ignore-certificate-errors',
-      ],
-      executablePath: chromePath,
-    };
-
-    browser = await puppeteer.launch(launchOptions);
-    const page = await browser.newPage();
-
-    if (BRIGHT_DATA_USERNAME && BRIGHT_DATA_PASSWORD) {
-        await page.authenticate({
-          username: BRIGHT_DATA_USERNAME,
-          password: BRIGHT_DATA_PASSWORD,
-        });
-    }
+function buildProductData(product, rate, { status, isAirRestricted }) {
+  const domesticFee = product.domesticShippingCny ? Math.round(product.domesticShippingCny * rate) : 0;
+  const { basePriceIQD, price } = priceFromCny(product.priceCny, rate, domesticFee);
+
+  const optionsByName = new Map(product.options.map(option => [option.originalName, option]));
+  const translateChoice = (name, original) => {
+    const option = optionsByName.get(name);
+    const value = option?.values.find(v => v.original === original);
+    return [option?.name || name, value?.value || original];
+  };
+
+  const variants = product.skus
+    .filter(sku => sku.available)
+    .map(sku => {
+      const originalPrice = sku.priceCny || product.priceCny;
+      return {
+        combination: JSON.stringify(Object.fromEntries(Object.entries(sku.combination).map(([name, value]) => translateChoice(name, value)))),
+        originalPrice,
+        ...priceFromCny(originalPrice, rate, domesticFee),
+        weight: sku.weightKg || product.weightKg,
+        image: sku.image,
+        isPriceCombined: true
+      };
+    });
 
-    console.log('🚀 Connecting to ipinfo.io...');
-    await page.goto('https://ipinfo.io/json', { waitUntil: 'domcontentloaded', timeout: 60000 });
+  const specs = Object.entries(product.specs).map(([key, value]) => `${key}: ${value}`).join('\n');
+
+  return {
+    name: product.title,
+    price,
+    basePriceIQD,
+    originalPrice: product.priceCny,
+    domesticShippingFee: domesticFee || null,
+    image: product.images[0],
+    purchaseUrl: product.url,
+    originalUrl: product.url,
+    provider: product.provider,
+    skuId: product.sourceId,
+    sellerName: product.sellerName,
+    specs: specs || product.description || null,
+    status,
+    isActive: true,
+    isAirRestricted,
+    ...(product.aiMetadata ? { aiMetadata: product.aiMetadata } : {}),
+    ...(product.reviews.length > 0
+      ? { scrapedReviews: product.reviews.map(({ name, comment, photos }) => ({ name, comment, photos })) }
+      : {}),
+    images: {
+      create: [
+        ...product.images.map((url, order) => ({ url, order, type: 'GALLERY' })),
+        ...product.descImages.map((url, i) => ({ url, order: DESCRIPTION_IMAGE_ORDER_OFFSET + i, type: 'DESCRIPTION' }))
+      ]
+    },
+    options: {
+      create: product.options.map(option => ({
+        name: option.name || option.originalName,
+        values: JSON.stringify(option.values.map(v => v.value || v.original)),
+        originalValues: JSON.stringify(option.values.map(v => v.original))
+      }))
+    },
+    variants: { create: variants }
+  };
+}
 
-    const content = await page.$eval('body', el => el.innerText);
-    const json = JSON.parse(content);
+/**
+ * The single save path for scraped products: de-duplicates, refuses
+ * restricted goods, prices the product and its SKUs at the current CNY rate
+ * and writes options, variants, gallery and description images in one create.
+ * Embeddings are left NULL for the background backfill.
+ * @returns {Promise<{ product: Object, created: boolean }>}
+ */
+export async function saveScrapedProduct(product, { status = 'PUBLISHED' } = {}) {
+  const missing = missingScrapedFields(product);
+  if (missing.length > 0) {
+    throw scraperError(`Scraped product is missing ${missing.join(', ')}`, 422, 'SCRAPE_INCOMPLETE');
+  }
 
-    console.log('\n✅ Proxy Connection Successful!');
-    console.log('IP:', json.ip);
-    console.log('Country:', json.country);
-    
-    return { success: true, data: json };
+  const existing = await findScrapedProduct(product);
+  if (existing) return { product: existing, created: false };
 
-  } catch (error) {
-    console.error('\n❌ Proxy Test Failed!', error.message);
-    return { success: false, error: error.message };
-  } finally {
-    if (browser) await browser.close();
-  }
+  const compliance = classifyProduct(product);
+  const blockedBy = findBlockReason(product, compliance);
+  if (blockedBy) throw scraperError(`Product is restricted (${blockedBy})`, 422, 'PRODUCT_RESTRICTED');
+
+  const rate = await getEffectiveRate('CNY');
+  if (!rate) throw scraperError('No CNY exchange rate has been set', 400, 'NO_RATE');
+
+  const created = await prisma.product.create({
+    data: buildProductData(product, rate.rate, { status, isAirRestricted: compliance.verdict === 'SEA_ONLY' }),
+    include: { images: true, options: true, variants: true }
+  });
+  return { product: created, created: true };
 }
 
-export async function scrapeProduct(url) {
-  let browser;
-  try {
-    const isTaobao = url.includes('taobao.com') || url.includes('tmall.com');
-    const isPdd = url.includes('pinduoduo.com') || url.includes('yangkeduo.com');
-    const is1688 = url.includes('1688.com');
-
-    console.log(`[Scraper] Starting scrape for: ${url}`);
-    
-    const chromePath = await getExecutablePath();
-    if (!chromePath) {
-        throw new Error('Chrome browser not found. Please install Google Chrome.');
-    }
+async function fetchAndParse(adapter, page, url) {
+  const snapshot = await adapter.fetchProduct(page, adapter.normalizeUrl(url));
+  return adapter.parseProduct(snapshot);
+}
 
-    const launchOptions = {
-      headless: "new",
-      ignoreHTTPSErrors: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        `--proxy-server=${BRIGHT_DATA_PROXY_URL}`,
-        // `--proxy-server=${BRIGHT_DATA_PROXY_URL}`, // DISABLED FOR DIRECT TEST
-        '--ignore-certificate-errors',
-        '--ignore-certificate-errors-spki-list',
-        '--no-first-run',
-        '--no-default-browser-check',
-        '--disable-features=IsolateOrigins,site-per-process'
-      ],
-      executablePath: chromePath,
-    };
-
-    browser = await puppeteer.launch(launchOptions);
-    const page = await browser.newPage();
-
-    // Authenticate with Bright Data (Only if username/password are set)
-    if (BRIGHT_DATA_USERNAME && BRIGHT_DATA_PASSWORD) {
-        await page.authenticate({
-          username: BRIGHT_DATA_USERNAME,
-          password: BRIGHT_DATA_PASSWORD,
-        });
+/**
+ * Scrapes one product page without enriching or saving it. Opens its own
+ * browser session unless a page is passed in.
+ * @returns {Promise<import('./scrapers/scrapedProduct.js').ScrapedProduct>}
+ */
+export async function scrapeProductUrl(url, { page = null, browser = {} } = {}) {
+  const adapter = getAdapterForUrl(url);
+  if (!adapter.isProductUrl(url)) throw scraperError('URL is not a product page', 400, 'NOT_A_PRODUCT_URL');
+
+  let product;
+  if (page) {
+    product = await fetchAndParse(adapter, page, url);
+  } else {
+    const session = await openBrowserSession({ proxy: getEnvProxy(), ...browser });
+    try {
+      product = await fetchAndParse(adapter, await session.newPage(), url);
+    } finally {
+      await session.close();
     }
+  }
 
-    await page.setViewport({ width: 1920, height: 1080 });
+  const missing = missingScrapedFields(product);
+  if (missing.length > 0) {
+    throw scraperError(`Could not read ${missing.join(', ')} from the page`, 422, 'SCRAPE_INCOMPLETE');
+  }
+  return product;
+}
 
-    // --- COOKIE INJECTION ---
-    const cookiesPath = path.join(__dirname, '../cookies.json');
-    if (fs.existsSync(cookiesPath)) {
-      try {
-        const cookiesString = fs.readFileSync(cookiesPath, 'utf8');
-        const cookies = JSON.parse(cookiesString);
-        if (Array.isArray(cookies) && cookies.length > 0) {
-           console.log(`[Scraper] Loading ${cookies.length} cookies from cookies.json...`);
-           await page.setCookie(...cookies);
-        }
-      } catch (cookieErr) {
-        console.warn('[Scraper] Failed to load cookies.json:', cookieErr.message);
-      }
-    }
-    // ------------------------
+/**
+ * Imports one product page through the full pipeline: scrape, translate and
+ * save with its options and variants. A URL that was already imported returns
+ * the existing product without opening a browser. Translation failures are
+ * logged and the product is saved untranslated for an admin to finish.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.status]  Status for a new product
+ * @param {(stage: 'checking'|'connecting'|'scraping'|'translating'|'saving') => void} [options.onStage]
+ * @returns {Promise<{ product: Object, created: boolean }>}
+ */
+export async function importProductFromUrl(url, { status = 'DRAFT', onStage = () => {} } = {}) {
+  const adapter = getAdapterForUrl(url);
+  if (!adapter.isProductUrl(url)) throw scraperError('URL is not a product page', 400, 'NOT_A_PRODUCT_URL');
+
+  onStage('checking');
+  const normalizedUrl = adapter.normalizeUrl(url);
+  const existing = await findScrapedProduct({ provider: adapter.provider, url: normalizedUrl, sourceId: adapter.sourceIdFromUrl(url) });
+  if (existing) return { product: existing, created: false };
+
+  onStage('connecting');
+  let product;
+  const session = await openBrowserSession({ proxy: getEnvProxy() });
+  try {
+    const page = await session.newPage();
+    onStage('scraping');
+    product = await scrapeProductUrl(normalizedUrl, { page });
+  } finally {
+    await session.close();
+  }
 
-    // Set generic headers
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9',
-    });
+  onStage('translating');
+  try {
+    product = await enrichScrapedProduct(product);
+  } catch (error) {
+    console.warn(`[Scraper] Saving ${normalizedUrl} untranslated:`, error.message);
+  }
 
-    console.log('[Scraper] Navigating to page (with Proxy)...');
-    // Increased timeout to 120 seconds for Bright Data initial connection
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 120000 });
+  onStage('saving');
+  return saveScrapedProduct(product, { status });
+}
 
-    console.log('[Scraper] Page loaded, extracting data...');
-    
-    return await extractData(page, url, isTaobao, isPdd, is1688);
+// Restricted goods are skipped; the rules run before enrichment to save the
+// AI call and again after it on the Arabic name and the model's verdict
+async function scrapeListedProduct(adapter, page, url, { enrich, save, status }) {
+  const sourceId = adapter.sourceIdFromUrl(url);
+  if (save && await findScrapedProduct({ provider: adapter.provider, url, sourceId })) {
+    return { url, outcome: 'existing' };
+  }
 
-  } catch (error) {
-    console.error('[Scraper] Error details:', error);
-    if (browser) await browser.close();
+  let product = await fetchAndParse(adapter, page, url);
+  const missing = missingScrapedFields(product);
+  if (missing.length > 0) return { url, outcome: 'skipped', reason: `missing ${missing.join(', ')}` };
 
-    // Throw specific error for frontend to handle
-    throw new Error('Failed to scrape product: ' + error.message);
-  } finally {
-    if (browser) await browser.close();
+  let blockedBy = findBlockReason(product, classifyProduct(product));
+  if (blockedBy) return { url, outcome: 'skipped', reason: `restricted (${blockedBy})` };
+
+  if (enrich) {
+    product = await enrichScrapedProduct(product);
+    blockedBy = findBlockReason(product, classifyProduct(product));
+    if (blockedBy) return { url, outcome: 'skipped', reason: `restricted (${blockedBy})` };
   }
+
+  if (!save) return { url, outcome: 'collected', product };
+  const { product: row, created } = await saveScrapedProduct(product, { status });
+  return { url, outcome: created ? 'saved' : 'existing', productId: row.id, product };
 }
 
-async function extractData(page, url, isTaobao, isPdd, is1688) {
-    let productData = {
-      originalUrl: url,
-      provider: isTaobao ? 'TAOBAO' : (isPdd ? 'PDD' : (is1688 ? '1688' : 'OTHER')),
-      name: '',
-      price: 0,
-      originalPrice: 0,
-      image: '',
-      sellerName: '',
-      images: [],
-      skuId: '',
-      options: [],
-      variants: []
-    };
-
-    if (isTaobao) {
+/**
+ * Scrapes a listing (or a single product URL) end to end: collects product
+ * links, then fetches, parses, enriches and saves each one. Configuration
+ * errors such as a missing exchange rate or AI key stop the run; anything else
+ * is counted as a failure for that product and the run carries on.
+ *
+ * @param {string} url  Listing, search or product URL on a supported marketplace
+ * @param {Object} [options]
+ * @param {number} [options.limit]     Products to collect from the listing
+ * @param {number} [options.maxPages]  Listing pages to walk
+ * @param {boolean} [options.enrich]   Translate and describe with the AI model
+ * @param {boolean} [options.save]     Save to the database, otherwise return the products
+ * @param {string} [options.status]    Status for saved products
+ * @param {Object} [options.browser]   Passed to openBrowserSession
+ * @param {() => boolean} [options.shouldStop]
+ * @param {(result: Object) => void} [options.onProduct]
+ */
+export async function scrapeCatalog(url, {
+  limit = 50,
+  maxPages = 10,
+  enrich = true,
+  save = true,
+  status = 'PUBLISHED',
+  browser = {},
+  shouldStop = () => false,
+  onProduct = () => {}
+} = {}) {
+  const adapter = getAdapterForUrl(url);
+  const summary = { found: 0, saved: 0, existing: 0, collected: 0, skipped: 0, failed: 0, products: [] };
+  const session = await openBrowserSession({ proxy: getEnvProxy(), ...browser });
+
+  try {
+    const page = await session.newPage();
+    const links = adapter.isProductUrl(url)
+      ? [adapter.normalizeUrl(url)]
+      : await adapter.fetchListing(page, url, { limit, maxPages, shouldStop });
+    summary.found = links.length;
+
+    for (const link of links) {
+      if (shouldStop()) break;
+      let result;
       try {
-        productData.name = await page.$eval('h1', el => el.innerText.trim()).catch(() => 'Taobao Product');
-        // Try multiple price selectors
-        const priceSelectors = ['.tb-main-price', '.tm-price', '#J_PromoPriceNum', '.Price--priceText--2nLbVda'];
-        for (const sel of priceSelectors) {
-             const priceText = await page.$eval(sel, el => el.innerText).catch(() => null);
-             if (priceText) {
-                 productData.originalPrice = parseFloat(priceText.replace(/[^0-9.]/g, ''));
-                 productData.price = productData.originalPrice;
-                 break;
-             }
-        }
-        
-        productData.image = await page.$eval('#J_ImgBooth', el => el.src).catch(() => '');
-        if (!productData.image) {
-            productData.image = await page.$eval('.MainImage--mainImage--1_A7jX9', el => el.src).catch(() => ''); // Tmall new layout
-        }
-
-      } catch (e) {
-        console.warn('[Scraper] Taobao extraction partial failure:', e.message);
+        result = await scrapeListedProduct(adapter, page, link, { enrich, save, status });
+      } catch (error) {
+        if (['NO_RATE', 'ENRICHMENT_UNAVAILABLE', 'BROWSER_UNAVAILABLE'].includes(error.code)) throw error;
+        result = { url: link, outcome: 'failed', error: error.message };
+        if (error.code === 'SCRAPER_BLOCKED') await session.rotateCookies(page);
       }
-    } else if (isPdd) {
-       try {
-        productData.name = await page.$eval('h1', el => el.innerText.trim()).catch(() => 'PDD Product');
-      } catch (e) {
-         console.warn('[Scraper] PDD extraction partial failure:', e.message);
-      }
-    }
 
-    // Fallback: Get Title and Main Image if specific logic failed
-    if (!productData.name || productData.name === 'Taobao Product') {
-        productData.name = await page.title();
+      summary[result.outcome]++;
+      if (result.outcome === 'collected') summary.products.push(result.product);
+      onProduct(result);
+      if (result.outcome !== 'existing') await humanDelay(3000, 8000);
     }
-    
-    // DEBUG: Save screenshot if name is empty
-    if (!productData.name) {
-        console.log('[Scraper] Name empty, saving screenshot to debug-direct.png');
-        await page.screenshot({ path: 'debug-direct.png' });
-    }
-
-    // Check for Login Wall / Captcha
-    if (productData.name.includes('登录') || productData.name.includes('Login') || page.url().includes('login.')) {
-        throw new Error('Hit Login Wall. Please provide valid cookies in cookies.json or check proxy configuration.');
-    }
-    
-    console.log('[Scraper] Extraction complete:', productData.name);
-    return productData;
+  } finally {
+    await session.close();
+  }
+  return summary;
 }
 
-// Mock Data Removed - We only want real data
-/*
-function getMockData(url) {
-    return { ... };
+export async function testProxyConnection() {
+  const proxy = getEnvProxy();
+  if (!proxy) return { success: false, error: 'No scraper proxy is configured' };
+
+  let session;
+  try {
+    session = await openBrowserSession({ proxy });
+    const page = await session.newPage();
+    await safeGoto(page, 'https://ipinfo.io/json');
+    const data = JSON.parse(await page.evaluate(() => document.body.innerText));
+    return { success: true, data };
+  } catch (error) {
+    console.error('Proxy test failed:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    if (session) await session.close();
+  }
 }
-*/
@@ -0,0 +1,203 @@
+import * as cheerio from 'cheerio';
+import { assertNotBlocked, humanDelay, safeGoto, scrollPage } from '../browserSession.js';
+import { absoluteUrl, createScrapedProduct, parsePriceCny, readEmbeddedJson } from '../scrapedProduct.js';
+
+// 1688 offer pages. Everything the product needs is in the window.context
+// object the page embeds; the description is a separate script fetched from
+// the detailUrl it names.
+const PROVIDER = '1688';
+const OFFER_URL_PATTERN = /detail\.1688\.com\/offer\/(\d+)\.html/;
+const THUMBNAIL_SUFFIX = /_(\d+x\d+|search|summ)\.(jpg|webp|png)$/i;
+
+const offerIdFromUrl = (url) => String(url || '').match(OFFER_URL_PATTERN)?.[1] || null;
+
+function matchUrl(url) {
+  try {
+    return /(^|\.)1688\.com$/.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+const isProductUrl = (url) => Boolean(offerIdFromUrl(url));
+
+function normalizeUrl(url) {
+  const id = offerIdFromUrl(url);
+  return id ? `https://detail.1688.com/offer/${id}.html` : url;
+}
+
+const fullSizeImage = (src) => {
+  const url = absoluteUrl(src);
+  return url ? url.replace(THUMBNAIL_SUFFIX, '.$2') : null;
+};
+
+function parseListing(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const links = new Set();
+  $('a[href*="detail.1688.com/offer/"]').each((_, el) => {
+    const href = absoluteUrl($(el).attr('href'), baseUrl);
+    if (href && isProductUrl(href)) links.add(normalizeUrl(href));
+  });
+  return [...links];
+}
+
+// Listing pages paginate through the beginPage query parameter
+async function fetchListing(page, url, { limit = 100, maxPages = 10, shouldStop = () => false } = {}) {
+  const links = new Set();
+  for (let pageNumber = 1; pageNumber <= maxPages && links.size < limit && !shouldStop(); pageNumber++) {
+    const pageUrl = new URL(url);
+    if (pageNumber > 1) pageUrl.searchParams.set('beginPage', String(pageNumber));
+    await safeGoto(page, pageUrl.toString());
+    await assertNotBlocked(page);
+    await scrollPage(page);
+
+    const before = links.size;
+    for (const link of parseListing(await page.content(), page.url())) links.add(link);
+    console.log(`[1688] Listing page ${pageNumber}: ${links.size} links`);
+    if (links.size === before) break;
+    await humanDelay(2000, 4000);
+  }
+  return [...links].slice(0, limit);
+}
+
+async function fetchProduct(page, url) {
+  await safeGoto(page, url);
+  await assertNotBlocked(page);
+  await humanDelay(2000, 4000);
+  await scrollPage(page, { maxSteps: 15 });
+
+  const context = await page.evaluate(() => (window.context?.result ? JSON.parse(JSON.stringify(window.context)) : null)).catch(() => null);
+  const detailUrl = context?.result?.data?.description?.fields?.detailUrl;
+  // Fetched from inside the page so it carries the page's cookies and referrer
+  const description = detailUrl
+    ? await page.evaluate((target) => fetch(target).then(res => res.text()).catch(() => null), detailUrl).catch(() => null)
+    : null;
+
+  return {
+    provider: PROVIDER,
+    url,
+    capturedAt: new Date().toISOString(),
+    pages: { product: await page.content(), ...(description ? { description } : {}) },
+    data: { context }
+  };
+}
+
+function findContextInHtml(html) {
+  const $ = cheerio.load(html);
+  let context = null;
+  $('script').each((_, el) => {
+    const text = $(el).html() || '';
+    const index = text.indexOf('window.context=');
+    if (index === -1) return;
+    const resultIndex = text.indexOf('{"result"', index);
+    context = resultIndex === -1 ? null : readEmbeddedJson(text, resultIndex);
+    if (context) return false;
+  });
+  return context;
+}
+
+function offerModel(snapshot) {
+  const context = snapshot.data?.context || findContextInHtml(snapshot.pages.product);
+  const data = context?.result?.data || {};
+  return {
+    data,
+    global: context?.result?.global?.globalData?.model || {},
+    root: data.Root?.fields?.dataJson || {}
+  };
+}
+
+/**
+ * skuProps lists the options; skuInfoMap keys each combination as the
+ * values joined with "&gt;" in option order. SKUs without their own price
+ * take the offer's lowest tier price.
+ */
+function parseSkus(snapshot) {
+  const { data, root } = offerModel(snapshot);
+  const skuModel = root.skuModel || {};
+  const props = (skuModel.skuProps || []).filter(prop => prop?.prop && Array.isArray(prop.value));
+  if (props.length === 0) return { options: [], skus: [] };
+
+  const basePrice = parsePriceCny(data.mainPrice?.fields?.priceModel?.currentPrices?.[0]?.price);
+  const weights = data.shippingServices?.fields?.freightInfo?.skuWeight || {};
+  const options = props.map(prop => ({
+    originalName: prop.prop,
+    values: prop.value.map(value => ({ original: value.name, image: value.imageUrl || null }))
+  }));
+
+  const skus = Object.entries(skuModel.skuInfoMap || {}).map(([key, info]) => {
+    const parts = String(info.specAttrs || key).split(/&gt;|>/);
+    const combination = {};
+    props.forEach((prop, i) => {
+      if (parts[i]) combination[prop.prop] = parts[i];
+    });
+    const image = props[0].value.find(value => value.name === parts[0])?.imageUrl || null;
+    return {
+      skuId: info.skuId,
+      combination,
+      priceCny: parsePriceCny(info.discountPrice) || parsePriceCny(info.price) || basePrice,
+      image,
+      available: info.canBookCount === undefined || Number(info.canBookCount) > 0,
+      weightKg: weights[String(info.skuId)] || null
+    };
+  });
+  return { options, skus };
+}
+
+// 1688 has no public reviews on the offer page
+function parseReviews() {
+  return [];
+}
+
+function parseProduct(snapshot) {
+  const $ = cheerio.load(snapshot.pages.product);
+  const { data, global, root } = offerModel(snapshot);
+
+  const specs = {};
+  for (const attribute of global.offerDetail?.featureAttributes || []) {
+    const value = attribute.value || (attribute.values || []).join('، ');
+    if (attribute.name && value) specs[attribute.name] = value;
+  }
+
+  const descriptionImages = [];
+  if (snapshot.pages.description) {
+    const html = snapshot.pages.description.replace(/\\"/g, '"');
+    for (const match of html.matchAll(/<img[^>]+src="([^"]+)"/g)) descriptionImages.push(match[1]);
+  }
+
+  const freight = data.shippingServices?.fields?.freightInfo;
+  const { options, skus } = parseSkus(snapshot);
+  const skuWeights = skus.map(sku => sku.weightKg).filter(Boolean);
+
+  return createScrapedProduct({
+    provider: PROVIDER,
+    url: normalizeUrl(snapshot.url),
+    sourceId: offerIdFromUrl(snapshot.url) || root.tempModel?.offerId,
+    title: data.productTitle?.fields?.title || root.tempModel?.offerTitle || $('h1.d-title').text().trim() || $('title').text().replace('- 1688.com', '').trim(),
+    description: $('.description-content, .detail-desc').first().text().trim(),
+    specs,
+    priceCny: parsePriceCny(data.mainPrice?.fields?.priceModel?.currentPrices?.[0]?.price) || parsePriceCny($('.price, .price-now, .offer-price, .discount-price').first().text()),
+    domesticShippingCny: Number.isFinite(freight?.totalCost) ? freight.totalCost : null,
+    sellerName: root.tempModel?.companyName || data.productTitle?.fields?.shopInfo?.companyName || null,
+    images: (data.gallery?.fields?.mainImage || []).concat(
+      $('img[src*="alicdn"], img[data-src*="alicdn"]').map((_, img) => $(img).attr('data-src') || $(img).attr('src')).get().filter(src => /ibank|imgextra/.test(src))
+    ).map(fullSizeImage),
+    descImages: descriptionImages.map(fullSizeImage),
+    options,
+    skus,
+    weightKg: skuWeights.length ? Math.max(...skuWeights) : null
+  });
+}
+
+export default {
+  provider: PROVIDER,
+  matchUrl,
+  normalizeUrl,
+  isProductUrl,
+  sourceIdFromUrl: offerIdFromUrl,
+  fetchListing,
+  fetchProduct,
+  parseListing,
+  parseProduct,
+  parseSkus,
+  parseReviews
+};
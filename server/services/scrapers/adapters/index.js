@@ -0,0 +1,33 @@
+import taobaoAdapter from './taobao.js';
+import pinduoduoAdapter from './pinduoduo.js';
+import alibaba1688Adapter from './alibaba1688.js';
+import xianyuAdapter from './xianyu.js';
+
+// Every marketplace goes through an adapter: fetchProduct/fetchListing drive
+// the browser and return a snapshot, the parse* functions turn a snapshot into
+// data without touching the network.
+export const ADAPTERS = [taobaoAdapter, pinduoduoAdapter, alibaba1688Adapter, xianyuAdapter];
+
+function scraperError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+export function getScraperAdapter(provider) {
+  const adapter = ADAPTERS.find(a => a.provider === String(provider || '').toUpperCase());
+  if (!adapter) throw scraperError(`Unknown scraper provider ${provider}`, 400, 'UNKNOWN_PROVIDER');
+  return adapter;
+}
+
+export function getAdapterForUrl(url) {
+  try {
+    new URL(url);
+  } catch {
+    throw scraperError('Invalid URL', 400, 'INVALID_URL');
+  }
+  const adapter = ADAPTERS.find(a => a.matchUrl(url));
+  if (!adapter) throw scraperError('Unsupported marketplace URL', 400, 'UNSUPPORTED_URL');
+  return adapter;
+}
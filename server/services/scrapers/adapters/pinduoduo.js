@@ -0,0 +1,294 @@
+import * as cheerio from 'cheerio';
+import { assertNotBlocked, delay, humanDelay, humanScroll, safeGoto } from '../browserSession.js';
+import { absoluteUrl, createScrapedProduct, parsePriceCny } from '../scrapedProduct.js';
+
+// Pinduoduo's mobile web pages. Option prices only appear in the buy panel,
+// so the capture opens it and keeps that HTML next to the product page.
+const PROVIDER = 'PDD';
+const MAX_OPTIONS = 30;
+const REVIEW_ENTRY_SELECTORS = ['.VoYGP4Rl', '.Oi_xBKes', '.e9rzVEAe', '.F2MXl7Xc', '.IpR_6z4r'];
+const SKIPPED_IMAGE_PATTERN = /avatar|icon|coupon|video-snapshot/;
+
+function scraperError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const goodsIdFromUrl = (url) => {
+  try {
+    return new URL(url).searchParams.get('goods_id');
+  } catch {
+    return null;
+  }
+};
+
+function matchUrl(url) {
+  try {
+    return /(^|\.)(pinduoduo|yangkeduo)\.com$/.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+const isProductUrl = (url) => Boolean(goodsIdFromUrl(url)) && /\/home|goods\.html|goods_detail|\/goods/.test(url);
+
+function normalizeUrl(url) {
+  const id = goodsIdFromUrl(url);
+  return id && isProductUrl(url) ? `https://mobile.pinduoduo.com/goods.html?goods_id=${id}` : url;
+}
+
+const cleanImageUrl = (src, base) => {
+  const url = absoluteUrl(src, base);
+  return url && !SKIPPED_IMAGE_PATTERN.test(url) ? url.split('?')[0] : null;
+};
+
+function parseListing(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const links = new Set();
+  $('a[href*="goods_id="]').each((_, el) => {
+    const href = absoluteUrl($(el).attr('href'), baseUrl);
+    if (href && isProductUrl(href)) links.add(normalizeUrl(href));
+  });
+  return [...links];
+}
+
+/**
+ * Category pages render tiles without links, so when no anchors are found
+ * each visible tile is tapped and the product URL read from the navigation.
+ */
+async function discoverByTapping(page, links, { limit, shouldStop }) {
+  const listingUrl = page.url();
+  let screensWithoutNew = 0;
+  while (links.size < limit && screensWithoutNew < 3 && !shouldStop()) {
+    const before = links.size;
+    const { width, height } = await page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+    const column = Math.min(width, 750) / 4;
+    const points = [
+      [width / 2 - column, height * 0.35], [width / 2 + column, height * 0.35],
+      [width / 2 - column, height * 0.75], [width / 2 + column, height * 0.75]
+    ];
+    for (const [x, y] of points) {
+      if (links.size >= limit || shouldStop()) break;
+      await page.mouse.click(x + Math.random() * 10 - 5, y + Math.random() * 10 - 5);
+      await humanDelay(2500, 4500);
+      if (isProductUrl(page.url())) {
+        links.add(normalizeUrl(page.url()));
+        await page.goBack({ waitUntil: 'domcontentloaded' }).catch(() => safeGoto(page, listingUrl));
+        await humanDelay(2000, 4000);
+      }
+    }
+    screensWithoutNew = links.size === before ? screensWithoutNew + 1 : 0;
+    await humanScroll(page, height * 0.9, { steps: 20, variance: 0.1 });
+    await humanDelay(1500, 3000);
+  }
+}
+
+async function fetchListing(page, url, { limit = 45, shouldStop = () => false } = {}) {
+  await safeGoto(page, url);
+  await assertNotBlocked(page);
+  await humanDelay(3000, 6000);
+
+  const links = new Set();
+  let stable = 0;
+  while (links.size < limit && stable < 3 && !shouldStop()) {
+    const before = links.size;
+    for (const link of parseListing(await page.content(), page.url())) links.add(link);
+    stable = links.size === before ? stable + 1 : 0;
+    await humanScroll(page, 1200, { steps: 15, variance: 0.2 });
+    await humanDelay(1000, 2500);
+  }
+  if (links.size === 0) {
+    await page.evaluate(() => window.scrollTo(0, 0));
+    await discoverByTapping(page, links, { limit, shouldStop });
+  }
+  return [...links].slice(0, limit);
+}
+
+// The buy button and first thumbnail are positioned relative to the centered
+// mobile layout; their class names change too often to click by selector
+async function openOptionPanel(page) {
+  await page.evaluate(() => window.scrollTo(0, 0));
+  const { width, height } = await page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+  await page.mouse.click(width * 0.5 + 270 + Math.random() * 30, height * (0.97 + Math.random() * 0.02), { delay: 150 });
+  await humanDelay(3000, 6000);
+  await page.mouse.click(width * 0.5 - 300 + Math.random() * 10 - 5, height * 0.5 + Math.random() * 10 - 5, { delay: 120 });
+  await humanDelay(3000, 6000);
+  const html = await page.content();
+  // Tapping above the panel closes it; the first tap sometimes only dismisses a tooltip
+  for (let i = 0; i < 2; i++) {
+    await page.mouse.click(width * 0.5, height * 0.1);
+    await humanDelay(2000, 4000);
+  }
+  return html;
+}
+
+async function openReviews(page, productUrl) {
+  for (const selector of REVIEW_ENTRY_SELECTORS) {
+    const entry = await page.$(selector);
+    if (!entry) continue;
+    await entry.click().catch(() => null);
+    await humanDelay(3000, 6000);
+    if (page.url() === productUrl && !/comment|review/.test(page.url())) continue;
+
+    for (let i = 0; i < 3; i++) {
+      await humanScroll(page, 900, { steps: 30, minStepDelay: 20, maxStepDelay: 40 });
+      await humanDelay(800, 1500);
+    }
+    const html = await page.content();
+    await page.goBack({ waitUntil: 'domcontentloaded' }).catch(() => null);
+    await humanDelay(2000, 4000);
+    if (!isProductUrl(page.url())) await safeGoto(page, productUrl);
+    return html;
+  }
+  return null;
+}
+
+/**
+ * Captures the product page (after scrolling the lazy description), the
+ * option panel and the reviews page.
+ */
+async function fetchProduct(page, url) {
+  const response = await safeGoto(page, url);
+  if ([403, 424].includes(response?.status())) {
+    throw scraperError(`Pinduoduo refused the request (${response.status()}); rotate the saved cookies`, 502, 'SCRAPER_BLOCKED');
+  }
+  await assertNotBlocked(page);
+  await humanDelay(2000, 4000);
+
+  const skuPanel = await openOptionPanel(page);
+  const reviews = await openReviews(page, page.url());
+
+  await page.evaluate(async () => {
+    const container = document.querySelector('.Blmqu2TV');
+    for (let i = 0; i < 25; i++) {
+      window.scrollBy(0, window.innerHeight * 0.8);
+      container?.scrollBy?.(0, 800);
+      await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 200));
+    }
+  }).catch(() => null);
+  await delay(1500);
+
+  return {
+    provider: PROVIDER,
+    url,
+    capturedAt: new Date().toISOString(),
+    pages: { product: await page.content(), skuPanel, ...(reviews ? { reviews } : {}) },
+    data: {}
+  };
+}
+
+// Option labels carry promotion text and the price after the name
+function cleanOptionName(text) {
+  const name = String(text || '').split('券后')[0].replace(/[-]?\s*[\d.]+$/, '').replace(/\s+/g, ' ').trim();
+  if (!name || (name.length <= 1 && !/[一-龥]/.test(name))) return null;
+  return name;
+}
+
+function optionPrice($, item) {
+  const priceText = $(item).find('.nvN5jV0G span').first().text() || $(item).find('.nvN5jV0G').first().text();
+  const direct = parsePriceCny(priceText.replace(/[¥￥\s]/g, ''));
+  if (direct) return direct;
+  const fallback = $(item).find('.RITrraU3, .O8fR8K8O').first().text() || $(item).text();
+  const marked = fallback.match(/[¥￥]\s*(\d+(?:\.\d+)?)/);
+  if (marked) return parseFloat(marked[1]);
+  const numbers = fallback.replace(/已拼\s*[\d.]+\s*[万+]?件/g, '').match(/\d+(?:\.\d+)?/g);
+  return numbers ? parseFloat(numbers[numbers.length - 1]) : null;
+}
+
+/**
+ * Pinduoduo lists every purchasable combination as one entry with its own
+ * price and picture, so each entry becomes one SKU under a single option.
+ */
+function parseSkus(snapshot) {
+  if (!snapshot.pages.skuPanel) return { options: [], skus: [] };
+  const $ = cheerio.load(snapshot.pages.skuPanel);
+  const container = $('ul.IENSVgAB');
+  const items = container.length ? container.find('li') : $('.TpUpcNRp');
+
+  const skus = [];
+  items.each((_, item) => {
+    if (skus.length >= MAX_OPTIONS) return false;
+    const name = cleanOptionName($(item).find('.U63Kdv8C').text());
+    if (!name || skus.some(sku => sku.combination['颜色'] === name)) return;
+    const img = $(item).find('.PQoZYCec img').first();
+    skus.push({
+      skuId: null,
+      combination: { '颜色': name },
+      priceCny: optionPrice($, item),
+      image: cleanImageUrl(img.attr('src') || img.attr('data-src') || $(item).find('img.PQoZYCec').attr('src'), snapshot.url),
+      available: !/已售罄|缺货/.test($(item).text())
+    });
+  });
+  return { options: [], skus };
+}
+
+function parseReviews(snapshot) {
+  if (!snapshot.pages.reviews) return [];
+  const $ = cheerio.load(snapshot.pages.reviews);
+  return $('.LFMbudEX').map((_, el) => ({
+    name: $(el).find('.BQX0_Yxu').text().trim(),
+    comment: $(el).find('.QznBag3Z').text().trim(),
+    option: $(el).find('.qnRmJ_Uy').text().trim(),
+    photos: $(el).find('.db85mmgV img').map((__, img) => cleanImageUrl($(img).attr('src') || $(img).attr('data-src'))).get()
+  })).get();
+}
+
+function parseGallery($, baseUrl) {
+  const src = (img) => {
+    const value = $(img).attr('src');
+    return value && !value.startsWith('data:') ? value : $(img).attr('data-src');
+  };
+  const ordered = $('.PPuOGFfM[data-uniqid]').map((_, el) => {
+    const img = el.tagName === 'img' ? el : $(el).find('img').get(0);
+    return img ? { id: parseInt($(el).attr('data-uniqid')), src: src(img) } : null;
+  }).get().filter(entry => !Number.isNaN(entry.id)).sort((a, b) => a.id - b.id);
+
+  const images = [
+    ...ordered.map(entry => entry.src),
+    ...$('.QFNLpbqP img, img.QFNLpbqP').map((_, img) => src(img)).get()
+  ];
+  if (images.length === 0) {
+    images.push(...$('.goods-slider img, .swiper-slide img, .swiper-container img, .banner-slider img, .slick-slide img').map((_, img) => src(img)).get());
+  }
+  return images.map(url => cleanImageUrl(url, baseUrl)).filter(Boolean);
+}
+
+function parseProduct(snapshot) {
+  const $ = cheerio.load(snapshot.pages.product);
+  const container = $('.Blmqu2TV');
+  let descImages = container.find('div[data-uniqid] img').map((_, img) => $(img).attr('src') || $(img).attr('data-src')).get();
+  if (descImages.length === 0) descImages = container.find('img').map((_, img) => $(img).attr('src') || $(img).attr('data-src')).get();
+
+  // The headline price is the first leaf element that is only a ¥ amount
+  const priceText = $('span, div, p').filter((_, el) => $(el).children().length === 0 && /^[¥￥]\s*\d/.test($(el).text().trim())).first().text();
+  const { skus } = parseSkus(snapshot);
+
+  return createScrapedProduct({
+    provider: PROVIDER,
+    url: normalizeUrl(snapshot.url),
+    sourceId: goodsIdFromUrl(snapshot.url),
+    title: $('.Vrv3bF_E .tLYIg_Ju').first().text().trim() || $('.tLYIg_Ju').first().text().trim() || $('title').text().trim(),
+    description: $('.jvsKAdEs').text().trim(),
+    priceCny: parsePriceCny(priceText),
+    images: parseGallery($, snapshot.url),
+    descImages: descImages.map(url => cleanImageUrl(url, snapshot.url)).filter(Boolean),
+    skus,
+    reviews: parseReviews(snapshot)
+  });
+}
+
+export default {
+  provider: PROVIDER,
+  matchUrl,
+  normalizeUrl,
+  isProductUrl,
+  sourceIdFromUrl: goodsIdFromUrl,
+  fetchListing,
+  fetchProduct,
+  parseListing,
+  parseProduct,
+  parseSkus,
+  parseReviews
+};
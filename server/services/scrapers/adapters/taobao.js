@@ -0,0 +1,390 @@
+import * as cheerio from 'cheerio';
+import { assertNotBlocked, clickByText, delay, humanDelay, safeGoto, scrollPage } from '../browserSession.js';
+import { absoluteUrl, createScrapedProduct, parsePriceCny, readEmbeddedJson } from '../scrapedProduct.js';
+
+// Taobao and Tmall item pages. SKU data comes from the page's
+// __ICE_APP_CONTEXT__ and, when that lacks prices, from the mtop responses
+// the page fetches while loading.
+const PROVIDER = 'TAOBAO';
+const COLOR_PID = '1627207';
+const SKU_RESPONSE_PATTERN = /mtop|detail|get|batch/;
+
+const itemIdFromUrl = (url) => {
+  try {
+    return new URL(url).searchParams.get('id');
+  } catch {
+    return null;
+  }
+};
+
+const isItemUrl = (url) => /(item\.taobao\.com|detail\.tmall\.com|detail\.tmall\.hk)\/item\.htm/.test(url) && Boolean(itemIdFromUrl(url));
+
+function matchUrl(url) {
+  try {
+    return /(^|\.)(taobao|tmall)\.(com|hk)$/.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Ad links (click.simba) and tracking params all resolve to one canonical item URL
+function normalizeUrl(url) {
+  const id = itemIdFromUrl(url);
+  if (!id || !(isItemUrl(url) || url.includes('click.simba.taobao.com'))) return url;
+  const host = url.includes('item.taobao.com') ? 'item.taobao.com' : 'detail.tmall.com';
+  return `https://${host}/item.htm?id=${id}`;
+}
+
+function parseListing(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const links = new Set();
+  $('.doubleCardWrapperAdapt--mEcC7olq, a[href*="item.htm"]').each((_, el) => {
+    const href = absoluteUrl($(el).attr('href'), baseUrl);
+    if (!href || href.includes('amos.alicdn.com')) return;
+    if (href.includes('click.simba.taobao.com')) {
+      const adId = $(el).attr('data-spm-act-id') || ($(el).attr('id') || '').match(/item_id_(\d+)/)?.[1] || itemIdFromUrl(href);
+      if (adId) links.add(`https://detail.tmall.com/item.htm?id=${adId}`);
+      return;
+    }
+    if (isItemUrl(href)) links.add(normalizeUrl(href));
+  });
+  return [...links];
+}
+
+async function fetchListing(page, url, { limit = 100, maxPages = 50, shouldStop = () => false } = {}) {
+  await safeGoto(page, url);
+  await assertNotBlocked(page);
+  await delay(3000);
+
+  const links = new Set();
+  for (let pageIndex = 1; !shouldStop(); pageIndex++) {
+    await scrollPage(page);
+    for (const link of parseListing(await page.content(), page.url())) links.add(link);
+    console.log(`[Taobao] Listing page ${pageIndex}: ${links.size} links`);
+    if (links.size >= limit || pageIndex >= maxPages) break;
+    if (!(await clickByText(page, '下一页', 'a, button, span'))) break;
+    await Promise.race([
+      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => null),
+      delay(5000)
+    ]);
+    await humanDelay(2000, 4000);
+  }
+  return [...links].slice(0, limit);
+}
+
+// mtop responses arrive as JSONP; only those carrying SKU data are kept
+function parseSkuResponse(text) {
+  if (!/sku2info|skuBase|sku2price/.test(text)) return null;
+  const jsonp = text.trim().match(/^mtopjsonp\w*\(([\s\S]*)\)\s*;?$/);
+  try {
+    return JSON.parse(jsonp ? jsonp[1] : text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Loads the item, collects SKU responses, opens the review modal and scrolls
+ * the description so its lazy images are in the captured HTML.
+ */
+async function fetchProduct(page, url) {
+  const skuResponses = [];
+  const onResponse = async (response) => {
+    if (!SKU_RESPONSE_PATTERN.test(response.url())) return;
+    try {
+      const json = parseSkuResponse(await response.text());
+      if (json) skuResponses.push(json);
+    } catch {
+      // Redirects and aborted requests have no body
+    }
+  };
+
+  page.on('response', onResponse);
+  try {
+    await safeGoto(page, url);
+    await assertNotBlocked(page);
+    await page.waitForFunction(() => window.__ICE_APP_CONTEXT__ || window.TShop, { timeout: 15000 }).catch(() => null);
+    await humanDelay(2000, 4000);
+    const context = await page.evaluate(() => {
+      const ctx = window.__ICE_APP_CONTEXT__;
+      return ctx && (ctx.loaderData || ctx.data) ? JSON.parse(JSON.stringify(ctx)) : null;
+    }).catch(() => null);
+
+    let reviews = null;
+    const reviewsOpened = await page.click('.ShowButton--fMu7HZNs').then(() => true, () => clickByText(page, '查看全部评价'));
+    if (reviewsOpened) {
+      await page.waitForSelector('.Comment--H5QmJwe9', { timeout: 10000 }).catch(() => null);
+      await humanDelay(2000, 3000);
+      reviews = await page.content();
+      await page.click('.closeWrap--IAcEEbMy').catch(() => page.keyboard.press('Escape'));
+      await delay(1000);
+    }
+
+    await page.evaluate(() => document.querySelector('.RecommendInfo--Q8RLYLUz')?.scrollIntoView({ block: 'start' })).catch(() => null);
+    await delay(2000);
+    await page.evaluate(async () => {
+      const container = document.querySelector('.descV8-container');
+      const target = container && container.scrollHeight > container.clientHeight ? container : null;
+      for (let i = 0; i < 30; i++) {
+        if (target) target.scrollTop += target.clientHeight;
+        else window.scrollBy(0, window.innerHeight);
+        await new Promise(resolve => setTimeout(resolve, 400));
+      }
+    }).catch(() => null);
+    await delay(1000);
+
+    return {
+      provider: PROVIDER,
+      url,
+      capturedAt: new Date().toISOString(),
+      pages: { product: await page.content(), ...(reviews ? { reviews } : {}) },
+      data: { context, skuResponses }
+    };
+  } finally {
+    page.off('response', onResponse);
+  }
+}
+
+// The ICE context is in a script as `window.__ICE_APP_CONTEXT__ || {};var b = {...}`
+function findContextInHtml($) {
+  let found = null;
+  $('script').each((_, el) => {
+    const text = $(el).html() || '';
+    const iceIndex = text.indexOf('window.__ICE_APP_CONTEXT__');
+    if (iceIndex !== -1) {
+      const varMatch = text.slice(iceIndex).match(/var\s+\w+\s*=\s*\{/);
+      const ctx = varMatch ? readEmbeddedJson(text, iceIndex + varMatch.index) : null;
+      if (ctx && (ctx.loaderData || ctx.data)) {
+        found = ctx;
+        return false;
+      }
+    }
+    const setupIndex = text.indexOf('TShop.Setup');
+    if (setupIndex !== -1) {
+      const setup = readEmbeddedJson(text, setupIndex);
+      if (setup?.itemDO || setup?.valItemInfo) {
+        found = { tshop: setup };
+        return false;
+      }
+    }
+  });
+  return found;
+}
+
+// The item payload sits under data.res or under one of the loaderData routes
+function resolveItemData(context) {
+  if (!context) return null;
+  if (context.tshop) {
+    return {
+      item: context.tshop.itemDO,
+      skuBase: { props: [], skus: context.tshop.valItemInfo?.skuList || [] },
+      skuCore: { sku2info: context.tshop.valItemInfo?.skuMap || {} }
+    };
+  }
+  if (context.data?.res) return context.data.res;
+  for (const route of Object.values(context.loaderData || {})) {
+    if (route?.data?.res) return route.data.res;
+  }
+  return null;
+}
+
+const contextOf = (snapshot) => snapshot.data?.context || findContextInHtml(cheerio.load(snapshot.pages.product));
+
+// priceMoney is in fen; priceText is yuan. Promotion price wins over list price.
+function priceFromInfo(info) {
+  if (!info) return null;
+  for (const candidate of [info.subPrice, info.promotionPrice, info.price, info.originalPrice]) {
+    if (!candidate) continue;
+    if (typeof candidate !== 'object') {
+      const value = parsePriceCny(candidate);
+      if (value) return value;
+      continue;
+    }
+    const money = parseFloat(String(candidate.priceMoney ?? '').replace(/[^\d.]/g, ''));
+    if (money > 0) return money / 100;
+    const value = parsePriceCny(candidate.priceText);
+    if (value) return value;
+  }
+  return parsePriceCny(info.priceText);
+}
+
+// quantity is a count on most items; "有货"-style text or no field means it is sold normally
+const isInStock = (info) => {
+  const quantity = String(info?.quantity ?? '');
+  return !/^\d+$/.test(quantity) || parseInt(quantity) > 0;
+};
+
+const fullSizeImage = (src) => src && src.replace(/_(\d+x\d+)?(q\d+)?\.(jpg|png|webp)(_\.webp)?$/i, '');
+
+// sku2info from the context, merged with whatever the mtop responses carried
+function collectSkuInfo(res, context, skuResponses) {
+  const merged = {};
+  const add = (sku2info) => {
+    for (const [id, info] of Object.entries(sku2info || {})) merged[String(id)] = { ...merged[String(id)], ...info };
+  };
+  add(res?.skuCore?.sku2info || res?.sku2info);
+  for (const route of Object.values(context?.loaderData || {})) add(route?.data?.skuCore?.sku2info);
+
+  let skuBase = res?.skuBase || null;
+  for (const json of skuResponses || []) {
+    const stack = json.data?.apiStack || json.apiStack;
+    if (Array.isArray(stack) && stack[0]?.value) {
+      try {
+        const value = typeof stack[0].value === 'string' ? JSON.parse(stack[0].value) : stack[0].value;
+        add(value.skuCore?.sku2info || value.data?.skuCore?.sku2info || value.global?.data?.skuCore?.sku2info);
+        if (!skuBase?.props?.length) skuBase = value.skuBase || value.data?.skuBase || skuBase;
+      } catch {
+        // apiStack values that are not JSON carry no SKU data
+      }
+    }
+    add(json.data?.skuCore?.sku2info || json.skuCore?.sku2info);
+    if (!skuBase?.props?.length) skuBase = json.data?.skuBase || skuBase;
+  }
+
+  // Some layouts only put prices on skuBase.skus
+  for (const sku of skuBase?.skus || []) {
+    const id = String(sku.skuId || '');
+    if (id && !merged[id] && (sku.promotionPrice || sku.price)) {
+      merged[id] = { subPrice: sku.promotionPrice, price: sku.price };
+    }
+  }
+  return { sku2info: merged, skuBase };
+}
+
+// Option panel as rendered, for items whose context has no skuBase
+function parseDomOptions($) {
+  const root = $('#SkuPanel_tbpcDetail_ssr2025').length ? $('#SkuPanel_tbpcDetail_ssr2025') : $.root();
+  const options = [];
+  root.find('.skuItem--Z2AJB9Ew').each((_, item) => {
+    const label = $(item).find('.ItemLabel--psS1SOyC, .labelWrap--ffBEejeJ').first().text().trim();
+    const values = [];
+    $(item).find('.valueItem--smR4pNt4').each((__, valueEl) => {
+      const textEl = $(valueEl).find('.valueItemText--T7YrR8tO');
+      const original = (textEl.attr('title') || textEl.text() || '').trim();
+      const img = $(valueEl).find('.valueItemImgWrap--ZvA2Cmim img, img.valueItemImg--GC9bH5my');
+      if (original) values.push({ original, image: img.attr('src') || img.attr('data-src') || null });
+    });
+    if (label && values.length) options.push({ originalName: label, values });
+  });
+  return options;
+}
+
+/**
+ * SKU matrix from skuBase: each sku's propPath ("pid:vid;pid:vid") names
+ * one value per option. Without skuBase, the rendered option panel gives
+ * the values and every combination takes the item price.
+ */
+function parseSkus(snapshot) {
+  const $ = cheerio.load(snapshot.pages.product);
+  const context = contextOf(snapshot);
+  const res = resolveItemData(context);
+  const { sku2info, skuBase } = collectSkuInfo(res, context, snapshot.data?.skuResponses);
+
+  const props = (skuBase?.props || []).filter(prop => prop?.pid && Array.isArray(prop.values));
+  if (props.length > 0 && Array.isArray(skuBase.skus)) {
+    const propsByPid = new Map(props.map(prop => [String(prop.pid), prop]));
+    const options = props.map(prop => {
+      const isVisual = String(prop.pid) === COLOR_PID || String(prop.hasImage).toLowerCase() === 'true';
+      return {
+        originalName: prop.name,
+        values: prop.values.map(value => ({ original: value.name, image: isVisual ? (value.image || null) : null }))
+      };
+    });
+
+    const skus = [];
+    for (const sku of skuBase.skus) {
+      const combination = {};
+      let image = null;
+      for (const pair of String(sku.propPath || '').split(';')) {
+        const [pid, vid] = pair.split(':');
+        const prop = propsByPid.get(String(pid));
+        const value = prop?.values.find(v => String(v.vid) === String(vid));
+        if (!value) continue;
+        combination[prop.name] = value.name;
+        image = image || value.image || null;
+      }
+      const info = sku2info[String(sku.skuId)];
+      skus.push({ skuId: sku.skuId, combination, priceCny: priceFromInfo(info), image, available: isInStock(info) });
+    }
+    return { options, skus };
+  }
+
+  const options = parseDomOptions($);
+  if (options.length === 0) return { options: [], skus: [] };
+  // Cap the cartesian product; panels with more than this are not apparel-style grids
+  let combinations = [{}];
+  for (const option of options) {
+    combinations = combinations.flatMap(base => option.values.map(value => ({ ...base, [option.originalName]: value.original }))).slice(0, 200);
+  }
+  const basePrice = priceFromInfo(sku2info['0']);
+  return {
+    options,
+    skus: combinations.map(combination => ({ skuId: null, combination, priceCny: basePrice, image: null, available: true }))
+  };
+}
+
+function parseReviews(snapshot) {
+  const $ = cheerio.load(snapshot.pages.reviews || snapshot.pages.product);
+  return $('.Comment--H5QmJwe9').map((_, el) => ({
+    name: $(el).find('.userName--KpyzGX2s').text().trim(),
+    comment: $(el).find('.content--uonoOhaz').text().trim(),
+    option: $(el).find('.meta--PLijz6qf').text().trim(),
+    photos: $(el).find('.album--sq8vrGV3 img').map((__, img) => $(img).attr('src') || $(img).attr('data-src')).get()
+  })).get();
+}
+
+function parseProduct(snapshot) {
+  const $ = cheerio.load(snapshot.pages.product);
+  const context = contextOf(snapshot);
+  const res = resolveItemData(context);
+
+  const routes = Object.values(context?.loaderData || {});
+  const basicParams = res?.plusViewVO?.industryParamVO?.basicParamList
+    || routes.map(route => route?.data?.plusViewVO?.industryParamVO?.basicParamList).find(Array.isArray)
+    || [];
+  const specs = {};
+  for (const param of basicParams) {
+    const value = param?.valueName || param?.propertyValue || (param?.values || []).map(v => v?.name || v?.text).filter(Boolean).join('، ');
+    if (param?.propertyName && value) specs[param.propertyName] = value;
+  }
+  const weightText = Object.entries(specs).find(([key]) => key.includes('重量'))?.[1];
+  const weightGrams = weightText && /(\d+(?:\.\d+)?)\s*(g|克)/i.exec(weightText);
+  const weightKg = weightText && /(\d+(?:\.\d+)?)\s*(kg|千克|公斤)/i.exec(weightText);
+
+  const { options, skus } = parseSkus(snapshot);
+  const title = $('.mainTitle--R75fTcZL').first().text().trim() || res?.item?.title || $('title').text().replace(/-淘宝网|-tmall\.com天猫/g, '').trim();
+
+  return createScrapedProduct({
+    provider: PROVIDER,
+    url: normalizeUrl(snapshot.url),
+    sourceId: itemIdFromUrl(snapshot.url),
+    title,
+    description: $('.paramsWrap--H4YJB7Yk').text().trim() || $('meta[name="description"]').attr('content') || '',
+    specs,
+    priceCny: parsePriceCny($('[class*="price"]').first().text()) || parsePriceCny($('.tb-rmb-num').first().text()),
+    sellerName: res?.seller?.shopName || $('[class*="shopName"]').first().text().trim() || null,
+    images: [
+      ...$('.thumbnailItem--WQyauvvr img, .mainPicWrap--Ns5WQiHr img').map((_, img) => $(img).attr('src') || $(img).attr('data-src')).get(),
+      ...(res?.item?.images || [])
+    ].map(fullSizeImage),
+    descImages: $('.descV8-singleImage img').map((_, img) => $(img).attr('data-src') || $(img).attr('src')).get(),
+    options,
+    skus,
+    reviews: parseReviews(snapshot),
+    weightKg: weightKg ? parseFloat(weightKg[1]) : weightGrams ? parseFloat(weightGrams[1]) / 1000 : null
+  });
+}
+
+export default {
+  provider: PROVIDER,
+  matchUrl,
+  normalizeUrl,
+  isProductUrl: isItemUrl,
+  sourceIdFromUrl: itemIdFromUrl,
+  fetchListing,
+  fetchProduct,
+  parseListing,
+  parseProduct,
+  parseSkus,
+  parseReviews
+};
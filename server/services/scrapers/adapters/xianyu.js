@@ -0,0 +1,156 @@
+import * as cheerio from 'cheerio';
+import { assertNotBlocked, delay, humanDelay, safeGoto, scrollPage } from '../browserSession.js';
+import { absoluteUrl, createScrapedProduct, parsePriceCny } from '../scrapedProduct.js';
+
+// Xianyu (goofish.com) second-hand listings: one item, one price, no SKUs.
+const PROVIDER = 'XIANYU';
+
+const itemIdFromUrl = (url) => {
+  try {
+    return new URL(url).searchParams.get('id');
+  } catch {
+    return null;
+  }
+};
+
+function matchUrl(url) {
+  try {
+    return /(^|\.)goofish\.com$/.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+const isProductUrl = (url) => /goofish\.com\/item/.test(url) && Boolean(itemIdFromUrl(url));
+
+function normalizeUrl(url) {
+  const id = itemIdFromUrl(url);
+  return id && isProductUrl(url) ? `https://www.goofish.com/item?id=${id}` : url;
+}
+
+// Thumbnails carry size suffixes after the real extension
+const fullSizeImage = (src) => {
+  const url = absoluteUrl(src);
+  if (!url || /grey\.gif|avatar|icon|_32x32|_110x10000/.test(url)) return null;
+  return url.match(/(.*?\.(jpg|png|jpeg|heic))/i)?.[1] || url;
+};
+
+function parseListing(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const links = new Set();
+  $('a[href*="/item?id="], a[href*="goofish.com/item"]').each((_, el) => {
+    const href = absoluteUrl($(el).attr('href'), baseUrl);
+    if (href && isProductUrl(href) && !href.includes('login')) links.add(normalizeUrl(href));
+  });
+  return [...links];
+}
+
+async function fetchListing(page, url, { limit = 60, maxPages = 20, shouldStop = () => false } = {}) {
+  await safeGoto(page, url);
+  await assertNotBlocked(page);
+  await humanDelay(3000, 5000);
+
+  const links = new Set();
+  for (let pageIndex = 1; !shouldStop(); pageIndex++) {
+    await scrollPage(page, { maxSteps: 15 });
+    for (const link of parseListing(await page.content(), page.url())) links.add(link);
+    console.log(`[Xianyu] Listing page ${pageIndex}: ${links.size} links`);
+    if (links.size >= limit || pageIndex >= maxPages) break;
+
+    const firstBefore = await page.evaluate(() => document.querySelector('a[href*="item?id="]')?.href);
+    const clicked = await page.evaluate(() => {
+      const arrow = document.querySelector('.search-pagination-arrow-right--CKU78u4z');
+      const button = arrow?.closest('button') || arrow;
+      if (!button || button.disabled) return false;
+      button.click();
+      return true;
+    });
+    if (!clicked) break;
+    await page.waitForFunction(
+      (before) => document.querySelector('a[href*="item?id="]')?.href !== before,
+      { timeout: 15000 },
+      firstBefore
+    ).catch(() => null);
+    await humanDelay(5000, 8000);
+  }
+  return [...links].slice(0, limit);
+}
+
+async function fetchProduct(page, url) {
+  await safeGoto(page, url);
+  await assertNotBlocked(page);
+  await humanDelay(2000, 4000);
+  await page.click('.closeIconBg--cubvOqVh, .closeIcon--gwB7wNKs').catch(() => null);
+
+  // Each thumbnail click swaps the full-size image into the carousel
+  for (const thumb of await page.$$('.item-main-window-list-item--gXUlMEkj')) {
+    await thumb.click().catch(() => null);
+    await delay(800);
+  }
+  await humanDelay(1000, 2000);
+
+  return {
+    provider: PROVIDER,
+    url,
+    capturedAt: new Date().toISOString(),
+    pages: { product: await page.content() },
+    data: {}
+  };
+}
+
+// Listings like "2人小刀价¥35.00原价¥55包邮" show the price to pay before 包邮
+function parseListedPrice(text) {
+  const beforeFreeShipping = String(text || '').match(/(\d+(?:\.\d+)?)(?=[^\d]*包邮)/);
+  return beforeFreeShipping ? parseFloat(beforeFreeShipping[1]) : parsePriceCny(text);
+}
+
+function parseSkus() {
+  return { options: [], skus: [] };
+}
+
+function parseReviews() {
+  return [];
+}
+
+function parseProduct(snapshot) {
+  const $ = cheerio.load(snapshot.pages.product);
+
+  const priceText = $('.value--EyQBSInp .price--OEWLbcxC').first().text().trim()
+    || $('.value--EyQBSInp').first().text().replace(/\n/g, '').trim()
+    || $('.price-container--y2k82w00').first().text().trim()
+    || $('*').filter((_, el) => $(el).children().length === 0 && /[¥￥]\s*\d/.test($(el).text())).first().text();
+
+  const descEl = $('.desc--GaIUKUQY').first();
+  const description = descEl.length
+    ? (descEl.html() || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim()
+    : ($('meta[name="description"]').attr('content') || $('div[class*="desc--"]').first().text().trim());
+
+  let images = $('.carouselItem--jwFj0Jpa img').map((_, img) => $(img).attr('src')).get();
+  if (images.length === 0) images = $('img').map((_, img) => $(img).attr('src')).get();
+
+  const title = $('.title--qJ7HP_99').first().text().trim() || description.split('\n')[0].slice(0, 80) || $('title').text().trim();
+
+  return createScrapedProduct({
+    provider: PROVIDER,
+    url: normalizeUrl(snapshot.url),
+    sourceId: itemIdFromUrl(snapshot.url),
+    title,
+    description,
+    priceCny: parseListedPrice(priceText),
+    images: images.map(fullSizeImage)
+  });
+}
+
+export default {
+  provider: PROVIDER,
+  matchUrl,
+  normalizeUrl,
+  isProductUrl,
+  sourceIdFromUrl: itemIdFromUrl,
+  fetchListing,
+  fetchProduct,
+  parseListing,
+  parseProduct,
+  parseSkus,
+  parseReviews
+};
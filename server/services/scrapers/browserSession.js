@@ -0,0 +1,334 @@
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import vanillaPuppeteer from 'puppeteer-core';
+import puppeteerExtra from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+
+// Browser handling shared by every marketplace adapter: finding Chrome,
+// launching it (or attaching to one the operator already logged in with),
+// page hardening, navigation retries and rotating saved cookie sessions.
+const puppeteer = puppeteerExtra.addExtra(vanillaPuppeteer);
+puppeteer.use(StealthPlugin());
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.join(__dirname, '..', '..');
+// One JSON export per account; cookies.json is the file the server scraper used before
+const COOKIES_DIR = path.join(SERVER_DIR, 'cookies');
+const LEGACY_COOKIES_FILE = path.join(SERVER_DIR, 'cookies.json');
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const PROTOCOL_TIMEOUT_MS = 180000;
+const BLOCKED_URL_PATTERN = /login\.|passport\.|\/login|punish|captcha|verify/i;
+const BLOCKED_TITLE_PATTERN = /登录|Login|验证|captcha/i;
+
+function scraperError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Random pause between actions so a session does not click at machine speed
+export const humanDelay = (min = 1000, max = 3000) => delay(min + Math.floor(Math.random() * (max - min + 1)));
+
+/**
+ * Chrome to drive: an explicit env path, the path recorded by the Docker
+ * build, known Linux and Windows locations, then puppeteer's bundled build.
+ * @returns {Promise<string|null>}
+ */
+export async function getExecutablePath() {
+  const explicit = process.env.PUPPETEER_EXECUTABLE_PATH || process.env.SCRAPER_CHROME_PATH || process.env.PDD_CHROME_PATH;
+  if (explicit && fs.existsSync(explicit)) return explicit;
+
+  if (process.platform === 'linux') {
+    try {
+      const fromBuild = fs.existsSync('/tmp/chrome_path.txt') ? fs.readFileSync('/tmp/chrome_path.txt', 'utf8').trim() : '';
+      if (fromBuild && fs.existsSync(fromBuild)) return fromBuild;
+    } catch (e) {
+      console.warn('[Scraper] Failed to read /tmp/chrome_path.txt:', e.message);
+    }
+
+    const linuxPaths = [
+      '/usr/bin/google-chrome-stable',
+      '/usr/bin/google-chrome',
+      '/usr/bin/chromium',
+      '/usr/bin/chromium-browser',
+      '/opt/google/chrome/google-chrome'
+    ];
+    const found = linuxPaths.find(p => fs.existsSync(p));
+    if (found) return found;
+
+    try {
+      const fromWhich = execSync('which google-chrome-stable || which google-chrome || which chromium || which chromium-browser', { stdio: ['ignore', 'pipe', 'ignore'] })
+        .toString()
+        .trim();
+      if (fromWhich) return fromWhich;
+    } catch {
+      // Not on PATH either; fall through to the bundled build
+    }
+  }
+
+  if (process.platform === 'win32') {
+    const windowsPaths = [
+      'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+      'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+      process.env.LOCALAPPDATA && path.join(process.env.LOCALAPPDATA, 'Google', 'Chrome', 'Application', 'chrome.exe'),
+      'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe'
+    ].filter(Boolean);
+    const found = windowsPaths.find(p => fs.existsSync(p));
+    if (found) return found;
+  }
+
+  try {
+    const bundled = await import('puppeteer');
+    return bundled.executablePath?.() || bundled.default?.executablePath?.() || null;
+  } catch (e) {
+    console.warn('[Scraper] Bundled Chrome not found:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Residential proxy configured for the server, if any.
+ * @returns {{url: string, username?: string, password?: string}|null}
+ */
+export function getEnvProxy() {
+  const url = process.env.SCRAPER_PROXY_URL || process.env.BRIGHT_DATA_PROXY_URL;
+  if (!url) return null;
+  return {
+    url,
+    username: process.env.SCRAPER_PROXY_USERNAME || process.env.BRIGHT_DATA_USERNAME,
+    password: process.env.SCRAPER_PROXY_PASSWORD || process.env.BRIGHT_DATA_PASSWORD
+  };
+}
+
+function listCookieFiles() {
+  const files = fs.existsSync(COOKIES_DIR)
+    ? fs.readdirSync(COOKIES_DIR).filter(f => f.endsWith('.json')).map(f => path.join(COOKIES_DIR, f))
+    : [];
+  if (fs.existsSync(LEGACY_COOKIES_FILE)) files.push(LEGACY_COOKIES_FILE);
+  return files;
+}
+
+async function loadCookieFile(page, file) {
+  try {
+    const cookies = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(cookies) || cookies.length === 0) return false;
+    const client = await page.createCDPSession();
+    await client.send('Network.clearBrowserCookies');
+    await page.setCookie(...cookies);
+    return true;
+  } catch (e) {
+    console.warn(`[Scraper] Could not load cookies from ${path.basename(file)}:`, e.message);
+    return false;
+  }
+}
+
+/**
+ * Hides the usual automation tells and applies the default timeouts. The
+ * stealth plugin covers most of this; the overrides here are the ones the
+ * marketplaces were seen checking.
+ */
+export async function configurePage(page, { locale = 'zh-CN' } = {}) {
+  page.setDefaultTimeout(envNumber('PUPPETEER_DEFAULT_TIMEOUT_MS', DEFAULT_TIMEOUT_MS));
+  page.setDefaultNavigationTimeout(envNumber('PUPPETEER_DEFAULT_TIMEOUT_MS', DEFAULT_TIMEOUT_MS));
+  await page.setExtraHTTPHeaders({ 'Accept-Language': `${locale},${locale.split('-')[0]};q=0.9,en;q=0.8` });
+  await page.evaluateOnNewDocument((language) => {
+    Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+    Object.defineProperty(navigator, 'languages', { get: () => [language, language.split('-')[0], 'en'] });
+    Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
+    window.chrome = window.chrome || { runtime: {} };
+    const originalQuery = window.navigator.permissions?.query;
+    if (originalQuery) {
+      window.navigator.permissions.query = (parameters) => (
+        parameters.name === 'notifications'
+          ? Promise.resolve({ state: Notification.permission })
+          : originalQuery(parameters)
+      );
+    }
+  }, locale);
+}
+
+/**
+ * page.goto with retries for dropped connections and timeouts. A 429 waits
+ * longer before the next attempt.
+ */
+export async function safeGoto(page, url, options = {}, retries = 3) {
+  let lastError;
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded', ...options });
+      if (response?.status() === 429 && attempt < retries) {
+        console.warn(`[Scraper] Rate limited on ${url}, waiting before retry ${attempt + 1}`);
+        await delay(5000 * attempt);
+        continue;
+      }
+      return response;
+    } catch (error) {
+      lastError = error;
+      const retryable = /ERR_CONNECTION|net::ERR_|Timeout|timed out/i.test(error.message);
+      if (!retryable || attempt === retries) break;
+      console.warn(`[Scraper] Navigation to ${url} failed (${error.message}), retry ${attempt + 1}/${retries}`);
+      await delay(2000 * attempt);
+    }
+  }
+  throw lastError;
+}
+
+// Login walls and slider captchas come back as normal pages; catch them before parsing an empty shell
+export async function assertNotBlocked(page) {
+  const url = page.url();
+  const title = await page.title().catch(() => '');
+  if (BLOCKED_URL_PATTERN.test(url) || BLOCKED_TITLE_PATTERN.test(title)) {
+    throw scraperError(`Hit a login wall or captcha at ${url}. Log in with this profile or refresh the saved cookies.`, 502, 'SCRAPER_BLOCKED');
+  }
+}
+
+/**
+ * Scrolls down in steps so lazy-loaded listings and images render, stopping
+ * once the page height has not changed for a few steps.
+ */
+export async function scrollPage(page, { maxSteps = 40, stepRatio = 0.7, pauseMs = 700 } = {}) {
+  let lastHeight = 0;
+  let stable = 0;
+  for (let step = 0; step < maxSteps && stable < 3; step++) {
+    const height = await page.evaluate((ratio) => {
+      window.scrollBy(0, Math.floor(window.innerHeight * ratio));
+      return document.body.scrollHeight;
+    }, stepRatio);
+    stable = height === lastHeight ? stable + 1 : 0;
+    lastHeight = height;
+    await delay(pauseMs + Math.floor(Math.random() * 300));
+  }
+}
+
+/**
+ * Mouse-wheel scroll in uneven steps, for mobile layouts that ignore
+ * window.scrollBy or watch for human-looking input.
+ */
+export async function humanScroll(page, distance, { steps = 8, minStepDelay = 80, maxStepDelay = 200, variance = 0.3 } = {}) {
+  const base = distance / steps;
+  for (let i = 0; i < steps; i++) {
+    const jitter = 1 + (Math.random() * 2 - 1) * variance;
+    await page.mouse.wheel({ deltaY: Math.round(base * jitter) });
+    await humanDelay(minStepDelay, maxStepDelay);
+  }
+}
+
+// Clicks the first visible element whose own text matches, e.g. 下一页 for pagination
+export async function clickByText(page, text, selector = 'a, button, span, div') {
+  return page.evaluate((wanted, sel) => {
+    const candidates = Array.from(document.querySelectorAll(sel))
+      .filter(el => el.offsetParent !== null && el.textContent.trim() === wanted);
+    const target = candidates[0] || Array.from(document.querySelectorAll(sel))
+      .find(el => el.offsetParent !== null && el.children.length === 0 && el.textContent.includes(wanted));
+    if (!target) return false;
+    target.scrollIntoView({ block: 'center' });
+    (target.closest('a, button') || target).click();
+    return true;
+  }, text, selector);
+}
+
+async function connectToRunningBrowser(browserURL) {
+  try {
+    return await puppeteer.connect({ browserURL, defaultViewport: null, protocolTimeout: envNumber('PUPPETEER_PROTOCOL_TIMEOUT_MS', PROTOCOL_TIMEOUT_MS) });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Opens a browser for one scraping run. With browserURL it first tries to
+ * attach to a Chrome started with --remote-debugging-port, keeping that
+ * profile's login; otherwise it launches one. Pages opened through the
+ * session are hardened, authenticated against the proxy and given one of
+ * the saved cookie sets.
+ * @param {{headless?: boolean, proxy?: {url: string, username?: string, password?: string}|null, userDataDir?: string, browserURL?: string, locale?: string}} [options]
+ */
+export async function openBrowserSession(options = {}) {
+  const { headless = true, proxy = null, userDataDir, browserURL, locale = 'zh-CN' } = options;
+
+  let browser = browserURL ? await connectToRunningBrowser(browserURL) : null;
+  const attached = Boolean(browser);
+  if (!browser) {
+    const executablePath = await getExecutablePath();
+    if (!executablePath) {
+      throw scraperError('Chrome was not found. Set PUPPETEER_EXECUTABLE_PATH.', 500, 'BROWSER_UNAVAILABLE');
+    }
+    if (userDataDir) {
+      // A crashed run leaves the profile locked and the next launch fails silently
+      const lock = path.join(userDataDir, 'SingletonLock');
+      if (fs.existsSync(lock)) fs.rmSync(lock, { force: true });
+    }
+    browser = await puppeteer.launch({
+      executablePath,
+      headless: headless ? 'new' : false,
+      userDataDir,
+      defaultViewport: headless ? { width: 1366, height: 900 } : null,
+      ignoreHTTPSErrors: true,
+      protocolTimeout: envNumber('PUPPETEER_PROTOCOL_TIMEOUT_MS', PROTOCOL_TIMEOUT_MS),
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-blink-features=AutomationControlled',
+        `--lang=${locale}`,
+        ...(headless ? ['--disable-gpu'] : ['--start-maximized']),
+        ...(proxy ? [`--proxy-server=${proxy.url}`, '--ignore-certificate-errors'] : [])
+      ]
+    });
+  }
+
+  const cookieFiles = listCookieFiles();
+  let cookieFile = cookieFiles.length ? cookieFiles[Math.floor(Math.random() * cookieFiles.length)] : null;
+
+  return {
+    browser,
+
+    async newPage() {
+      const page = await browser.newPage();
+      await configurePage(page, { locale });
+      if (proxy?.username && proxy?.password) {
+        await page.authenticate({ username: proxy.username, password: proxy.password });
+      }
+      // An attached browser already carries the operator's login
+      if (cookieFile && !attached) await loadCookieFile(page, cookieFile);
+      return page;
+    },
+
+    /**
+     * Switches the page to a different saved cookie set after the current
+     * one got rate limited or challenged.
+     * @returns {Promise<boolean>} Whether another cookie set was available
+     */
+    async rotateCookies(page) {
+      const others = listCookieFiles().filter(f => f !== cookieFile);
+      if (others.length === 0) return false;
+      cookieFile = others[Math.floor(Math.random() * others.length)];
+      console.log(`[Scraper] Rotating to cookies from ${path.basename(cookieFile)}`);
+      return loadCookieFile(page, cookieFile);
+    },
+
+    // Writes the page's cookies back so a refreshed login survives the run
+    async saveCookies(page) {
+      const target = cookieFile || path.join(COOKIES_DIR, `session-${Date.now()}.json`);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, JSON.stringify(await page.cookies(), null, 2));
+      cookieFile = target;
+    },
+
+    async close() {
+      if (attached) await browser.disconnect();
+      else await browser.close();
+    }
+  };
+}
@@ -0,0 +1,255 @@
+import axios from 'axios';
+
+// Arabic name, specs, search metadata and option/review translations for a
+// ScrapedProduct, through DeepInfra's OpenAI-compatible chat endpoint.
+const CHAT_URL = 'https://api.deepinfra.com/v1/openai/chat/completions';
+const MAX_ATTEMPTS = 3;
+const TRANSLATE_CHUNK_SIZE = 20;
+
+// Option names the storefront already uses, so variants from different
+// marketplaces group under the same labels
+const OPTION_NAME_TRANSLATIONS = {
+  '颜色': 'اللون',
+  '颜色分类': 'اللون',
+  '主要颜色': 'اللون',
+  '尺码': 'المقاس',
+  '尺寸': 'المقاس',
+  '鞋码': 'المقاس',
+  '规格': 'النوع',
+  '型号': 'الموديل',
+  '款式': 'الموديل',
+  '套餐类型': 'الباقة'
+};
+
+// Placeholders the model sometimes echoes back from the prompt instead of a name
+const PLACEHOLDER_NAMES = [
+  'اسم غير متوفر',
+  'name not available',
+  'اسم المنتج بالعربيه',
+  'اسم المنتج بالعربية',
+  'put translated name here',
+  'arabic name',
+  'ترجمة اسم المنتج'
+];
+
+const CHINESE_PATTERN = /[㐀-鿿！-～¥￥]/g;
+const HAS_CHINESE = /[㐀-鿿]/;
+
+function enrichmentError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * One chat completion. Falls back to the second model when the first is
+ * busy or failing, and retries transient errors with a growing delay.
+ */
+async function chat(prompt, { maxTokens = 1000, temperature = 0.2 } = {}) {
+  if (!process.env.DEEPINFRA_API_KEY) {
+    throw enrichmentError('DEEPINFRA_API_KEY is not set', 500, 'ENRICHMENT_UNAVAILABLE');
+  }
+  const models = [
+    process.env.DEEPINFRA_MODEL || 'google/gemma-3-12b-it',
+    process.env.DEEPINFRA_FALLBACK_MODEL || 'google/gemma-3-27b-it'
+  ];
+  const timeout = Number(process.env.AI_TIMEOUT_MS) > 0 ? Number(process.env.AI_TIMEOUT_MS) : 120000;
+
+  let lastError;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const model = models[Math.min(attempt, models.length - 1)];
+    try {
+      const response = await axios.post(
+        CHAT_URL,
+        { model, messages: [{ role: 'user', content: prompt }], temperature, max_tokens: maxTokens },
+        {
+          headers: { 'Authorization': `Bearer ${process.env.DEEPINFRA_API_KEY}` },
+          timeout
+        }
+      );
+      return response.data?.choices?.[0]?.message?.content || '';
+    } catch (error) {
+      lastError = error;
+      if (!isRetryable(error)) break;
+      await delay(1500 * (attempt + 1));
+    }
+  }
+  throw enrichmentError(`Enrichment request failed: ${lastError?.message}`, 502, 'ENRICHMENT_FAILED');
+}
+
+/**
+ * Pulls the JSON value out of a model reply: drops code fences and trailing
+ * commas, then shortens the candidate from the end until it parses.
+ */
+export function parseModelJson(text, open = '{') {
+  const close = open === '{' ? '}' : ']';
+  const cleaned = String(text || '')
+    .replace(/```json/g, '')
+    .replace(/```/g, '')
+    .replace(/,(\s*[}\]])/g, '$1')
+    .trim();
+  const start = cleaned.indexOf(open);
+  if (start === -1) return null;
+  for (let end = cleaned.lastIndexOf(close); end > start; end = cleaned.lastIndexOf(close, end - 1)) {
+    try {
+      return JSON.parse(cleaned.slice(start, end + 1));
+    } catch {
+      // Keep shortening; the model often appends commentary after the JSON
+    }
+  }
+  return null;
+}
+
+const stripChinese = (value) => String(value ?? '').replace(CHINESE_PATTERN, '').replace(/\s+/g, ' ').trim();
+
+async function describeProduct(product) {
+  const specsText = Object.entries(product.specs).map(([k, v]) => `${k}: ${v}`).join('\n');
+  const prompt = `
+You are a product data enrichment assistant for an Iraqi e-commerce site.
+
+Original Product Title (Chinese): "${product.originalTitle.slice(0, 220)}"
+Product Description: "${(product.description || specsText).slice(0, 600)}"
+Price: "${product.priceCny ?? ''} CNY"
+
+Task:
+1. Translate the product name to natural ARABIC. Keep a brand in English only if it is a well-known international brand. Remove marketing fluff like "hot sale", "new arrival", "2024". Never output "No Brand", "Generic" or placeholder text.
+2. Extract "product_details_ar" as a key-value JSON object in ARABIC. Exclude return policy, shipping, guarantee and price information, empty values and Chinese characters.
+3. Generate "aiMetadata": "synonyms" (3-5 Arabic names for this product), "market_tags" (3-5 Arabic tags) and "category_suggestion" (a specific Arabic category path).
+4. Set "is_edible" to true for food, drinks, snacks, ingredients, supplements, vitamins or medicine; false otherwise. A food container is not edible. If in doubt, set true.
+
+Return ONLY a valid JSON object (no markdown):
+{
+  "product_name_ar": "...",
+  "is_edible": false,
+  "product_details_ar": { "المادة": "..." },
+  "aiMetadata": { "synonyms": [], "market_tags": [], "category_suggestion": "" }
+}
+`;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const parsed = parseModelJson(await chat(prompt, { maxTokens: 1000, temperature: 0.2 }));
+    const name = stripChinese(parsed?.product_name_ar);
+    const lowered = name.toLowerCase();
+    if (!name || PLACEHOLDER_NAMES.some(placeholder => lowered.includes(placeholder))) continue;
+
+    const specs = {};
+    const details = parsed.product_details_ar && typeof parsed.product_details_ar === 'object' ? parsed.product_details_ar : {};
+    for (const [key, value] of Object.entries(details)) {
+      const k = stripChinese(key);
+      const v = stripChinese(typeof value === 'object' ? JSON.stringify(value) : value);
+      if (k && v) specs[k] = v;
+    }
+    return {
+      name,
+      specs,
+      isEdible: parsed.is_edible === true,
+      aiMetadata: parsed.aiMetadata && typeof parsed.aiMetadata === 'object' ? parsed.aiMetadata : null
+    };
+  }
+  throw enrichmentError('Enrichment did not return a usable product name', 502, 'ENRICHMENT_FAILED');
+}
+
+/**
+ * Translates short texts such as option values. Texts the model skipped map
+ * to themselves, so a failed chunk leaves the original rather than a gap.
+ * @param {string[]} texts
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function translateTexts(texts) {
+  const unique = [...new Set(texts.map(t => String(t || '').trim()).filter(Boolean))];
+  const translations = new Map(unique.map(text => [text, text]));
+  const pending = unique.filter(text => HAS_CHINESE.test(text));
+
+  for (let i = 0; i < pending.length; i += TRANSLATE_CHUNK_SIZE) {
+    const chunk = pending.slice(i, i + TRANSLATE_CHUNK_SIZE);
+    const prompt = `
+Translate these product option names and values (colors, sizes, styles) to Arabic.
+Keep numbers, sizes like XL and units (cm, mm, kg) as they are.
+Return ONLY a JSON object where keys are the original text and values are the translation.
+Example: {"红色": "أحمر", "XL": "XL"}
+Input: ${JSON.stringify(chunk)}
+`;
+    try {
+      const parsed = parseModelJson(await chat(prompt, { maxTokens: 1000, temperature: 0.3 }));
+      for (const original of chunk) {
+        const translated = stripChinese(parsed?.[original]);
+        if (translated) translations.set(original, translated);
+      }
+    } catch (error) {
+      console.warn('[Enrichment] Option translation failed:', error.message);
+    }
+  }
+  return translations;
+}
+
+async function translateReviews(reviews) {
+  const comments = reviews.map(review => review.comment);
+  if (!comments.some(Boolean)) return reviews;
+  const prompt = `
+Translate these product review comments to Arabic.
+Return ONLY a JSON array, same length and order.
+Each item: {"c": "translated comment"}
+Input: ${JSON.stringify(comments)}
+`;
+  try {
+    const parsed = parseModelJson(await chat(prompt, { maxTokens: 1500, temperature: 0.3 }), '[');
+    if (!Array.isArray(parsed) || parsed.length !== comments.length) return reviews;
+    return reviews.map((review, i) => ({ ...review, comment: String(parsed[i]?.c || '').trim() || review.comment }));
+  } catch (error) {
+    console.warn('[Enrichment] Review translation failed:', error.message);
+    return reviews;
+  }
+}
+
+// Two originals can translate to the same word (深灰/浅灰 -> رمادي); variants
+// are matched by value, so the later ones get a number
+function uniqueValueNames(values, translations) {
+  const used = new Map();
+  return values.map(value => {
+    const base = translations.get(value.original) || value.original;
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    return { ...value, value: count === 1 ? base : `${base} ${count}` };
+  });
+}
+
+/**
+ * Fills the Arabic fields of a scraped product. Option and review
+ * translations are best effort; a missing product name fails the product.
+ * @param {import('./scrapedProduct.js').ScrapedProduct} product
+ * @returns {Promise<import('./scrapedProduct.js').ScrapedProduct>}
+ */
+export async function enrichScrapedProduct(product) {
+  const details = await describeProduct(product);
+
+  const texts = [];
+  for (const option of product.options) {
+    if (!OPTION_NAME_TRANSLATIONS[option.originalName]) texts.push(option.originalName);
+    for (const value of option.values) texts.push(value.original);
+  }
+  const translations = await translateTexts(texts);
+  const reviews = await translateReviews(product.reviews);
+
+  return {
+    ...product,
+    title: details.name,
+    specs: Object.keys(details.specs).length > 0 ? details.specs : product.specs,
+    aiMetadata: details.aiMetadata,
+    isEdible: details.isEdible,
+    options: product.options.map(option => ({
+      ...option,
+      name: OPTION_NAME_TRANSLATIONS[option.originalName] || translations.get(option.originalName) || option.originalName,
+      values: uniqueValueNames(option.values, translations)
+    })),
+    reviews,
+    enriched: true
+  };
+}
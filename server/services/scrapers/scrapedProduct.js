@@ -0,0 +1,257 @@
+// The one shape every marketplace adapter produces and the save path consumes.
+// Kept free of database and browser imports so parsers can run on saved pages.
+
+export const SCRAPER_PROVIDERS = ['TAOBAO', 'PDD', '1688', 'XIANYU'];
+export const MAX_SCRAPED_REVIEWS = 8;
+const MAX_IMAGES = 20;
+const MAX_DESC_IMAGES = 40;
+
+/**
+ * @typedef {Object} ScrapedOptionValue
+ * @property {string} original  Value as shown on the marketplace
+ * @property {string} [value]   Translated value, set by enrichment
+ * @property {string|null} [image]
+ */
+
+/**
+ * @typedef {Object} ScrapedOption
+ * @property {string} originalName  e.g. 颜色分类
+ * @property {string} [name]        Translated name, set by enrichment
+ * @property {ScrapedOptionValue[]} values
+ */
+
+/**
+ * @typedef {Object} ScrapedSku
+ * @property {string|null} skuId
+ * @property {Object<string, string>} combination  Original option name -> original value
+ * @property {number|null} priceCny
+ * @property {string|null} image
+ * @property {boolean} available
+ * @property {number|null} [weightKg]
+ */
+
+/**
+ * @typedef {Object} ScrapedReview
+ * @property {string} name
+ * @property {string} comment
+ * @property {string[]} photos
+ * @property {string|null} option  Variant the reviewer bought, when shown
+ */
+
+/**
+ * @typedef {Object} ScrapedProduct
+ * @property {string} provider  One of SCRAPER_PROVIDERS
+ * @property {string} url       Normalized product URL, used for de-duplication
+ * @property {string|null} sourceId  Item id on the marketplace
+ * @property {string} title     Translated once enriched, otherwise the original
+ * @property {string} originalTitle
+ * @property {string} description
+ * @property {Object<string, string>} specs
+ * @property {number|null} priceCny  Lowest available price
+ * @property {number|null} domesticShippingCny
+ * @property {string|null} sellerName
+ * @property {string[]} images
+ * @property {string[]} descImages
+ * @property {ScrapedOption[]} options
+ * @property {ScrapedSku[]} skus
+ * @property {ScrapedReview[]} reviews
+ * @property {number|null} weightKg
+ * @property {Object|null} aiMetadata
+ * @property {boolean|null} isEdible
+ * @property {boolean} enriched
+ */
+
+const cleanText = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+
+const positiveNumber = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/** Makes protocol-relative and root-relative URLs absolute. */
+export function absoluteUrl(src, base) {
+  if (!src || typeof src !== 'string') return null;
+  const trimmed = src.trim();
+  if (trimmed.startsWith('data:')) return null;
+  if (trimmed.startsWith('//')) return `https:${trimmed}`;
+  if (/^https?:\/\//i.test(trimmed)) return trimmed;
+  if (!base) return null;
+  try {
+    return new URL(trimmed, base).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * First price in a text such as "¥35.9", "35 - 50" or "券后¥12起". Ranges
+ * give their lower bound.
+ * @returns {number|null}
+ */
+export function parsePriceCny(text) {
+  if (text === null || text === undefined) return null;
+  const match = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+  return match ? positiveNumber(match[1]) : null;
+}
+
+/**
+ * Reads the object literal starting at the first "{" at or after fromIndex in
+ * a script's text, for pages that embed their state as
+ * `window.x = {...}`. Unquoted numeric keys, which some pages emit, are
+ * quoted before giving up.
+ * @returns {Object|null}
+ */
+export function readEmbeddedJson(text, fromIndex = 0) {
+  const start = text.indexOf('{', fromIndex);
+  if (start === -1) return null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}' && --depth === 0) {
+      const literal = text.slice(start, i + 1);
+      try {
+        return JSON.parse(literal);
+      } catch {
+        try {
+          return JSON.parse(literal.replace(/([{,])(\d+):/g, '$1"$2":'));
+        } catch {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+const uniqueUrls = (urls, limit) => {
+  const seen = new Set();
+  const result = [];
+  for (const raw of urls || []) {
+    const url = absoluteUrl(raw);
+    if (!url || seen.has(url)) continue;
+    seen.add(url);
+    result.push(url);
+    if (result.length >= limit) break;
+  }
+  return result;
+};
+
+// Options come from the adapter when the page lists them; otherwise they are
+// rebuilt from the SKU combinations so both always agree
+function normalizeOptions(options, skus) {
+  const byName = new Map();
+  const addValue = (originalName, value) => {
+    const name = cleanText(originalName);
+    const original = cleanText(value?.original);
+    if (!name || !original) return;
+    if (!byName.has(name)) byName.set(name, { originalName: name, values: [] });
+    const option = byName.get(name);
+    const existing = option.values.find(v => v.original === original);
+    if (existing) {
+      existing.image = existing.image || absoluteUrl(value.image) || null;
+      return;
+    }
+    option.values.push({
+      original,
+      ...(value.value ? { value: cleanText(value.value) } : {}),
+      image: absoluteUrl(value.image) || null
+    });
+  };
+
+  for (const option of options || []) {
+    for (const value of option.values || []) addValue(option.originalName, value);
+    if (option.name && byName.has(cleanText(option.originalName))) {
+      byName.get(cleanText(option.originalName)).name = cleanText(option.name);
+    }
+  }
+  for (const sku of skus) {
+    for (const [name, original] of Object.entries(sku.combination)) {
+      addValue(name, { original, image: Object.keys(sku.combination).length === 1 ? sku.image : null });
+    }
+  }
+  return [...byName.values()].filter(option => option.values.length > 0);
+}
+
+/**
+ * Normalizes what an adapter parsed: trims text, makes image URLs absolute
+ * and unique, drops SKUs without a combination and fills priceCny with the
+ * cheapest available SKU when the page had no single price.
+ * @param {Partial<ScrapedProduct>} fields
+ * @returns {ScrapedProduct}
+ */
+export function createScrapedProduct(fields) {
+  const skus = (fields.skus || [])
+    .filter(sku => sku?.combination && Object.keys(sku.combination).length > 0)
+    .map(sku => ({
+      skuId: sku.skuId ? String(sku.skuId) : null,
+      combination: Object.fromEntries(Object.entries(sku.combination).map(([k, v]) => [cleanText(k), cleanText(String(v))])),
+      priceCny: positiveNumber(sku.priceCny),
+      image: absoluteUrl(sku.image) || null,
+      available: sku.available !== false,
+      weightKg: positiveNumber(sku.weightKg)
+    }));
+
+  const skuPrices = skus.filter(sku => sku.available && sku.priceCny).map(sku => sku.priceCny);
+  const images = uniqueUrls(fields.images, MAX_IMAGES);
+  const gallery = new Set(images);
+
+  const specs = {};
+  for (const [key, value] of Object.entries(fields.specs || {})) {
+    const k = cleanText(key);
+    const v = cleanText(String(value ?? ''));
+    if (k && v) specs[k] = v;
+  }
+
+  return {
+    provider: fields.provider,
+    url: fields.url,
+    sourceId: fields.sourceId ? String(fields.sourceId) : null,
+    title: cleanText(fields.title),
+    originalTitle: cleanText(fields.originalTitle ?? fields.title),
+    description: typeof fields.description === 'string' ? fields.description.trim() : '',
+    specs,
+    priceCny: skuPrices.length ? Math.min(...skuPrices) : positiveNumber(fields.priceCny),
+    domesticShippingCny: Number.isFinite(fields.domesticShippingCny) && fields.domesticShippingCny >= 0 ? fields.domesticShippingCny : null,
+    sellerName: cleanText(fields.sellerName) || null,
+    images,
+    descImages: uniqueUrls(fields.descImages, MAX_DESC_IMAGES + gallery.size).filter(url => !gallery.has(url)).slice(0, MAX_DESC_IMAGES),
+    options: normalizeOptions(fields.options, skus),
+    skus,
+    reviews: (fields.reviews || [])
+      .map(review => ({
+        name: cleanText(review.name),
+        comment: cleanText(review.comment),
+        photos: uniqueUrls(review.photos, 9),
+        option: cleanText(review.option) || null
+      }))
+      .filter(review => review.comment || review.photos.length > 0)
+      .slice(0, MAX_SCRAPED_REVIEWS),
+    weightKg: positiveNumber(fields.weightKg),
+    aiMetadata: fields.aiMetadata || null,
+    isEdible: typeof fields.isEdible === 'boolean' ? fields.isEdible : null,
+    enriched: Boolean(fields.enriched)
+  };
+}
+
+/**
+ * Fields a product cannot be saved without.
+ * @param {ScrapedProduct} product
+ * @returns {string[]} Names of the missing fields, empty when complete
+ */
+export function missingScrapedFields(product) {
+  const missing = [];
+  if (!product.title) missing.push('title');
+  if (!product.priceCny) missing.push('priceCny');
+  if (product.images.length === 0) missing.push('images');
+  return missing;
+}
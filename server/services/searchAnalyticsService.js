@@ -0,0 +1,233 @@
+import prisma from '../prismaClient.js';
+import { normalizeSearchText } from './searchDictionaryService.js';
+
+// A search is "low click-through" only once it has enough traffic to judge
+const LOW_CTR_MIN_SEARCHES = 5;
+const LOW_CTR_THRESHOLD = 0.1;
+// The storefront falls back from /api/products to /api/search on empty
+// results; the fallback updates the first event instead of adding a second.
+const FALLBACK_WINDOW_MS = 5 * 60 * 1000;
+
+function analyticsError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Stores one search event and returns its id, which the storefront sends back
+ * with clicks and cart adds. Analytics must never break search, so failures
+ * are logged and return null.
+ * @param {Object} event
+ * @param {string} event.query - Raw query as typed
+ * @param {number} event.resultCount - Total matches, not just the page
+ * @param {string} event.engine - Which search path answered (db, hybrid, fast-arabic, ...)
+ * @param {string} event.source - Route that ran the search
+ * @param {number|null} [event.userId]
+ * @param {string|null} [event.sessionId]
+ * @param {number|null} [event.searchId] - Event to update instead of creating one
+ */
+export async function recordSearch({ query, resultCount, engine, source, userId = null, sessionId = null, searchId = null }) {
+  const text = String(query || '').trim();
+  if (!text) return null;
+
+  try {
+    if (searchId) {
+      const { count } = await prisma.searchHistory.updateMany({
+        where: {
+          id: searchId,
+          normalizedQuery: normalizeSearchText(text),
+          createdAt: { gte: new Date(Date.now() - FALLBACK_WINDOW_MS) }
+        },
+        data: { resultCount, engine, source }
+      });
+      if (count > 0) return searchId;
+    }
+
+    const event = await prisma.searchHistory.create({
+      data: {
+        query: text.slice(0, 200),
+        normalizedQuery: normalizeSearchText(text).slice(0, 200),
+        resultCount,
+        engine,
+        source,
+        userId,
+        sessionId: sessionId ? String(sessionId).slice(0, 100) : null
+      },
+      select: { id: true }
+    });
+    return event.id;
+  } catch (error) {
+    console.error('[SearchAnalytics] Failed to record search:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Search pages on Taobao, 1688 and Pinduoduo for a query nobody could find,
+ * so an admin can pick a listing and import it with the scraper.
+ */
+export function buildSourcingLinks(query) {
+  const q = encodeURIComponent(String(query || '').trim());
+  return {
+    TAOBAO: `https://s.taobao.com/search?q=${q}`,
+    '1688': `https://s.1688.com/selloffer/offer_search.htm?keywords=${q}`,
+    PDD: `https://mobile.yangkeduo.com/search_result.html?search_key=${q}`
+  };
+}
+
+function parseWindow({ days = 30, limit = 20 } = {}) {
+  const parsedDays = parseInt(days);
+  const parsedLimit = parseInt(limit);
+  if (Number.isNaN(parsedDays) || parsedDays < 1 || parsedDays > 365) {
+    throw analyticsError('days must be between 1 and 365', 400, 'INVALID_RANGE');
+  }
+  return {
+    days: parsedDays,
+    limit: Math.min(100, Math.max(1, Number.isNaN(parsedLimit) ? 20 : parsedLimit)),
+    since: new Date(Date.now() - parsedDays * 24 * 60 * 60 * 1000)
+  };
+}
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+// Per-query aggregates; a search counts as clicked or carted once however
+// many products were opened from it.
+async function aggregateQueries(since) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      s."normalizedQuery" AS "query",
+      MIN(s.query) AS "example",
+      COUNT(*)::int AS "searches",
+      COUNT(*) FILTER (WHERE s."resultCount" = 0)::int AS "zeroResults",
+      COALESCE(ROUND(AVG(s."resultCount")), 0)::int AS "avgResults",
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM "UserInteraction" ui WHERE ui."searchId" = s.id AND ui.type = 'CLICK'
+      ))::int AS "clicked",
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM "UserInteraction" ui WHERE ui."searchId" = s.id AND ui.type = 'CART'
+      ))::int AS "carted",
+      MAX(s."createdAt") AS "lastSearchedAt"
+    FROM "SearchHistory" s
+    WHERE s."createdAt" >= ${since} AND s."normalizedQuery" IS NOT NULL
+    GROUP BY s."normalizedQuery"
+  `;
+  return rows.map(row => ({
+    ...row,
+    clickThroughRate: rate(row.clicked, row.searches - row.zeroResults),
+    cartRate: rate(row.carted, row.searches - row.zeroResults)
+  }));
+}
+
+/**
+ * Report for the admin dashboard: totals, top queries, zero-result queries
+ * (with sourcing links), queries people search but do not click, terms that
+ * are rising compared with the previous period, and a daily series.
+ */
+export async function getSearchAnalytics(options = {}) {
+  const { days, limit, since } = parseWindow(options);
+  const previousSince = new Date(since.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const [queries, previousCounts, daily] = await Promise.all([
+    aggregateQueries(since),
+    prisma.searchHistory.groupBy({
+      by: ['normalizedQuery'],
+      where: { createdAt: { gte: previousSince, lt: since }, normalizedQuery: { not: null } },
+      _count: { _all: true }
+    }),
+    prisma.$queryRaw`
+      SELECT
+        date_trunc('day', "createdAt") AS "date",
+        COUNT(*)::int AS "searches",
+        COUNT(*) FILTER (WHERE "resultCount" = 0)::int AS "zeroResults"
+      FROM "SearchHistory"
+      WHERE "createdAt" >= ${since}
+      GROUP BY 1
+      ORDER BY 1
+    `
+  ]);
+
+  const totals = queries.reduce((acc, q) => {
+    acc.searches += q.searches;
+    acc.zeroResults += q.zeroResults;
+    acc.clicked += q.clicked;
+    acc.carted += q.carted;
+    return acc;
+  }, { searches: 0, zeroResults: 0, clicked: 0, carted: 0 });
+
+  const previousByQuery = new Map(previousCounts.map(row => [row.normalizedQuery, row._count._all]));
+
+  const topQueries = [...queries]
+    .sort((a, b) => b.searches - a.searches)
+    .slice(0, limit);
+
+  const zeroResultQueries = queries
+    .filter(q => q.zeroResults > 0)
+    .sort((a, b) => b.zeroResults - a.zeroResults || b.lastSearchedAt - a.lastSearchedAt)
+    .slice(0, limit)
+    .map(q => ({
+      query: q.query,
+      example: q.example,
+      searches: q.zeroResults,
+      lastSearchedAt: q.lastSearchedAt,
+      sourcingLinks: buildSourcingLinks(q.example)
+    }));
+
+  const lowClickThroughQueries = queries
+    .filter(q => q.searches - q.zeroResults >= LOW_CTR_MIN_SEARCHES && q.clickThroughRate < LOW_CTR_THRESHOLD)
+    .sort((a, b) => a.clickThroughRate - b.clickThroughRate || b.searches - a.searches)
+    .slice(0, limit);
+
+  // Growth against the previous window; new terms need a few searches to count
+  const trendingQueries = queries
+    .map(q => {
+      const previous = previousByQuery.get(q.query) || 0;
+      return { query: q.query, searches: q.searches, previous, growth: rate(q.searches - previous, Math.max(previous, 1)) };
+    })
+    .filter(q => q.searches > q.previous && (q.previous > 0 || q.searches >= 3))
+    .sort((a, b) => b.growth - a.growth || b.searches - a.searches)
+    .slice(0, limit);
+
+  return {
+    days,
+    summary: {
+      ...totals,
+      uniqueQueries: queries.length,
+      zeroResultRate: rate(totals.zeroResults, totals.searches),
+      clickThroughRate: rate(totals.clicked, totals.searches - totals.zeroResults),
+      cartRate: rate(totals.carted, totals.searches - totals.zeroResults)
+    },
+    topQueries,
+    zeroResultQueries,
+    lowClickThroughQueries,
+    trendingQueries,
+    daily
+  };
+}
+
+/**
+ * Daily searches, zero-result searches and clicks for one query, for charting
+ * a trending term.
+ */
+export async function getQueryTimeline(query, options = {}) {
+  const normalized = normalizeSearchText(query);
+  if (!normalized) {
+    throw analyticsError('q is required', 400, 'INVALID_QUERY');
+  }
+  const { days, since } = parseWindow(options);
+  const daily = await prisma.$queryRaw`
+    SELECT
+      date_trunc('day', s."createdAt") AS "date",
+      COUNT(*)::int AS "searches",
+      COUNT(*) FILTER (WHERE s."resultCount" = 0)::int AS "zeroResults",
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM "UserInteraction" ui WHERE ui."searchId" = s.id AND ui.type = 'CLICK'
+      ))::int AS "clicked"
+    FROM "SearchHistory" s
+    WHERE s."normalizedQuery" = ${normalized} AND s."createdAt" >= ${since}
+    GROUP BY 1
+    ORDER BY 1
+  `;
+  return { query: normalized, days, daily };
+}
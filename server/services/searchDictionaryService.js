@@ -0,0 +1,427 @@
+import prisma from '../prismaClient.js';
+
+export const DICTIONARY_TYPES = ['SYNONYM', 'STOP_WORD', 'CORRECTION'];
+
+// Entries created on first start; admins edit them from then on.
+// Synonym groups are symmetric: a query for any member also matches the others.
+const DEFAULT_ENTRIES = [
+  ...Object.entries({
+    'ميز': ['طاوله', 'مكتب', 'desk', 'table'],
+    'جربايه': ['سرير', 'bed'],
+    'قنفه': ['اريكه', 'كنبه', 'sofa', 'couch'],
+    'برده': ['ستاره', 'curtain'],
+    'بنكه': ['مروحه', 'fan'],
+    'ثلاجه': ['براد', 'refrigerator', 'fridge'],
+    'مجمد': ['فريزر', 'freezer'],
+    'طباخ': ['فرن', 'غاز', 'stove', 'oven'],
+    'كاونتر': ['خزانه مطبخ', 'kitchen cabinet'],
+    'دوشك': ['مرتبه', 'mattress'],
+    'شرشف': ['مفرش', 'غطاء', 'sheet', 'cover'],
+    'كرسي': ['chair'],
+    'مكتب': ['desk', 'office'],
+    'خاولي': ['منشفه', 'towel'],
+    'تراكي': ['اقراط', 'حلق', 'earrings'],
+    'سوار': ['اسواره', 'bracelet'],
+    'جنطه': ['حقيبه', 'bag', 'backpack'],
+    'قاط': ['بدله', 'suit'],
+    'دشداشه': ['جلابيه', 'ثوب', 'dress', 'robe'],
+    'حذاء': ['بوط', 'جزم', 'shoes', 'boots'],
+    'نعال': ['شبشب', 'slippers'],
+    'شحاطه': ['صندل', 'sandals'],
+    'كلاو': ['قبعه', 'hat', 'cap'],
+    'تيشيرت': ['t-shirt', 'shirt'],
+    'قميص': ['shirt'],
+    'بنطلون': ['pants', 'trousers', 'jeans'],
+    'فستان': ['dress'],
+    'تنوره': ['skirt'],
+    'بايدر': ['دراجه', 'bike', 'bicycle'],
+    'سياره': ['عربه', 'car'],
+    'تلفزيون': ['شاشه', 'tv', 'television', 'monitor'],
+    'موبايل': ['هاتف', 'جوال', 'mobile', 'phone'],
+    'لابتوب': ['حاسوب', 'كمبيوتر', 'laptop', 'computer'],
+    'شاحنه': ['charger'],
+    'سماعه': ['headphone', 'speaker', 'headset'],
+    'كاميرا': ['camera'],
+    'نساء': ['women', 'woman', 'female', 'ladies'],
+    'نسائي': ['women', 'woman', 'female', 'ladies'],
+    'رجال': ['men', 'man', 'male'],
+    'رجالي': ['men', 'man', 'male'],
+    'اطفال': ['kids', 'children'],
+    'ولادي': ['boys'],
+    'بناتي': ['girls'],
+    'شلون': ['كيف', 'حاله'],
+    'خوش': ['جيد', 'ممتاز', 'اصلي'],
+    'هوايه': ['كثير', 'جدا'],
+    'ماكو': ['ليس', 'لا يوجد'],
+    'اكو': ['يوجد', 'موجود'],
+    'هسه': ['الان', 'حاليا'],
+    'اريد': ['اطلب', 'احتاج'],
+    'بلاش': ['مجاني', 'رخيص'],
+    'هدوم': ['ملابس', 'ازياء'],
+    'قندره': ['حذاء'],
+    'جواتي': ['حذاء', 'رياضي'],
+    'دشدشه': ['ثوب', 'ملابس'],
+    'عركيه': ['قبعه'],
+    'ياخه': ['ياقه', 'قميص']
+  }).map(([term, values]) => ({ type: 'SYNONYM', term, values })),
+  ...['في', 'من', 'على', 'مع', 'عن', 'الى', 'او', 'و', 'لـ', 'بـ'].map(term => ({ type: 'STOP_WORD', term, values: [] }))
+];
+
+const DICTIONARY_REFRESH_MS = 60 * 1000;
+const MAX_VARIANTS_PER_TOKEN = 24;
+
+function dictionaryError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Canonical spelling used on both sides of a comparison: lower case, no
+ * diacritics or tatweel, one form of alef/teh marbuta/yeh, Iraqi and Persian
+ * letters mapped to standard Arabic, Arabic-Indic digits to ASCII.
+ */
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, '')
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/گ/g, 'ق')
+    .replace(/چ/g, 'ج')
+    .replace(/پ/g, 'ب')
+    .replace(/ڤ/g, 'ف')
+    .replace(/ناسائ/g, 'نسائ')
+    .replace(/ناسا/g, 'نسا')
+    .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[\\/.,()!?;:،؛؟"'«»]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+const SUFFIXES = ['ات', 'ون', 'ين', 'ان', 'يه', 'ها', 'ه', 'ي'];
+
+/**
+ * Light stemming: one article/conjunction prefix and one plural, feminine or
+ * possessive suffix, as long as a stem of three letters remains.
+ */
+export function stemArabic(token) {
+  if (!/[\u0600-\u06FF]/.test(token)) return token;
+  let stem = token;
+  const prefix = PREFIXES.find(p => stem.startsWith(p) && stem.length - p.length >= 3);
+  if (prefix) stem = stem.slice(prefix.length);
+  const suffix = SUFFIXES.find(s => stem.endsWith(s) && stem.length - s.length >= 3);
+  if (suffix) stem = stem.slice(0, -suffix.length);
+  return stem;
+}
+
+/**
+ * Spellings a normalized word may have in stored product names, which are not
+ * normalized: final teh marbuta and alef maqsura, hamza on a leading alef.
+ */
+export function surfaceForms(word) {
+  const forms = new Set([word]);
+  if (word.endsWith('ه')) forms.add(word.slice(0, -1) + 'ة');
+  if (word.endsWith('ي')) forms.add(word.slice(0, -1) + 'ى');
+  for (const form of [...forms]) {
+    const alef = form.startsWith('الا') ? 2 : (form.startsWith('ا') ? 0 : -1);
+    if (alef >= 0) {
+      forms.add(form.slice(0, alef) + 'أ' + form.slice(alef + 1));
+      forms.add(form.slice(0, alef) + 'إ' + form.slice(alef + 1));
+    }
+  }
+  return [...forms];
+}
+
+// Damerau-Levenshtein distance, giving up once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, rows[i][j]);
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+function buildDictionary(entries) {
+  const synonyms = new Map();
+  const stopWords = new Set();
+  const corrections = new Map();
+
+  const words = new Set();
+  const link = (word, others) => {
+    if (!synonyms.has(word)) synonyms.set(word, new Set());
+    for (const other of others) if (other !== word) synonyms.get(word).add(other);
+  };
+
+  for (const entry of entries) {
+    if (entry.isActive === false) continue;
+    const term = normalizeSearchText(entry.term);
+    const values = (entry.values || []).map(normalizeSearchText).filter(Boolean);
+    if (!term) continue;
+    if (entry.type === 'STOP_WORD') {
+      stopWords.add(term);
+    } else if (entry.type === 'CORRECTION' && values[0]) {
+      corrections.set(term, values[0]);
+    } else if (entry.type === 'SYNONYM') {
+      const group = [term, ...values];
+      for (const word of group) {
+        words.add(word);
+        link(word, group);
+        // Inflected forms of a member reach the group through their shared stem
+        const stem = stemArabic(word);
+        if (stem !== word) link(stem, group);
+      }
+    }
+  }
+
+  // Known words a typo can be corrected to
+  const vocabulary = new Set([...words, ...corrections.values()].filter(w => !w.includes(' ')));
+  return { synonyms, stopWords, corrections, vocabulary };
+}
+
+let dictionary = buildDictionary(DEFAULT_ENTRIES);
+let dictionaryLoadedAt = 0;
+
+export async function refreshSearchDictionary() {
+  const entries = await prisma.searchDictionaryEntry.findMany({ where: { isActive: true } });
+  dictionary = buildDictionary(entries);
+  dictionaryLoadedAt = Date.now();
+  return dictionary;
+}
+
+export async function ensureDefaultSearchDictionary() {
+  try {
+    if (await prisma.searchDictionaryEntry.count() === 0) {
+      await prisma.searchDictionaryEntry.createMany({
+        data: DEFAULT_ENTRIES.map(e => ({ ...e, term: normalizeSearchText(e.term) })),
+        skipDuplicates: true
+      });
+    }
+    await refreshSearchDictionary();
+  } catch (error) {
+    console.error('[SearchDictionary] Failed to load dictionary:', error);
+  }
+}
+
+export function setupSearchDictionaryRefresh() {
+  ensureDefaultSearchDictionary();
+  const timer = setInterval(() => {
+    refreshSearchDictionary().catch((e) => console.error('[SearchDictionary] Failed to refresh dictionary:', e));
+  }, DICTIONARY_REFRESH_MS);
+  timer.unref?.();
+}
+
+function correctToken(token) {
+  const explicit = dictionary.corrections.get(token);
+  if (explicit) return { to: explicit, source: 'dictionary' };
+  if (token.length < 4 || /^\d+$/.test(token)) return null;
+  if (dictionary.vocabulary.has(token) || dictionary.vocabulary.has(stemArabic(token))) return null;
+
+  const maxDistance = token.length >= 7 ? 2 : 1;
+  let best = null;
+  let tie = false;
+  for (const word of dictionary.vocabulary) {
+    const distance = editDistance(token, word, maxDistance);
+    if (distance > maxDistance) continue;
+    if (!best || distance < best.distance) {
+      best = { to: word, source: 'fuzzy', distance };
+      tie = false;
+    } else if (distance === best.distance) {
+      tie = true;
+    }
+  }
+  // Two equally close words means we cannot tell which one was meant
+  return best && !tie ? best : null;
+}
+
+/**
+ * The query pipeline shared by every product search endpoint:
+ * normalize → tokenize → stop words → spelling correction / typo tolerance →
+ * light stemming → synonym expansion. Each step is reported so admins can see
+ * why a query matched what it did.
+ * @returns {{ query: string, normalized: string, tokens: Object[], groups: string[][], terms: string[] }}
+ */
+export function analyzeQuery(query) {
+  const normalized = normalizeSearchText(query);
+  const rawTokens = normalized ? normalized.split(' ') : [];
+  const allStopWords = rawTokens.length > 0 && rawTokens.every(t => dictionary.stopWords.has(t));
+
+  const tokens = rawTokens.map(token => {
+    // A query made only of stop words is still searched as typed
+    const stopWord = !allStopWords && dictionary.stopWords.has(token);
+    if (stopWord) {
+      return { token, stopWord: true, correction: null, stem: token, synonyms: [], variants: [] };
+    }
+
+    const correction = correctToken(token);
+    const base = correction?.source === 'dictionary' ? correction.to : token;
+    const stem = stemArabic(base);
+    const lookups = [base, stem, correction?.to].filter(Boolean);
+    const synonyms = [...new Set(lookups.flatMap(w => [...(dictionary.synonyms.get(w) || [])]))];
+
+    const variants = [...new Set([base, token, correction?.to, stem, ...synonyms])]
+      .filter(v => v && v.length > 1)
+      .slice(0, MAX_VARIANTS_PER_TOKEN);
+    return { token, stopWord: false, correction, stem, synonyms, variants };
+  });
+
+  // Groups carry the stored-name spellings too, ready for `contains` matching
+  const groups = tokens
+    .filter(t => !t.stopWord && t.variants.length > 0)
+    .map(t => [...new Set(t.variants.flatMap(surfaceForms))]);
+  return {
+    query: String(query || ''),
+    normalized,
+    tokens,
+    groups,
+    terms: [...new Set(groups.flat())]
+  };
+}
+
+// Synonyms of a word or of its stem, normalized
+export function getSynonyms(word) {
+  const normalized = normalizeSearchText(word);
+  return [...new Set([
+    ...(dictionary.synonyms.get(normalized) || []),
+    ...(dictionary.synonyms.get(stemArabic(normalized)) || [])
+  ])];
+}
+
+export function isStopWord(word) {
+  return dictionary.stopWords.has(normalizeSearchText(word));
+}
+
+/**
+ * Prisma `where` for a free-text query: the raw text as before, or every
+ * non-stop word through one of its expansions.
+ * @param {string} query
+ * @param {string[]} fields - Product columns to match
+ */
+export function buildTextSearchWhere(query, fields = ['name']) {
+  const raw = String(query || '').trim();
+  const { groups } = analyzeQuery(raw);
+  const anyField = (term) => fields.map(field => ({ [field]: { contains: term, mode: 'insensitive' } }));
+  const or = anyField(raw);
+  if (groups.length > 0) {
+    or.push({ AND: groups.map(group => ({ OR: group.flatMap(anyField) })) });
+  }
+  return { OR: or };
+}
+
+export function getDictionaryStats() {
+  return {
+    synonyms: dictionary.synonyms.size,
+    stopWords: dictionary.stopWords.size,
+    corrections: dictionary.corrections.size,
+    loadedAt: dictionaryLoadedAt ? new Date(dictionaryLoadedAt) : null
+  };
+}
+
+function normalizeEntry(input, { partial = false } = {}) {
+  const data = {};
+  const has = (key) => input[key] !== undefined;
+
+  if (has('type') || !partial) {
+    const type = String(input.type || '').toUpperCase();
+    if (!DICTIONARY_TYPES.includes(type)) {
+      throw dictionaryError(`type must be one of ${DICTIONARY_TYPES.join(', ')}`, 400, 'INVALID_ENTRY');
+    }
+    data.type = type;
+  }
+  if (has('term') || !partial) {
+    const term = normalizeSearchText(input.term);
+    if (!term) {
+      throw dictionaryError('term is required', 400, 'INVALID_ENTRY');
+    }
+    data.term = term;
+  }
+  if (has('values')) {
+    const values = Array.isArray(input.values) ? input.values : String(input.values || '').split(',');
+    data.values = [...new Set(values.map(v => String(v).trim()).filter(Boolean))];
+  }
+  if (has('isActive')) data.isActive = Boolean(input.isActive);
+  return data;
+}
+
+function assertEntryValues(type, values = []) {
+  if (type === 'SYNONYM' && values.length === 0) {
+    throw dictionaryError('A synonym needs at least one value', 400, 'INVALID_ENTRY');
+  }
+  if (type === 'CORRECTION' && values.length !== 1) {
+    throw dictionaryError('A correction needs exactly one value', 400, 'INVALID_ENTRY');
+  }
+}
+
+export async function listDictionaryEntries({ type, search, page = 1, limit = 50 } = {}) {
+  const where = {};
+  if (type) where.type = String(type).toUpperCase();
+  if (search) where.term = { contains: normalizeSearchText(search) };
+  const [entries, total] = await Promise.all([
+    prisma.searchDictionaryEntry.findMany({
+      where,
+      orderBy: [{ type: 'asc' }, { term: 'asc' }],
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.searchDictionaryEntry.count({ where })
+  ]);
+  return { entries, total, page, totalPages: Math.ceil(total / limit) };
+}
+
+export async function createDictionaryEntry(input, { createdById = null } = {}) {
+  const data = normalizeEntry(input);
+  if (data.type === 'STOP_WORD') data.values = [];
+  assertEntryValues(data.type, data.values);
+
+  const existing = await prisma.searchDictionaryEntry.findUnique({
+    where: { type_term: { type: data.type, term: data.term } }
+  });
+  if (existing) {
+    throw dictionaryError('This term already exists', 409, 'DUPLICATE_ENTRY');
+  }
+
+  const entry = await prisma.searchDictionaryEntry.create({ data: { ...data, createdById } });
+  await refreshSearchDictionary();
+  return entry;
+}
+
+export async function updateDictionaryEntry(id, input) {
+  const existing = await prisma.searchDictionaryEntry.findUnique({ where: { id } });
+  if (!existing) {
+    throw dictionaryError('Dictionary entry not found', 404, 'ENTRY_NOT_FOUND');
+  }
+  const data = normalizeEntry(input, { partial: true });
+  const type = data.type || existing.type;
+  if (type === 'STOP_WORD') data.values = [];
+  assertEntryValues(type, data.values ?? existing.values);
+
+  const entry = await prisma.searchDictionaryEntry.update({ where: { id }, data });
+  await refreshSearchDictionary();
+  return entry;
+}
+
+export async function deleteDictionaryEntry(id) {
+  const existing = await prisma.searchDictionaryEntry.findUnique({ where: { id } });
+  if (!existing) {
+    throw dictionaryError('Dictionary entry not found', 404, 'ENTRY_NOT_FOUND');
+  }
+  await prisma.searchDictionaryEntry.delete({ where: { id } });
+  await refreshSearchDictionary();
+  return existing;
+}
@@ -0,0 +1,417 @@
+import prisma from '../prismaClient.js';
+import { analyzeQuery } from './searchDictionaryService.js';
+import { getSalePrice, RULE_PROVIDERS } from './pricingService.js';
+import { getCategoryAncestorIds, getCategoryDescendantIds, getCategoryTree } from './categoryService.js';
+import { embedQuery, getEmbeddingProvider, toVectorLiteral } from './embeddingService.js';
+
+export const SEARCH_SORTS = ['relevance', 'price_asc', 'price_desc', 'newest', 'best_selling', 'rating'];
+
+// Upper bounds in IQD; the last bucket is open-ended
+export const PRICE_BUCKETS = [
+  { key: 'under_10k', min: 0, max: 10000 },
+  { key: '10k_25k', min: 10000, max: 25000 },
+  { key: '25k_50k', min: 25000, max: 50000 },
+  { key: '50k_100k', min: 50000, max: 100000 },
+  { key: 'over_100k', min: 100000, max: null }
+];
+
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Filters, facets and sorting work on customer prices, which only exist after
+// the pricing rules run, so they are applied in memory on a bounded candidate
+// set fetched from the database.
+const MAX_CANDIDATES = 1000;
+const MAX_LIMIT = 50;
+
+function searchError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const candidateSelect = {
+  id: true,
+  name: true,
+  price: true,
+  basePriceIQD: true,
+  provider: true,
+  originalPrice: true,
+  image: true,
+  isFeatured: true,
+  isAirRestricted: true,
+  domesticShippingFee: true,
+  deliveryTime: true,
+  createdAt: true,
+  categories: { select: { categoryId: true } },
+  variants: {
+    select: {
+      id: true,
+      combination: true,
+      price: true,
+      basePriceIQD: true,
+      originalPrice: true,
+      image: true
+    }
+  }
+};
+
+/**
+ * Word groups for the query from the shared query pipeline: each non-stop word
+ * with its correction, stem and synonyms.
+ */
+export function expandQuery(q) {
+  return analyzeQuery(q).groups;
+}
+
+function textWhere(groups, mode) {
+  const clauses = groups.map(group => ({
+    OR: group.flatMap(term => [
+      { name: { contains: term, mode: 'insensitive' } },
+      { specs: { contains: term, mode: 'insensitive' } }
+    ])
+  }));
+  return mode === 'all' ? { AND: clauses } : { OR: clauses };
+}
+
+function relevanceScore(product, q, groups) {
+  const name = String(product.name || '').toLowerCase();
+  let score = 0;
+  if (q && name.includes(q.toLowerCase())) score += 100;
+  for (const group of groups) {
+    if (group.some(term => name.includes(term.toLowerCase()))) score += 10;
+  }
+  if (product.isFeatured) score += 1;
+  return score;
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+function parseOptionalNumber(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = parseFloat(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw searchError(`${name} must be a non-negative number`, 400, 'INVALID_FILTER');
+  }
+  return n;
+}
+
+/**
+ * Validates the query string of the faceted search endpoint.
+ */
+export function parseSearchParams(query = {}) {
+  const sort = String(query.sort || 'relevance').toLowerCase();
+  if (!SEARCH_SORTS.includes(sort)) {
+    throw searchError(`sort must be one of ${SEARCH_SORTS.join(', ')}`, 400, 'INVALID_SORT');
+  }
+  const providers = parseList(query.provider).map(p => p.toUpperCase());
+  const unknownProvider = providers.find(p => !RULE_PROVIDERS.includes(p));
+  if (unknownProvider) {
+    throw searchError(`Unknown provider ${unknownProvider}`, 400, 'INVALID_FILTER');
+  }
+  const shippingMethod = query.shippingMethod ? String(query.shippingMethod).toLowerCase() : null;
+  if (shippingMethod && !['air', 'sea'].includes(shippingMethod)) {
+    throw searchError('shippingMethod must be air or sea', 400, 'INVALID_FILTER');
+  }
+  const category = query.category !== undefined && query.category !== '' ? parseInt(query.category) : null;
+  if (Number.isNaN(category)) {
+    throw searchError('Invalid category', 400, 'INVALID_CATEGORY');
+  }
+
+  return {
+    q: typeof query.q === 'string' ? query.q.trim() : '',
+    minPrice: parseOptionalNumber(query.minPrice, 'minPrice'),
+    maxPrice: parseOptionalNumber(query.maxPrice, 'maxPrice'),
+    providers,
+    category,
+    shippingMethod,
+    deliveryTimes: parseList(query.deliveryTime),
+    minRating: parseOptionalNumber(query.minRating, 'minRating'),
+    sort,
+    cursor: query.cursor ? String(query.cursor) : null,
+    limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT)
+  };
+}
+
+async function fetchCandidates(q) {
+  const base = { isActive: true, status: 'PUBLISHED' };
+  const groups = expandQuery(q);
+  if (groups.length === 0) {
+    const products = await prisma.product.findMany({
+      where: base,
+      select: candidateSelect,
+      orderBy: { updatedAt: 'desc' },
+      take: MAX_CANDIDATES + 1
+    });
+    return { products, groups };
+  }
+
+  // Every word must match; long free-text queries fall back to any word
+  let products = await prisma.product.findMany({
+    where: { ...base, ...textWhere(groups, 'all') },
+    select: candidateSelect,
+    take: MAX_CANDIDATES + 1
+  });
+  if (products.length === 0 && groups.length > 1) {
+    products = await prisma.product.findMany({
+      where: { ...base, ...textWhere(groups, 'any') },
+      select: candidateSelect,
+      take: MAX_CANDIDATES + 1
+    });
+  }
+  return { products, groups };
+}
+
+async function loadStats(productIds) {
+  if (productIds.length === 0) return { ratings: new Map(), sales: new Map() };
+  const [ratingRows, salesRows] = await Promise.all([
+    prisma.review.groupBy({
+      by: ['productId'],
+      where: { productId: { in: productIds } },
+      _avg: { rating: true },
+      _count: { _all: true }
+    }),
+    prisma.orderItem.groupBy({
+      by: ['productId'],
+      where: { productId: { in: productIds }, order: { status: { not: 'CANCELLED' } } },
+      _sum: { quantity: true }
+    })
+  ]);
+  return {
+    ratings: new Map(ratingRows.map(r => [r.productId, { average: r._avg.rating || 0, count: r._count._all }])),
+    sales: new Map(salesRows.map(r => [r.productId, r._sum.quantity || 0]))
+  };
+}
+
+// Lowest customer price across the product and its variants for one shipping method
+function lowestSalePrice(product, method) {
+  const prices = (product.variants || [])
+    .map(v => getSalePrice(product, v, method))
+    .filter(p => p > 0);
+  return prices.length > 0 ? Math.min(...prices) : getSalePrice(product, null, method);
+}
+
+const priceBucketOf = (price) =>
+  PRICE_BUCKETS.find(b => price >= b.min && (b.max === null || price < b.max))?.key || null;
+
+const SORT_KEYS = {
+  relevance: { value: (item) => item.relevance, direction: -1 },
+  price_asc: { value: (item) => item.salePrice, direction: 1 },
+  price_desc: { value: (item) => item.salePrice, direction: -1 },
+  newest: { value: (item) => item.createdAt.getTime(), direction: -1 },
+  best_selling: { value: (item) => item.salesCount, direction: -1 },
+  rating: { value: (item) => item.rating, direction: -1 }
+};
+
+// Ties are broken by id (newest first) so the order, and therefore the cursor, is stable
+function compareBy(sort) {
+  const { value, direction } = SORT_KEYS[sort];
+  return (a, b) => {
+    const diff = (value(a) - value(b)) * direction;
+    return diff !== 0 ? diff : b.id - a.id;
+  };
+}
+
+function encodeCursor(sort, item) {
+  return Buffer.from(JSON.stringify({ s: sort, v: SORT_KEYS[sort].value(item), id: item.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (parsed.s !== sort || typeof parsed.v !== 'number' || !Number.isInteger(parsed.id)) throw new Error('mismatch');
+    return parsed;
+  } catch {
+    throw searchError('Invalid cursor', 400, 'INVALID_CURSOR');
+  }
+}
+
+/**
+ * Counts for each facet. A facet is counted with every filter applied except its
+ * own, so picking one provider still shows how many results the others have.
+ */
+function buildFacets(items, filters, predicates, categoryNames) {
+  const without = (name) => items.filter(item =>
+    Object.entries(predicates).every(([key, test]) => key === name || test(item)));
+
+  const countBy = (list, keysOf) => {
+    const counts = new Map();
+    for (const item of list) {
+      for (const key of keysOf(item)) {
+        if (key === null || key === undefined) continue;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+    return counts;
+  };
+
+  const priceCounts = countBy(without('price'), item => [priceBucketOf(item.salePrice)]);
+  const providerCounts = countBy(without('provider'), item => [item.provider]);
+  const categoryCounts = countBy(without('category'), item => item.categoryIds);
+  const shippingItems = without('shipping');
+  const deliveryCounts = countBy(without('deliveryTime'), item => [item.deliveryTime]);
+  const ratingItems = without('rating');
+
+  return {
+    price: PRICE_BUCKETS.map(b => ({ ...b, count: priceCounts.get(b.key) || 0 })),
+    provider: [...providerCounts.entries()]
+      .map(([value, count]) => ({ value, count, selected: filters.providers.includes(value) }))
+      .sort((a, b) => b.count - a.count),
+    category: [...categoryCounts.entries()]
+      .filter(([id]) => categoryNames.has(id))
+      .map(([id, count]) => ({ id, ...categoryNames.get(id), count, selected: filters.category === id }))
+      .sort((a, b) => b.count - a.count),
+    shipping: {
+      air: shippingItems.filter(item => !item.isAirRestricted).length,
+      seaOnly: shippingItems.filter(item => item.isAirRestricted).length
+    },
+    deliveryTime: [...deliveryCounts.entries()]
+      .map(([value, count]) => ({ value, count, selected: filters.deliveryTimes.includes(value) }))
+      .sort((a, b) => b.count - a.count),
+    rating: RATING_THRESHOLDS.map(min => ({
+      min,
+      count: ratingItems.filter(item => item.rating >= min).length
+    }))
+  };
+}
+
+function flattenCategoryNames(tree, names = new Map()) {
+  for (const node of tree) {
+    names.set(node.id, { nameAr: node.nameAr, nameEn: node.nameEn, parentId: node.parentId });
+    flattenCategoryNames(node.children, names);
+  }
+  return names;
+}
+
+/**
+ * Product search with filters, facet counts, sorting and cursor pagination.
+ * @param {Object} params - Output of parseSearchParams
+ * @returns {Promise<{ products: Object[], facets: Object, total: number, nextCursor: string|null, capped: boolean }>}
+ */
+export async function facetedSearch(params) {
+  const { q, sort, limit } = params;
+  // Customer prices differ by shipping method; sea is the storefront default
+  const priceMethod = params.shippingMethod || 'sea';
+
+  const [{ products, groups }, categoryTree, categoryIds] = await Promise.all([
+    fetchCandidates(q),
+    getCategoryTree(),
+    params.category !== null ? getCategoryDescendantIds(params.category) : null
+  ]);
+  const capped = products.length > MAX_CANDIDATES;
+  const candidates = capped ? products.slice(0, MAX_CANDIDATES) : products;
+  const { ratings, sales } = await loadStats(candidates.map(p => p.id));
+
+  const items = candidates.map(product => {
+    const rating = ratings.get(product.id);
+    return {
+      ...product,
+      salePrice: lowestSalePrice(product, priceMethod),
+      rating: rating ? Math.round(rating.average * 10) / 10 : 0,
+      reviewCount: rating?.count || 0,
+      salesCount: sales.get(product.id) || 0,
+      relevance: relevanceScore(product, q, groups),
+      categoryIds: getCategoryAncestorIds(product.categories.map(c => c.categoryId))
+    };
+  });
+
+  const categorySet = categoryIds ? new Set(categoryIds) : null;
+  const predicates = {
+    price: (item) => (params.minPrice === null || item.salePrice >= params.minPrice)
+      && (params.maxPrice === null || item.salePrice <= params.maxPrice),
+    provider: (item) => params.providers.length === 0 || params.providers.includes(item.provider),
+    category: (item) => !categorySet || item.categoryIds.some(id => categorySet.has(id)),
+    shipping: (item) => params.shippingMethod !== 'air' || !item.isAirRestricted,
+    deliveryTime: (item) => params.deliveryTimes.length === 0 || params.deliveryTimes.includes(item.deliveryTime),
+    rating: (item) => params.minRating === null || item.rating >= params.minRating
+  };
+
+  const matching = items
+    .filter(item => Object.values(predicates).every(test => test(item)))
+    .sort(compareBy(sort));
+
+  let start = 0;
+  if (params.cursor) {
+    // Resume right after the last item of the previous page, even if the set shifted since
+    const after = decodeCursor(params.cursor, sort);
+    const { value, direction } = SORT_KEYS[sort];
+    start = matching.findIndex(item => {
+      const diff = (value(item) - after.v) * direction;
+      return diff > 0 || (diff === 0 && item.id < after.id);
+    });
+    if (start === -1) start = matching.length;
+  }
+  const page = matching.slice(start, start + limit);
+  const hasMore = start + limit < matching.length;
+
+  return {
+    products: page.map(({ relevance: _relevance, categoryIds: _categoryIds, ...item }) => item),
+    facets: buildFacets(items, params, predicates, flattenCategoryNames(categoryTree)),
+    total: matching.length,
+    sort,
+    nextCursor: hasMore && page.length > 0 ? encodeCursor(sort, page[page.length - 1]) : null,
+    hasMore,
+    capped
+  };
+}
+
+// Candidates taken from each ranking before fusion, and the RRF damping constant
+const HYBRID_POOL_SIZE = 200;
+const RRF_K = 60;
+
+/**
+ * Hybrid search in our own SQL: a pgvector cosine ranking and a keyword ranking
+ * over name/specs, merged with reciprocal rank fusion. Works with keyword
+ * ranking alone when no query embedding can be produced.
+ * @returns {Promise<{ ids: number[], total: number, engine: 'hybrid'|'keyword' }>}
+ */
+export async function hybridSearch(q, { skip = 0, limit = 20 } = {}) {
+  const terms = [...new Set(expandQuery(q).flat())];
+  if (terms.length === 0) return { ids: [], total: 0, engine: 'keyword' };
+
+  const vector = await embedQuery(q);
+  const modelId = vector ? getEmbeddingProvider().id : null;
+
+  const rows = await prisma.$queryRaw`
+    WITH keyword AS (
+      SELECT id, ROW_NUMBER() OVER (ORDER BY matches DESC, id DESC) AS rank
+      FROM (
+        SELECT p.id,
+          (SELECT COUNT(*) FROM unnest(${terms}::text[]) AS t(term)
+            WHERE p.name ILIKE '%' || t.term || '%' OR p.specs ILIKE '%' || t.term || '%') AS matches
+        FROM "Product" p
+        WHERE p.status = 'PUBLISHED' AND p."isActive" = true
+      ) scored
+      WHERE matches > 0
+      ORDER BY matches DESC, id DESC
+      LIMIT ${HYBRID_POOL_SIZE}
+    ),
+    semantic AS (
+      SELECT id, ROW_NUMBER() OVER (ORDER BY distance, id DESC) AS rank
+      FROM (
+        SELECT p.id, p.embedding <=> ${vector ? toVectorLiteral(vector) : null}::vector AS distance
+        FROM "Product" p
+        WHERE ${vector !== null} AND p.status = 'PUBLISHED' AND p."isActive" = true
+          AND p.embedding IS NOT NULL AND p."embeddingModel" = ${modelId}
+        ORDER BY distance
+        LIMIT ${HYBRID_POOL_SIZE}
+      ) nearest
+    )
+    SELECT COALESCE(k.id, s.id) AS id,
+      COALESCE(1.0 / (${RRF_K} + k.rank), 0) + COALESCE(1.0 / (${RRF_K} + s.rank), 0) AS score
+    FROM keyword k
+    FULL OUTER JOIN semantic s ON s.id = k.id
+    ORDER BY score DESC, id DESC
+  `;
+
+  return {
+    ids: rows.slice(skip, skip + limit).map(r => Number(r.id)),
+    total: rows.length,
+    engine: vector ? 'hybrid' : 'keyword'
+  };
+}
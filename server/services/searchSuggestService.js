@@ -0,0 +1,218 @@
+import prisma from '../prismaClient.js';
+import { normalizeSearchText } from './searchDictionaryService.js';
+
+// Suggestions are served on every keystroke, so they come from an in-memory
+// index of product names, categories and popular queries rebuilt periodically,
+// plus a short-lived cache of finished answers per normalized prefix.
+const INDEX_REFRESH_MS = 10 * 60 * 1000;
+const RESULT_TTL_MS = 60 * 1000;
+const RESULT_CACHE_SIZE = 500;
+const RECENT_TTL_MS = 60 * 1000;
+const MAX_INDEXED_PRODUCTS = 20000;
+const POPULAR_QUERY_DAYS = 30;
+const MAX_QUERY_LENGTH = 100;
+
+const GROUP_LIMITS = { recent: 3, queries: 5, categories: 3, products: 5 };
+
+let index = { products: [], categories: [], queries: [], loadedAt: 0 };
+let indexPromise = null;
+const resultCache = new Map();
+const recentCache = new Map();
+
+function entry(text, extra = {}) {
+  const key = normalizeSearchText(text);
+  return { text, key, words: key.split(' '), ...extra };
+}
+
+async function buildIndex() {
+  const since = new Date(Date.now() - POPULAR_QUERY_DAYS * 24 * 60 * 60 * 1000);
+  const [products, sales, categories, queries] = await Promise.all([
+    prisma.product.findMany({
+      where: { isActive: true, status: 'PUBLISHED' },
+      select: { id: true, name: true, image: true, isFeatured: true },
+      orderBy: { updatedAt: 'desc' },
+      take: MAX_INDEXED_PRODUCTS
+    }),
+    prisma.orderItem.groupBy({
+      by: ['productId'],
+      where: { order: { status: { not: 'CANCELLED' } } },
+      _sum: { quantity: true }
+    }),
+    prisma.category.findMany({
+      where: { isActive: true },
+      select: { id: true, nameAr: true, nameEn: true, icon: true, _count: { select: { products: true } } }
+    }),
+    // Most common spelling of each query that found something
+    prisma.$queryRaw`
+      SELECT "normalizedQuery" AS "key", MODE() WITHIN GROUP (ORDER BY query) AS "text", COUNT(*)::int AS "searches"
+      FROM "SearchHistory"
+      WHERE "createdAt" >= ${since} AND "resultCount" > 0 AND "normalizedQuery" IS NOT NULL
+      GROUP BY "normalizedQuery"
+      HAVING COUNT(*) > 1
+      ORDER BY "searches" DESC
+      LIMIT 5000
+    `
+  ]);
+
+  const sold = new Map(sales.map(row => [row.productId, row._sum.quantity || 0]));
+  index = {
+    products: products
+      .filter(p => p.name)
+      .map(p => entry(p.name, {
+        id: p.id,
+        image: p.image,
+        popularity: Math.log1p(sold.get(p.id) || 0) + (p.isFeatured ? 1 : 0)
+      })),
+    categories: categories.flatMap(c => {
+      const extra = { id: c.id, icon: c.icon, nameAr: c.nameAr, popularity: Math.log1p(c._count.products) };
+      return [entry(c.nameAr, extra), entry(c.nameEn, extra)];
+    }),
+    queries: queries.map(q => ({ text: q.text, key: q.key, words: q.key.split(' '), popularity: Math.log1p(q.searches) })),
+    loadedAt: Date.now()
+  };
+  resultCache.clear();
+  return index;
+}
+
+export async function refreshSuggestionIndex() {
+  if (!indexPromise) {
+    indexPromise = buildIndex().finally(() => {
+      indexPromise = null;
+    });
+  }
+  return indexPromise;
+}
+
+export function setupSuggestionIndexRefresh() {
+  refreshSuggestionIndex().catch((e) => console.error('[Suggest] Failed to build suggestion index:', e));
+  const timer = setInterval(() => {
+    refreshSuggestionIndex().catch((e) => console.error('[Suggest] Failed to refresh suggestion index:', e));
+  }, INDEX_REFRESH_MS);
+  timer.unref?.();
+}
+
+async function loadIndex() {
+  if (!index.loadedAt) await refreshSuggestionIndex();
+  return index;
+}
+
+// Word starts count as matches, with or without the article, so "ساع" finds "الساعات"
+const wordStartsWith = (word, prefix) =>
+  word.startsWith(prefix) || (word.startsWith('ال') && word.slice(2).startsWith(prefix));
+
+/**
+ * 2 when the whole text starts with the query, 1 when every query word starts
+ * a word of the text (the last one may be partial), 0 otherwise.
+ */
+function matchScore(item, query, queryWords) {
+  if (item.key.startsWith(query)) return 2;
+  const matchesAll = queryWords.every(qw => item.words.some(w => wordStartsWith(w, qw)));
+  return matchesAll ? 1 : 0;
+}
+
+function topMatches(items, query, queryWords, limit, boost = () => 0) {
+  const seen = new Set();
+  return items
+    .map(item => ({ item, score: matchScore(item, query, queryWords) }))
+    .filter(m => m.score > 0)
+    .map(m => ({ ...m, rank: m.score * 10 + m.item.popularity + boost(m.item) }))
+    .sort((a, b) => b.rank - a.rank || a.item.text.length - b.item.text.length)
+    .filter(({ item }) => {
+      const id = item.id ?? item.key;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .slice(0, limit)
+    .map(m => m.item);
+}
+
+function cacheResult(key, value) {
+  if (resultCache.size >= RESULT_CACHE_SIZE) {
+    resultCache.delete(resultCache.keys().next().value);
+  }
+  resultCache.set(key, { value, at: Date.now() });
+}
+
+// Distinct recent searches of the signed-in user or guest session, newest first
+async function getRecentQueries({ userId, sessionId }) {
+  if (!userId && !sessionId) return [];
+  const cacheKey = userId ? `u:${userId}` : `s:${sessionId}`;
+  const cached = recentCache.get(cacheKey);
+  if (cached && Date.now() - cached.at < RECENT_TTL_MS) return cached.value;
+
+  const rows = await prisma.searchHistory.findMany({
+    where: userId ? { userId } : { sessionId },
+    select: { query: true, normalizedQuery: true },
+    orderBy: { createdAt: 'desc' },
+    take: 50
+  });
+  const seen = new Set();
+  const value = [];
+  for (const row of rows) {
+    const key = row.normalizedQuery || normalizeSearchText(row.query);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    value.push({ text: row.query, key, words: key.split(' ') });
+  }
+
+  if (recentCache.size >= RESULT_CACHE_SIZE) {
+    recentCache.delete(recentCache.keys().next().value);
+  }
+  recentCache.set(cacheKey, { value, at: Date.now() });
+  return value;
+}
+
+/**
+ * Autocomplete for the search box. Matching is done on normalized text, so
+ * spelling variants (گ/ق, ة/ه, hamza forms) find each other. Popular queries
+ * are ranked by search volume and boosted when the requester searched them
+ * before; an empty query returns recent and popular searches only.
+ * @param {string} q
+ * @param {{userId?: number|null, sessionId?: string|null}} [requester]
+ */
+export async function getSearchSuggestions(q, requester = {}) {
+  const query = normalizeSearchText(String(q || '').slice(0, MAX_QUERY_LENGTH));
+  const queryWords = query ? query.split(' ') : [];
+  const recent = await getRecentQueries(requester).catch((e) => {
+    console.error('[Suggest] Failed to load recent searches:', e.message);
+    return [];
+  });
+
+  let shared = resultCache.get(query);
+  if (!shared || Date.now() - shared.at > RESULT_TTL_MS) {
+    const { products, categories, queries } = await loadIndex();
+    // Fetch extra queries so personal boosts can reorder them below
+    const value = query
+      ? {
+        queries: topMatches(queries, query, queryWords, GROUP_LIMITS.queries * 3),
+        categories: topMatches(categories, query, queryWords, GROUP_LIMITS.categories),
+        products: topMatches(products, query, queryWords, GROUP_LIMITS.products)
+      }
+      : { queries: queries.slice(0, GROUP_LIMITS.queries * 3), categories: [], products: [] };
+    cacheResult(query, value);
+    shared = { value };
+  }
+
+  const recentKeys = new Set(recent.map(r => r.key));
+  const recentMatches = query
+    ? recent.filter(r => matchScore(r, query, queryWords) > 0)
+    : recent;
+  const shownRecent = recentMatches.slice(0, GROUP_LIMITS.recent);
+  const shownKeys = new Set(shownRecent.map(r => r.key));
+
+  const queries = shared.value.queries
+    .map((item, position) => ({ item, position: position - (recentKeys.has(item.key) ? GROUP_LIMITS.queries : 0) }))
+    .sort((a, b) => a.position - b.position)
+    .map(({ item }) => item)
+    .filter(item => !shownKeys.has(item.key))
+    .slice(0, GROUP_LIMITS.queries);
+
+  return {
+    query,
+    recent: shownRecent.map(r => ({ text: r.text })),
+    queries: queries.map(item => ({ text: item.text })),
+    categories: shared.value.categories.map(c => ({ id: c.id, name: c.nameAr, icon: c.icon })),
+    products: shared.value.products.map(p => ({ id: p.id, name: p.text, image: p.image }))
+  };
+}
@@ -0,0 +1,412 @@
+import prisma from '../prismaClient.js';
+import { canTransition, normalizeOrderStatus, transitionOrders } from './orderStateService.js';
+import { assertOrderReadyToShip, normalizeItemStatus } from './procurementService.js';
+
+export const SHIPMENT_METHODS = ['air', 'sea'];
+
+// OPEN while the warehouse is loading it, then SHIPPED and ARRIVED in Iraq
+export const SHIPMENT_STATUSES = ['OPEN', 'SHIPPED', 'ARRIVED'];
+
+const DEPARTED_STATUSES = ['SHIPPED', 'ARRIVED'];
+
+function shipmentError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+async function loadShipment(id, client = prisma) {
+  const shipment = await client.shipment.findUnique({ where: { id } });
+  if (!shipment) {
+    throw shipmentError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+  }
+  return shipment;
+}
+
+function assertOpen(shipment) {
+  if (shipment.status !== 'OPEN') {
+    throw shipmentError(`Shipment ${shipment.code} is already ${shipment.status}`, 400, 'SHIPMENT_CLOSED');
+  }
+}
+
+const datePart = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+export async function createShipment({ method, carrier = null, masterTrackingNumber = null, departureDate = null, note = null, createdById = null }) {
+  const safeMethod = String(method || '').toLowerCase();
+  if (!SHIPMENT_METHODS.includes(safeMethod)) {
+    throw shipmentError('method must be air or sea', 400, 'INVALID_METHOD');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const shipment = await tx.shipment.create({
+      data: {
+        code: `TMP-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        method: safeMethod,
+        carrier,
+        masterTrackingNumber,
+        departureDate,
+        note,
+        createdById
+      }
+    });
+    // Readable code such as AIR-20260315-12
+    return tx.shipment.update({
+      where: { id: shipment.id },
+      data: { code: `${safeMethod.toUpperCase()}-${datePart(shipment.createdAt)}-${shipment.id}` }
+    });
+  });
+}
+
+export async function updateShipment(id, fields) {
+  const shipment = await loadShipment(id);
+  const data = {};
+  for (const key of ['carrier', 'masterTrackingNumber', 'departureDate', 'note']) {
+    if (fields[key] !== undefined) data[key] = fields[key];
+  }
+  // A weighed shipment keeps its figure; clearing it goes back to the item sum
+  if (fields.totalWeight !== undefined) {
+    data.totalWeight = fields.totalWeight;
+    data.totalWeightManual = fields.totalWeight !== null;
+  }
+  // Tracking details can be corrected after departure, the method cannot
+  if (fields.method !== undefined && fields.method !== shipment.method) {
+    assertOpen(shipment);
+    const count = await prisma.orderItem.count({ where: { shipmentId: id } });
+    if (count > 0) {
+      throw shipmentError('Cannot change the method of a shipment that has items', 400, 'SHIPMENT_NOT_EMPTY');
+    }
+    if (!SHIPMENT_METHODS.includes(fields.method)) {
+      throw shipmentError('method must be air or sea', 400, 'INVALID_METHOD');
+    }
+    data.method = fields.method;
+  }
+  const updated = await prisma.shipment.update({ where: { id }, data });
+  return data.totalWeightManual === false ? refreshTotalWeight(prisma, id) : updated;
+}
+
+export async function deleteShipment(id) {
+  const shipment = await loadShipment(id);
+  assertOpen(shipment);
+  return prisma.$transaction([
+    prisma.orderItem.updateMany({ where: { shipmentId: id }, data: { shipmentId: null } }),
+    prisma.shipment.delete({ where: { id } })
+  ]);
+}
+
+// Keeps the summed weight current as items come and go, unless staff entered one
+async function refreshTotalWeight(tx, shipmentId) {
+  const shipment = await tx.shipment.findUnique({ where: { id: shipmentId }, select: { totalWeightManual: true } });
+  if (shipment?.totalWeightManual) return shipment;
+  const result = await tx.orderItem.aggregate({
+    where: { shipmentId },
+    _sum: { weight: true }
+  });
+  return tx.shipment.update({
+    where: { id: shipmentId },
+    data: { totalWeight: result._sum.weight || 0 }
+  });
+}
+
+/**
+ * Loads order items into an open shipment. Whole orders add every item that is
+ * still going to the customer. Items must belong to paid (PREPARING) orders,
+ * match the shipment's method and not already be in another shipment.
+ * @returns {Promise<{ added: number[], rejected: { id: number, error: string }[] }>} Item ids
+ */
+export async function addToShipment(id, { orderIds = [], itemIds = [] }) {
+  const shipment = await loadShipment(id);
+  assertOpen(shipment);
+
+  const items = await prisma.orderItem.findMany({
+    where: {
+      OR: [
+        ...(orderIds.length ? [{ orderId: { in: orderIds } }] : []),
+        ...(itemIds.length ? [{ id: { in: itemIds } }] : [])
+      ]
+    },
+    include: { order: { select: { status: true } } }
+  });
+
+  const added = [];
+  const rejected = [];
+  for (const item of items) {
+    const status = normalizeItemStatus(item.status);
+    if (status === 'RETURNED') {
+      // Returned items never leave China; skip silently when adding whole orders
+      if (itemIds.includes(item.id)) rejected.push({ id: item.id, error: 'Item was returned' });
+      continue;
+    }
+    if (normalizeOrderStatus(item.order.status) !== 'PREPARING') {
+      rejected.push({ id: item.id, error: `Order #${item.orderId} is ${item.order.status}` });
+    } else if (item.shipmentId && item.shipmentId !== id) {
+      rejected.push({ id: item.id, error: `Already in shipment ${item.shipmentId}` });
+    } else if ((item.shippingMethod || 'air') !== shipment.method) {
+      rejected.push({ id: item.id, error: `Item ships by ${item.shippingMethod}` });
+    } else {
+      added.push(item.id);
+    }
+  }
+
+  const found = new Set(items.map(i => i.id));
+  for (const itemId of itemIds) {
+    if (!found.has(itemId)) rejected.push({ id: itemId, error: 'Item not found' });
+  }
+
+  await prisma.$transaction(async (tx) => {
+    if (added.length) {
+      await tx.orderItem.updateMany({ where: { id: { in: added } }, data: { shipmentId: id } });
+    }
+    await refreshTotalWeight(tx, id);
+  });
+
+  return { added, rejected };
+}
+
+export async function removeFromShipment(id, { orderIds = [], itemIds = [] }) {
+  const shipment = await loadShipment(id);
+  assertOpen(shipment);
+
+  return prisma.$transaction(async (tx) => {
+    const result = await tx.orderItem.updateMany({
+      where: {
+        shipmentId: id,
+        OR: [
+          ...(orderIds.length ? [{ orderId: { in: orderIds } }] : []),
+          ...(itemIds.length ? [{ id: { in: itemIds } }] : [])
+        ]
+      },
+      data: { shipmentId: null }
+    });
+    await refreshTotalWeight(tx, id);
+    return { removed: result.count };
+  });
+}
+
+export async function listShipments({ status, method, page = 1, limit = 20 } = {}) {
+  const where = {
+    ...(status ? { status } : {}),
+    ...(method ? { method } : {})
+  };
+  const [shipments, total] = await Promise.all([
+    prisma.shipment.findMany({
+      where,
+      include: { _count: { select: { items: true } } },
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.shipment.count({ where })
+  ]);
+  return { shipments, total, page, totalPages: Math.ceil(total / limit) };
+}
+
+export async function getShipment(id) {
+  const shipment = await prisma.shipment.findUnique({
+    where: { id },
+    include: {
+      items: {
+        select: {
+          id: true,
+          orderId: true,
+          quantity: true,
+          weight: true,
+          status: true,
+          selectedOptions: true,
+          sellerOrderNumber: true,
+          domesticTrackingNumber: true,
+          product: { select: { id: true, name: true, image: true } },
+          order: {
+            select: {
+              id: true,
+              status: true,
+              address: { select: { name: true, phone: true, city: true, street: true } }
+            }
+          }
+        },
+        orderBy: { orderId: 'asc' }
+      }
+    }
+  });
+  if (!shipment) {
+    throw shipmentError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+  }
+  return shipment;
+}
+
+/**
+ * Orders with items in the shipment, split into those whose remaining items
+ * are all in departed (or, for arrival, arrived) shipments and those still
+ * waiting for another consolidation.
+ */
+async function partitionOrders(tx, shipmentId, readyStatuses) {
+  const inShipment = await tx.orderItem.findMany({
+    where: { shipmentId },
+    select: { orderId: true },
+    distinct: ['orderId']
+  });
+  const orderIds = inShipment.map(i => i.orderId);
+
+  const items = await tx.orderItem.findMany({
+    where: { orderId: { in: orderIds } },
+    select: { orderId: true, status: true, shipmentId: true, shipment: { select: { status: true } } }
+  });
+
+  const complete = [];
+  const partial = [];
+  for (const orderId of orderIds) {
+    const pending = items.filter(i =>
+      i.orderId === orderId &&
+      normalizeItemStatus(i.status) !== 'RETURNED' &&
+      i.shipmentId !== shipmentId &&
+      !(i.shipment && readyStatuses.includes(i.shipment.status))
+    );
+    (pending.length === 0 ? complete : partial).push(orderId);
+  }
+  return { complete, partial };
+}
+
+/**
+ * Marks the consolidation as departed and moves every order it completes to SHIPPED.
+ * Refuses to depart while an included order cannot ship (e.g. QC not approved),
+ * so the warehouse fixes the load first instead of shipping a half-updated batch.
+ */
+export async function shipShipment(id, { actor, departureDate = null }) {
+  const shipment = await loadShipment(id);
+  assertOpen(shipment);
+
+  const count = await prisma.orderItem.count({ where: { shipmentId: id } });
+  if (count === 0) {
+    throw shipmentError('Shipment is empty', 400, 'SHIPMENT_EMPTY');
+  }
+
+  const { complete, partial } = await partitionOrders(prisma, id, DEPARTED_STATUSES);
+
+  const problems = [];
+  const orders = await prisma.order.findMany({ where: { id: { in: complete } }, select: { id: true, status: true } });
+  for (const order of orders) {
+    if (!canTransition(order.status, 'SHIPPED')) {
+      problems.push({ id: order.id, error: `Order is ${order.status}` });
+      continue;
+    }
+    try {
+      await assertOrderReadyToShip(order.id);
+    } catch (error) {
+      problems.push({ id: order.id, error: error.message });
+    }
+  }
+  if (problems.length > 0) {
+    const error = shipmentError('Some orders cannot be shipped yet', 400, 'ORDERS_NOT_READY');
+    error.details = problems;
+    throw error;
+  }
+
+  const updatedShipment = await prisma.shipment.update({
+    where: { id },
+    data: { status: 'SHIPPED', departureDate: departureDate || shipment.departureDate || new Date() }
+  });
+
+  const { updated, rejected } = await transitionOrders(complete, 'SHIPPED', {
+    actor,
+    note: `ضمن الشحنة ${shipment.code}`,
+    data: {
+      shipmentId: id,
+      ...(shipment.masterTrackingNumber ? { internationalTrackingNumber: shipment.masterTrackingNumber } : {})
+    }
+  });
+
+  return { shipment: updatedShipment, updated, rejected, partial };
+}
+
+/**
+ * Marks the consolidation as arrived in Iraq and moves each shipped order
+ * whose items have all arrived to ARRIVED_IRAQ.
+ */
+export async function arriveShipment(id, { actor }) {
+  const shipment = await loadShipment(id);
+  if (shipment.status !== 'SHIPPED') {
+    throw shipmentError(`Shipment ${shipment.code} is ${shipment.status}, expected SHIPPED`, 400, 'SHIPMENT_NOT_SHIPPED');
+  }
+
+  const updatedShipment = await prisma.shipment.update({
+    where: { id },
+    data: { status: 'ARRIVED', arrivedAt: new Date() }
+  });
+
+  const { complete, partial } = await partitionOrders(prisma, id, ['ARRIVED']);
+  const shippedOrders = await prisma.order.findMany({
+    where: { id: { in: complete }, status: 'SHIPPED' },
+    select: { id: true }
+  });
+
+  const { updated, rejected } = await transitionOrders(shippedOrders.map(o => o.id), 'ARRIVED_IRAQ', {
+    actor,
+    note: `وصلت الشحنة ${shipment.code} إلى العراق`
+  });
+
+  return { shipment: updatedShipment, updated, rejected, partial };
+}
+
+const MANIFEST_COLUMNS = [
+  ['shipment', 'Shipment'],
+  ['orderId', 'Order'],
+  ['itemId', 'Item'],
+  ['customer', 'Customer'],
+  ['phone', 'Phone'],
+  ['city', 'City'],
+  ['address', 'Address'],
+  ['product', 'Product'],
+  ['options', 'Options'],
+  ['quantity', 'Qty'],
+  ['weight', 'Weight (kg)'],
+  ['sellerOrderNumber', 'Seller order'],
+  ['domesticTrackingNumber', 'Domestic tracking']
+];
+
+/**
+ * One row per item, grouped by order, for the warehouse and the carrier.
+ */
+export async function buildShipmentManifest(id) {
+  const shipment = await getShipment(id);
+  const rows = shipment.items.map(item => ({
+    shipment: shipment.code,
+    orderId: item.orderId,
+    itemId: item.id,
+    customer: item.order.address?.name || '',
+    phone: item.order.address?.phone || '',
+    city: item.order.address?.city || '',
+    address: item.order.address?.street || '',
+    product: item.product?.name || '',
+    options: item.selectedOptions || '',
+    quantity: item.quantity,
+    weight: item.weight ?? '',
+    sellerOrderNumber: item.sellerOrderNumber || '',
+    domesticTrackingNumber: item.domesticTrackingNumber || ''
+  }));
+
+  return {
+    shipment: {
+      code: shipment.code,
+      method: shipment.method,
+      status: shipment.status,
+      carrier: shipment.carrier,
+      masterTrackingNumber: shipment.masterTrackingNumber,
+      departureDate: shipment.departureDate,
+      totalWeight: shipment.totalWeight,
+      orderCount: new Set(rows.map(r => r.orderId)).size,
+      itemCount: rows.length
+    },
+    rows
+  };
+}
+
+export function manifestToCsv(manifest) {
+  const escape = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const header = MANIFEST_COLUMNS.map(([, label]) => label).join(',');
+  const lines = manifest.rows.map(row => MANIFEST_COLUMNS.map(([key]) => escape(row[key])).join(','));
+  // BOM so Excel opens the Arabic names as UTF-8
+  return '\uFEFF' + [header, ...lines].join('\n');
+}
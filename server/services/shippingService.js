@@ -1,98 +1,181 @@
 
 import prisma from '../prismaClient.js';
+import { getSalePrice } from './pricingService.js';
 
 // Packaging Constants
 const BOX_PADDING_CM = 5; // Increased to 5cm for "safe side" guessing
 const WEIGHT_BUFFER_FACTOR = 1.25; // Increased to 25% for "safe side" guessing
+const DEFAULT_ITEM_WEIGHT_KG = 0.5; // Used when a variant has neither weight nor dimensions
+const CM3_PER_CBM = 1000000;
 
 /**
- * Helper to get adjusted price based on shipping method.
- * Reverses the 90% air markup or 15% sea markup from the DB price
- * and applies the new markup based on the selected method.
+ * Per-method carrier settings, with defaults matching the StoreSettings columns.
+ * AIR is billed per chargeable kg, SEA per CBM.
  */
-export function getAdjustedPrice(basePrice, domesticShippingFee, basePriceIQD) {
-  // Simplified pricing logic: Just return the price from database as requested
-  // The price in database is already final and rounded to nearest 10 IQD
-  
-  return basePrice;
+function getCarrierConfig(settings, method) {
+  if (method === 'AIR') {
+    return {
+      method,
+      unit: 'kg',
+      rate: settings?.airShippingRate ?? 15400,
+      divisor: settings?.airVolumetricDivisor || 6000,
+      floor: settings?.airShippingMinFloor ?? 0,
+      freeThreshold: settings?.airFreeShippingThreshold ?? null,
+      minOrder: settings?.airShippingThreshold ?? 30000
+    };
+  }
+  return {
+    method: 'SEA',
+    unit: 'cbm',
+    rate: settings?.seaShippingRate ?? 182000,
+    divisor: settings?.seaVolumetricDivisor || 1000,
+    floor: settings?.seaShippingMinFloor ?? 0,
+    freeThreshold: settings?.seaFreeShippingThreshold ?? null,
+    minOrder: settings?.seaShippingThreshold ?? 80000
+  };
+}
+
+const pickDimension = (variant, product, key) => {
+  if (variant && variant[key] !== null && variant[key] !== undefined) return variant[key];
+  return product?.[key] ?? null;
+};
+
+/**
+ * Chargeable weight of one unit: the larger of the buffered actual weight and
+ * the volumetric weight of the padded box, converted to the carrier's billing unit.
+ */
+export function getChargeableWeight(product, variant, carrier) {
+  const weight = pickDimension(variant, product, 'weight');
+  const length = pickDimension(variant, product, 'length');
+  const width = pickDimension(variant, product, 'width');
+  const height = pickDimension(variant, product, 'height');
+
+  const hasWeight = weight !== null && weight > 0;
+  const hasDimensions = length > 0 && width > 0 && height > 0;
+
+  const actualWeight = (hasWeight ? weight : (hasDimensions ? 0 : DEFAULT_ITEM_WEIGHT_KG)) * WEIGHT_BUFFER_FACTOR;
+  const boxedVolume = hasDimensions
+    ? (length + BOX_PADDING_CM) * (width + BOX_PADDING_CM) * (height + BOX_PADDING_CM)
+    : 0;
+  const volumetricWeight = boxedVolume / carrier.divisor;
+  const chargeableKg = Math.max(actualWeight, volumetricWeight);
+
+  return {
+    actualWeight,
+    volumetricWeight,
+    chargeableKg,
+    // SEA bills by volume: chargeable kg back to cubic meters through the divisor
+    chargeable: carrier.unit === 'cbm' ? (chargeableKg * carrier.divisor) / CM3_PER_CBM : chargeableKg,
+    estimated: !hasWeight && !hasDimensions
+  };
 }
 
 /**
  * Calculate international shipping fee based on store settings and product dimensions.
- * @param {Array} items - Array of order items with product data
- * @param {string} method - 'AIR' or 'SEA'
- * @returns {number} - Calculated shipping fee in IQD
+ * Items are grouped by shipping method; each group gets its carrier rate, minimum
+ * floor and free-shipping threshold. When the store's free shipping promo is on,
+ * the quote is still computed (actualCost) but the customer is charged nothing.
+ * @param {Array} items - Array of order items with product and variant data
+ * @param {string} defaultMethod - 'AIR' or 'SEA', for items without their own method
+ * @returns {Promise<Object>} - Fee, threshold status and an itemized breakdown
  */
 export async function calculateOrderShipping(items, defaultMethod = 'SEA') {
   try {
     const settings = await prisma.storeSettings.findUnique({ where: { id: 1 } });
-    
-    const airRate = settings?.airShippingRate || 15400;
-    const seaRate = settings?.seaShippingRate || 182000;
-    
-    let totalActualShipping = 0;
+    const freePromo = settings?.freeInternationalShipping ?? true;
+
     let totalSubtotal = 0;
-    let totalChinaDomestic = 0;
     let isAirAvailable = true;
     const itemsMissingWeight = [];
+    const itemLines = [];
+    const groups = new Map();
 
-    // Calculate Subtotal and Actual Shipping Cost
     for (const item of items) {
       const product = item.product;
       const variant = item.variant;
       const qty = item.quantity || 1;
-      const method = (item.shippingMethod || defaultMethod || 'SEA').toUpperCase();
-      
-      // Use variant dimensions/weight if available, otherwise default to 0
-      const currentWeight = (variant && variant.weight !== null && variant.weight !== undefined) ? variant.weight : 0;
-
-      if (method === 'AIR') {
-        // Air is always available now with estimation
-        isAirAvailable = true;
+      const method = (item.shippingMethod || defaultMethod || 'SEA').toUpperCase() === 'AIR' ? 'AIR' : 'SEA';
+      const carrier = getCarrierConfig(settings, method);
+
+      if (method === 'AIR' && product?.isAirRestricted) {
+        isAirAvailable = false;
       }
 
-      const dbPrice = item.variant?.price || item.product?.price || 0;
-      const adjustedBasePrice = getAdjustedPrice(
-        dbPrice, 
-        product.domesticShippingFee || 0,
-        product.basePriceIQD
-      );
-      
-      totalSubtotal += adjustedBasePrice * qty;
-
-      // Domestic shipping fee is now included in the product price
-      totalChinaDomestic = 0;
-
-      let itemShipping = 0;
-      // International shipping is now free for all methods as per request
-      itemShipping = 0;
-
-      // Round per item to match home page logic (10 IQD rounding)
-      const roundedItemShipping = Math.ceil(itemShipping / 10) * 10;
-      totalActualShipping += roundedItemShipping * qty;
+      const adjustedBasePrice = getSalePrice(product, variant, method);
+      const lineSubtotal = adjustedBasePrice * qty;
+      totalSubtotal += lineSubtotal;
+
+      const weight = getChargeableWeight(product, variant, carrier);
+      if (weight.estimated) {
+        itemsMissingWeight.push(product?.name || String(item.productId));
+      }
+
+      const lineCost = weight.chargeable * qty * carrier.rate;
+      itemLines.push({
+        productId: item.productId ?? product?.id,
+        variantId: item.variantId ?? variant?.id ?? null,
+        name: product?.name,
+        quantity: qty,
+        method,
+        actualWeight: weight.actualWeight,
+        volumetricWeight: weight.volumetricWeight,
+        chargeable: weight.chargeable * qty,
+        unit: carrier.unit,
+        cost: Math.ceil(lineCost / 10) * 10,
+        estimated: weight.estimated
+      });
+
+      const group = groups.get(method) || { carrier, chargeable: 0, subtotal: 0, cost: 0 };
+      group.chargeable += weight.chargeable * qty;
+      group.subtotal += lineSubtotal;
+      group.cost += lineCost;
+      groups.set(method, group);
     }
 
-    // New logic: Threshold from settings (defaults to 30,000 for air, 80,000 for sea)
-    const airMinOrder = settings?.airShippingThreshold || 30000;
-    const seaMinOrder = settings?.seaShippingThreshold || 80000;
-    const isSea = items.some(i => (i.shippingMethod || defaultMethod || 'SEA').toUpperCase() === 'SEA');
-    const threshold = isSea ? seaMinOrder : airMinOrder;
+    const methods = [...groups.values()].map(({ carrier, chargeable, subtotal, cost }) => {
+      const floorApplied = cost < carrier.floor;
+      const baseCost = Math.ceil(Math.max(cost, carrier.floor) / 10) * 10;
+      const thresholdFree = carrier.freeThreshold !== null && subtotal >= carrier.freeThreshold;
+      return {
+        method: carrier.method,
+        unit: carrier.unit,
+        rate: carrier.rate,
+        divisor: carrier.divisor,
+        chargeable,
+        subtotal,
+        baseCost,
+        floor: carrier.floor,
+        floorApplied,
+        freeThreshold: carrier.freeThreshold,
+        freeShippingApplied: freePromo || thresholdFree,
+        fee: freePromo || thresholdFree ? 0 : baseCost
+      };
+    });
+
+    const actualCost = methods.reduce((sum, m) => sum + m.baseCost, 0);
+    const internationalFee = methods.reduce((sum, m) => sum + m.fee, 0);
+
+    // Minimum order: the stricter threshold applies when the order contains sea items
+    const isSea = groups.has('SEA');
+    const threshold = getCarrierConfig(settings, isSea ? 'SEA' : 'AIR').minOrder;
     const isThresholdMet = totalSubtotal >= threshold;
-    
-    // International shipping is now free for all methods as per request
-    let finalShippingFee = 0;
-    
+
     return {
-      fee: finalShippingFee + totalChinaDomestic, // Total fee including domestic
-      actualCost: totalActualShipping,
-      chinaDomesticFee: totalChinaDomestic,
-      internationalFee: finalShippingFee,
+      fee: internationalFee,
+      actualCost,
+      chinaDomesticFee: 0, // Domestic shipping is included in the product price
+      internationalFee,
       contribution: 0,
       isThresholdMet,
       isAvailable: isAirAvailable,
       itemsMissingWeight,
       threshold,
-      subtotal: totalSubtotal
+      subtotal: totalSubtotal,
+      freeShippingPromo: freePromo,
+      breakdown: {
+        methods,
+        items: itemLines
+      }
     };
   } catch (error) {
     console.error('Shipping calculation failed:', error);
@@ -106,45 +189,34 @@ export async function calculateOrderShipping(items, defaultMethod = 'SEA') {
       isAvailable: true,
       itemsMissingWeight: [],
       threshold: 0,
-      subtotal: 0
+      subtotal: 0,
+      freeShippingPromo: false,
+      breakdown: { methods: [], items: [] }
     };
   }
 }
 
 /**
- * Calculate shipping for a single product.
- * Automatically chooses between AIR and SEA based on weight.
+ * Estimated international shipping for one unit of a product.
+ * Returns 0 while the free shipping promo is on.
  */
 export async function calculateProductShipping(product, method = 'SEA', applyMinimum = true, variant = null) {
   try {
-    const safeMethod = (method || 'SEA').toUpperCase();
+    const safeMethod = (method || 'SEA').toUpperCase() === 'AIR' ? 'AIR' : 'SEA';
     const settings = await prisma.storeSettings.findUnique({ where: { id: 1 } });
-    const seaRate = settings?.seaShippingRate || 182000;
-
-    // Use variant dimensions/weight if available, otherwise fallback to product
-    const currentWeight = (variant && variant.weight !== null && variant.weight !== undefined) ? variant.weight : product.weight;
-    const currentLength = (variant && variant.length !== null && variant.length !== undefined) ? variant.length : product.length;
-    const currentWidth = (variant && variant.width !== null && variant.width !== undefined) ? variant.width : product.width;
-    const currentHeight = (variant && variant.height !== null && variant.height !== undefined) ? variant.height : product.height;
-
-    // Apply Packaging Padding & Buffer
-    const rawL = currentLength || 0;
-    const rawWi = currentWidth || 0;
-    const rawH = currentHeight || 0;
-
-    // Boxed Dimensions
-    const boxedL = rawL > 0 ? rawL + BOX_PADDING_CM : 0;
-    const boxedWi = rawWi > 0 ? rawWi + BOX_PADDING_CM : 0;
-    const boxedH = rawH > 0 ? rawH + BOX_PADDING_CM : 0;
-
-    let actualCost = 0;
-    // International shipping is now free for all methods as per request
-    actualCost = 0;
-
-    // As per user request: always add money of delivery
-    const roundedShipping = Math.ceil(actualCost / 10) * 10;
-    
-    return roundedShipping;
+    if (settings?.freeInternationalShipping ?? true) {
+      return 0;
+    }
+
+    const carrier = getCarrierConfig(settings, safeMethod);
+    const { chargeable } = getChargeableWeight(product, variant, carrier);
+
+    let actualCost = chargeable * carrier.rate;
+    if (applyMinimum) {
+      actualCost = Math.max(actualCost, carrier.floor);
+    }
+
+    return Math.ceil(actualCost / 10) * 10;
   } catch (error) {
     return 0;
   }
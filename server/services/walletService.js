@@ -0,0 +1,174 @@
+import prisma from '../prismaClient.js';
+
+export const WALLET_METHOD = 'WALLET';
+
+// Entry types and the sign their amount must carry
+const ENTRY_SIGNS = {
+  DEPOSIT: 1,
+  REFUND: 1,
+  WITHDRAW: -1,
+  PAYMENT: -1,
+  ADJUSTMENT: 0 // Either direction
+};
+
+function walletError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Balance derived from the ledger rather than the cached Wallet.balance column.
+ */
+export async function getWalletBalance(userId, client = prisma) {
+  const result = await client.transaction.aggregate({
+    where: { userId, method: WALLET_METHOD, status: 'COMPLETED' },
+    _sum: { amount: true }
+  });
+  return result._sum.amount || 0;
+}
+
+/**
+ * Appends an immutable entry to the user's wallet ledger.
+ * Must run inside a Prisma interactive transaction; the wallet row is locked
+ * so concurrent debits cannot overdraw the balance.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} entry
+ * @param {number} entry.userId
+ * @param {number} entry.amount - Signed amount in IQD
+ * @param {string} entry.type - DEPOSIT, WITHDRAW, PAYMENT, REFUND or ADJUSTMENT
+ */
+export async function postWalletEntry(tx, { userId, amount, type, description = null, orderId = null, referenceId = null, createdById = null }) {
+  const sign = ENTRY_SIGNS[type];
+  if (sign === undefined) {
+    throw walletError(`Unknown wallet entry type: ${type}`, 400, 'INVALID_ENTRY_TYPE');
+  }
+  if (!Number.isFinite(amount) || amount === 0 || (sign !== 0 && Math.sign(amount) !== sign)) {
+    throw walletError(`Invalid amount ${amount} for ${type}`, 400, 'INVALID_AMOUNT');
+  }
+
+  const wallet = await tx.wallet.upsert({
+    where: { userId },
+    update: {},
+    create: { userId }
+  });
+  await tx.$queryRaw`SELECT id FROM "Wallet" WHERE id = ${wallet.id} FOR UPDATE`;
+
+  const currentBalance = await getWalletBalance(userId, tx);
+  const balanceAfter = currentBalance + amount;
+  if (balanceAfter < 0) {
+    throw walletError('رصيد المحفظة غير كافٍ', 400, 'INSUFFICIENT_BALANCE');
+  }
+
+  const entry = await tx.transaction.create({
+    data: {
+      userId,
+      amount,
+      type,
+      status: 'COMPLETED',
+      method: WALLET_METHOD,
+      balanceAfter,
+      description,
+      orderId,
+      referenceId,
+      createdById
+    }
+  });
+
+  await tx.wallet.update({
+    where: { id: wallet.id },
+    data: { balance: balanceAfter }
+  });
+
+  return entry;
+}
+
+export async function getWalletStatement(userId, { page = 1, limit = 20 } = {}) {
+  const where = { userId, method: WALLET_METHOD };
+  const [transactions, total, balance] = await Promise.all([
+    prisma.transaction.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.transaction.count({ where }),
+    getWalletBalance(userId)
+  ]);
+
+  return {
+    balance,
+    transactions,
+    total,
+    page,
+    totalPages: Math.ceil(total / limit)
+  };
+}
+
+/**
+ * Credits the wallet with whatever was paid for an order and not yet refunded.
+ * Gateway payments are included: cancelled and refunded orders always pay
+ * back to the wallet, and a gateway refund (refundOnlinePayment) can only
+ * return what this has not. Refunds still PENDING at a gateway count as paid.
+ * Runs in the caller's transaction, so the refund commits with the
+ * cancellation that owes it. Safe to call more than once; returns null when
+ * nothing is left to refund.
+ * @param {Object} tx - Prisma transaction client
+ */
+export async function refundOrderToWallet(tx, orderId, { description, createdById = null } = {}) {
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    select: { id: true, userId: true, total: true }
+  });
+  if (!order) return null;
+
+  // Locked before summing so two concurrent cancellations can't both see
+  // the same refundable amount
+  await tx.$queryRaw`SELECT id FROM "Order" WHERE id = ${orderId} FOR UPDATE`;
+
+  const entries = await tx.transaction.findMany({
+    where: { orderId, status: { in: ['COMPLETED', 'PENDING'] }, type: { in: ['PAYMENT', 'REFUND'] } },
+    select: { amount: true, type: true, status: true }
+  });
+
+  // Payments are stored negative, refunds positive. What counts as paid never
+  // exceeds the order cost, whatever the payment rows claim
+  const paid = Math.min(
+    order.total,
+    entries.filter(e => e.type === 'PAYMENT' && e.status === 'COMPLETED').reduce((sum, e) => sum + Math.abs(e.amount), 0)
+  );
+  const refunded = entries.filter(e => e.type === 'REFUND').reduce((sum, e) => sum + e.amount, 0);
+  const refundable = paid - refunded;
+  if (refundable <= 0) return null;
+
+  return postWalletEntry(tx, {
+    userId: order.userId,
+    amount: refundable,
+    type: 'REFUND',
+    description: description || `استرجاع مبلغ الطلب #${orderId}`,
+    orderId,
+    createdById
+  });
+}
+
+/**
+ * Compares every cached Wallet.balance with the balance derived from the ledger.
+ */
+export async function auditWalletBalances() {
+  const [wallets, sums] = await Promise.all([
+    prisma.wallet.findMany({ select: { userId: true, balance: true } }),
+    prisma.transaction.groupBy({
+      by: ['userId'],
+      where: { method: WALLET_METHOD, status: 'COMPLETED' },
+      _sum: { amount: true }
+    })
+  ]);
+
+  const derived = new Map(sums.map(s => [s.userId, s._sum.amount || 0]));
+  const mismatches = wallets
+    .filter(w => Math.abs(w.balance - (derived.get(w.userId) || 0)) > 0.01)
+    .map(w => ({ userId: w.userId, cached: w.balance, derived: derived.get(w.userId) || 0 }));
+
+  return { checked: wallets.length, mismatches };
+}
@@ -0,0 +1,183 @@
+import cron from 'node-cron';
+import prisma from '../prismaClient.js';
+import { enqueueJob } from './jobQueueService.js';
+import { getSalePrice } from './pricingService.js';
+
+const WATCH_BATCH_SIZE = 500;
+const MAX_SYNC_ITEMS = 200;
+// Small movements from exchange-rate refreshes are not worth a notification
+const PRICE_DROP_THRESHOLD = 0.05;
+
+const alertListeners = [];
+
+function wishlistError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const isAvailable = (product) => Boolean(product?.isActive && product.status === 'PUBLISHED');
+
+const watchedProductSelect = {
+  id: true,
+  name: true,
+  image: true,
+  price: true,
+  originalPrice: true,
+  provider: true,
+  isActive: true,
+  status: true,
+  categories: { select: { categoryId: true } }
+};
+
+/**
+ * Listener receives { userId, item, product, type, previousPrice, price } where
+ * type is PRICE_DROP or BACK_IN_STOCK. Failures are logged, not rethrown.
+ */
+export function onWishlistAlert(listener) {
+  alertListeners.push(listener);
+}
+
+async function runAlertListeners(payload) {
+  for (const listener of alertListeners) {
+    try {
+      await listener(payload);
+    } catch (error) {
+      console.error('[Wishlist] Alert listener failed:', error);
+    }
+  }
+}
+
+export async function getWishlistProductIds(userId) {
+  const items = await prisma.wishlistItem.findMany({
+    where: { userId },
+    select: { productId: true },
+    orderBy: { createdAt: 'desc' }
+  });
+  return items.map(item => item.productId);
+}
+
+/**
+ * Adds a product and snapshots its current sale price and availability, so
+ * the watcher alerts on changes after this point only.
+ */
+export async function addToWishlist(userId, productId) {
+  const product = await prisma.product.findUnique({ where: { id: productId }, select: watchedProductSelect });
+  if (!product) {
+    throw wishlistError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+  return prisma.wishlistItem.upsert({
+    where: { userId_productId: { userId, productId } },
+    update: {},
+    create: {
+      userId,
+      productId,
+      lastPrice: getSalePrice(product),
+      lastAvailable: isAvailable(product)
+    }
+  });
+}
+
+export async function removeFromWishlist(userId, productId) {
+  const { count } = await prisma.wishlistItem.deleteMany({ where: { userId, productId } });
+  return count > 0;
+}
+
+/**
+ * Uploads favorites kept in the browser before the wishlist lived on the
+ * server. Existing rows are left untouched and unknown products are skipped.
+ * @param {number} userId
+ * @param {Array<number|string>} productIds
+ * @returns {Promise<{added: number, skipped: number}>}
+ */
+export async function syncWishlist(userId, productIds) {
+  if (!Array.isArray(productIds)) {
+    throw wishlistError('productIds must be an array', 400, 'INVALID_ITEMS');
+  }
+  const ids = [...new Set(productIds.slice(0, MAX_SYNC_ITEMS).map(id => parseInt(id)).filter(id => !Number.isNaN(id)))];
+  if (ids.length === 0) return { added: 0, skipped: productIds.length };
+
+  const products = await prisma.product.findMany({ where: { id: { in: ids } }, select: watchedProductSelect });
+  const { count } = await prisma.wishlistItem.createMany({
+    data: products.map(product => ({
+      userId,
+      productId: product.id,
+      lastPrice: getSalePrice(product),
+      lastAvailable: isAvailable(product)
+    })),
+    skipDuplicates: true
+  });
+  return { added: count, skipped: productIds.length - products.length };
+}
+
+/**
+ * Compares one wishlist row with the product's current state. A price drop
+ * past the threshold or a product that is available again raises an alert
+ * and moves the snapshot to the current values, so each change is reported
+ * once. Rises also move the snapshot; smaller drops keep it, so a price that
+ * creeps down still alerts once the total drop passes the threshold.
+ */
+async function checkItem(item, product) {
+  const available = isAvailable(product);
+  const price = getSalePrice(product);
+  const previousPrice = item.lastPrice;
+
+  let type = null;
+  if (available && !item.lastAvailable) {
+    type = 'BACK_IN_STOCK';
+  } else if (available && previousPrice > 0 && price < previousPrice * (1 - PRICE_DROP_THRESHOLD)) {
+    type = 'PRICE_DROP';
+  }
+
+  const movePrice = available && (type || previousPrice === null || price > previousPrice);
+  if (movePrice || available !== item.lastAvailable) {
+    await prisma.wishlistItem.update({
+      where: { id: item.id },
+      data: { lastAvailable: available, ...(movePrice ? { lastPrice: price } : {}) }
+    });
+  }
+  if (type) {
+    await runAlertListeners({ userId: item.userId, item, product, type, previousPrice, price });
+  }
+  return Boolean(type);
+}
+
+/**
+ * Checks every wishlist row for price drops and products that came back.
+ * Runs as the WISHLIST_WATCH job.
+ * @param {{reportProgress?: Function, throwIfCancelled?: Function}} [ctx]
+ */
+export async function runWishlistWatcher({ reportProgress = () => {}, throwIfCancelled = () => {} } = {}) {
+  const total = await prisma.wishlistItem.count();
+  const result = { total, checked: 0, alerts: 0 };
+  let cursor = 0;
+  for (;;) {
+    throwIfCancelled();
+    const items = await prisma.wishlistItem.findMany({
+      where: { id: { gt: cursor } },
+      orderBy: { id: 'asc' },
+      take: WATCH_BATCH_SIZE,
+      include: { product: { select: watchedProductSelect } }
+    });
+    if (items.length === 0) break;
+    cursor = items[items.length - 1].id;
+
+    for (const item of items) {
+      if (await checkItem(item, item.product)) result.alerts++;
+      result.checked++;
+    }
+    reportProgress(Math.min(99, (result.checked / Math.max(1, total)) * 100), result);
+  }
+  return result;
+}
+
+export function setupWishlistWatcherCron() {
+  const schedule = process.env.WISHLIST_WATCH_CRON || '*/30 * * * *';
+  cron.schedule(schedule, () => {
+    enqueueJob('WISHLIST_WATCH', {}, { unique: true })
+      .catch((error) => console.error('[Wishlist] Failed to queue watcher run:', error));
+  });
+
+  console.log(`[Wishlist] Watcher scheduled (${schedule})`);
+}
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCnyPrice, resolveProvider } from '../../services/productSource.js';
+
+test('provider comes from the purchase URL when the payload has none', () => {
+  assert.equal(resolveProvider({ purchaseUrl: 'https://item.taobao.com/item.htm?id=1' }), 'TAOBAO');
+  assert.equal(resolveProvider({ purchaseUrl: 'https://mobile.yangkeduo.com/goods.html?goods_id=1' }), 'PDD');
+  assert.equal(resolveProvider({ purchaseUrl: 'https://detail.1688.com/offer/1.html' }), '1688');
+});
+
+test('a known provider in the payload wins, an unknown one falls back to the URL', () => {
+  assert.equal(resolveProvider({ provider: 'pdd', purchaseUrl: 'https://item.taobao.com/item.htm?id=1' }), 'PDD');
+  assert.equal(resolveProvider({ provider: 'ebay', purchaseUrl: 'https://detail.1688.com/offer/1.html' }), '1688');
+  assert.equal(resolveProvider({ provider: 'ebay', purchaseUrl: 'not a url' }), null);
+});
+
+test('CNY cost prefers an explicit amount and otherwise reads legacy raw prices', () => {
+  assert.equal(resolveCnyPrice({ explicit: 45, raw: 9000 }), 45);
+  assert.equal(resolveCnyPrice({ raw: 45 }), 45);
+  assert.equal(resolveCnyPrice({ raw: 9000 }), null);
+  assert.equal(resolveCnyPrice({ raw: 45, isIqd: true }), null);
+  assert.equal(resolveCnyPrice({ raw: 0 }), null);
+});
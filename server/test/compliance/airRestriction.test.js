@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveAirRestriction } from '../../services/airRestriction.js';
+
+// PUT /api/products/:id recomputes the flag whenever name, specs or categories
+// change; the editor never sends isAirRestricted itself
+test('renaming a restricted product keeps it off air freight', () => {
+  assert.equal(resolveAirRestriction({ requested: undefined, stored: true, verdict: 'ALLOWED' }), true);
+});
+
+test('an unrestricted product picks up a SEA_ONLY verdict', () => {
+  assert.equal(resolveAirRestriction({ requested: undefined, stored: false, verdict: 'SEA_ONLY' }), true);
+  assert.equal(resolveAirRestriction({ requested: undefined, stored: false, verdict: 'ALLOWED' }), false);
+});
+
+test('an explicit value replaces the stored flag but not a SEA_ONLY verdict', () => {
+  assert.equal(resolveAirRestriction({ requested: false, stored: true, verdict: 'ALLOWED' }), false);
+  assert.equal(resolveAirRestriction({ requested: 'true', stored: false, verdict: 'ALLOWED' }), true);
+  assert.equal(resolveAirRestriction({ requested: false, stored: true, verdict: 'SEA_ONLY' }), true);
+});
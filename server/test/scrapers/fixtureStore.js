@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getScraperAdapter } from '../../services/scrapers/adapters/index.js';
+
+// One directory per fixture under fixtures/<provider>/<name>/:
+//   snapshot.json  the adapter snapshot with each page replaced by its file name
+//   *.html         the captured pages
+//   expected.json  golden parser output
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const EXPECTED_FILE = 'expected.json';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+const writeJson = (file, value) => fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+
+export function listFixtures() {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+  return fs.readdirSync(FIXTURES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(provider => fs.readdirSync(path.join(FIXTURES_DIR, provider.name), { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && fs.existsSync(path.join(FIXTURES_DIR, provider.name, entry.name, SNAPSHOT_FILE)))
+      .map(entry => ({ provider: provider.name, name: entry.name, dir: path.join(FIXTURES_DIR, provider.name, entry.name) })));
+}
+
+/** Rebuilds the adapter snapshot, reading each page back from its file. */
+export function loadSnapshot(fixture) {
+  const stored = readJson(path.join(fixture.dir, SNAPSHOT_FILE));
+  const pages = {};
+  for (const [key, file] of Object.entries(stored.pages || {})) {
+    pages[key] = fs.readFileSync(path.join(fixture.dir, file), 'utf8');
+  }
+  return { ...stored, pages };
+}
+
+/**
+ * Runs the provider's parser over a fixture. Product fixtures give the
+ * ScrapedProduct, listing fixtures the product links found on the page.
+ */
+export function parseFixture(fixture) {
+  const snapshot = loadSnapshot(fixture);
+  const adapter = getScraperAdapter(snapshot.provider);
+  if (snapshot.kind === 'listing') {
+    return { links: adapter.parseListing(snapshot.pages.listing, snapshot.url) };
+  }
+  return adapter.parseProduct(snapshot);
+}
+
+export function readExpected(fixture) {
+  const file = path.join(fixture.dir, EXPECTED_FILE);
+  return fs.existsSync(file) ? readJson(file) : null;
+}
+
+export function writeExpected(fixture, output) {
+  writeJson(path.join(fixture.dir, EXPECTED_FILE), output);
+}
+
+/**
+ * Stores a snapshot as a fixture, one file per captured page, and records the
+ * parser's current output as the golden file.
+ * @param {{provider: string, kind?: string, url: string, pages: Object<string, string>}} snapshot
+ * @param {string} name  Directory name, e.g. the item id
+ */
+export function saveFixture(snapshot, name) {
+  const dir = path.join(FIXTURES_DIR, snapshot.provider, name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const pages = {};
+  for (const [key, html] of Object.entries(snapshot.pages)) {
+    pages[key] = `${key}.html`;
+    fs.writeFileSync(path.join(dir, pages[key]), html);
+  }
+  writeJson(path.join(dir, SNAPSHOT_FILE), { kind: 'product', ...snapshot, pages });
+
+  const fixture = { provider: snapshot.provider, name, dir };
+  writeExpected(fixture, parseFixture(fixture));
+  return fixture;
+}
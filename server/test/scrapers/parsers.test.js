@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ADAPTERS } from '../../services/scrapers/adapters/index.js';
+import { listFixtures, loadSnapshot, parseFixture, readExpected, writeExpected } from './fixtureStore.js';
+
+// Golden-output check for every recorded page. After an intended parser change
+// run with UPDATE_SCRAPER_FIXTURES=1 and review the expected.json diff.
+const updating = process.env.UPDATE_SCRAPER_FIXTURES === '1';
+
+for (const fixture of listFixtures()) {
+  test(`${fixture.provider} parser: ${fixture.name}`, () => {
+    const output = JSON.parse(JSON.stringify(parseFixture(fixture)));
+    if (updating) {
+      writeExpected(fixture, output);
+      return;
+    }
+
+    const expected = readExpected(fixture);
+    assert.ok(expected, `No expected.json for ${fixture.provider}/${fixture.name}; run with UPDATE_SCRAPER_FIXTURES=1`);
+    assert.deepEqual(output, expected);
+  });
+}
+
+// Every adapter needs at least one recorded product page with golden output;
+// a parser without one is untested, so the gap fails the suite.
+// Record it with: npm run record:fixture -- <product url>
+const fixtures = listFixtures();
+for (const adapter of ADAPTERS) {
+  test(`${adapter.provider} has a product fixture`, () => {
+    const covered = fixtures.some(fixture => fixture.provider === adapter.provider
+      && loadSnapshot(fixture).kind !== 'listing'
+      && readExpected(fixture));
+    assert.ok(covered, `No recorded ${adapter.provider} product page; run npm run record:fixture -- <product url>`);
+  });
+}
@@ -7,7 +7,7 @@ import ScrollToTop from './components/ScrollToTop';
 import Toast from './components/Toast';
 import { useAuthStore } from './store/useAuthStore';
 import { useCartStore } from './store/useCartStore';
-// import { useWishlistStore } from './store/useWishlistStore';
+import { useWishlistStore } from './store/useWishlistStore';
 import { useNotificationStore } from './store/useNotificationStore';
 import { useThemeStore } from './store/useThemeStore';
 import { useChatStore } from './store/useChatStore';
@@ -62,6 +62,9 @@ import { Capacitor } from '@capacitor/core';
 import type { PluginListenerHandle } from '@capacitor/core';
 
 const AdminLayout = lazy(() => import('./components/AdminLayout'));
+const AdminJobs = lazy(() => import('./pages/AdminJobs'));
+const AdminPriceChanges = lazy(() => import('./pages/AdminPriceChanges'));
+const AdminSearchDictionary = lazy(() => import('./pages/AdminSearchDictionary'));
 
 // Loading fallback
 const PageLoader = () => (
@@ -174,6 +177,30 @@ function AdminRoutes() {
     <Suspense fallback={<PageLoader />}>
       <AdminLayout>
         <Routes>
+          <Route
+            path="/jobs"
+            element={
+              <ProtectedRoute requireAdmin={true}>
+                <AdminJobs />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/price-changes"
+            element={
+              <ProtectedRoute requireAdmin={true}>
+                <AdminPriceChanges />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/search-dictionary"
+            element={
+              <ProtectedRoute requireAdmin={true}>
+                <AdminSearchDictionary />
+              </ProtectedRoute>
+            }
+          />
           <Route 
             path="/*" 
             element={
@@ -308,7 +335,7 @@ function AnimatedRoutes() {
 function App() {
   const checkAuth = useAuthStore((state) => state.checkAuth);
   const fetchCart = useCartStore((state) => state.fetchCart);
-  // const fetchWishlist = useWishlistStore((state) => state.fetchWishlist); // Removed unused
+  const fetchWishlist = useWishlistStore((state) => state.fetchWishlist);
   
   const { isAuthenticated, user, isLoading } = useAuthStore(
     useShallow((state) => ({ 
@@ -355,7 +382,7 @@ function App() {
     // Only connect socket and fetch user data when we are fully authenticated and done loading
     if (isAuthenticated && user && !isLoading) {
       fetchCart();
-      // fetchWishlist(); // Removed as wishlist is now local storage only
+      fetchWishlist(true);
       fetchNotifications();
       
       // OPTIMIZATION: Delay socket connection to prevent startup lag
@@ -373,7 +400,7 @@ function App() {
     } else if (!isAuthenticated && !isLoading) {
       disconnectSocket();
     }
-  }, [isAuthenticated, user, isLoading, fetchCart, fetchNotifications, initNotificationSocket, cleanupNotificationSocket]);
+  }, [isAuthenticated, user, isLoading, fetchCart, fetchWishlist, fetchNotifications, initNotificationSocket, cleanupNotificationSocket]);
 
   if (isServerDown) {
     return <MaintenanceScreen />;
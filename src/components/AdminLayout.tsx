@@ -13,7 +13,10 @@ import {
   User,
   Menu,
   X,
-  Home
+  Home,
+  ListChecks,
+  TrendingUp,
+  BookOpen
 } from 'lucide-react';
 import Logo from './Logo';
 import { useAuthStore } from '../store/useAuthStore';
@@ -34,6 +37,9 @@ const AdminLayout: React.FC<AdminLayoutProps> = ({ children }) => {
     { id: 'users', label: 'المستخدمين', icon: Users, path: '/admin/users' },
     { id: 'orders', label: 'الطلبات', icon: ShoppingCart, path: '/admin/orders' },
     { id: 'coupons', label: 'الكوبونات', icon: Ticket, path: '/admin/coupons' },
+    { id: 'jobs', label: 'المهام', icon: ListChecks, path: '/admin/jobs' },
+    { id: 'price-changes', label: 'تغييرات الأسعار', icon: TrendingUp, path: '/admin/price-changes' },
+    { id: 'search-dictionary', label: 'قاموس البحث', icon: BookOpen, path: '/admin/search-dictionary' },
     { id: 'settings', label: 'الإعدادات', icon: Settings, path: '/admin/settings' },
   ];
 
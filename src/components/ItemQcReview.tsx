@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { Camera, CheckCircle2, Undo2, Loader2, X } from 'lucide-react';
+import { submitItemQcDecision } from '../services/api';
+import { useToastStore } from '../store/useToastStore';
+
+const STATUS_LABELS: Record<string, string> = {
+  PURCHASED: 'تم الشراء من المتجر',
+  ARRIVED_WAREHOUSE: 'وصل إلى مستودع الصين',
+  QC_COMPLETED: 'تم الفحص',
+  RETURN_REQUESTED: 'بانتظار مراجعة طلب الإرجاع',
+  RETURNED: 'تم الإرجاع واسترداد المبلغ إلى المحفظة'
+};
+
+interface ItemQcReviewProps {
+  orderId: number | string;
+  item: any;
+  onUpdated: () => void;
+}
+
+const ItemQcReview: React.FC<ItemQcReviewProps> = ({ orderId, item, onUpdated }) => {
+  const showToast = useToastStore((state) => state.showToast);
+  const [previewPhoto, setPreviewPhoto] = useState<string | null>(null);
+  const [showReturnForm, setShowReturnForm] = useState(false);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const status = item.status || 'PENDING';
+  const photos: string[] = item.qcPhotos || [];
+  const awaitingDecision = status === 'QC_COMPLETED' && !item.qcApprovedAt;
+
+  if (status === 'PENDING') return null;
+
+  const submitDecision = async (approve: boolean) => {
+    if (!approve && !reason.trim()) {
+      showToast('يرجى كتابة سبب الإرجاع', 'error');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      await submitItemQcDecision(orderId, item.id, approve, approve ? undefined : reason.trim());
+      showToast(approve ? 'شكراً! تمت الموافقة على المنتج' : 'تم إرسال طلب الإرجاع', 'success');
+      setShowReturnForm(false);
+      onUpdated();
+    } catch (err: any) {
+      showToast(err.message || 'فشل في حفظ قرارك', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-2 border-t border-slate-100 dark:border-slate-700/50 pt-3">
+      <div className="flex items-center justify-between text-xs">
+        <span className="font-bold text-slate-600 dark:text-slate-300">
+          {status === 'QC_COMPLETED' && item.qcApprovedAt ? 'تمت الموافقة، جاهز للشحن الدولي' : STATUS_LABELS[status] || status}
+        </span>
+        {item.weight ? <span className="text-slate-400 font-sans">{item.weight} kg</span> : null}
+      </div>
+
+      {photos.length > 0 && (
+        <div className="flex flex-col gap-1.5">
+          <span className="flex items-center gap-1 text-[10px] text-slate-400">
+            <Camera size={12} />
+            صور الفحص
+          </span>
+          <div className="flex gap-2 overflow-x-auto no-scrollbar">
+            {photos.map((photo, idx) => (
+              <button
+                key={idx}
+                onClick={() => setPreviewPhoto(photo)}
+                className="size-16 shrink-0 rounded-lg overflow-hidden border border-slate-200 dark:border-slate-700"
+              >
+                <img src={photo} alt={`QC ${idx + 1}`} className="w-full h-full object-cover" />
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {item.remark && (
+        <p className="text-[11px] text-slate-500 dark:text-slate-400">{item.remark}</p>
+      )}
+
+      {awaitingDecision && !showReturnForm && (
+        <div className="flex gap-2">
+          <button
+            onClick={() => submitDecision(true)}
+            disabled={submitting}
+            className="flex-1 py-2 rounded-lg bg-green-600 text-white text-xs font-bold flex items-center justify-center gap-1 disabled:opacity-50"
+          >
+            {submitting ? <Loader2 size={14} className="animate-spin" /> : <CheckCircle2 size={14} />}
+            موافق، اشحنه
+          </button>
+          <button
+            onClick={() => setShowReturnForm(true)}
+            disabled={submitting}
+            className="flex-1 py-2 rounded-lg bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 text-xs font-bold flex items-center justify-center gap-1 disabled:opacity-50"
+          >
+            <Undo2 size={14} />
+            طلب إرجاع
+          </button>
+        </div>
+      )}
+
+      {awaitingDecision && showReturnForm && (
+        <div className="flex flex-col gap-2">
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="ما المشكلة في المنتج؟"
+            rows={2}
+            className="w-full px-3 py-2 rounded-lg bg-slate-50 dark:bg-slate-900 border border-slate-200 dark:border-slate-700 text-xs focus:outline-none focus:border-primary"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={() => submitDecision(false)}
+              disabled={submitting}
+              className="flex-1 py-2 rounded-lg bg-rose-600 text-white text-xs font-bold flex items-center justify-center gap-1 disabled:opacity-50"
+            >
+              {submitting && <Loader2 size={14} className="animate-spin" />}
+              إرسال طلب الإرجاع
+            </button>
+            <button
+              onClick={() => setShowReturnForm(false)}
+              disabled={submitting}
+              className="px-4 py-2 rounded-lg bg-slate-100 dark:bg-slate-700 text-xs font-bold"
+            >
+              إلغاء
+            </button>
+          </div>
+        </div>
+      )}
+
+      {previewPhoto && (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/90 p-4" onClick={() => setPreviewPhoto(null)}>
+          <button className="absolute top-4 left-4 size-10 flex items-center justify-center rounded-full bg-white/10 text-white">
+            <X size={20} />
+          </button>
+          <img src={previewPhoto} alt="QC" className="max-w-full max-h-full object-contain" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ItemQcReview;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { ImagePlus, X } from 'lucide-react';
+
+interface PaymentProofFormProps {
+  reference: string;
+  setReference: (reference: string) => void;
+  screenshot: string;
+  setScreenshot: (screenshot: string) => void;
+  disabled?: boolean;
+}
+
+const PaymentProofForm: React.FC<PaymentProofFormProps> = ({
+  reference,
+  setReference,
+  screenshot,
+  setScreenshot,
+  disabled
+}) => {
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onloadend = () => {
+        setScreenshot(reader.result as string);
+      };
+      reader.readAsDataURL(file);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div>
+        <label className="text-sm font-bold text-slate-700 dark:text-slate-300 mb-1.5 block">رقم العملية</label>
+        <input
+          type="text"
+          dir="ltr"
+          value={reference}
+          onChange={(e) => setReference(e.target.value)}
+          disabled={disabled}
+          placeholder="مثال: 123456789"
+          className="w-full px-4 py-3 rounded-xl bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 text-slate-900 dark:text-white font-sans text-center focus:outline-none focus:border-primary"
+        />
+      </div>
+
+      <div>
+        <label className="text-sm font-bold text-slate-700 dark:text-slate-300 mb-1.5 block">صورة إيصال التحويل</label>
+        {screenshot ? (
+          <div className="relative rounded-xl overflow-hidden border border-slate-200 dark:border-slate-700">
+            <img src={screenshot} alt="إيصال التحويل" className="w-full max-h-60 object-contain bg-slate-50 dark:bg-slate-800" />
+            {!disabled && (
+              <button
+                onClick={() => setScreenshot('')}
+                className="absolute top-2 left-2 size-8 flex items-center justify-center rounded-full bg-black/60 text-white"
+              >
+                <X size={16} />
+              </button>
+            )}
+          </div>
+        ) : (
+          <label className="flex flex-col items-center justify-center gap-2 py-6 rounded-xl border-2 border-dashed border-slate-200 dark:border-slate-700 text-slate-400 cursor-pointer hover:border-primary hover:text-primary transition-colors">
+            <ImagePlus size={28} />
+            <span className="text-xs font-bold">اضغط لرفع صورة التحويل</span>
+            <input type="file" accept="image/*" className="hidden" onChange={handleFileChange} disabled={disabled} />
+          </label>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentProofForm;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, Plane, Ship } from 'lucide-react';
+import type { ShippingInfo } from '../types/shipping';
+
+interface ShippingBreakdownProps {
+  info: ShippingInfo | null;
+  loading?: boolean;
+}
+
+const formatChargeable = (value: number, unit: 'kg' | 'cbm') =>
+  unit === 'cbm' ? `${value.toFixed(3)} م³` : `${value.toFixed(2)} كغ`;
+
+const ShippingBreakdown: React.FC<ShippingBreakdownProps> = ({ info, loading }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (loading) {
+    return (
+      <div className="flex justify-between items-center text-sm">
+        <span className="text-slate-500 dark:text-slate-400">الشحن الدولي</span>
+        <span className="text-xs font-bold text-slate-400">جاري الحساب...</span>
+      </div>
+    );
+  }
+
+  if (!info) return null;
+
+  const methods = info.breakdown?.methods || [];
+  const items = info.breakdown?.items || [];
+  const isFree = info.internationalFee === 0;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex justify-between items-center text-sm">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center gap-1 text-slate-500 dark:text-slate-400"
+        >
+          <span>الشحن الدولي</span>
+          {items.length > 0 && (expanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />)}
+        </button>
+        {isFree ? (
+          <div className="flex items-center gap-2">
+            {(info.actualCost || 0) > 0 && (
+              <span className="text-xs text-slate-400 line-through">{(info.actualCost || 0).toLocaleString()} د.ع</span>
+            )}
+            <span className="bg-green-500/10 text-green-600 px-2 py-0.5 rounded-lg text-[10px] font-black">مجاني</span>
+          </div>
+        ) : (
+          <span className="font-bold text-slate-900 dark:text-white">{(info.internationalFee || 0).toLocaleString()} د.ع</span>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="flex flex-col gap-2 rounded-xl bg-slate-50 dark:bg-slate-800/50 p-3">
+          {methods.map((m) => (
+            <div key={m.method} className="flex flex-col gap-1 text-[11px] text-slate-500 dark:text-slate-400">
+              <div className="flex items-center justify-between font-bold text-slate-700 dark:text-slate-300">
+                <span className="flex items-center gap-1">
+                  {m.method === 'AIR' ? <Plane size={12} /> : <Ship size={12} />}
+                  {m.method === 'AIR' ? 'شحن جوي' : 'شحن بحري'}
+                </span>
+                <span>{m.baseCost.toLocaleString()} د.ع</span>
+              </div>
+              <div className="flex items-center justify-between">
+                <span>الوزن المحتسب</span>
+                <span className="font-sans">{formatChargeable(m.chargeable, m.unit)} × {m.rate.toLocaleString()}</span>
+              </div>
+              {m.floorApplied && (
+                <div className="flex items-center justify-between">
+                  <span>الحد الأدنى للشحن</span>
+                  <span className="font-sans">{m.floor.toLocaleString()} د.ع</span>
+                </div>
+              )}
+              {m.freeThreshold !== null && !m.freeShippingApplied && (
+                <p className="text-primary font-bold">
+                  أضف {(m.freeThreshold - m.subtotal).toLocaleString()} د.ع للحصول على شحن مجاني
+                </p>
+              )}
+            </div>
+          ))}
+
+          <div className="h-px bg-slate-200 dark:bg-slate-700 w-full"></div>
+
+          {items.map((item) => (
+            <div key={`${item.productId}-${item.variantId}`} className="flex items-center justify-between gap-2 text-[10px] text-slate-500 dark:text-slate-400">
+              <span className="truncate">{item.name} × {item.quantity}</span>
+              <span className="shrink-0 font-sans">
+                {formatChargeable(item.chargeable, item.unit)}
+                {item.estimated && ' *'}
+              </span>
+            </div>
+          ))}
+
+          {(info.itemsMissingWeight?.length || 0) > 0 && (
+            <p className="text-[10px] text-amber-600">* وزن تقديري، قد تتغير التكلفة بعد وزن الشحنة في المستودع</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShippingBreakdown;
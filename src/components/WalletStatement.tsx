@@ -0,0 +1,102 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Wallet, ArrowDownLeft, ArrowUpRight, Loader2 } from 'lucide-react';
+import { fetchWalletTransactions } from '../services/api';
+
+const TYPE_LABELS: Record<string, string> = {
+  DEPOSIT: 'شحن رصيد',
+  REFUND: 'استرجاع',
+  PAYMENT: 'دفع طلب',
+  WITHDRAW: 'سحب',
+  ADJUSTMENT: 'تسوية'
+};
+
+const WalletStatement: React.FC = () => {
+  const [balance, setBalance] = useState(0);
+  const [transactions, setTransactions] = useState<any[]>([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(false);
+
+  const loadPage = useCallback(async (pageToLoad: number) => {
+    setLoading(true);
+    try {
+      const data = await fetchWalletTransactions(pageToLoad);
+      setBalance(data.balance || 0);
+      setTotalPages(data.totalPages || 1);
+      setPage(pageToLoad);
+      setTransactions(prev => pageToLoad === 1 ? data.transactions : [...prev, ...data.transactions]);
+    } catch (err) {
+      console.error('[Wallet] Failed to load statement:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-3xl p-5 shadow-sm border border-slate-100 dark:border-slate-700/50">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="flex size-10 items-center justify-center rounded-xl bg-amber-500/10 text-amber-600 dark:bg-amber-500/20 dark:text-amber-400">
+            <Wallet size={20} />
+          </div>
+          <div className="text-right">
+            <p className="text-[10px] text-slate-500">رصيد المحفظة</p>
+            <p className="text-base font-black text-slate-900 dark:text-white">{balance.toLocaleString()} د.ع</p>
+          </div>
+        </div>
+        {transactions.length > 0 && (
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="text-xs font-bold text-slate-400 active:opacity-70"
+          >
+            {expanded ? 'إخفاء' : 'كشف الحساب'}
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="mt-4 divide-y divide-slate-50 dark:divide-slate-700/50">
+          {transactions.map((tx) => (
+            <div key={tx.id} className="flex items-center justify-between py-3">
+              <div className="flex items-center gap-3">
+                <div className={`flex size-8 items-center justify-center rounded-lg ${tx.amount > 0 ? 'bg-green-500/10 text-green-600' : 'bg-rose-500/10 text-rose-600'}`}>
+                  {tx.amount > 0 ? <ArrowDownLeft size={16} /> : <ArrowUpRight size={16} />}
+                </div>
+                <div className="text-right">
+                  <p className="text-xs font-bold text-slate-900 dark:text-white">{tx.description || TYPE_LABELS[tx.type] || tx.type}</p>
+                  <p className="text-[10px] text-slate-400">{new Date(tx.createdAt).toLocaleDateString('ar-IQ', { day: 'numeric', month: 'long', year: 'numeric' })}</p>
+                </div>
+              </div>
+              <div className="text-left">
+                <p className={`text-sm font-black font-sans ${tx.amount > 0 ? 'text-green-600' : 'text-rose-600'}`}>
+                  {tx.amount > 0 ? '+' : ''}{tx.amount.toLocaleString()}
+                </p>
+                {tx.balanceAfter !== null && tx.balanceAfter !== undefined && (
+                  <p className="text-[10px] text-slate-400 font-sans">{tx.balanceAfter.toLocaleString()}</p>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {page < totalPages && (
+            <button
+              onClick={() => loadPage(page + 1)}
+              disabled={loading}
+              className="w-full pt-3 text-xs font-bold text-primary flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {loading && <Loader2 size={14} className="animate-spin" />}
+              عرض المزيد
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WalletStatement;
@@ -6,14 +6,15 @@ import type { Product } from '../../types/product';
 interface SimilarProductsProps {
   products: Product[];
   onProductClick: (id: number | string) => void;
+  title?: string;
 }
 
-const SimilarProducts: React.FC<SimilarProductsProps> = ({ products, onProductClick }) => {
+const SimilarProducts: React.FC<SimilarProductsProps> = ({ products, onProductClick, title = 'منتجات مشابهة' }) => {
   if (products.length === 0) return null;
 
   return (
     <div className="mb-8 px-5">
-      <h3 className="text-slate-900 dark:text-white text-lg font-black mb-4">منتجات مشابهة</h3>
+      <h3 className="text-slate-900 dark:text-white text-lg font-black mb-4">{title}</h3>
       <div className="flex gap-4 overflow-x-auto no-scrollbar pb-4">
         {products.map((p) => {
           const variants = p.variants || [];
@@ -1,13 +1,12 @@
 import React from 'react';
 import { ArrowUpDown } from 'lucide-react';
-
-type SortType = 'none' | 'price_asc' | 'price_desc' | 'rating';
+import type { SearchSort } from '../../services/api';
 
 interface FilterSortStripProps {
   activeFilter: string;
-  sortBy: SortType;
+  sortBy: SearchSort;
   onFilterChange: (filter: string) => void;
-  onSortChange: (sort: SortType) => void;
+  onSortChange: (sort: SearchSort) => void;
 }
 
 const FilterSortStrip: React.FC<FilterSortStripProps> = ({
@@ -16,7 +15,7 @@ const FilterSortStrip: React.FC<FilterSortStripProps> = ({
   onFilterChange,
   onSortChange,
 }) => {
-  const sorts: SortType[] = ['none', 'price_asc', 'price_desc', 'rating'];
+  const sorts: SearchSort[] = ['relevance', 'price_asc', 'price_desc', 'newest', 'best_selling', 'rating'];
   
   const handleSortClick = () => {
     const nextSort = sorts[(sorts.indexOf(sortBy) + 1) % sorts.length];
@@ -27,6 +26,7 @@ const FilterSortStrip: React.FC<FilterSortStripProps> = ({
     { id: 'all', label: 'الكل' },
     { id: 'top_rated', label: 'الأعلى تقييماً' },
     { id: 'under_25k', label: 'أقل من 25,000' },
+    { id: 'air', label: 'متاح بالشحن الجوي' },
   ];
 
   return (
@@ -34,16 +34,18 @@ const FilterSortStrip: React.FC<FilterSortStripProps> = ({
       <button 
         onClick={handleSortClick}
         className={`flex shrink-0 items-center justify-center gap-1 rounded-lg px-2.5 py-1.5 border active:scale-95 transition-all ${
-          sortBy !== 'none' 
+          sortBy !== 'relevance' 
             ? 'bg-primary text-white border-primary shadow-sm' 
             : 'bg-slate-100 dark:bg-slate-800 border-transparent text-slate-700 dark:text-slate-300'
         }`}
       >
         <ArrowUpDown size={16} />
         <span className="text-[11px] font-bold">
-          {sortBy === 'none' && 'تصنيف'}
+          {sortBy === 'relevance' && 'تصنيف'}
           {sortBy === 'price_asc' && 'الأرخص'}
           {sortBy === 'price_desc' && 'الأغلى'}
+          {sortBy === 'newest' && 'الأحدث'}
+          {sortBy === 'best_selling' && 'الأكثر مبيعاً'}
           {sortBy === 'rating' && 'التقييم'}
         </span>
       </button>
@@ -1,52 +1,108 @@
-import React from 'react';
-import { Search } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { History, LayoutGrid, Search, TrendingUp } from 'lucide-react';
+import { fetchSearchSuggestions } from '../../services/api';
+import type { SearchSuggestions } from '../../services/api';
+import { useUserPreferencesStore } from '../../store/useUserPreferencesStore';
 
 interface SearchSuggestionsListProps {
   query: string;
   onSelect: (query: string) => void;
+  onSelectCategory?: (categoryId: number, name: string) => void;
+  onSelectProduct?: (productId: number) => void;
 }
 
-const MOCK_SUGGESTIONS = [
-  'ملابس أطفال',
-  'ملابس أطفال أولاد',
-  'ملابس رجالي',
-  'ملابس نسائي',
-  'ملابس أولاد كبار',
-  'أحذية رياضية',
-  'ساعات ذكية',
-  'أيفون 15 برو',
-  'سماعات بلوتوث',
-  'ألعاب أطفال',
-  'شنط نسائية',
-  'عطور فرنسية'
-];
-
-const SearchSuggestionsList: React.FC<SearchSuggestionsListProps> = ({ query, onSelect }) => {
-  // Filter suggestions based on query
-  const filteredSuggestions = MOCK_SUGGESTIONS.filter(item => 
-    item.includes(query) || query.split('').every(char => item.includes(char))
+// Short pause so fast typing sends one request per word rather than per letter
+const SUGGEST_DELAY_MS = 150;
+
+const Highlight: React.FC<{ text: string; query: string }> = ({ text, query }) => {
+  const index = query ? text.indexOf(query) : -1;
+  if (index === -1) return <>{text}</>;
+  return (
+    <>
+      {text.slice(0, index)}
+      <span className="text-slate-900 dark:text-white font-bold">{text.slice(index, index + query.length)}</span>
+      {text.slice(index + query.length)}
+    </>
   );
+};
+
+const SearchSuggestionsList: React.FC<SearchSuggestionsListProps> = ({ query, onSelect, onSelectCategory, onSelectProduct }) => {
+  const localHistory = useUserPreferencesStore((state) => state.searchHistory);
+  const [suggestions, setSuggestions] = useState<SearchSuggestions | null>(null);
 
-  if (filteredSuggestions.length === 0) return null;
+  useEffect(() => {
+    let isCurrent = true;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const data = await fetchSearchSuggestions(query.trim());
+        if (isCurrent) setSuggestions(data);
+      } catch (error) {
+        console.warn('Suggestions failed:', error);
+        // Offline: fall back to searches made on this device
+        if (isCurrent) {
+          setSuggestions({
+            query,
+            recent: localHistory.filter(item => item.includes(query.trim())).slice(0, 5).map(text => ({ text })),
+            queries: [],
+            categories: [],
+            products: []
+          });
+        }
+      }
+    }, SUGGEST_DELAY_MS);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeoutId);
+    };
+  }, [query, localHistory]);
+
+  if (!suggestions) return null;
+  const { recent, queries, categories, products } = suggestions;
+  if (recent.length + queries.length + categories.length + products.length === 0) return null;
+
+  const rowClass = 'flex items-center gap-3 px-4 py-3 border-b border-slate-100 dark:border-slate-800 cursor-pointer active:bg-slate-50 dark:active:bg-slate-800 transition-colors';
+  const textClass = 'text-sm text-slate-700 dark:text-slate-200 flex-1 text-right';
+  const trimmed = query.trim();
 
   return (
     <div className="w-full bg-white dark:bg-slate-900">
-      {filteredSuggestions.map((suggestion, index) => (
-        <div 
-          key={index}
-          onClick={() => onSelect(suggestion)}
-          className="flex items-center gap-3 px-4 py-3 border-b border-slate-100 dark:border-slate-800 cursor-pointer active:bg-slate-50 dark:active:bg-slate-800 transition-colors"
+      {recent.map((item) => (
+        <div key={`recent-${item.text}`} onClick={() => onSelect(item.text)} className={rowClass}>
+          <History size={16} className="text-slate-400" />
+          <div className={textClass}><Highlight text={item.text} query={trimmed} /></div>
+        </div>
+      ))}
+      {queries.map((item) => (
+        <div key={`query-${item.text}`} onClick={() => onSelect(item.text)} className={rowClass}>
+          <TrendingUp size={16} className="text-slate-400" />
+          <div className={textClass}><Highlight text={item.text} query={trimmed} /></div>
+        </div>
+      ))}
+      {categories.map((category) => (
+        <div
+          key={`category-${category.id}`}
+          onClick={() => onSelectCategory ? onSelectCategory(category.id, category.name) : onSelect(category.name)}
+          className={rowClass}
+        >
+          <LayoutGrid size={16} className="text-primary" />
+          <div className={textClass}>
+            <Highlight text={category.name} query={trimmed} />
+            <span className="text-xs text-slate-400 mr-2">قسم</span>
+          </div>
+        </div>
+      ))}
+      {products.map((product) => (
+        <div
+          key={`product-${product.id}`}
+          onClick={() => onSelectProduct ? onSelectProduct(product.id) : onSelect(product.name)}
+          className={rowClass}
         >
-          <Search size={16} className="text-slate-400" />
-          <div 
-            className="text-sm text-slate-700 dark:text-slate-200 flex-1 text-right"
-            dangerouslySetInnerHTML={{
-              __html: suggestion.replace(
-                new RegExp(query, 'gi'),
-                (match) => `<span class="text-slate-900 dark:text-white font-bold">${match}</span>`
-              )
-            }}
-          />
+          {product.image ? (
+            <img src={product.image} alt="" className="w-8 h-8 rounded-lg object-cover" loading="lazy" />
+          ) : (
+            <Search size={16} className="text-slate-400" />
+          )}
+          <div className={`${textClass} line-clamp-1`}><Highlight text={product.name} query={trimmed} /></div>
         </div>
       ))}
     </div>
@@ -1,106 +0,0 @@
-import type { Category } from '../types/category';
-
-export const categoriesPart1: Category[] = [ 
-     { 
-       "id": 1000, 
-       "name_en": "Women's Fashion", 
-       "name_ar": "أزياء النساء", 
-       "icon": "women-fashion", 
-       "children": [ 
-         { 
-           "id": 1001, 
-           "name_en": "Clothing", 
-           "name_ar": "ملابس", 
-           "icon": "tshirt-crew", 
-           "children": [ 
-             { "id": 100101, "name_en": "Dresses", "name_ar": "فساتين", "icon": "dress" }, 
-             { "id": 100102, "name_en": "Tops & Tees", "name_ar": "قمصان وبلوزات", "icon": "tshirt-crew" }, 
-             { "id": 100103, "name_en": "Hoodies & Sweatshirts", "name_ar": "هوديس وسترات", "icon": "hoodie" }, 
-             { "id": 100104, "name_en": "Pants & Leggings", "name_ar": "بناطيل وليقنق", "icon": "pants" }, 
-             { "id": 100105, "name_en": "Jeans", "name_ar": "جينز", "icon": "jeans" }, 
-             { "id": 100106, "name_en": "Skirts", "name_ar": "تنانير", "icon": "human-female" }, 
-             { "id": 100107, "name_en": "Suits & Sets", "name_ar": "بذلات وطقم", "icon": "suit" }, 
-             { "id": 100108, "name_en": "Outerwear & Coats", "name_ar": "معاطف وجاكيتات", "icon": "coat" }, 
-             { "id": 100109, "name_en": "Lingerie & Sleepwear", "name_ar": "ملابس داخلية ونوم", "icon": "bed" }, 
-             { "id": 100110, "name_en": "Swimwear", "name_ar": "ملابس سباحة", "icon": "swim" } 
-           ] 
-         }, 
-         { 
-           "id": 1002, 
-           "name_en": "Shoes", 
-           "name_ar": "أحذية", 
-           "icon": "shoe-heel", 
-           "children": [ 
-             { "id": 100201, "name_en": "Sneakers", "name_ar": "أحذية رياضية", "icon": "shoe-sneaker" }, 
-             { "id": 100202, "name_en": "Boots", "name_ar": "بوت", "icon": "boot" }, 
-             { "id": 100203, "name_en": "Heels", "name_ar": "كعب عالي", "icon": "shoe-heel" }, 
-             { "id": 100204, "name_en": "Flats", "name_ar": "أحذية مسطحة", "icon": "shoe-flat" }, 
-             { "id": 100205, "name_en": "Sandals", "name_ar": "صنادل", "icon": "shoe-sandal" } 
-           ] 
-         }, 
-         { 
-           "id": 1003, 
-           "name_en": "Bags & Accessories", 
-           "name_ar": "حقائب وإكسسوارات", 
-           "icon": "handbag", 
-           "children": [ 
-             { "id": 100301, "name_en": "Handbags", "name_ar": "حقائب يد", "icon": "handbag" }, 
-             { "id": 100302, "name_en": "Backpacks", "name_ar": "حقائب ظهر", "icon": "backpack" }, 
-             { "id": 100303, "name_en": "Wallets", "name_ar": "محافظ", "icon": "wallet" }, 
-             { "id": 100304, "name_en": "Jewelry", "name_ar": "مجوهرات", "icon": "necklace" }, 
-             { "id": 100305, "name_en": "Watches", "name_ar": "ساعات", "icon": "watch" }, 
-             { "id": 100306, "name_en": "Sunglasses", "name_ar": "نظارات شمسية", "icon": "sunglasses" }, 
-             { "id": 100307, "name_en": "Scarves & Hats", "name_ar": "أوشحة وقبعات", "icon": "hat-fedora" } 
-           ] 
-         } 
-       ] 
-     }, 
-     { 
-       "id": 2000, 
-       "name_en": "Men's Fashion", 
-       "name_ar": "أزياء الرجال", 
-       "icon": "shirt", 
-       "children": [ 
-         { 
-           "id": 2001, 
-           "name_en": "Clothing", 
-           "name_ar": "ملابس", 
-           "icon": "tshirt-crew", 
-           "children": [ 
-             { "id": 200101, "name_en": "T-Shirts", "name_ar": "تيشيرتات", "icon": "tshirt-crew" }, 
-             { "id": 200102, "name_en": "Shirts", "name_ar": "قمصان", "icon": "shirt" }, 
-             { "id": 200103, "name_en": "Hoodies & Sweatshirts", "name_ar": "هوديس وسترات", "icon": "hoodie" }, 
-             { "id": 200104, "name_en": "Jeans", "name_ar": "جينز", "icon": "jeans" }, 
-             { "id": 200105, "name_en": "Pants", "name_ar": "بناطيل", "icon": "pants" }, 
-             { "id": 200106, "name_en": "Suits & Blazers", "name_ar": "بذلات وسترات", "icon": "suit" }, 
-             { "id": 200107, "name_en": "Underwear & Socks", "name_ar": "ملابس داخلية وجوارب", "icon": "socks" }, 
-             { "id": 200108, "name_en": "Winter Jackets", "name_ar": "جاكيتات شتوية", "icon": "coat" } 
-           ] 
-         }, 
-         { 
-           "id": 2002, 
-           "name_en": "Shoes", 
-           "name_ar": "أحذية", 
-           "icon": "shoe-sneaker", 
-           "children": [ 
-             { "id": 200201, "name_en": "Sneakers", "name_ar": "أحذية رياضية", "icon": "shoe-sneaker" }, 
-             { "id": 200202, "name_en": "Boots", "name_ar": "بوت", "icon": "boot" }, 
-             { "id": 200203, "name_en": "Loafers", "name_ar": "لوفر", "icon": "shoe-formal" }, 
-             { "id": 200204, "name_en": "Sandals", "name_ar": "صنادل", "icon": "shoe-sandal" } 
-           ] 
-         }, 
-         { 
-           "id": 2003, 
-           "name_en": "Accessories", 
-           "name_ar": "إكسسوارات", 
-           "icon": "tie", 
-           "children": [ 
-             { "id": 200301, "name_en": "Watches", "name_ar": "ساعات", "icon": "watch" }, 
-             { "id": 200302, "name_en": "Belts", "name_ar": "أحزمة", "icon": "belt" }, 
-             { "id": 200303, "name_en": "Wallets", "name_ar": "محافظ", "icon": "wallet" }, 
-             { "id": 200304, "name_en": "Bags", "name_ar": "حقائب", "icon": "briefcase" } 
-           ] 
-         }
-       ]
-     }
-];
\ No newline at end of file
@@ -1,129 +0,0 @@
-import type { Category } from '../types/category';
-
-export const categoriesPart3: Category[] = [
-  // Extension of Home & Living (4000)
-  {
-    "id": 4003,
-    "name_en": "Cleaning & Household Liquids",
-    "name_ar": "تنظيف وسوائل منزلية",
-    "icon": "broom",
-    "children": [
-      { "id": 400301, "name_en": "Detergents & Liquids", "name_ar": "منظفات وسوائل", "icon": "bottle-tonic" },
-      { "id": 400302, "name_en": "Disinfectants & Sprays", "name_ar": "مطهرات وبخاخات", "icon": "spray-bottle" },
-      { "id": 400303, "name_en": "Laundry Pods & Liquids", "name_ar": "كبسولات وسوائل غسيل", "icon": "washing-machine" },
-      { "id": 400304, "name_en": "Air Fresheners (Liquid)", "name_ar": "معطرات جو (سائلة)", "icon": "air-filter" },
-      { "id": 400305, "name_en": "Cleaning Tools", "name_ar": "أدوات تنظيف", "icon": "broom" }
-    ]
-  },
-  {
-    "id": 4004,
-    "name_en": "Bedding & Bath",
-    "name_ar": "مفروشات وحمام",
-    "icon": "bed",
-    "children": [
-      { "id": 400401, "name_en": "Bed Sheets", "name_ar": "ملاءات سرير", "icon": "bed" },
-      { "id": 400402, "name_en": "Pillows & Cushions", "name_ar": "وسائد", "icon": "pillow" },
-      { "id": 400403, "name_en": "Towels", "name_ar": "مناشف", "icon": "towel" },
-      { "id": 400404, "name_en": "Bath Accessories", "name_ar": "إكسسوارات حمام", "icon": "bathtub" },
-      { "id": 400405, "name_en": "Curtains", "name_ar": "ستائر", "icon": "curtains" }
-    ]
-  },
-  {
-    "id": 4005,
-    "name_en": "Furniture",
-    "name_ar": "أثاث",
-    "icon": "sofa",
-    "children": [
-      { "id": 400501, "name_en": "Living Room", "name_ar": "غرفة معيشة", "icon": "sofa" },
-      { "id": 400502, "name_en": "Bedroom", "name_ar": "غرفة نوم", "icon": "bed" },
-      { "id": 400503, "name_en": "Office Furniture", "name_ar": "أثاث مكتبي", "icon": "desk" },
-      { "id": 400504, "name_en": "Storage Furniture", "name_ar": "أثاث تخزين", "icon": "shelf" }
-    ]
-  },
-  // New Main Category
-  {
-    "id": 5000,
-    "name_en": "Beauty & Personal Care",
-    "name_ar": "تجميل وعناية شخصية",
-    "icon": "face-woman",
-    "children": [
-      {
-        "id": 5001,
-        "name_en": "Makeup",
-        "name_ar": "مكياج",
-        "icon": "makeup",
-        "children": [
-          { "id": 500101, "name_en": "Face Makeup", "name_ar": "مكياج وجه", "icon": "mirror" },
-          { "id": 500102, "name_en": "Eye Makeup", "name_ar": "مكياج عيون", "icon": "eye" },
-          { "id": 500103, "name_en": "Lip Makeup", "name_ar": "مكياج شفاه", "icon": "lips" },
-          { "id": 500104, "name_en": "Nail Polish (Liquid)", "name_ar": "طلاء أظافر (سائل)", "icon": "hand-back-left" },
-          { "id": 500105, "name_en": "Makeup Tools", "name_ar": "أدوات مكياج", "icon": "brush" }
-        ]
-      },
-      {
-        "id": 5002,
-        "name_en": "Skincare Liquids",
-        "name_ar": "سوائل عناية بالبشرة",
-        "icon": "bottle-tonic",
-        "children": [
-          { "id": 500201, "name_en": "Cleansers (Liquid)", "name_ar": "منظفات (سائلة)", "icon": "bottle-tonic" },
-          { "id": 500202, "name_en": "Moisturizers & Creams", "name_ar": "مرطبات وكريمات", "icon": "lotion" },
-          { "id": 500203, "name_en": "Face Masks (Liquid)", "name_ar": "ماسكات وجه (سائلة)", "icon": "face-mask" },
-          { "id": 500204, "name_en": "Sunscreen (Lotion)", "name_ar": "واقي شمس (غسول)", "icon": "sun-cream" },
-          { "id": 500205, "name_en": "Serums & Oils", "name_ar": "سيروم وزيوت", "icon": "oil" }
-        ]
-      },
-      {
-        "id": 5003,
-        "name_en": "Hair Care",
-        "name_ar": "عناية بالشعر",
-        "icon": "hair-dryer",
-        "children": [
-          { "id": 500301, "name_en": "Shampoo & Conditioner", "name_ar": "شامبو وبلسم", "icon": "shampoo" },
-          { "id": 500302, "name_en": "Hair Styling (Gels/Sprays)", "name_ar": "تصفيف شعر (جل/بخاخ)", "icon": "spray" },
-          { "id": 500303, "name_en": "Hair Tools", "name_ar": "أدوات شعر", "icon": "comb" }
-        ]
-      },
-      {
-        "id": 5004,
-        "name_en": "Fragrance & Liquids",
-        "name_ar": "عطور وسوائل",
-        "icon": "perfume",
-        "children": [
-          { "id": 500401, "name_en": "Women's Perfume (Spray)", "name_ar": "عطور نسائية (بخاخ)", "icon": "perfume" },
-          { "id": 500402, "name_en": "Men's Cologne (Spray)", "name_ar": "كولونيا رجالية (بخاخ)", "icon": "cologne" },
-          { "id": 500403, "name_en": "Body Sprays", "name_ar": "بخاخات جسم", "icon": "spray-bottle" },
-          { "id": 500404, "name_en": "Essential Oils", "name_ar": "زيوت عطرية", "icon": "oil" }
-        ]
-      }
-    ]
-  },
-  // New Main Category (Partial)
-  {
-    "id": 6000,
-    "name_en": "Mother & Baby",
-    "name_ar": "الأم والطفل",
-    "icon": "baby-carriage",
-    "children": [
-      {
-        "id": 6001,
-        "name_en": "Baby Clothing",
-        "name_ar": "ملابس أطفال",
-        "icon": "shirt-baby",
-        "children": [
-          { "id": 600101, "name_en": "Bodysuits", "name_ar": "بودي", "icon": "shirt-crew" },
-          { "id": 600102, "name_en": "Sleepwear", "name_ar": "ملابس نوم", "icon": "bed" },
-          { "id": 600103, "name_en": "Outerwear", "name_ar": "ملابس خارجية", "icon": "coat" },
-          { "id": 600104, "name_en": "Shoes", "name_ar": "أحذية", "icon": "shoe-sneaker" }
-        ]
-      },
-      {
-        "id": 6002,
-        "name_en": "Baby Care & Liquids",
-        "name_ar": "عناية بالطفل وسوائل",
-        "icon": "baby-bottle",
-        "children": [] // To be continued in Part 4
-      }
-    ]
-  }
-];
@@ -1,48 +0,0 @@
-import type { Category } from '../types/category';
-
-export const categoriesPart5: Category[] = [
-  { 
-    "id": 9000, 
-    "name_en": "Automotive", 
-    "name_ar": "سيارات", 
-    "icon": "car", 
-    "children": [ 
-      { 
-        "id": 9001, 
-        "name_en": "Interior Accessories", 
-        "name_ar": "إكسسوارات داخلية", 
-        "icon": "car-seat", 
-        "children": [ 
-          { "id": 900101, "name_en": "Seat Covers", "name_ar": "أغطية مقاعد", "icon": "car-seat" }, 
-          { "id": 900102, "name_en": "Floor Mats", "name_ar": "سجاد أرضية", "icon": "rug" }, 
-          { "id": 900103, "name_en": "Phone Holders", "name_ar": "حوالات هاتف", "icon": "phone-in-hand" }, 
-          { "id": 900104, "name_en": "Air Fresheners (Liquid)", "name_ar": "معطرات (سائلة)", "icon": "spray-bottle" } 
-        ] 
-      }, 
-      { 
-        "id": 9002, 
-        "name_en": "Exterior Accessories", 
-        "name_ar": "إكسسوارات خارجية", 
-        "icon": "car-wash", 
-        "children": [ 
-          { "id": 900201, "name_en": "Car Covers", "name_ar": "أغطية سيارة", "icon": "umbrella" }, 
-          { "id": 900202, "name_en": "Lights", "name_ar": "إضاءة", "icon": "car-light-dimmed" }, 
-          { "id": 900203, "name_en": "Cleaning Tools", "name_ar": "أدوات تنظيف", "icon": "broom" } 
-        ] 
-      }, 
-      { 
-        "id": 9003, 
-        "name_en": "Car Fluids & Electronics", 
-        "name_ar": "سوائل وإلكترونيات سيارة", 
-        "icon": "car-battery", 
-        "children": [ 
-          { "id": 900301, "name_en": "Dash Cameras", "name_ar": "كاميرات لوحة", "icon": "camera" }, 
-          { "id": 900302, "name_en": "GPS & Navigation", "name_ar": "GPS وملاحة", "icon": "map-marker" }, 
-          { "id": 900303, "name_en": "Car Chargers", "name_ar": "شواحن سيارة", "icon": "car-electric" }, 
-          { "id": 900304, "name_en": "Engine Oil & Additives", "name_ar": "زيت محرك وإضافات", "icon": "oil" }, 
-          { "id": 900305, "name_en": "Coolants & Cleaning Liquids", "name_ar": "مبردات وسوائل تنظيف", "icon": "bottle-tonic" } 
-        ] 
-      } 
-    ] 
-  }
-];
@@ -1,127 +0,0 @@
-import type { Category } from '../types/category';
-
-export const categoriesPart6: Category[] = [
-  {
-    "id": 10000,
-    "name_en": "Tools & Hardware",
-    "name_ar": "الأدوات والمعدات",
-    "icon": "tools",
-    "children": [
-      {
-        "id": 10001,
-        "name_en": "Basic Tools",
-        "name_ar": "أدوات أساسية",
-        "icon": "hammer",
-        "children": [
-          { "id": 100001, "name_en": "Hand Tools", "name_ar": "أدوات يدوية", "icon": "hammer" },
-          { "id": 100002, "name_en": "Power Tools", "name_ar": "معدات كهربائية", "icon": "drill" },
-          { "id": 100003, "name_en": "Plumbing Supplies", "name_ar": "لوازم السباكة", "icon": "pipe" },
-          { "id": 100004, "name_en": "Measuring Tools", "name_ar": "أدوات القياس", "icon": "ruler" },
-          { "id": 100005, "name_en": "Tool Boxes", "name_ar": "صناديق العدة", "icon": "toolbox" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 11000,
-    "name_en": "Stationery & Office",
-    "name_ar": "القرطاسية والأدوات المكتبية",
-    "icon": "pencil-box",
-    "children": [
-      {
-        "id": 11001,
-        "name_en": "Office Supplies",
-        "name_ar": "مستلزمات مكتبية",
-        "icon": "paperclip",
-        "children": [
-          { "id": 110001, "name_en": "Pens & Erasers", "name_ar": "أقلام ومحايات", "icon": "pen" },
-          { "id": 110002, "name_en": "Notebooks", "name_ar": "دفاتر", "icon": "book-open-variant" },
-          { "id": 110003, "name_en": "Art & Drawing", "name_ar": "أدوات رسم وتلوين", "icon": "palette" },
-          { "id": 110004, "name_en": "Office Supplies", "name_ar": "لوازم مكتبية", "icon": "paperclip" },
-          { "id": 110005, "name_en": "File Organizers", "name_ar": "منظمات ملفات", "icon": "folder-multiple" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 12000,
-    "name_en": "Pet Supplies",
-    "name_ar": "لوازم الحيوانات الأليفة",
-    "icon": "paw",
-    "children": [
-      {
-        "id": 12001,
-        "name_en": "Pet Care",
-        "name_ar": "عناية بالحيوانات",
-        "icon": "dog-service",
-        "children": [
-          { "id": 120001, "name_en": "Pet Toys", "name_ar": "ألعاب حيوانات", "icon": "toy-brick" },
-          { "id": 120002, "name_en": "Collars & Leashes", "name_ar": "أطواق ومقاود", "icon": "dog-service" },
-          { "id": 120003, "name_en": "Beds & Cages", "name_ar": "أسرة وأقفاص", "icon": "home-variant" },
-          { "id": 120004, "name_en": "Grooming Tools", "name_ar": "أدوات تنظيف", "icon": "content-cut" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 13000,
-    "name_en": "Home Health Care",
-    "name_ar": "الصحة والمعدات الطبية المنزلية",
-    "icon": "heart-pulse",
-    "children": [
-      {
-        "id": 13001,
-        "name_en": "Medical Equipment",
-        "name_ar": "معدات طبية",
-        "icon": "heart-monitor",
-        "children": [
-          { "id": 130001, "name_en": "Blood Pressure Monitors", "name_ar": "أجهزة قياس الضغط", "icon": "heart-monitor" },
-          { "id": 130002, "name_en": "Glucose Monitors", "name_ar": "أجهزة قياس السكر", "icon": "water-percent" },
-          { "id": 130003, "name_en": "Thermometers", "name_ar": "موازين حرارة", "icon": "thermometer" },
-          { "id": 130004, "name_en": "Medical Braces", "name_ar": "مشدات طبية", "icon": "bandage" },
-          { "id": 130005, "name_en": "Wheelchairs", "name_ar": "كراسي متحركة", "icon": "wheelchair-accessibility" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 14000,
-    "name_en": "Home Improvement & Lighting",
-    "name_ar": "تحسين المنزل والإضاءة",
-    "icon": "home-lighting",
-    "children": [
-      {
-        "id": 14001,
-        "name_en": "Lighting & Decor",
-        "name_ar": "إضاءة وديكور",
-        "icon": "lightbulb-variant",
-        "children": [
-          { "id": 140001, "name_en": "LED Lamps", "name_ar": "مصابيح LED", "icon": "lightbulb-variant" },
-          { "id": 140002, "name_en": "Chandeliers", "name_ar": "ثريات", "icon": "ceiling-light" },
-          { "id": 140003, "name_en": "Electrical Switches", "name_ar": "مفاتيح كهربائية", "icon": "power-socket-eu" },
-          { "id": 140004, "name_en": "Wallpaper", "name_ar": "ورق جدران", "icon": "format-paint" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 15000,
-    "name_en": "Jewelry & Watches",
-    "name_ar": "الساعات والمجوهرات",
-    "icon": "necklace",
-    "children": [
-      {
-        "id": 15001,
-        "name_en": "Accessories",
-        "name_ar": "إكسسوارات فاخرة",
-        "icon": "ring",
-        "children": [
-          { "id": 150001, "name_en": "Wrist Watches", "name_ar": "ساعات يد", "icon": "watch" },
-          { "id": 150002, "name_en": "Necklaces", "name_ar": "قلائد", "icon": "necklace" },
-          { "id": 150003, "name_en": "Rings", "name_ar": "خواتم", "icon": "ring" },
-          { "id": 150004, "name_en": "Earrings", "name_ar": "أقراط", "icon": "earring" }
-        ]
-      }
-    ]
-  }
-];
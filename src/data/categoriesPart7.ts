@@ -1,124 +0,0 @@
-import type { Category } from '../types/category';
-
-export const categoriesPart7: Category[] = [
-  {
-    "id": 16000,
-    "name_en": "Bags & Luggage",
-    "name_ar": "الحقائب والأمتعة",
-    "icon": "briefcase",
-    "children": [
-      {
-        "id": 16001,
-        "name_en": "Travel & Business",
-        "name_ar": "السفر والأعمال",
-        "icon": "suitcase",
-        "children": [
-          { "id": 160001, "name_en": "Suitcases", "name_ar": "حقائب سفر", "icon": "suitcase" },
-          { "id": 160002, "name_en": "Laptop Bags", "name_ar": "حقائب لابتوب", "icon": "laptop" },
-          { "id": 160003, "name_en": "Business Briefcases", "name_ar": "حقائب عمل", "icon": "briefcase" },
-          { "id": 160004, "name_en": "Duffel Bags", "name_ar": "حقائب رياضية", "icon": "bag-personal" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 17000,
-    "name_en": "Smart Home & Security",
-    "name_ar": "المنزل الذكي والأمان",
-    "icon": "home-automation",
-    "children": [
-      {
-        "id": 17001,
-        "name_en": "Security Systems",
-        "name_ar": "أنظمة الأمان",
-        "icon": "cctv",
-        "children": [
-          { "id": 170001, "name_en": "Security Cameras", "name_ar": "كاميرات مراقبة", "icon": "cctv" },
-          { "id": 170002, "name_en": "Smart Locks", "name_ar": "أقفال ذكية", "icon": "lock-smart" },
-          { "id": 170003, "name_en": "Sensors & Alarms", "name_ar": "حساسات وإنذار", "icon": "bell-ring" },
-          { "id": 170004, "name_en": "Smart Plugs", "name_ar": "أفياش ذكية", "icon": "power-socket-eu" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 18000,
-    "name_en": "Photography & Video",
-    "name_ar": "التصوير والفيديو",
-    "icon": "camera",
-    "children": [
-      {
-        "id": 18001,
-        "name_en": "Content Creation",
-        "name_ar": "صناعة المحتوى",
-        "icon": "video",
-        "children": [
-          { "id": 180001, "name_en": "Ring Lights", "name_ar": "أضواء رينق لايت", "icon": "lightbulb-variant" },
-          { "id": 180002, "name_en": "Tripods & Mounts", "name_ar": "حوامل كاميرا", "icon": "video" },
-          { "id": 180003, "name_en": "Microphones", "name_ar": "ميكروفونات", "icon": "microphone" },
-          { "id": 180004, "name_en": "Studio Lighting", "name_ar": "إضاءة استوديو", "icon": "white-balance-sunny" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 19000,
-    "name_en": "Party & Events",
-    "name_ar": "الحفلات والمناسبات",
-    "icon": "party-popper",
-    "children": [
-      {
-        "id": 19001,
-        "name_en": "Celebration Supplies",
-        "name_ar": "مستلزمات الاحتفال",
-        "icon": "balloon",
-        "children": [
-          { "id": 190001, "name_en": "Balloons", "name_ar": "بالونات", "icon": "balloon" },
-          { "id": 190002, "name_en": "Birthday Decor", "name_ar": "زينة أعياد ميلاد", "icon": "cake-variant" },
-          { "id": 190003, "name_en": "Gift Boxes", "name_ar": "صناديق هدايا", "icon": "gift" },
-          { "id": 190004, "name_en": "Party Tableware", "name_ar": "أدوات مائدة للحفلات", "icon": "silverware-fork-knife" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 20000,
-    "name_en": "Sewing & DIY Crafts",
-    "name_ar": "الخياطة والأعمال اليدوية",
-    "icon": "needle",
-    "children": [
-      {
-        "id": 20001,
-        "name_en": "Crafting Tools",
-        "name_ar": "أدوات حرفية",
-        "icon": "scissors-cutting",
-        "children": [
-          { "id": 200001, "name_en": "Sewing Machines", "name_ar": "ماكينات خياطة", "icon": "sewing-machine" },
-          { "id": 200002, "name_en": "Yarn & Thread", "name_ar": "خيوط", "icon": "tape-measure" },
-          { "id": 200003, "name_en": "Fabric Scissors", "name_ar": "مقصات قماش", "icon": "content-cut" },
-          { "id": 200004, "name_en": "DIY Kits", "name_ar": "أطقم أعمال يدوية", "icon": "palette" }
-        ]
-      }
-    ]
-  },
-  {
-    "id": 21000,
-    "name_en": "Gaming Accessories",
-    "name_ar": "إكسسوارات الألعاب",
-    "icon": "controller",
-    "children": [
-      {
-        "id": 21001,
-        "name_en": "Pro Gaming Gear",
-        "name_ar": "معدات قيمنق احترافية",
-        "icon": "headphones",
-        "children": [
-          { "id": 210001, "name_en": "Gaming Keyboards", "name_ar": "كيبورد قيمنق", "icon": "keyboard" },
-          { "id": 210002, "name_en": "Gaming Mice", "name_ar": "ماوس قيمنق", "icon": "mouse" },
-          { "id": 210003, "name_en": "Gaming Headsets", "name_ar": "سماعات قيمنق", "icon": "headphones" },
-          { "id": 210004, "name_en": "RGB Lighting", "name_ar": "إضاءة RGB", "icon": "led-strip-variant" }
-        ]
-      }
-    ]
-  }
-];
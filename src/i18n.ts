@@ -58,12 +58,15 @@ i18n
           status: {
             pending: 'قيد المراجعة',
             awaiting_payment: 'بانتظار الدفع',
+            payment_review: 'جاري مراجعة الدفع',
             paid: 'تم الدفع',
             preparing: 'قيد التجهيز',
             shipped: 'تم الشحن',
             arrived_iraq: 'وصل إلى العراق',
+            out_for_delivery: 'مع المندوب للتوصيل',
             delivered: 'تم التسليم بنجاح',
             cancelled: 'ملغي',
+            refunded: 'تم استرجاع المبلغ',
           },
           tracking: {
             title: 'تتبع الشحنة',
@@ -97,12 +100,15 @@ i18n
             mansour_baghdad: 'المنصور، بغداد',
             status_desc_pending: 'استلمنا طلبك وجاري مراجعته وتأكيده من قبل فريق العمل.',
             status_desc_awaiting_payment: 'بانتظار إتمام عملية الدفع للمباشرة بتجهيز طلبك.',
+            status_desc_payment_review: 'استلمنا إثبات الدفع وجاري التحقق منه من قبل فريق المالية.',
             status_desc_paid: 'تم استلام الدفعة بنجاح، جاري الآن تجهيز طلبك.',
             status_desc_preparing: 'تم فحص المنتجات وتغليفها وهي جاهزة للتسليم لشركة الشحن.',
             status_desc_shipped: 'تم شحن طلبك من المصدر وهو في طريقه إلى مستودعاتنا في العراق.',
             status_desc_arrived_iraq: 'وصلت الشحنة إلى مستودعاتنا في العراق وسيتم تسليمها للمندوب قريباً.',
             status_desc_delivered: 'تم تسليم الشحنة بنجاح. شكراً لتسوقك معنا، نتمنى رؤيتك مجدداً!',
             out_for_delivery: 'مع المندوب للتوصيل',
+            status_desc_out_for_delivery: 'طلبك مع المندوب الآن وسيصلك قريباً، يرجى إبقاء هاتفك متاحاً.',
+            status_desc_refunded: 'تم استرجاع مبلغ الطلب. للاستفسار يرجى التواصل مع الدعم.',
             bldg: 'مبنى',
             floor: 'طابق',
             zain_cash: 'زين كاش',
@@ -0,0 +1,218 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Ban, ListChecks, Loader2, RotateCcw, TrendingUp } from 'lucide-react';
+import { cancelJob, fetchJobs, retryJob, startPriceMonitor } from '../services/api';
+import type { BackgroundJob, JobStatus } from '../services/api';
+import { socket } from '../services/socket';
+import { useToastStore } from '../store/useToastStore';
+
+const TYPE_LABELS: Record<string, string> = {
+  BULK_IMPORT: 'استيراد منتجات',
+  AI_PROCESS: 'معالجة بالذكاء الاصطناعي',
+  PRICE_MONITOR: 'مراقبة الأسعار والتوفر',
+  EMBEDDING_BACKFILL: 'توليد تضمينات البحث',
+  RECOMMENDATIONS_RECOMPUTE: 'تحديث التوصيات',
+  WISHLIST_WATCH: 'متابعة قوائم الأمنيات',
+  CNY_REPRICE: 'إعادة التسعير بسعر اليوان'
+};
+
+const STATUS_TABS: { id: JobStatus | ''; label: string }[] = [
+  { id: '', label: 'الكل' },
+  { id: 'RUNNING', label: 'قيد التنفيذ' },
+  { id: 'QUEUED', label: 'في الانتظار' },
+  { id: 'COMPLETED', label: 'مكتملة' },
+  { id: 'FAILED', label: 'فاشلة' },
+  { id: 'CANCELLED', label: 'ملغاة' }
+];
+
+const STATUS_STYLES: Record<JobStatus, string> = {
+  QUEUED: 'bg-amber-100 text-amber-700 dark:bg-amber-500/10 dark:text-amber-400',
+  RUNNING: 'bg-blue-100 text-blue-700 dark:bg-blue-500/10 dark:text-blue-400',
+  COMPLETED: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-500/10 dark:text-emerald-400',
+  FAILED: 'bg-rose-100 text-rose-700 dark:bg-rose-500/10 dark:text-rose-400',
+  CANCELLED: 'bg-slate-100 text-slate-700 dark:bg-slate-500/10 dark:text-slate-400'
+};
+
+// Short line from the handler's result, e.g. counts of imported or repriced products
+const summarizeResult = (job: BackgroundJob) => {
+  const r = job.result;
+  if (!r) return null;
+  if (job.type === 'BULK_IMPORT') return `تم استيراد ${r.imported ?? 0}، تخطي ${r.skipped ?? 0}، فشل ${r.failed ?? 0} من ${r.total ?? 0}`;
+  if (job.type === 'PRICE_MONITOR') return `تم فحص ${r.checked ?? 0} من ${r.total ?? 0}، تحديث ${r.applied ?? 0}، بانتظار المراجعة ${r.flagged ?? 0}`;
+  if (job.type === 'AI_PROCESS') return `تمت معالجة ${r.processed ?? 0} من ${r.total ?? 0}`;
+  if (job.type === 'EMBEDDING_BACKFILL') return `تم توليد ${r.processed ?? 0} من ${r.total ?? 0}، فشل ${r.failed ?? 0}`;
+  if (job.type === 'WISHLIST_WATCH') return `تم فحص ${r.checked ?? 0} من ${r.total ?? 0}، تنبيهات ${r.alerts ?? 0}`;
+  if (job.type === 'CNY_REPRICE') return `تغير سعر ${r.products?.changed ?? 0} منتج و${r.variants?.changed ?? 0} خيار`;
+  return null;
+};
+
+const AdminJobs: React.FC = () => {
+  const showToast = useToastStore((state) => state.showToast);
+  const [status, setStatus] = useState<JobStatus | ''>('');
+  const [jobs, setJobs] = useState<BackgroundJob[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState<number | null>(null);
+
+  const loadJobs = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await fetchJobs({ status: status || undefined, limit: 50 });
+      setJobs(data.jobs);
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر تحميل المهام', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status, showToast]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  // Live progress from the admin_notifications room
+  useEffect(() => {
+    const handleUpdate = (job: BackgroundJob) => {
+      setJobs((current) => {
+        const index = current.findIndex((j) => j.id === job.id);
+        if (index === -1) {
+          return !status || job.status === status ? [job, ...current] : current;
+        }
+        const next = [...current];
+        next[index] = job;
+        return next;
+      });
+    };
+    socket.on('job_update', handleUpdate);
+    return () => {
+      socket.off('job_update', handleUpdate);
+    };
+  }, [status]);
+
+  const runAction = async (id: number, action: (id: number) => Promise<BackgroundJob>) => {
+    setBusyId(id);
+    try {
+      const job = await action(id);
+      setJobs((current) => current.map((j) => (j.id === job.id ? job : j)));
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر تنفيذ العملية', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePriceMonitor = async () => {
+    try {
+      await startPriceMonitor();
+      showToast('تمت جدولة فحص الأسعار', 'info');
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر بدء فحص الأسعار', 'error');
+    }
+  };
+
+  return (
+    <div className="p-4 lg:p-8 space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-2">
+          <ListChecks className="text-primary" size={24} />
+          <h1 className="text-2xl font-black text-slate-900 dark:text-white">المهام</h1>
+        </div>
+        <button
+          onClick={handlePriceMonitor}
+          className="flex items-center gap-2 px-4 py-2.5 rounded-2xl text-sm font-bold text-primary bg-primary/10 hover:bg-primary/20 transition-all"
+        >
+          <TrendingUp size={18} />
+          فحص الأسعار والتوفر
+        </button>
+      </div>
+
+      <div className="flex gap-2 overflow-x-auto">
+        {STATUS_TABS.map((tab) => (
+          <button
+            key={tab.id || 'all'}
+            onClick={() => setStatus(tab.id)}
+            className={`px-4 py-2 rounded-xl text-sm font-bold whitespace-nowrap transition-all ${
+              status === tab.id
+                ? 'bg-primary text-white shadow-lg shadow-primary/25'
+                : 'bg-white dark:bg-slate-800 text-slate-500 dark:text-slate-400'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-16">
+          <Loader2 className="animate-spin text-primary" size={32} />
+        </div>
+      ) : jobs.length === 0 ? (
+        <div className="p-8 text-center text-slate-500">لا توجد مهام</div>
+      ) : (
+        <div className="space-y-3">
+          {jobs.map((job) => {
+            const summary = summarizeResult(job);
+            return (
+              <div key={job.id} className="bg-white dark:bg-slate-800 p-5 rounded-3xl border border-slate-100 dark:border-slate-700/50 space-y-3">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex items-center gap-3">
+                    <span className="font-black text-slate-900 dark:text-white">#{job.id}</span>
+                    <span className="text-sm font-bold text-slate-700 dark:text-slate-200">{TYPE_LABELS[job.type] || job.type}</span>
+                    <span className={`text-[10px] font-black px-2.5 py-1 rounded-lg ${STATUS_STYLES[job.status]}`}>
+                      {STATUS_TABS.find((tab) => tab.id === job.status)?.label || job.status}
+                    </span>
+                    {job.cancelRequested && job.status === 'RUNNING' && (
+                      <span className="text-[10px] font-bold text-rose-500">جارٍ الإلغاء...</span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {(job.status === 'QUEUED' || (job.status === 'RUNNING' && !job.cancelRequested)) && (
+                      <button
+                        disabled={busyId === job.id}
+                        onClick={() => runAction(job.id, cancelJob)}
+                        className="flex items-center gap-1 px-3 py-1.5 rounded-xl text-xs font-bold text-rose-500 hover:bg-rose-50 dark:hover:bg-rose-900/20 disabled:opacity-50"
+                      >
+                        <Ban size={14} />
+                        إلغاء
+                      </button>
+                    )}
+                    {(job.status === 'FAILED' || job.status === 'CANCELLED') && (
+                      <button
+                        disabled={busyId === job.id}
+                        onClick={() => runAction(job.id, retryJob)}
+                        className="flex items-center gap-1 px-3 py-1.5 rounded-xl text-xs font-bold text-primary hover:bg-primary/10 disabled:opacity-50"
+                      >
+                        <RotateCcw size={14} />
+                        إعادة المحاولة
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <div className="h-2 bg-slate-100 dark:bg-slate-700 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full transition-all duration-500 ${job.status === 'FAILED' ? 'bg-rose-500' : 'bg-primary'}`}
+                    style={{ width: `${job.progress}%` }}
+                  />
+                </div>
+
+                <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-slate-500">
+                  <span>{summary || `${job.progress}%`}</span>
+                  <span>
+                    المحاولة {job.attempts}/{job.maxAttempts} · {new Date(job.createdAt).toLocaleString('ar-IQ')}
+                  </span>
+                </div>
+
+                {job.error && (
+                  <div className="text-xs text-rose-600 dark:text-rose-400 bg-rose-50 dark:bg-rose-900/20 rounded-xl p-3" dir="ltr">
+                    {job.error}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminJobs;
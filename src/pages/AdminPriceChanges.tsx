@@ -0,0 +1,166 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Check, ExternalLink, Loader2, TrendingUp, X } from 'lucide-react';
+import { fetchFlaggedPriceChanges, fetchPriceMonitorReport, resolvePriceChange } from '../services/api';
+import type { PriceChange } from '../services/api';
+import { useToastStore } from '../store/useToastStore';
+
+const CHANGE_LABELS: Record<PriceChange['changeType'], string> = {
+  PRICE: 'تغير السعر',
+  AVAILABILITY: 'تغير التوفر',
+  PRICE_AND_AVAILABILITY: 'السعر والتوفر',
+  UNAVAILABLE: 'المنتج لم يعد متوفراً'
+};
+
+const STATUS_STYLES: Record<PriceChange['status'], string> = {
+  APPLIED: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-500/10 dark:text-emerald-400',
+  FLAGGED: 'bg-amber-100 text-amber-700 dark:bg-amber-500/10 dark:text-amber-400',
+  DISMISSED: 'bg-slate-100 text-slate-700 dark:bg-slate-500/10 dark:text-slate-400'
+};
+
+const STATUS_LABELS: Record<PriceChange['status'], string> = {
+  APPLIED: 'تم التحديث',
+  FLAGGED: 'بانتظار المراجعة',
+  DISMISSED: 'تم التجاهل'
+};
+
+const formatCny = (value: number | null) => (value === null || value === undefined ? '—' : `¥${value}`);
+
+const ChangeRow: React.FC<{ change: PriceChange; busy: boolean; onResolve?: (id: number, action: 'apply' | 'dismiss') => void }> = ({ change, busy, onResolve }) => {
+  const stockChanges = (change.variantChanges || []).filter((v) => v.isActive !== v.wasActive);
+  return (
+    <div className="bg-white dark:bg-slate-800 p-4 rounded-3xl border border-slate-100 dark:border-slate-700/50 space-y-2">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3 min-w-0">
+          {change.product?.image && <img src={change.product.image} alt="" className="w-12 h-12 rounded-xl object-cover shrink-0" />}
+          <div className="min-w-0">
+            <p className="text-sm font-bold text-slate-900 dark:text-white truncate">{change.product?.name || `#${change.productId}`}</p>
+            <p className="text-xs text-slate-500">
+              {CHANGE_LABELS[change.changeType]} · {formatCny(change.previousPriceCny)} ← {formatCny(change.priceCny)}
+              {change.changeRatio !== null && ` (${Math.round(change.changeRatio * 100)}%)`}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          <span className={`text-[10px] font-black px-2.5 py-1 rounded-lg ${STATUS_STYLES[change.status]}`}>{STATUS_LABELS[change.status]}</span>
+          {change.product?.originalUrl && (
+            <a href={change.product.originalUrl} target="_blank" rel="noreferrer" className="p-1.5 rounded-xl text-slate-400 hover:text-primary">
+              <ExternalLink size={16} />
+            </a>
+          )}
+          {onResolve && change.status === 'FLAGGED' && (
+            <>
+              <button
+                disabled={busy}
+                onClick={() => onResolve(change.id, 'apply')}
+                className="flex items-center gap-1 px-3 py-1.5 rounded-xl text-xs font-bold text-emerald-600 hover:bg-emerald-50 dark:hover:bg-emerald-900/20 disabled:opacity-50"
+              >
+                <Check size={14} />
+                {change.changeType === 'UNAVAILABLE' ? 'أرشفة' : 'اعتماد'}
+              </button>
+              <button
+                disabled={busy}
+                onClick={() => onResolve(change.id, 'dismiss')}
+                className="flex items-center gap-1 px-3 py-1.5 rounded-xl text-xs font-bold text-rose-500 hover:bg-rose-50 dark:hover:bg-rose-900/20 disabled:opacity-50"
+              >
+                <X size={14} />
+                تجاهل
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      {stockChanges.length > 0 && (
+        <p className="text-xs text-slate-500">
+          {stockChanges.map((v) => `${Object.values(v.combination).join(' / ')}: ${v.isActive ? 'متوفر' : 'نفد'}`).join('، ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const AdminPriceChanges: React.FC = () => {
+  const showToast = useToastStore((state) => state.showToast);
+  const [flags, setFlags] = useState<PriceChange[]>([]);
+  const [report, setReport] = useState<Awaited<ReturnType<typeof fetchPriceMonitorReport>> | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState<number | null>(null);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [flagged, latest] = await Promise.all([fetchFlaggedPriceChanges(), fetchPriceMonitorReport()]);
+      setFlags(flagged);
+      setReport(latest);
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر تحميل تغييرات الأسعار', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleResolve = async (id: number, action: 'apply' | 'dismiss') => {
+    setBusyId(id);
+    try {
+      const updated = await resolvePriceChange(id, action);
+      setFlags((current) => current.filter((c) => c.id !== id));
+      setReport((current) => current && { ...current, changes: current.changes.map((c) => (c.id === id ? { ...c, ...updated, product: c.product } : c)) });
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر تنفيذ العملية', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const result = report?.job?.result;
+
+  return (
+    <div className="p-4 lg:p-8 space-y-6">
+      <div className="flex items-center gap-2">
+        <TrendingUp className="text-primary" size={24} />
+        <h1 className="text-2xl font-black text-slate-900 dark:text-white">تغييرات الأسعار</h1>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-16">
+          <Loader2 className="animate-spin text-primary" size={32} />
+        </div>
+      ) : (
+        <>
+          <section className="space-y-3">
+            <h2 className="text-lg font-bold text-slate-800 dark:text-slate-100">بانتظار المراجعة ({flags.length})</h2>
+            {flags.length === 0 ? (
+              <div className="p-6 text-center text-slate-500">لا توجد تغييرات بانتظار المراجعة</div>
+            ) : (
+              flags.map((change) => <ChangeRow key={change.id} change={change} busy={busyId === change.id} onResolve={handleResolve} />)
+            )}
+          </section>
+
+          <section className="space-y-3">
+            <h2 className="text-lg font-bold text-slate-800 dark:text-slate-100">آخر فحص</h2>
+            {!report?.job ? (
+              <div className="p-6 text-center text-slate-500">لم يتم تشغيل مراقبة الأسعار بعد</div>
+            ) : (
+              <>
+                <p className="text-xs text-slate-500">
+                  #{report.job.id} · {report.job.finishedAt ? new Date(report.job.finishedAt).toLocaleString('ar-IQ') : '—'}
+                  {result && ` · تم فحص ${result.checked ?? 0}، بدون تغيير ${result.unchanged ?? 0}، تحديث ${result.applied ?? 0}، مراجعة ${result.flagged ?? 0}، فشل ${result.failed ?? 0}`}
+                </p>
+                {report.changes.length === 0 ? (
+                  <div className="p-6 text-center text-slate-500">لا توجد تغييرات في آخر فحص</div>
+                ) : (
+                  report.changes.map((change) => <ChangeRow key={change.id} change={change} busy={busyId === change.id} />)
+                )}
+              </>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminPriceChanges;
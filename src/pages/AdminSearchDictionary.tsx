@@ -0,0 +1,312 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { BookOpen, Loader2, Plus, Search, Trash2 } from 'lucide-react';
+import {
+  createSearchDictionaryEntry,
+  deleteSearchDictionaryEntry,
+  fetchSearchDictionary,
+  testSearchQuery,
+  updateSearchDictionaryEntry
+} from '../services/api';
+import type { SearchDictionaryEntry, SearchDictionaryStats, SearchDictionaryType, SearchQueryAnalysis } from '../services/api';
+import { useToastStore } from '../store/useToastStore';
+
+const TYPE_TABS: { id: SearchDictionaryType; label: string; hint: string }[] = [
+  { id: 'SYNONYM', label: 'المرادفات', hint: 'كلمات تبحث عن بعضها، مثل: جوال ← موبايل، هاتف' },
+  { id: 'STOP_WORD', label: 'كلمات التجاهل', hint: 'كلمات تُحذف من البحث، مثل: من، في، على' },
+  { id: 'CORRECTION', label: 'التصحيحات', hint: 'أخطاء إملائية شائعة وتصحيحها، مثل: تيشرت ← تيشيرت' }
+];
+
+// Values are typed comma separated, like the server accepts them
+const parseValues = (text: string) => text.split(/[,،]/).map((v) => v.trim()).filter(Boolean);
+
+const QueryTester: React.FC = () => {
+  const showToast = useToastStore((state) => state.showToast);
+  const [query, setQuery] = useState('');
+  const [analysis, setAnalysis] = useState<SearchQueryAnalysis | null>(null);
+  const [isTesting, setIsTesting] = useState(false);
+
+  const handleTest = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setIsTesting(true);
+    try {
+      setAnalysis(await testSearchQuery(query.trim()));
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر تحليل الاستعلام', 'error');
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  return (
+    <section className="bg-white dark:bg-slate-800 p-4 rounded-3xl border border-slate-100 dark:border-slate-700/50 space-y-3">
+      <h2 className="text-lg font-bold text-slate-800 dark:text-slate-100">تجربة استعلام</h2>
+      <form onSubmit={handleTest} className="flex gap-2">
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="اكتب عبارة بحث كما يكتبها العميل..."
+          className="flex-1 bg-slate-100 dark:bg-slate-900 border-none rounded-2xl py-2.5 px-4 text-sm focus:ring-2 focus:ring-primary/20"
+        />
+        <button
+          type="submit"
+          disabled={isTesting || !query.trim()}
+          className="flex items-center gap-1.5 px-4 py-2.5 rounded-2xl text-sm font-bold bg-primary text-white disabled:opacity-50"
+        >
+          {isTesting ? <Loader2 className="animate-spin" size={16} /> : <Search size={16} />}
+          تحليل
+        </button>
+      </form>
+
+      {analysis && (
+        <div className="space-y-3 text-sm">
+          <p className="text-slate-500">
+            بعد التطبيع: <span className="font-bold text-slate-900 dark:text-white">{analysis.normalized || '—'}</span>
+          </p>
+          <div className="space-y-2">
+            {analysis.tokens.map((t, index) => (
+              <div key={`${t.token}-${index}`} className="p-3 rounded-2xl bg-slate-50 dark:bg-slate-900/50 space-y-1">
+                <p className="font-bold text-slate-900 dark:text-white">
+                  {t.token}
+                  {t.stopWord && <span className="mr-2 text-[10px] font-black px-2 py-0.5 rounded-lg bg-slate-200 text-slate-600 dark:bg-slate-700 dark:text-slate-300">متجاهلة</span>}
+                </p>
+                {!t.stopWord && (
+                  <p className="text-xs text-slate-500">
+                    {t.correction && `تصحيح ${t.correction.source === 'dictionary' ? 'من القاموس' : 'تلقائي'}: ${t.correction.to} · `}
+                    الجذر: {t.stem}
+                    {t.synonyms.length > 0 && ` · مرادفات: ${t.synonyms.join('، ')}`}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+          <p className="text-slate-500">
+            يبحث عن: <span className="text-slate-900 dark:text-white">{analysis.groups.length > 0 ? analysis.groups.map((g) => `(${g.join(' أو ')})`).join(' و ') : analysis.query}</span>
+          </p>
+        </div>
+      )}
+    </section>
+  );
+};
+
+const EntryRow: React.FC<{
+  entry: SearchDictionaryEntry;
+  busy: boolean;
+  onUpdate: (id: number, changes: { values?: string[]; isActive?: boolean }) => void;
+  onDelete: (id: number) => void;
+}> = ({ entry, busy, onUpdate, onDelete }) => {
+  // The row is keyed by its saved values, so a server update resets this draft
+  const [values, setValues] = useState(entry.values.join('، '));
+
+  const saveValues = () => {
+    const next = parseValues(values);
+    if (next.join(',') !== entry.values.join(',')) onUpdate(entry.id, { values: next });
+  };
+
+  return (
+    <div className={`bg-white dark:bg-slate-800 p-4 rounded-3xl border border-slate-100 dark:border-slate-700/50 flex items-center gap-3 ${entry.isActive ? '' : 'opacity-60'}`}>
+      <p className="w-40 shrink-0 text-sm font-bold text-slate-900 dark:text-white truncate">{entry.term}</p>
+      {entry.type === 'STOP_WORD' ? (
+        <div className="flex-1" />
+      ) : (
+        <input
+          value={values}
+          disabled={busy}
+          onChange={(e) => setValues(e.target.value)}
+          onBlur={saveValues}
+          className="flex-1 min-w-0 bg-slate-100 dark:bg-slate-900 border-none rounded-xl py-1.5 px-3 text-sm"
+        />
+      )}
+      <label className="flex items-center gap-1.5 text-xs font-bold text-slate-500 shrink-0">
+        <input type="checkbox" checked={entry.isActive} disabled={busy} onChange={(e) => onUpdate(entry.id, { isActive: e.target.checked })} />
+        مفعّل
+      </label>
+      <button
+        disabled={busy}
+        onClick={() => onDelete(entry.id)}
+        className="p-1.5 rounded-xl text-rose-500 hover:bg-rose-50 dark:hover:bg-rose-900/20 disabled:opacity-50 shrink-0"
+      >
+        <Trash2 size={16} />
+      </button>
+    </div>
+  );
+};
+
+const AdminSearchDictionary: React.FC = () => {
+  const showToast = useToastStore((state) => state.showToast);
+  const [type, setType] = useState<SearchDictionaryType>('SYNONYM');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [entries, setEntries] = useState<SearchDictionaryEntry[]>([]);
+  const [totalPages, setTotalPages] = useState(1);
+  const [stats, setStats] = useState<SearchDictionaryStats | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [newTerm, setNewTerm] = useState('');
+  const [newValues, setNewValues] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await fetchSearchDictionary({ type, search: search.trim() || undefined, page });
+      setEntries(data.entries);
+      setTotalPages(Math.max(1, data.totalPages));
+      setStats(data.stats);
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر تحميل قاموس البحث', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [type, search, page, showToast]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newTerm.trim()) return;
+    setIsAdding(true);
+    try {
+      await createSearchDictionaryEntry({ type, term: newTerm.trim(), values: type === 'STOP_WORD' ? [] : parseValues(newValues) });
+      setNewTerm('');
+      setNewValues('');
+      await load();
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر إضافة الكلمة', 'error');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const handleUpdate = async (id: number, changes: { values?: string[]; isActive?: boolean }) => {
+    setBusyId(id);
+    try {
+      const updated = await updateSearchDictionaryEntry(id, changes);
+      setEntries((current) => current.map((entry) => (entry.id === id ? updated : entry)));
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر حفظ التعديل', 'error');
+      await load();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (id: number) => {
+    if (!window.confirm('حذف هذه الكلمة من القاموس؟')) return;
+    setBusyId(id);
+    try {
+      await deleteSearchDictionaryEntry(id);
+      setEntries((current) => current.filter((entry) => entry.id !== id));
+    } catch (error: any) {
+      showToast(error?.message || 'تعذر حذف الكلمة', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const activeTab = TYPE_TABS.find((tab) => tab.id === type)!;
+
+  return (
+    <div className="p-4 lg:p-8 space-y-6">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <BookOpen className="text-primary" size={24} />
+          <h1 className="text-2xl font-black text-slate-900 dark:text-white">قاموس البحث</h1>
+        </div>
+        {stats && (
+          <p className="text-xs text-slate-500">
+            {stats.synonyms} مرادف · {stats.stopWords} كلمة متجاهلة · {stats.corrections} تصحيح
+          </p>
+        )}
+      </div>
+
+      <QueryTester />
+
+      <div className="flex gap-2 overflow-x-auto">
+        {TYPE_TABS.map((tab) => (
+          <button
+            key={tab.id}
+            onClick={() => {
+              setType(tab.id);
+              setPage(1);
+            }}
+            className={`px-4 py-2 rounded-2xl text-sm font-bold whitespace-nowrap transition-all ${
+              type === tab.id ? 'bg-primary text-white' : 'bg-white dark:bg-slate-800 text-slate-500 dark:text-slate-400'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500">{activeTab.hint}</p>
+
+      <form onSubmit={handleAdd} className="flex flex-wrap gap-2">
+        <input
+          value={newTerm}
+          onChange={(e) => setNewTerm(e.target.value)}
+          placeholder="الكلمة"
+          className="w-40 bg-white dark:bg-slate-800 border-none rounded-2xl py-2.5 px-4 text-sm"
+        />
+        {type !== 'STOP_WORD' && (
+          <input
+            value={newValues}
+            onChange={(e) => setNewValues(e.target.value)}
+            placeholder={type === 'CORRECTION' ? 'التصحيح' : 'المرادفات، مفصولة بفاصلة'}
+            className="flex-1 min-w-[12rem] bg-white dark:bg-slate-800 border-none rounded-2xl py-2.5 px-4 text-sm"
+          />
+        )}
+        <button
+          type="submit"
+          disabled={isAdding || !newTerm.trim()}
+          className="flex items-center gap-1.5 px-4 py-2.5 rounded-2xl text-sm font-bold bg-primary text-white disabled:opacity-50"
+        >
+          {isAdding ? <Loader2 className="animate-spin" size={16} /> : <Plus size={16} />}
+          إضافة
+        </button>
+      </form>
+
+      <div className="relative max-w-sm">
+        <Search className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
+        <input
+          value={search}
+          onChange={(e) => {
+            setSearch(e.target.value);
+            setPage(1);
+          }}
+          placeholder="بحث في القاموس..."
+          className="w-full bg-white dark:bg-slate-800 border-none rounded-2xl py-2.5 pr-11 pl-4 text-sm"
+        />
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-16">
+          <Loader2 className="animate-spin text-primary" size={32} />
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="p-6 text-center text-slate-500">لا توجد كلمات</div>
+      ) : (
+        <div className="space-y-3">
+          {entries.map((entry) => (
+            <EntryRow key={`${entry.id}:${entry.values.join(',')}`} entry={entry} busy={busyId === entry.id} onUpdate={handleUpdate} onDelete={handleDelete} />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-3 text-sm">
+          <button disabled={page <= 1} onClick={() => setPage(page - 1)} className="px-3 py-1.5 rounded-xl font-bold text-primary disabled:opacity-40">
+            السابق
+          </button>
+          <span className="text-slate-500">{page} / {totalPages}</span>
+          <button disabled={page >= totalPages} onClick={() => setPage(page + 1)} className="px-3 py-1.5 rounded-xl font-bold text-primary disabled:opacity-40">
+            التالي
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminSearchDictionary;
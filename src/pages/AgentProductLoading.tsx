@@ -2,15 +2,16 @@ import React, { useEffect, useState } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Loader2, AlertCircle, RefreshCw, Globe, CheckCircle } from 'lucide-react';
-import { api } from '../services/api';
+import { importExternalProduct, type ExternalImportEvent } from '../services/api';
 
 const AgentProductLoading: React.FC = () => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const url = searchParams.get('url');
   
-  const [status, setStatus] = useState<'connecting' | 'scraping' | 'translating' | 'error' | 'success'>('connecting');
+  const [status, setStatus] = useState<'connecting' | 'scraping' | 'translating' | 'saving' | 'error' | 'success'>('connecting');
   const [error, setError] = useState<string | null>(null);
+  const [needsLogin, setNeedsLogin] = useState(false);
   const [progress, setProgress] = useState(0);
 
   useEffect(() => {
@@ -23,36 +24,32 @@ const AgentProductLoading: React.FC = () => {
     const fetchProduct = async () => {
       try {
         setStatus('connecting');
-        setProgress(10);
-        
-        // Simulate connecting delay
-        await new Promise(r => setTimeout(r, 800));
-        setStatus('scraping');
-        setProgress(30);
+        setProgress(5);
 
-        // Call Backend Scraper
-        const response = await api.post('/products/fetch-external', { url });
-        
-        if (response.data) {
-          setProgress(70);
-          setStatus('translating');
-          
-          // Simulate translation delay (since it's currently placeholder)
-          await new Promise(r => setTimeout(r, 1000));
-          
-          setProgress(100);
-          setStatus('success');
-          
-          // Redirect to Product Details with the new Product ID
-          setTimeout(() => {
-            navigate(`/product?id=${response.data.id}`, { replace: true });
-          }, 500);
-        }
+        // The server reports each stage of the import as it happens
+        const result = await importExternalProduct(url, (event: ExternalImportEvent) => {
+          if (event.progress !== undefined) setProgress(event.progress);
+          if (event.stage === 'checking' || event.stage === 'connecting') setStatus('connecting');
+          else if (event.stage) setStatus(event.stage);
+        });
+
+        setProgress(100);
+        setStatus('success');
+
+        // Redirect to Product Details with the new (or previously imported) Product ID
+        setTimeout(() => {
+          navigate(`/product?id=${result.productId}`, { replace: true });
+        }, 500);
       } catch (err: any) {
         console.error('Agent fetch error:', err);
-        // Better error message handling
-        const errorMessage = err.response?.data?.error || err.response?.data?.details || err.message || 'فشل في جلب المنتج. يرجى المحاولة مرة أخرى.';
-        setError(typeof errorMessage === 'string' ? errorMessage : JSON.stringify(errorMessage));
+        if (err.status === 401) {
+          setNeedsLogin(true);
+          setError('يجب تسجيل الدخول لجلب المنتج.');
+        } else if (err.code === 'PRODUCT_RESTRICTED') {
+          setError('هذا المنتج من السلع الممنوعة من الشحن ولا يمكن جلبه.');
+        } else {
+          setError(err.message || 'فشل في جلب المنتج. يرجى المحاولة مرة أخرى.');
+        }
         setStatus('error');
       }
     };
@@ -74,10 +71,10 @@ const AgentProductLoading: React.FC = () => {
             <h2 className="text-xl font-bold mb-2 text-slate-800 dark:text-white">فشل في جلب المنتج</h2>
             <p className="text-sm text-slate-500 mb-6">{error}</p>
             <button 
-              onClick={() => navigate('/')}
+              onClick={() => navigate(needsLogin ? '/login' : '/')}
               className="px-6 py-2 bg-slate-100 text-slate-700 rounded-full font-medium hover:bg-slate-200 transition-colors"
             >
-              العودة للرئيسية
+              {needsLogin ? 'تسجيل الدخول' : 'العودة للرئيسية'}
             </button>
           </motion.div>
         ) : (
@@ -108,6 +105,7 @@ const AgentProductLoading: React.FC = () => {
                 {status === 'connecting' && <Globe size={32} className="animate-pulse" />}
                 {status === 'scraping' && <RefreshCw size={32} className="animate-spin" />}
                 {status === 'translating' && <Globe size={32} />}
+                {status === 'saving' && <Loader2 size={32} className="animate-spin" />}
                 {status === 'success' && <CheckCircle size={32} />}
               </div>
             </div>
@@ -117,6 +115,7 @@ const AgentProductLoading: React.FC = () => {
                 {status === 'connecting' && 'جاري الاتصال بالمتجر...'}
                 {status === 'scraping' && 'جاري سحب بيانات المنتج...'}
                 {status === 'translating' && 'جاري ترجمة التفاصيل...'}
+                {status === 'saving' && 'جاري حفظ المنتج...'}
                 {status === 'success' && 'تم بنجاح!'}
               </h2>
               <p className="text-sm text-slate-500 dark:text-slate-400">
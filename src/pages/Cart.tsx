@@ -5,13 +5,15 @@ import { useWishlistStore } from '../store/useWishlistStore';
 import { useToastStore } from '../store/useToastStore';
 import LazyImage from '../components/LazyImage';
 import DiscountPopup from '../components/DiscountPopup';
+import ShippingBreakdown from '../components/ShippingBreakdown';
+import type { ShippingInfo } from '../types/shipping';
 import { calculateInclusivePrice } from '../utils/shipping';
 
 import { useCheckoutStore } from '../store/useCheckoutStore';
 
 import { AlertCircle, ShoppingCart, ArrowLeft, RefreshCw, Minus, Plus, Heart, Trash2, Tag, X, ArrowRight, CheckCheck, Truck } from 'lucide-react';
 
-import { fetchCoupons } from '../services/api';
+import { fetchCoupons, calculateShipping } from '../services/api';
 
 const Cart: React.FC = () => {
   const navigate = useNavigate();
@@ -39,6 +41,8 @@ const Cart: React.FC = () => {
   const [selectedItems, setSelectedItems] = useState<(number | string)[]>([]);
   const [isSelectMode, setIsSelectMode] = useState(false);
   const [hasAvailableCoupons, setHasAvailableCoupons] = useState(false);
+  const [shippingInfo, setShippingInfo] = useState<ShippingInfo | null>(null);
+  const [calculatingShipping, setCalculatingShipping] = useState(false);
 
   const airCount = allCartItems.filter(i => i.shippingMethod === 'air').length;
   const seaCount = allCartItems.filter(i => i.shippingMethod === 'sea').length;
@@ -59,6 +63,26 @@ const Cart: React.FC = () => {
     setCheckoutShippingMethod(activeTab);
   }, [activeTab, setCheckoutShippingMethod]);
 
+  // Itemized international shipping quote for the active tab
+  const shippingQuoteKey = cartItems.map(i => `${i.productId}:${i.variantId}:${i.quantity}`).join(',');
+  useEffect(() => {
+    const items = allCartItems.filter(item => item.shippingMethod === activeTab);
+    if (items.length === 0) {
+      setShippingInfo(null);
+      return;
+    }
+
+    let cancelled = false;
+    setCalculatingShipping(true);
+    calculateShipping(items, activeTab)
+      .then((info) => { if (!cancelled) setShippingInfo(info); })
+      .catch((err) => console.error('Failed to calculate shipping:', err))
+      .finally(() => { if (!cancelled) setCalculatingShipping(false); });
+
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [shippingQuoteKey, activeTab]);
+
   useEffect(() => {
     // If current tab is empty but the other has items, switch automatically
     if (cartItems.length === 0 && allCartItems.length > 0) {
@@ -152,17 +176,15 @@ const Cart: React.FC = () => {
     : appliedCoupon.discountValue
   ) : 0;
   
-  // Total in cart page only includes products - discount
-  // International shipping fees are shown in checkout page as requested
-  const total = Math.max(0, subtotal - discountAmount);
+  // Products minus discount; the minimum order threshold applies to this amount
+  const productsTotal = Math.max(0, subtotal - discountAmount);
+  const total = productsTotal + (shippingInfo?.internationalFee || 0);
   
-  // Dynamic threshold based on active tab
-  const MIN_ORDER_THRESHOLD = activeTab === 'sea' ? 80000 : 30000;
+  // Dynamic threshold based on active tab (server settings once the quote arrives)
+  const MIN_ORDER_THRESHOLD = shippingInfo?.threshold || (activeTab === 'sea' ? 80000 : 30000);
   
-  // Use subtotal (products + shipping - discount) for threshold logic 
-  // as per user requirement that selecting cheaper shipping should increase amount needed
-  const isUnderThreshold = total < MIN_ORDER_THRESHOLD;
-  const amountNeeded = MIN_ORDER_THRESHOLD - total;
+  const isUnderThreshold = productsTotal < MIN_ORDER_THRESHOLD;
+  const amountNeeded = MIN_ORDER_THRESHOLD - productsTotal;
 
   // Function to refresh cart
   const handleRefresh = async () => {
@@ -587,12 +609,7 @@ const Cart: React.FC = () => {
                 </div>
               )}
 
-              <div className="flex justify-between text-sm items-center">
-                <span className="text-slate-500 dark:text-slate-400">التوصيل الدولي</span>
-                <span className="text-[10px] font-bold text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-slate-700/50 px-2 py-1 rounded-lg">
-                  سيتم إرسال التكلفة عبر الواتساب خلال ساعة
-                </span>
-              </div>
+              <ShippingBreakdown info={shippingInfo} loading={calculatingShipping} />
 
               <div className="flex justify-between text-sm items-center">
                 <span className="text-slate-500 dark:text-slate-400">التوصيل المحلي</span>
@@ -634,14 +651,14 @@ const Cart: React.FC = () => {
                 </span>
               </div>
               <span className={`text-xs font-black ${isUnderThreshold ? 'text-amber-700 dark:text-amber-400' : 'text-green-700 dark:text-green-400'}`}>
-                {Math.min(100, Math.round((total / MIN_ORDER_THRESHOLD) * 100))}%
+                {Math.min(100, Math.round((productsTotal / MIN_ORDER_THRESHOLD) * 100))}%
               </span>
            </div>
            
            <div className="h-2 w-full bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
               <div 
                 className={`h-full rounded-full transition-all duration-500 ease-out ${isUnderThreshold ? 'bg-amber-500' : 'bg-green-500'}`}
-                style={{ width: `${Math.min(100, (total / MIN_ORDER_THRESHOLD) * 100)}%` }}
+                style={{ width: `${Math.min(100, (productsTotal / MIN_ORDER_THRESHOLD) * 100)}%` }}
               ></div>
            </div>
         </div>
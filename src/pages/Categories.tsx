@@ -2,7 +2,8 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Search, ChevronRight } from 'lucide-react';
 
-import { categories } from '../data/categories';
+import { fetchCategories } from '../services/api';
+import type { Category } from '../types/category';
 
 // Map specific JSON icon names to valid MDI icon names if they don't exist or need adjustment
 const iconMapping: Record<string, string> = {
@@ -188,7 +189,7 @@ const iconMapping: Record<string, string> = {
   'gift': 'gift-outline',
 };
 
-const getIconClass = (iconName: string) => {
+const getIconClass = (iconName: string | null) => {
   if (!iconName) return 'mdi mdi-help-circle-outline';
   const mapped = iconMapping[iconName] || iconName;
   return `mdi mdi-${mapped}`;
@@ -196,8 +197,15 @@ const getIconClass = (iconName: string) => {
 
 const Categories: React.FC = () => {
   const navigate = useNavigate();
+  const [categories, setCategories] = useState<Category[]>([]);
   const [selectedMainCategory, setSelectedMainCategory] = useState<number | null>(null);
 
+  React.useEffect(() => {
+    fetchCategories()
+      .then((data) => setCategories(Array.isArray(data) ? data : []))
+      .catch((err) => console.error('Failed to load categories:', err));
+  }, []);
+
   React.useEffect(() => {
     if (categories.length > 0 && selectedMainCategory === null) {
       setSelectedMainCategory(categories[0].id);
@@ -206,9 +214,9 @@ const Categories: React.FC = () => {
 
   const selectedCategory = categories.find(c => c.id === selectedMainCategory);
 
-  const handleSearch = (query: string) => {
-    if (!query) return;
-    navigate(`/search?q=${encodeURIComponent(query)}`);
+  // The name is shown in the search box; results come from the category filter
+  const openCategory = (category: Category) => {
+    navigate(`/search?q=${encodeURIComponent(category.nameAr)}&category=${category.id}`);
   };
 
   return (
@@ -229,7 +237,7 @@ const Categories: React.FC = () => {
               key={cat.id}
               onClick={() => {
                 if (selectedMainCategory === cat.id) {
-                  handleSearch(cat.name_ar);
+                  openCategory(cat);
                 } else {
                   setSelectedMainCategory(cat.id);
                 }
@@ -247,7 +255,7 @@ const Categories: React.FC = () => {
               <div className="size-8 bg-slate-200 dark:bg-slate-800 rounded-full flex items-center justify-center overflow-hidden">
                  <i className={`${getIconClass(cat.icon)} text-xl text-slate-500 dark:text-slate-400 leading-none`} />
               </div>
-              <span className="text-[10px] text-center leading-tight line-clamp-2">{cat.name_ar}</span>
+              <span className="text-[10px] text-center leading-tight line-clamp-2">{cat.nameAr}</span>
             </div>
           ))}
           
@@ -269,36 +277,36 @@ const Categories: React.FC = () => {
            ) : (
              <div className="space-y-6">
                {/* Subcategories */}
-               {selectedCategory?.children?.map((subCat: any) => (
+               {selectedCategory?.children?.map((subCat) => (
                  <div key={subCat.id} className="mb-6">
                    <div className="flex items-center justify-between mb-3">
                      <h3 
                        className="font-bold text-gray-800 dark:text-gray-200 cursor-pointer hover:text-primary transition-colors"
-                       onClick={() => handleSearch(subCat.name_ar)}
+                       onClick={() => openCategory(subCat)}
                      >
-                       {subCat.name_ar}
+                       {subCat.nameAr}
                      </h3>
                      <button 
                        className="text-xs text-primary flex items-center hover:underline"
-                       onClick={() => handleSearch(subCat.name_ar)}
+                       onClick={() => openCategory(subCat)}
                      >
                        الكل <ChevronRight size={14} />
                      </button>
                    </div>
                    
                    <div className="grid grid-cols-3 gap-y-6 gap-x-2">
-                     {subCat.children?.map((item: any) => (
+                     {subCat.children?.map((item) => (
                         <div 
                           key={item.id} 
                           className="flex flex-col items-center gap-2 cursor-pointer hover:opacity-80 transition-opacity"
-                          onClick={() => handleSearch(item.name_ar)}
+                          onClick={() => openCategory(item)}
                         >
                           {/* Item Icon Placeholder */}
                             <div className="size-14 bg-slate-100 dark:bg-slate-800 rounded-full flex items-center justify-center text-slate-400">
                               <i className={`${getIconClass(item.icon)} text-3xl text-primary leading-none`} />
                             </div>
                            <span className="text-[11px] text-center text-slate-600 dark:text-slate-300 leading-tight line-clamp-2 w-full">
-                            {item.name_ar}
+                            {item.nameAr}
                           </span>
                         </div>
                      ))}
@@ -14,10 +14,11 @@ import {
   Tag,
 } from 'lucide-react';
 import { motion } from 'framer-motion';
-import { fetchAddresses, placeOrder, fetchCoupons } from '../services/api';
+import { fetchAddresses, placeOrder, fetchCoupons, fetchWallet } from '../services/api';
 import { useCartStore } from '../store/useCartStore';
 import { useCheckoutStore } from '../store/useCheckoutStore';
 import { useToastStore } from '../store/useToastStore';
+import ShippingBreakdown from '../components/ShippingBreakdown';
 
 const CheckoutPaymentAddress: React.FC = () => {
   const navigate = useNavigate();
@@ -51,6 +52,8 @@ const CheckoutPaymentAddress: React.FC = () => {
   const [snapshottedSubtotal, setSnapshottedSubtotal] = useState(0);
   const [snapshottedTotal, setSnapshottedTotal] = useState(0);
   const [snapshottedDiscount, setSnapshottedDiscount] = useState(0);
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [useWallet, setUseWallet] = useState(false);
 
   const checkAvailableCoupons = useCallback(async () => {
     try {
@@ -87,6 +90,12 @@ const CheckoutPaymentAddress: React.FC = () => {
      checkAvailableCoupons();
    }, [loadData, checkAvailableCoupons]);
 
+  useEffect(() => {
+    fetchWallet()
+      .then((wallet) => setWalletBalance(wallet?.balance || 0))
+      .catch((err) => console.error('Failed to fetch wallet:', err));
+  }, []);
+
    useEffect(() => {
      if (shippingInfo && !shippingInfo.isThresholdMet) {
        navigate('/checkout/shipping');
@@ -129,14 +138,25 @@ const CheckoutPaymentAddress: React.FC = () => {
         paymentMethod, 
         shippingMethod, 
         appliedCoupon?.code,
-        cartItems
+        cartItems,
+        { useWallet: useWallet && walletBalance > 0 }
       );
       
       const currentItems = [...cartItems];
       setCreatedOrderId(order.id);
 
+      // Online payments continue on the gateway page
+      if (order.paymentUrl) {
+        useCartStore.getState().clearShippingMethodItems(shippingMethod);
+        resetCheckout();
+        window.location.href = order.paymentUrl;
+        return;
+      }
+
       // Show success message as requested
-      showToast("سيتم إرسال تكلفة الشحن إليك عبر رقم الواتساب الخاص بك قريباً جداً", 'success', 5000);
+      if (shippingInfo?.freeShippingPromo !== false) {
+        showToast("سيتم إرسال تكلفة الشحن إليك عبر رقم الواتساب الخاص بك قريباً جداً", 'success', 5000);
+      }
 
       // Clear cart items for the ordered shipping method in store
       useCartStore.getState().clearShippingMethodItems(shippingMethod);
@@ -184,8 +204,9 @@ const CheckoutPaymentAddress: React.FC = () => {
     : appliedCoupon.discountValue
   ) : 0;
   
-  // subtotal already includes shippingTotal from getSubtotal()
-  const total = Math.max(0, subtotal - discountAmount);
+  // International shipping is quoted by the server per order (0 while the free shipping promo is on)
+  const internationalFee = shippingInfo?.internationalFee || 0;
+  const total = Math.max(0, subtotal - discountAmount) + internationalFee;
 
   const selectedAddress = addresses.find(a => a.id === selectedAddressId);
 
@@ -354,6 +375,33 @@ const CheckoutPaymentAddress: React.FC = () => {
               </div>
             </button>
 
+            {/* Zain Cash Online */}
+            <button 
+              onClick={() => setPaymentMethod('zain_cash_online')}
+              className={`relative flex items-center gap-4 p-4 rounded-2xl border-2 transition-all duration-300 ${
+                paymentMethod === 'zain_cash_online' 
+                  ? 'border-primary bg-primary/5 shadow-md scale-[1.02]' 
+                  : 'border-slate-100 dark:border-slate-800 bg-surface-light dark:bg-surface-dark hover:border-slate-200 dark:hover:border-slate-700 opacity-70'
+              }`}
+            >
+              <div className={`w-12 h-12 rounded-xl flex items-center justify-center overflow-hidden transition-all shadow-sm ${
+                paymentMethod === 'zain_cash_online' ? 'bg-[#272727]' : 'bg-slate-100 dark:bg-slate-800'
+              }`}>
+                <div className="w-6 h-6 rounded-full border-2 border-[#D6006E] flex items-center justify-center">
+                  <div className="w-1 h-3 bg-white rotate-45"></div>
+                </div>
+              </div>
+              <div className="flex flex-col text-right flex-1">
+                <span className="font-bold text-base">زين كاش أونلاين</span>
+                <span className="text-[10px] text-slate-500 font-medium">الدفع الفوري عبر بوابة زين كاش</span>
+              </div>
+              <div className={`w-6 h-6 rounded-full border-2 flex items-center justify-center transition-all ${
+                paymentMethod === 'zain_cash_online' ? 'border-primary bg-primary' : 'border-slate-200 dark:border-slate-700'
+              }`}>
+                {paymentMethod === 'zain_cash_online' && <Check size={14} className="text-white" strokeWidth={4} />}
+              </div>
+            </button>
+
             {/* Super Key */}
             <button 
               onClick={() => setPaymentMethod('super_key')}
@@ -404,6 +452,28 @@ const CheckoutPaymentAddress: React.FC = () => {
               </div>
             </button>
           </div>
+
+          {/* Wallet Balance */}
+          {walletBalance > 0 && (
+            <label className="flex items-center gap-4 p-4 rounded-2xl border-2 border-slate-100 dark:border-slate-800 bg-surface-light dark:bg-surface-dark cursor-pointer">
+              <div className="w-12 h-12 rounded-xl flex items-center justify-center bg-amber-500/10 text-amber-600">
+                <Wallet size={24} />
+              </div>
+              <div className="flex flex-col text-right flex-1">
+                <span className="font-bold text-base">استخدام رصيد المحفظة</span>
+                <span className="text-[10px] text-slate-500 font-medium">
+                  الرصيد المتاح {walletBalance.toLocaleString()} د.ع
+                  {useWallet && ` - سيتم خصم ${Math.min(walletBalance, total).toLocaleString()} د.ع`}
+                </span>
+              </div>
+              <input
+                type="checkbox"
+                checked={useWallet}
+                onChange={(e) => setUseWallet(e.target.checked)}
+                className="w-5 h-5 accent-primary"
+              />
+            </label>
+          )}
         </section>
 
         {/* Order Summary */}
@@ -503,10 +573,7 @@ const CheckoutPaymentAddress: React.FC = () => {
                 <Link to="/cart" className="text-[10px] text-slate-400 underline decoration-slate-300">استخدمه من السلة</Link>
               </div>
             ) : null}
-            <div className="flex justify-between items-center text-sm">
-              <span className="text-slate-500 font-medium">الشحن الدولي</span>
-              <span className="font-bold text-slate-700 dark:text-slate-300">{(shippingInfo?.internationalFee || 0).toLocaleString()} د.ع</span>
-            </div>
+            <ShippingBreakdown info={shippingInfo} />
             <div className="pt-4 border-t border-dashed border-slate-200 dark:border-slate-700 flex justify-between items-center">
               <span className="font-black text-base text-slate-900 dark:text-white">المجموع الكلي</span>
               <div className="text-right">
@@ -514,9 +581,11 @@ const CheckoutPaymentAddress: React.FC = () => {
               </div>
             </div>
 
-            <p className="text-[10px] text-slate-400 font-medium leading-relaxed bg-slate-100 dark:bg-slate-800/50 p-3 rounded-2xl">
-              * سيتم إرسال تكلفة الشحن إليك عبر رقم الواتساب الخاص بك قريباً جداً.
-            </p>
+            {shippingInfo?.freeShippingPromo !== false && (
+              <p className="text-[10px] text-slate-400 font-medium leading-relaxed bg-slate-100 dark:bg-slate-800/50 p-3 rounded-2xl">
+                * سيتم إرسال تكلفة الشحن إليك عبر رقم الواتساب الخاص بك قريباً جداً.
+              </p>
+            )}
           </div>
         </section>
       </main>
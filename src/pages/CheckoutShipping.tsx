@@ -22,6 +22,7 @@ import { useCartStore } from '../store/useCartStore';
 import { useCheckoutStore } from '../store/useCheckoutStore';
 import { useToastStore } from '../store/useToastStore';
 import DiscountPopup from '../components/DiscountPopup';
+import ShippingBreakdown from '../components/ShippingBreakdown';
 
 const CheckoutShipping: React.FC = () => {
   const navigate = useNavigate();
@@ -127,7 +128,7 @@ const CheckoutShipping: React.FC = () => {
       : appliedCoupon.discountValue
   ) : 0;
 
-  const total = Math.max(0, subtotal - discountAmount);
+  const total = Math.max(0, subtotal - discountAmount) + (shippingInfo?.internationalFee || 0);
 
   const selectedAddress = addresses.find(a => a.id === selectedAddressId);
 
@@ -382,10 +383,7 @@ const CheckoutShipping: React.FC = () => {
             </div>
           )}
 
-          <div className="flex justify-between items-center text-sm">
-            <span className="text-slate-500 dark:text-slate-400">الشحن الدولي</span>
-            <span className="font-bold text-slate-900 dark:text-white">سيتم إرسالها إليك عبر الواتساب</span>
-          </div>
+          <ShippingBreakdown info={shippingInfo} loading={calculatingShipping} />
 
           {shippingInfo && !shippingInfo.isThresholdMet && (
             <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-100 dark:border-red-900/30 rounded-xl">
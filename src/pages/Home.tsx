@@ -1,6 +1,6 @@
 import React, { useEffect, useState, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { fetchProducts } from '../services/api';
+import { fetchProducts, fetchRecommendations } from '../services/api';
 import { useWishlistStore } from '../store/useWishlistStore';
 import { usePageCacheStore } from '../store/usePageCacheStore';
 import Skeleton from '../components/Skeleton';
@@ -66,11 +66,20 @@ const Home: React.FC = () => {
       const maxPrice = categoryId === 'under5k' ? 5000 : undefined;
       
       const prodsRes = await fetchProducts(pageNum, 10, searchTerm, maxPrice);
+      // The recommended tab opens with the personal feed, followed by the regular listing
+      const feed = categoryId === 'all' && pageNum === 1
+        ? await fetchRecommendations(10).catch(() => null)
+        : null;
 
       // Only proceed if this is still the active request for this category
       if (activeRequestRef.current !== requestId) return;
 
-      const newProducts = prodsRes.products || [];
+      const listed: Product[] = prodsRes.products || [];
+      let newProducts = listed;
+      if (feed?.personalized && feed.products?.length) {
+        const feedIds = new Set(feed.products.map((p: Product) => p.id));
+        newProducts = [...feed.products, ...listed.filter(p => !feedIds.has(p.id))];
+      }
       
       if (isInitial) {
         setProducts(newProducts);
@@ -87,7 +96,7 @@ const Home: React.FC = () => {
         });
       }
       
-      setHasMore(newProducts.length === 10);
+      setHasMore(listed.length === 10);
       
     } catch (err: any) {
       if (activeRequestRef.current !== requestId) return;
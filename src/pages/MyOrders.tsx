@@ -17,6 +17,7 @@ import { fetchOrders, cancelOrder, confirmOrderPayment } from '../services/api';
 import { useCartStore } from '../store/useCartStore';
 import { useToastStore } from '../store/useToastStore';
 import LazyImage from '../components/LazyImage';
+import PaymentProofForm from '../components/PaymentProofForm';
 import { useTranslation } from 'react-i18next';
 
 const MyOrders: React.FC = () => {
@@ -36,6 +37,8 @@ const MyOrders: React.FC = () => {
   const [paymentTab, setPaymentTab] = useState<'zain' | 'qi'>('zain');
   const [paymentDone, setPaymentDone] = useState(false);
   const [isConfirmingPayment, setIsConfirmingPayment] = useState(false);
+  const [paymentReference, setPaymentReference] = useState('');
+  const [paymentScreenshot, setPaymentScreenshot] = useState('');
   
   const loadOrders = useCallback(async () => {
     const token = localStorage.getItem('auth_token');
@@ -63,16 +66,27 @@ const MyOrders: React.FC = () => {
 
   const handlePaymentDone = async () => {
     if (!selectedOrder) return;
+
+    if (!paymentReference.trim() || !paymentScreenshot) {
+      showToast('يرجى إدخال رقم العملية وإرفاق صورة التحويل', 'error');
+      return;
+    }
     
     setIsConfirmingPayment(true);
     try {
-      await confirmOrderPayment(selectedOrder.id);
+      await confirmOrderPayment(selectedOrder.id, {
+        reference: paymentReference.trim(),
+        screenshot: paymentScreenshot,
+        method: selectedOrder.paymentMethod
+      });
+      setPaymentReference('');
+      setPaymentScreenshot('');
       setPaymentDone(true);
       await loadOrders(); // Refresh status
       showToast('تم إرسال إشعار الدفع بنجاح', 'success');
-    } catch (err) {
+    } catch (err: any) {
       console.error('Failed to confirm payment:', err);
-      showToast('فشل في إرسال إشعار الدفع', 'error');
+      showToast(err.message || 'فشل في إرسال إشعار الدفع', 'error');
     } finally {
       setIsConfirmingPayment(false);
     }
@@ -128,7 +142,7 @@ const MyOrders: React.FC = () => {
     const matchesSearch = order.id.toString().includes(searchTerm) || 
       order.items.some((item: any) => item.product.name.toLowerCase().includes(searchTerm.toLowerCase()));
     
-    const isCompleted = order.status === 'DELIVERED' || order.status === 'CANCELLED';
+    const isCompleted = order.status === 'DELIVERED' || order.status === 'CANCELLED' || order.status === 'REFUNDED';
     const matchesTab = activeTab === 'completed' ? isCompleted : !isCompleted;
 
     return matchesSearch && matchesTab;
@@ -182,7 +196,7 @@ const MyOrders: React.FC = () => {
                   <div className="bg-slate-50 dark:bg-slate-800/50 rounded-2xl p-5 border border-slate-100 dark:border-slate-800 text-center">
                     <p className="text-sm text-slate-500 mb-1">المبلغ المطلوب دفعه</p>
                     <div className="text-3xl font-black text-primary font-sans tracking-tight">
-                      {selectedOrder.total.toLocaleString()} <span className="text-sm">د.ع</span>
+                      {(selectedOrder.total - (selectedOrder.walletAmountPaid || 0)).toLocaleString()} <span className="text-sm">د.ع</span>
                     </div>
                   </div>
 
@@ -242,6 +256,14 @@ const MyOrders: React.FC = () => {
                       </button>
                     </div>
                   </div>
+
+                  <PaymentProofForm
+                    reference={paymentReference}
+                    setReference={setPaymentReference}
+                    screenshot={paymentScreenshot}
+                    setScreenshot={setPaymentScreenshot}
+                    disabled={isConfirmingPayment}
+                  />
                 </div>
               ) : (
                 <div className="flex flex-col items-center justify-center py-12 text-center">
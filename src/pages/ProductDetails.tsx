@@ -1,6 +1,6 @@
 import React, { useEffect, useState, useMemo, useRef } from 'react';
 import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
-import { fetchProductById, fetchProductReviews, checkProductPurchase, findProductInGlobalCache, trackInteraction } from '../services/api';
+import { fetchProductById, fetchProductReviews, checkProductPurchase, findProductInGlobalCache, trackInteraction, fetchSimilarProducts, fetchBoughtTogether } from '../services/api';
 import { useWishlistStore } from '../store/useWishlistStore';
 import { useCartStore } from '../store/useCartStore';
 import { useAuthStore } from '../store/useAuthStore';
@@ -57,7 +57,8 @@ const ProductDetails: React.FC = () => {
     return null;
   });
   const [reviews, setReviews] = useState<Review[]>([]);
-  const [similarProducts] = useState<Product[]>([]);
+  const [similarProducts, setSimilarProducts] = useState<Product[]>([]);
+  const [boughtTogether, setBoughtTogether] = useState<Product[]>([]);
   const [loading, setLoading] = useState(!product); // Only show loading if we don't have initial data
   const [reviewsLoading, setReviewsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -298,29 +299,32 @@ const ProductDetails: React.FC = () => {
 
     return {
       basePrice,
-      basePriceIQD
+      basePriceIQD,
+      // Per-method prices from the server's pricing rules
+      serverAirPrice: target.airPrice as number | undefined,
+      serverSeaPrice: target.seaPrice as number | undefined
     };
   }, [product, currentVariant]);
 
   const { inclusivePrice, airPrice, seaPrice } = useMemo(() => {
     if (!product || !pricingParams) return { inclusivePrice: 0, airPrice: 0, seaPrice: 0 };
     
-    const { basePrice, basePriceIQD } = pricingParams;
+    const { basePrice, basePriceIQD, serverAirPrice, serverSeaPrice } = pricingParams;
 
-    const air = calculateInclusivePrice(
+    const air = serverAirPrice ?? calculateInclusivePrice(
       basePrice,
       product.domesticShippingFee || 0,
       basePriceIQD
     );
 
-    const sea = calculateInclusivePrice(
+    const sea = serverSeaPrice ?? calculateInclusivePrice(
       basePrice,
       product.domesticShippingFee || 0,
       basePriceIQD
     );
 
-    return { inclusivePrice: sea, airPrice: air, seaPrice: sea };
-  }, [product, pricingParams]);
+    return { inclusivePrice: shippingMethod === 'air' ? air : sea, airPrice: air, seaPrice: sea };
+  }, [product, pricingParams, shippingMethod]);
 
 
 
@@ -559,6 +563,23 @@ const ProductDetails: React.FC = () => {
 
 
 
+  useEffect(() => {
+    if (!productId) return;
+    let isCurrent = true;
+    setSimilarProducts([]);
+    setBoughtTogether([]);
+    // Recommendations are secondary; failures just leave the sections hidden
+    fetchSimilarProducts(productId)
+      .then((data) => { if (isCurrent) setSimilarProducts(data?.products || []); })
+      .catch(() => {});
+    fetchBoughtTogether(productId)
+      .then((data) => { if (isCurrent) setBoughtTogether(data?.products || []); })
+      .catch(() => {});
+    return () => {
+      isCurrent = false;
+    };
+  }, [productId]);
+
   useEffect(() => {
     if (productId && product) {
       // Track VIEW event
@@ -640,6 +661,12 @@ const ProductDetails: React.FC = () => {
       return;
     }
 
+    // Switched off by the price monitor while the source is out of stock
+    if (resolvedVariant?.isActive === false) {
+      showToast('هذا الخيار غير متوفر حالياً', 'error');
+      return;
+    }
+
     // Optimistic state update in the UI
     setIsAdding(true);
     setIsAdded(true);
@@ -788,6 +815,15 @@ const ProductDetails: React.FC = () => {
             </div>
           )}
 
+          <SimilarProducts 
+            title="اشتراه الزبائن أيضاً"
+            products={boughtTogether}
+            onProductClick={(id) => {
+              const selectedProduct = boughtTogether.find(p => p.id === id);
+              navigate(`/product?id=${id}`, { state: { initialProduct: selectedProduct } });
+            }}
+          />
+
           <SimilarProducts 
             products={similarProducts}
             onProductClick={(id) => {
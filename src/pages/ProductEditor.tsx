@@ -17,7 +17,7 @@ import {
 } from 'lucide-react';
 import LazyImage from '../components/LazyImage';
 import { 
-  fetchProductById, 
+  fetchAdminProductById, 
   updateProduct, 
   createProduct, 
   saveProductOptions 
@@ -97,7 +97,7 @@ const ProductEditor: React.FC<ProductEditorProps> = ({ productId, storeSettings,
       if (String(productId).startsWith('local-')) {
         product = localProductService.getDraftById(String(productId));
       } else {
-        product = await fetchProductById(productId);
+        product = await fetchAdminProductById(productId, token);
       }
       
       console.log('Loaded product data:', product);
@@ -145,7 +145,7 @@ const ProductEditor: React.FC<ProductEditorProps> = ({ productId, storeSettings,
     } finally {
       setLoading(false);
     }
-  }, [productId, showToast, onClose]);
+  }, [productId, token, showToast, onClose]);
 
   useEffect(() => {
     if (isEdit) {
@@ -24,6 +24,7 @@ import { useSettingsStore } from '../store/useSettingsStore';
 import { useTranslation } from 'react-i18next';
 import DiscountPopup from '../components/DiscountPopup';
 import ProfileHeader from '../components/ProfileHeader';
+import WalletStatement from '../components/WalletStatement';
 import { useCheckoutStore } from '../store/useCheckoutStore';
 
 const Profile: React.FC = () => {
@@ -246,6 +247,9 @@ const Profile: React.FC = () => {
                 </div>
               </div>
 
+              {/* Wallet */}
+              <WalletStatement />
+
               {/* Account Settings */}
               <div>
                 <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.1em] px-2 mb-3">{t('profile.account_settings')}</h3>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { searchProducts } from '../services/api';
+import { facetedSearch, fetchSearchSuggestions, rememberSearchAttribution, searchProducts, trackInteraction } from '../services/api';
+import type { SearchFilters, SearchSort } from '../services/api';
 import { useWishlistStore } from '../store/useWishlistStore';
 import { usePageCacheStore } from '../store/usePageCacheStore';
 import { useUserPreferencesStore } from '../store/useUserPreferencesStore';
@@ -9,10 +10,19 @@ import SearchEmptyState from '../components/search/SearchEmptyState';
 import SearchSuggestionsList from '../components/search/SearchSuggestionsList';
 import SearchLoadingState from '../components/search/SearchLoadingState';
 import SearchProductCard from '../components/search/SearchProductCard';
+import FilterSortStrip from '../components/search/FilterSortStrip';
 import type { Product } from '../types/product';
 
 import { AlertCircle, ArrowUp } from 'lucide-react';
 
+// Quick filters of FilterSortStrip mapped to faceted search parameters
+const QUICK_FILTERS: Record<string, SearchFilters> = {
+  all: {},
+  top_rated: { minRating: 4 },
+  under_25k: { maxPrice: 25000 },
+  air: { shippingMethod: 'air' },
+};
+
 const SearchResults: React.FC = () => {
   const navigate = useNavigate();
   const location = useLocation();
@@ -24,6 +34,8 @@ const SearchResults: React.FC = () => {
   // Get query from URL if present
   const queryParams = new URLSearchParams(location.search);
   const initialQuery = queryParams.get('q') || '';
+  // Set when opened from the categories page; dropped once the user searches for something else
+  const categoryParam = queryParams.get('category');
 
   const searchResults = usePageCacheStore((state) => state.searchResults);
   const cachedQuery = usePageCacheStore((state) => state.searchQuery);
@@ -33,15 +45,17 @@ const SearchResults: React.FC = () => {
   const [searchQuery, setSearchQuery] = useState(initialQuery || cachedQuery);
   const [isTyping, setIsTyping] = useState(initialQuery ? false : true);
   const [products, setProducts] = useState<Product[]>(searchResults);
-  const [filteredProducts, setFilteredProducts] = useState<Product[]>(searchResults);
   const [loading, setLoading] = useState(false);
   const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [hasMore, setHasMore] = useState(true);
   const [page, setPage] = useState(1);
   const [totalResults, setTotalResults] = useState(0);
-  const [activeFilter] = useState('all');
-  const [sortBy] = useState<'none' | 'price_asc' | 'price_desc' | 'rating'>('none');
+  const [activeFilter, setActiveFilter] = useState('all');
+  const [sortBy, setSortBy] = useState<SearchSort>('relevance');
+  const nextCursorRef = useRef<string | null>(null);
+  // Search event of the current results, sent with product clicks
+  const searchIdRef = useRef<number | null>(null);
   
   // Use User Preferences Store
   const recentSearches = useUserPreferencesStore((state) => state.searchHistory);
@@ -65,7 +79,16 @@ const SearchResults: React.FC = () => {
     if (node) observer.current.observe(node);
   }, [loading, loadingMore, hasMore]);
 
-  const popularSearches = ['سماعات لاسلكية', 'آيفون 15', 'ساعة ذكية', 'أحذية رياضية', 'عطور رجالية'];
+  const [popularSearches, setPopularSearches] = useState(['سماعات لاسلكية', 'آيفون 15', 'ساعة ذكية', 'أحذية رياضية', 'عطور رجالية']);
+
+  useEffect(() => {
+    // Popular searches come from real search traffic; the defaults stay until it loads
+    fetchSearchSuggestions('')
+      .then((data) => {
+        if (data?.queries?.length) setPopularSearches(data.queries.map(item => item.text));
+      })
+      .catch(() => {});
+  }, []);
 
   useEffect(() => {
     // If query in URL changes, update search query state
@@ -170,7 +193,6 @@ const SearchResults: React.FC = () => {
     const performSearch = async () => {
       if (!searchQuery.trim()) {
         setProducts([]);
-        setFilteredProducts([]);
         setError(null);
         setHasMore(false);
         return;
@@ -184,7 +206,22 @@ const SearchResults: React.FC = () => {
       const querySnapshot = searchQuery;
       try {
         console.log('[SearchResults] request_start', { query: querySnapshot, page });
-        const data = await searchProducts(searchQuery, page);
+        const categoryId = categoryParam && searchQuery === initialQuery ? categoryParam : null;
+        let data;
+        if (activeFilter !== 'all' || sortBy !== 'relevance') {
+          // Sorting and filtering happen on the server, paged by cursor
+          data = await facetedSearch(
+            categoryId ? '' : searchQuery,
+            { ...QUICK_FILTERS[activeFilter], ...(categoryId ? { category: categoryId } : {}) },
+            sortBy,
+            page === 1 ? null : nextCursorRef.current
+          );
+          nextCursorRef.current = data.nextCursor || null;
+        } else {
+          data = categoryId
+            ? await searchProducts('', page, 20, categoryId)
+            : await searchProducts(searchQuery, page);
+        }
         if (!isMounted) return;
 
         const newProducts = data.products || [];
@@ -193,8 +230,8 @@ const SearchResults: React.FC = () => {
         console.log('[SearchResults] request_success', { query: querySnapshot, page, returned: newProducts.length, total, elapsedMs: Date.now() - startTime });
 
         if (page === 1) {
+          searchIdRef.current = data.searchId || null;
           setProducts(newProducts);
-          setFilteredProducts(newProducts);
           setTotalResults(total);
           setSearchData(newProducts, searchQuery);
           if (newProducts.length > 0 && searchQuery) {
@@ -231,49 +268,14 @@ const SearchResults: React.FC = () => {
       isMounted = false;
       clearTimeout(timeoutId);
     };
-  }, [searchQuery, page, setSearchData, addToRecentSearches]);
+  }, [searchQuery, page, setSearchData, addToRecentSearches, categoryParam, initialQuery, activeFilter, sortBy]);
 
   useEffect(() => {
     // Reset page when search query changes
     setPage(1);
     setHasMore(true);
-  }, [searchQuery]);
-
-  const getProductBasePrice = useCallback((p: Product) => {
-    const variants = (p as any).variants || [];
-    const variantPrices = variants
-      .map((v: any) => Number(v?.price))
-      .filter((price: number) => !isNaN(price) && price > 0);
-    return variantPrices.length > 0 ? Math.min(...variantPrices) : Number(p.price);
-  }, []);
+  }, [searchQuery, categoryParam, activeFilter, sortBy]);
 
-  useEffect(() => {
-    let result = [...products];
-    const getNumericId = (id: number | string) => (typeof id === 'number' ? id : Number.parseInt(String(id), 10) || 0);
-
-    // Apply filters
-    if (activeFilter === 'free_shipping') {
-      // Products over 30,000 IQD get free shipping in our business logic
-      result = result.filter(p => getProductBasePrice(p) >= 30000); 
-    } else if (activeFilter === 'top_rated') {
-      // Simulated top rated (products with even IDs for demo)
-      result = result.filter(p => getNumericId(p.id) % 2 === 0);
-    } else if (activeFilter === 'under_25k') {
-      result = result.filter(p => getProductBasePrice(p) < 25000);
-    }
-
-    // Apply sorting
-    if (sortBy === 'price_asc') {
-      result.sort((a, b) => getProductBasePrice(a) - getProductBasePrice(b));
-    } else if (sortBy === 'price_desc') {
-      result.sort((a, b) => getProductBasePrice(b) - getProductBasePrice(a));
-    } else if (sortBy === 'rating') {
-      // Sort by simulated rating (higher IDs first for demo)
-      result.sort((a, b) => getNumericId(b.id) - getNumericId(a.id));
-    }
-
-    setFilteredProducts(result);
-  }, [activeFilter, sortBy, products, getProductBasePrice]);
 
 
 
@@ -308,13 +310,26 @@ const SearchResults: React.FC = () => {
                 setSearchQuery(q);
                 setIsTyping(false);
               }}
+              onSelectCategory={(id, name) => navigate(`/search?q=${encodeURIComponent(name)}&category=${id}`)}
+              onSelectProduct={(id) => navigate(`/product?id=${id}`)}
             />
           )}
 
-          {!isTyping && searchQuery && !loading && filteredProducts.length > 0 && (
+          {!isTyping && searchQuery && (
+            <div className="-mx-3 mb-3">
+              <FilterSortStrip
+                activeFilter={activeFilter}
+                sortBy={sortBy}
+                onFilterChange={setActiveFilter}
+                onSortChange={setSortBy}
+              />
+            </div>
+          )}
+
+          {!isTyping && searchQuery && !loading && products.length > 0 && (
             <div className="flex items-center justify-between mb-4 px-1">
               <h2 className="text-lg font-bold text-slate-900 dark:text-white">النتائج لـ "{searchQuery}"</h2>
-              <span className="text-sm text-slate-500">{totalResults || filteredProducts.length} منتج</span>
+              <span className="text-sm text-slate-500">{totalResults || products.length} منتج</span>
             </div>
           )}
 
@@ -336,7 +351,7 @@ const SearchResults: React.FC = () => {
             </div>
           )}
 
-          {!isTyping && !loading && !error && searchQuery && filteredProducts.length === 0 && (
+          {!isTyping && !loading && !error && searchQuery && products.length === 0 && (
             <SearchEmptyState 
               query={searchQuery}
               popularSearches={popularSearches}
@@ -357,17 +372,23 @@ const SearchResults: React.FC = () => {
             />
           )}
 
-          {!isTyping && !loading && !error && filteredProducts.length > 0 && (
+          {!isTyping && !loading && !error && products.length > 0 && (
             <>
               <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-                {filteredProducts.map((product, index) => (
+                {products.map((product, index) => (
                   <div 
                     key={product.id}
-                    ref={index === filteredProducts.length - 1 ? lastProductElementRef : null}
+                    ref={index === products.length - 1 ? lastProductElementRef : null}
                   >
                     <SearchProductCard 
                       product={product}
-                      onNavigate={(id) => navigate(`/product?id=${id}`, { state: { initialProduct: product } })}
+                      onNavigate={(id) => {
+                        if (searchIdRef.current) {
+                          rememberSearchAttribution(id, searchIdRef.current);
+                          trackInteraction(id, 'CLICK', 1, searchIdRef.current);
+                        }
+                        navigate(`/product?id=${id}`, { state: { initialProduct: product } });
+                      }}
                       onToggleWishlist={(p) => toggleWishlist(p.id, p)}
                       isWishlisted={isProductInWishlist(product.id)}
                     />
@@ -384,7 +405,7 @@ const SearchResults: React.FC = () => {
                 </div>
               )}
               
-              {!loadingMore && !hasMore && filteredProducts.length > 0 && (
+              {!loadingMore && !hasMore && products.length > 0 && (
                 <div className="flex flex-col items-center justify-center py-8 gap-3">
                   <div className="h-px w-12 bg-slate-200 dark:bg-slate-700"></div>
                   <p className="text-sm font-bold text-slate-400 dark:text-slate-500">وصلت إلى نهاية النتائج</p>
@@ -22,8 +22,10 @@ import {
   Phone
 } from 'lucide-react';
 import { Clipboard } from '@capacitor/clipboard';
-import { fetchOrderById, cancelOrder, confirmOrderPayment } from '../services/api';
+import { fetchOrderById, fetchOrderTimeline, cancelOrder, confirmOrderPayment, startOrderPayment } from '../services/api';
 import LazyImage from '../components/LazyImage';
+import PaymentProofForm from '../components/PaymentProofForm';
+import ItemQcReview from '../components/ItemQcReview';
 import { useNotificationStore } from '../store/useNotificationStore';
 import { useToastStore } from '../store/useToastStore';
 import { useTranslation } from 'react-i18next';
@@ -43,13 +45,34 @@ const ShippingTracking: React.FC = () => {
   const [paymentDone, setPaymentDone] = useState(false);
   const [isConfirmingPayment, setIsConfirmingPayment] = useState(false);
   const [paymentTab, setPaymentTab] = useState<'zain' | 'qi'>('zain');
+  const [paymentReference, setPaymentReference] = useState('');
+  const [paymentScreenshot, setPaymentScreenshot] = useState('');
 
   const unreadNotifications = useNotificationStore(state => state.unreadCount);
 
   const orderId = new URLSearchParams(location.search).get('id');
+  const paymentOutcome = new URLSearchParams(location.search).get('payment');
+
+  const handleOnlinePayment = async () => {
+    if (!order || isConfirmingPayment) return;
+    setIsConfirmingPayment(true);
+    try {
+      const { paymentUrl } = await startOrderPayment(order.id);
+      window.location.href = paymentUrl;
+    } catch (err: any) {
+      console.error('[Payment] Failed to start online payment:', err);
+      showToast(err.message || 'تعذر فتح بوابة الدفع. يرجى المحاولة لاحقاً.', 'error');
+      setIsConfirmingPayment(false);
+    }
+  };
 
   const handlePaymentDone = async () => {
     if (!order || isConfirmingPayment) return;
+
+    if (!paymentReference.trim() || !paymentScreenshot) {
+      showToast('يرجى إدخال رقم العملية وإرفاق صورة التحويل', 'error');
+      return;
+    }
     
     // Add confirmation dialog
     const isConfirmed = window.confirm('هل أنت متأكد أنك قمت بتحويل المبلغ؟');
@@ -58,7 +81,11 @@ const ShippingTracking: React.FC = () => {
     setIsConfirmingPayment(true);
     try {
       console.log(`[Payment] Confirming payment for order ${order.id}`);
-      const result = await confirmOrderPayment(order.id);
+      const result = await confirmOrderPayment(order.id, {
+        reference: paymentReference.trim(),
+        screenshot: paymentScreenshot,
+        method: order.paymentMethod
+      });
       console.log(`[Payment] API Response:`, result);
       
       setPaymentDone(true);
@@ -68,7 +95,9 @@ const ShippingTracking: React.FC = () => {
         setShowPaymentModal(false);
         setPaymentDone(false);
         setIsConfirmingPayment(false);
-        showToast('شكراً لك! تم استلام طلب الدفع الخاص بك وجاري تجهيزه.', 'success');
+        setPaymentReference('');
+        setPaymentScreenshot('');
+        showToast('شكراً لك! تم استلام إثبات الدفع وسيتم مراجعته قريباً.', 'success');
         if (orderId) loadOrder(orderId); // Refresh order to show status update
       }, 3000);
     } catch (err: any) {
@@ -78,158 +107,88 @@ const ShippingTracking: React.FC = () => {
     }
   };
 
-  const generateTrackingEvents = useCallback((order: any) => {
-    const events = [];
-    const date = new Date(order.createdAt);
+  const buildTrackingEvents = useCallback((order: any, timeline: any[]) => {
     const lang = 'ar-IQ';
-    
-    // Define logical status sequence
-    const statusSequence = ['PENDING', 'AWAITING_PAYMENT', 'PREPARING', 'SHIPPED', 'ARRIVED_IRAQ', 'DELIVERED'];
-    // Normalize status to uppercase for comparison
-    let normalizedStatus = (order.status || 'PENDING').toUpperCase();
-    if (normalizedStatus === 'NEED_PAYMENT') normalizedStatus = 'AWAITING_PAYMENT';
-
-    const currentStatusIndex = statusSequence.indexOf(normalizedStatus);
-    
-    // Show up to current status + 1 for next step
-    // But if it's PENDING (0), show only PENDING as requested
-    const displayIndex = currentStatusIndex;
-    
-    // Helper to calculate date for future steps
-    const getFutureDate = (hours: number) => {
-      const d = new Date(date.getTime() + hours * 60 * 60 * 1000);
+    const formatDate = (value: string | Date) => {
+      const d = new Date(value);
       return {
         time: d.toLocaleTimeString(lang, { hour: '2-digit', minute: '2-digit' }),
         date: d.toLocaleDateString(lang, { day: 'numeric', month: 'long' })
       };
     };
 
-    // 1. Under Review (PENDING) - قيد المراجعة
-    events.push({
-      status: 'PENDING',
-      title: t('status.pending'),
-      description: t('tracking.status_desc_pending'),
-      time: date.toLocaleTimeString(lang, { hour: '2-digit', minute: '2-digit' }),
-      date: date.toLocaleDateString(lang, { day: 'numeric', month: 'long' }),
-      completed: currentStatusIndex > 0,
-      active: currentStatusIndex === 0 || currentStatusIndex === -1,
-      icon: ReceiptText
-    });
-
-    // 2. Awaiting Payment - بانتظار الدفع
-    const paymentDates = getFutureDate(2);
-    events.push({
-      status: 'AWAITING_PAYMENT',
-      title: t('status.awaiting_payment'),
-      description: t('tracking.status_desc_awaiting_payment'),
-      time: paymentDates.time,
-      date: paymentDates.date,
-      completed: currentStatusIndex > 1,
-      active: currentStatusIndex === 1,
-      icon: CreditCard
-    });
-
-    // 3. Preparing - قيد التجهيز
-    const prepDates = getFutureDate(6);
-    events.push({
-      status: 'PREPARING',
-      title: t('status.preparing'),
-      description: t('tracking.status_desc_preparing'),
-      time: prepDates.time,
-      date: prepDates.date,
-      completed: currentStatusIndex > 2,
-      active: currentStatusIndex === 2,
-      icon: Package
-    });
+    // Expected arrival is counted from the real shipping date
+    const getArrivalMessage = (shippedAt: string) => {
+      const arrivalDate = new Date(shippedAt);
+      if (order.shippingMethod === 'air') {
+        arrivalDate.setDate(arrivalDate.getDate() + 12);
+      } else if (order.shippingMethod === 'sea') {
+        arrivalDate.setMonth(arrivalDate.getMonth() + 2);
+      } else {
+        return '';
+      }
+      return `موعد الوصول المتوقع: ${arrivalDate.toLocaleDateString(lang, { day: 'numeric', month: 'long' })}`;
+    };
 
-    // 4. Shipped - تم الشحن
-    const shipDates = getFutureDate(24);
-    let arrivalMessage = '';
-    const arrivalDate = new Date(date.getTime() + 24 * 60 * 60 * 1000);
-    if (order.shippingMethod === 'air') {
-      arrivalDate.setDate(arrivalDate.getDate() + 12);
-      arrivalMessage = `موعد الوصول المتوقع: ${arrivalDate.toLocaleDateString(lang, { day: 'numeric', month: 'long' })}`;
-    } else if (order.shippingMethod === 'sea') {
-      arrivalDate.setMonth(arrivalDate.getMonth() + 2);
-      arrivalMessage = `موعد الوصول المتوقع: ${arrivalDate.toLocaleDateString(lang, { day: 'numeric', month: 'long' })}`;
-    }
+    const statusMeta: Record<string, { title: string; description: string; icon: any }> = {
+      PENDING: { title: t('status.pending'), description: t('tracking.status_desc_pending'), icon: ReceiptText },
+      AWAITING_PAYMENT: { title: t('status.awaiting_payment'), description: t('tracking.status_desc_awaiting_payment'), icon: CreditCard },
+      PAYMENT_REVIEW: { title: t('status.payment_review'), description: t('tracking.status_desc_payment_review'), icon: CreditCard },
+      PREPARING: { title: t('status.preparing'), description: t('tracking.status_desc_preparing'), icon: Package },
+      SHIPPED: { title: t('status.shipped'), description: t('tracking.status_desc_shipped'), icon: Truck },
+      ARRIVED_IRAQ: { title: t('status.arrived_iraq'), description: t('tracking.status_desc_arrived_iraq'), icon: PackageSearch },
+      OUT_FOR_DELIVERY: { title: t('tracking.out_for_delivery'), description: t('tracking.status_desc_out_for_delivery'), icon: Truck },
+      DELIVERED: { title: t('status.delivered'), description: t('tracking.status_desc_delivered'), icon: Home },
+      CANCELLED: { title: t('status.cancelled'), description: t('tracking.cancelled_text'), icon: XCircle },
+      REFUNDED: { title: t('status.refunded'), description: t('tracking.status_desc_refunded'), icon: Wallet }
+    };
 
-    events.push({
-      status: 'SHIPPED',
-      title: t('status.shipped'),
-      description: arrivalMessage || t('tracking.status_desc_shipped'),
-      time: shipDates.time,
-      date: shipDates.date,
-      completed: currentStatusIndex > 3,
-      active: currentStatusIndex === 3,
-      icon: Truck
-    });
+    // Orders without recorded history still show when they were placed
+    const history = timeline.length > 0
+      ? timeline
+      : [{ toStatus: 'PENDING', createdAt: order.createdAt, note: null }];
 
-    // 5. Arrived to Iraq - وصل الى العراق
-    const iraqDates = getFutureDate(48);
-    events.push({
-      status: 'ARRIVED_IRAQ',
-      title: t('status.arrived_iraq'),
-      description: t('tracking.status_desc_arrived_iraq'),
-      time: iraqDates.time,
-      date: iraqDates.date,
-      completed: currentStatusIndex > 4,
-      active: currentStatusIndex === 4,
-      icon: PackageSearch
-    });
+    const events = history.map((event: any, idx: number) => {
+      const meta = statusMeta[event.toStatus] || statusMeta.PENDING;
+      const isLast = idx === history.length - 1;
+      const description = event.toStatus === 'SHIPPED'
+        ? (getArrivalMessage(event.createdAt) || meta.description)
+        : meta.description;
 
-    // 6. Delivered - تم التسليم
-    const delDates = order.updatedAt ? {
-      time: new Date(order.updatedAt).toLocaleTimeString(lang, { hour: '2-digit', minute: '2-digit' }),
-      date: new Date(order.updatedAt).toLocaleDateString(lang, { day: 'numeric', month: 'long' })
-    } : getFutureDate(72);
-    
-    events.push({
-      status: 'DELIVERED',
-      title: t('status.delivered'),
-      description: t('tracking.status_desc_delivered'),
-      time: delDates.time,
-      date: delDates.date,
-      completed: currentStatusIndex >= 5,
-      active: currentStatusIndex === 5,
-      icon: Home
+      return {
+        status: event.toStatus,
+        title: meta.title,
+        description: event.note && event.actorType === 'ADMIN' ? `${description} (${event.note})` : description,
+        ...formatDate(event.createdAt),
+        completed: !isLast || event.toStatus === 'DELIVERED',
+        active: isLast,
+        icon: meta.icon
+      };
     });
 
-    // Only show events up to the current one + 1 (to show what's next)
-    // or show all if it's already delivered
-    if (normalizedStatus === 'DELIVERED') return events.reverse();
-    
-    // For other statuses, we generally want to show the current status and maybe the next one
-    // But per request "only thing you should show when the order is made" (PENDING)
-    // We stick to showing up to displayIndex (which is currentStatusIndex)
-    // Actually, usually we show at least one more step to show progress direction
-    // But I'll stick to displayIndex + 1 to keep the 'next step' visible but greyed out
-    // UNLESS the user really wants to hide it.
-    // "that's the only thing you should show when the order is made" -> strongly suggests hiding next steps for PENDING
-    
-    if (normalizedStatus === 'PENDING') {
-      return events.slice(0, 1).reverse();
-    }
-
-    return events.slice(0, displayIndex + 1).reverse();
+    return events.reverse();
   }, [t]);
 
   const loadOrder = useCallback(async (id: number | string) => {
     try {
-      const data = await fetchOrderById(id);
-      // Enhance order with mock tracking events for realism
-      const enhancedOrder = {
+      const [data, timeline] = await Promise.all([
+        fetchOrderById(id),
+        fetchOrderTimeline(id).catch((err) => {
+          console.error('Failed to load order timeline:', err);
+          return null;
+        })
+      ]);
+      setOrder({
         ...data,
-        trackingEvents: generateTrackingEvents(data)
-      };
-      setOrder(enhancedOrder);
+        trackingEvents: buildTrackingEvents(data, timeline?.events || [])
+      });
     } catch (err) {
       console.error('Failed to load order:', err);
       showToast(t('tracking.order_load_error'), 'error');
     } finally {
       setLoading(false);
     }
-  }, [showToast, t, generateTrackingEvents]);
+  }, [showToast, t, buildTrackingEvents]);
 
   useEffect(() => {
     if (orderId) {
@@ -257,6 +216,15 @@ const ShippingTracking: React.FC = () => {
     }
   }, [orderId, loadOrder, showToast, t]);
 
+  // Result of a redirect back from the payment gateway
+  useEffect(() => {
+    if (paymentOutcome === 'success') {
+      showToast('تم الدفع بنجاح! طلبك قيد التجهيز الآن.', 'success');
+    } else if (paymentOutcome === 'failed') {
+      showToast('لم تكتمل عملية الدفع. يمكنك المحاولة مرة أخرى.', 'error');
+    }
+  }, [paymentOutcome, showToast]);
+
   const handleCancelOrder = async () => {
     if (!order || !window.confirm(t('dashboard.orders.cancel_confirm'))) return;
     
@@ -365,8 +333,13 @@ const ShippingTracking: React.FC = () => {
                   </div>
                   <button 
                     onClick={() => {
-                      setShowPaymentModal(true);
+                      if (order.paymentMethod === 'zain_cash_online') {
+                        handleOnlinePayment();
+                      } else {
+                        setShowPaymentModal(true);
+                      }
                     }}
+                    disabled={isConfirmingPayment}
                     className="w-full py-4 bg-purple-600 hover:bg-purple-700 text-white rounded-xl font-bold text-lg shadow-xl shadow-purple-600/30 transition-all active:scale-[0.98] flex items-center justify-center gap-3"
                   >
                     <Wallet size={24} />
@@ -458,27 +431,44 @@ const ShippingTracking: React.FC = () => {
             <h3 className="text-slate-900 dark:text-white text-lg font-bold px-1">{t('tracking.order_contents')}</h3>
             <div className="flex flex-col gap-3">
               {order.items.map((item: any, idx: number) => (
-                <div key={idx} className="flex items-center gap-4 bg-white dark:bg-slate-800 p-3 rounded-xl shadow-sm border border-slate-100 dark:border-slate-700/50">
-                  <div className="size-16 shrink-0 rounded-lg overflow-hidden bg-slate-100 dark:bg-slate-900 border border-slate-100 dark:border-slate-700">
-                    <LazyImage 
-                      src={item.variant?.image || item.product.image} 
-                      alt={item.product.name}
-                      className="w-full h-full"
-                    />
-                  </div>
-                  <div className="flex flex-1 flex-col gap-1">
-                    <p className="text-sm font-bold text-slate-900 dark:text-white line-clamp-1">{item.product.name}</p>
-                    {(item.variant && item.variant.combination || item.selectedOptions) && (
-                      <div className="flex flex-wrap gap-1 mt-0.5">
-                        {(() => {
-                          try {
-                            const combination = item.selectedOptions 
-                              ? (typeof item.selectedOptions === 'string' ? JSON.parse(item.selectedOptions) : item.selectedOptions)
-                              : (item.variant && typeof item.variant.combination === 'string' 
-                                ? JSON.parse(item.variant.combination) 
-                                : item.variant?.combination);
-                            
-                            if (!combination || Object.keys(combination).length === 0) {
+                <div key={idx} className="flex flex-col gap-3 bg-white dark:bg-slate-800 p-3 rounded-xl shadow-sm border border-slate-100 dark:border-slate-700/50">
+                  <div className="flex items-center gap-4">
+                    <div className="size-16 shrink-0 rounded-lg overflow-hidden bg-slate-100 dark:bg-slate-900 border border-slate-100 dark:border-slate-700">
+                      <LazyImage 
+                        src={item.variant?.image || item.product.image} 
+                        alt={item.product.name}
+                        className="w-full h-full"
+                      />
+                    </div>
+                    <div className="flex flex-1 flex-col gap-1">
+                      <p className="text-sm font-bold text-slate-900 dark:text-white line-clamp-1">{item.product.name}</p>
+                      {(item.variant && item.variant.combination || item.selectedOptions) && (
+                        <div className="flex flex-wrap gap-1 mt-0.5">
+                          {(() => {
+                            try {
+                              const combination = item.selectedOptions 
+                                ? (typeof item.selectedOptions === 'string' ? JSON.parse(item.selectedOptions) : item.selectedOptions)
+                                : (item.variant && typeof item.variant.combination === 'string' 
+                                  ? JSON.parse(item.variant.combination) 
+                                  : item.variant?.combination);
+                              
+                              if (!combination || Object.keys(combination).length === 0) {
+                                const rawCombination = item.selectedOptions || item.variant?.combination;
+                                if (!rawCombination) return null;
+                                return (
+                                  <span className="text-[9px] bg-slate-200/50 dark:bg-slate-700/50 text-slate-500 dark:text-slate-400 px-1.5 py-0.5 rounded border border-slate-200 dark:border-slate-700/50">
+                                    {String(rawCombination)}
+                                  </span>
+                                );
+                              }
+  
+                              return Object.entries(combination).map(([key, value]) => (
+                                <span key={key} className="text-[9px] bg-slate-200/50 dark:bg-slate-700/50 text-slate-500 dark:text-slate-400 px-1.5 py-0.5 rounded border border-slate-200 dark:border-slate-700/50">
+                                  {key}: {String(value)}
+                                </span>
+                              ));
+                            } catch (e) {
+                              // Fallback for non-JSON combination strings
                               const rawCombination = item.selectedOptions || item.variant?.combination;
                               if (!rawCombination) return null;
                               return (
@@ -487,28 +477,14 @@ const ShippingTracking: React.FC = () => {
                                 </span>
                               );
                             }
-
-                            return Object.entries(combination).map(([key, value]) => (
-                              <span key={key} className="text-[9px] bg-slate-200/50 dark:bg-slate-700/50 text-slate-500 dark:text-slate-400 px-1.5 py-0.5 rounded border border-slate-200 dark:border-slate-700/50">
-                                {key}: {String(value)}
-                              </span>
-                            ));
-                          } catch (e) {
-                            // Fallback for non-JSON combination strings
-                            const rawCombination = item.selectedOptions || item.variant?.combination;
-                            if (!rawCombination) return null;
-                            return (
-                              <span className="text-[9px] bg-slate-200/50 dark:bg-slate-700/50 text-slate-500 dark:text-slate-400 px-1.5 py-0.5 rounded border border-slate-200 dark:border-slate-700/50">
-                                {String(rawCombination)}
-                              </span>
-                            );
-                          }
-                        })()}
-                      </div>
-                    )}
-                    <p className="text-xs text-slate-500 dark:text-slate-400">{t('tracking.qty')}: {item.quantity}</p>
-                    <p className="text-sm font-bold text-primary">{item.price.toLocaleString()} {t('common.iqd')}</p>
+                          })()}
+                        </div>
+                      )}
+                      <p className="text-xs text-slate-500 dark:text-slate-400">{t('tracking.qty')}: {item.quantity}</p>
+                      <p className="text-sm font-bold text-primary">{item.price.toLocaleString()} {t('common.iqd')}</p>
+                    </div>
                   </div>
+                  <ItemQcReview orderId={order.id} item={item} onUpdated={() => loadOrder(order.id)} />
                 </div>
               ))}
             </div>
@@ -717,10 +693,17 @@ const ShippingTracking: React.FC = () => {
                       </span>
                     </div>
 
+                    {order.walletAmountPaid > 0 && (
+                      <div className="flex justify-between items-center text-sm text-green-600 dark:text-green-400">
+                        <span>مدفوع من المحفظة</span>
+                        <span>-{order.walletAmountPaid.toLocaleString()} د.ع</span>
+                      </div>
+                    )}
+
                     <div className="pt-3 mt-1 border-t border-slate-200 dark:border-slate-700 flex justify-between items-center">
                       <span className="font-bold text-slate-900 dark:text-white">المجموع الكلي</span>
                       <div className="text-2xl font-black text-primary font-sans tracking-tight">
-                        {order.total.toLocaleString()} <span className="text-sm">د.ع</span>
+                        {(order.total - (order.walletAmountPaid || 0)).toLocaleString()} <span className="text-sm">د.ع</span>
                       </div>
                     </div>
                   </div>
@@ -835,10 +818,20 @@ const ShippingTracking: React.FC = () => {
                     </div>
                   </div>
 
+                  {order.paymentMethod !== 'cash' && (
+                    <PaymentProofForm
+                      reference={paymentReference}
+                      setReference={setPaymentReference}
+                      screenshot={paymentScreenshot}
+                      setScreenshot={setPaymentScreenshot}
+                      disabled={isConfirmingPayment}
+                    />
+                  )}
+
                   {/* Warning Box */}
                   <div className="bg-amber-50 dark:bg-amber-900/20 rounded-xl p-4 border border-amber-100 dark:border-amber-900/30">
                     <p className="text-xs text-amber-700 dark:text-amber-400 leading-relaxed">
-                      * يرجى الضغط على "تم التحويل" بعد إتمام العملية لكي يتم تحديث حالة طلبك.
+                      * يرجى إدخال رقم العملية وإرفاق صورة التحويل ثم الضغط على "تم التحويل" لكي تتم مراجعة الدفع.
                     </p>
                   </div>
                 </div>
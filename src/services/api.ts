@@ -1,6 +1,7 @@
 import { supabase } from './supabase';
 import { useMaintenanceStore } from '../store/useMaintenanceStore';
 import { localProductService } from './localProductService';
+import type { Category } from '../types/category';
 
 export const getBaseDomain = () => {
   const hostname = window.location.hostname;
@@ -678,6 +679,27 @@ export async function signupWithEmail(email: string, password: string, name: str
   };
 }
 
+// Guest data the server attaches to the account on login: the tracking session
+// and cart lines that only exist in this browser (ids starting with "local-")
+export function getGuestMergePayload() {
+  let cart: any[] = [];
+  try {
+    const stored = JSON.parse(localStorage.getItem('cart-storage') || '{}');
+    cart = (stored?.state?.items || [])
+      .filter((item: any) => typeof item.id === 'string' && item.id.startsWith('local-'))
+      .map((item: any) => ({
+        productId: item.productId,
+        variantId: item.variantId ?? null,
+        selectedOptions: item.selectedOptions ?? null,
+        quantity: item.quantity,
+        shippingMethod: item.shippingMethod
+      }));
+  } catch {
+    // A corrupt cart cache just means nothing to merge
+  }
+  return { sessionId: localStorage.getItem('session_id'), cart };
+}
+
 export async function loginWithEmail(email: string, password: string) {
   const { data, error } = await supabase.auth.signInWithPassword({
     email,
@@ -694,7 +716,8 @@ export async function loginWithEmail(email: string, password: string) {
       body: JSON.stringify({
         email,
         name: data.user?.user_metadata?.full_name,
-        supabaseId: data.user?.id
+        supabaseId: data.user?.id,
+        guest: getGuestMergePayload()
       })
     });
   } catch (e) {
@@ -756,7 +779,8 @@ export async function verifyEmailOTP(email: string, token: string, type: 'signup
       body: JSON.stringify({
         email,
         name: data.user?.user_metadata?.full_name,
-        supabaseId: data.user?.id
+        supabaseId: data.user?.id,
+        guest: getGuestMergePayload()
       })
     });
   } catch (e) {
@@ -797,7 +821,7 @@ export async function sendWhatsAppOTP(phone: string, name?: string) {
 export async function verifyWhatsAppOTP(phone: string, code: string, fullName?: string) {
   return request('/auth/verify-otp', {
     method: 'POST',
-    body: JSON.stringify({ phone, code, fullName }),
+    body: JSON.stringify({ phone, code, fullName, guest: getGuestMergePayload() }),
   });
 }
 
@@ -861,17 +885,50 @@ export async function resendOTP(data: { phone: string; type?: 'signup' | 'sms' }
 
 export function logout() {
   localStorage.removeItem('auth_token');
+  // The next guest on this device starts a fresh session, so it is not merged into this account
+  localStorage.removeItem('session_id');
   supabase.auth.signOut();
 }
 
 // --- Tracking Service ---
-export const trackInteraction = async (productId: number | string, type: 'VIEW' | 'CART' | 'PURCHASE' | 'SHARE', weight: number = 1.0) => {
+export function getSessionId() {
+  let sessionId = localStorage.getItem('session_id');
+  if (!sessionId) {
+    sessionId = Math.random().toString(36).substring(2) + Date.now().toString(36);
+    localStorage.setItem('session_id', sessionId);
+  }
+  return sessionId;
+}
+
+// Product id -> search it was opened from, so later cart adds count for that search
+const SEARCH_ATTRIBUTION_KEY = 'search_attribution';
+
+export function rememberSearchAttribution(productId: number | string, searchId: number) {
   try {
-    let sessionId = localStorage.getItem('session_id');
-    if (!sessionId) {
-      sessionId = Math.random().toString(36).substring(2) + Date.now().toString(36);
-      localStorage.setItem('session_id', sessionId);
-    }
+    const map = JSON.parse(sessionStorage.getItem(SEARCH_ATTRIBUTION_KEY) || '{}');
+    map[String(productId)] = searchId;
+    sessionStorage.setItem(SEARCH_ATTRIBUTION_KEY, JSON.stringify(map));
+  } catch {
+    // Attribution is optional
+  }
+}
+
+function getSearchAttribution(productId: number | string): number | undefined {
+  try {
+    return JSON.parse(sessionStorage.getItem(SEARCH_ATTRIBUTION_KEY) || '{}')[String(productId)];
+  } catch {
+    return undefined;
+  }
+}
+
+export const trackInteraction = async (
+  productId: number | string,
+  type: 'VIEW' | 'CLICK' | 'CART' | 'PURCHASE' | 'SHARE',
+  weight: number = 1.0,
+  searchId?: number | null
+) => {
+  try {
+    const sessionId = getSessionId();
 
     await fetch(`${API_BASE_URL}/track`, {
       method: 'POST',
@@ -880,7 +937,8 @@ export const trackInteraction = async (productId: number | string, type: 'VIEW'
         productId: Number(productId),
         type,
         weight,
-        sessionId
+        sessionId,
+        searchId: searchId ?? getSearchAttribution(productId)
       })
     });
   } catch (error) {
@@ -923,7 +981,16 @@ export async function fetchProductById(id: number | string) {
     throw new Error('Local draft not found');
   }
   const data = await request(`/products/${id}`, { skipCache: true });
+  return rebuildGeneratedVariants(data);
+}
 
+// Admin editor copy: prices are the stored cost, customer prices are in seaPrice/airPrice
+export async function fetchAdminProductById(id: number | string, token?: string | null) {
+  const data = await request(`/admin/products/${id}`, { token, skipCache: true });
+  return rebuildGeneratedVariants(data);
+}
+
+function rebuildGeneratedVariants(data: any) {
   // Fix for Pinduoduo scraper: If generated_options exists, use it to populate/fix variants
   // This ensures options show up correctly even if relational tables are malformed
   if (data && data.generated_options && Array.isArray(data.generated_options) && data.generated_options.length > 0) {
@@ -963,12 +1030,22 @@ export async function fetchProductById(id: number | string) {
   return data;
 }
 
-export async function searchProducts(query: string, page = 1, limit = 20) {
+export async function fetchCategories(): Promise<Category[]> {
+  return request('/categories');
+}
+
+// categoryId narrows results to that category and its subcategories
+export async function searchProducts(query: string, page = 1, limit = 20, categoryId?: number | string | null) {
+  const categoryParam = categoryId ? `&category=${encodeURIComponent(String(categoryId))}` : '';
+  // Lets the server attribute searches by guests for search analytics
+  const headers = { 'X-Session-Id': getSessionId() };
   try {
-    const data = await request(`/products?page=${page}&limit=${limit}&search=${encodeURIComponent(query)}`);
+    const data = await request(`/products?page=${page}&limit=${limit}&search=${encodeURIComponent(query)}${categoryParam}`, { headers });
     if (data && typeof data === 'object') {
-      if (Array.isArray(data.products) && data.products.length === 0 && page === 1) {
-        return request(`/search?q=${encodeURIComponent(query)}&page=${page}&limit=${limit}`);
+      if (Array.isArray(data.products) && data.products.length === 0 && page === 1 && query) {
+        // The fallback completes the search event the first request recorded
+        const searchIdParam = data.searchId ? `&searchId=${data.searchId}` : '';
+        return request(`/search?q=${encodeURIComponent(query)}&page=${page}&limit=${limit}${categoryParam}${searchIdParam}`, { headers });
       }
       const totalPages = typeof data.totalPages === 'number' ? data.totalPages : undefined;
       return {
@@ -978,10 +1055,73 @@ export async function searchProducts(query: string, page = 1, limit = 20) {
     }
     return data;
   } catch (_e) {
-    return request(`/search?q=${encodeURIComponent(query)}&page=${page}&limit=${limit}`);
+    if (!query) throw _e;
+    return request(`/search?q=${encodeURIComponent(query)}&page=${page}&limit=${limit}${categoryParam}`, { headers });
   }
 }
 
+export type SearchSort = 'relevance' | 'price_asc' | 'price_desc' | 'newest' | 'best_selling' | 'rating';
+
+export interface SearchFilters {
+  minPrice?: number;
+  maxPrice?: number;
+  provider?: string[];
+  category?: number | string;
+  shippingMethod?: 'air' | 'sea';
+  deliveryTime?: string[];
+  minRating?: number;
+}
+
+// Results plus facet counts; pass the previous response's nextCursor for the next page
+export async function facetedSearch(query: string, filters: SearchFilters = {}, sort: SearchSort = 'relevance', cursor?: string | null, limit = 20) {
+  const params = new URLSearchParams();
+  if (query) params.set('q', query);
+  if (filters.minPrice !== undefined) params.set('minPrice', String(filters.minPrice));
+  if (filters.maxPrice !== undefined) params.set('maxPrice', String(filters.maxPrice));
+  if (filters.provider?.length) params.set('provider', filters.provider.join(','));
+  if (filters.category !== undefined) params.set('category', String(filters.category));
+  if (filters.shippingMethod) params.set('shippingMethod', filters.shippingMethod);
+  if (filters.deliveryTime?.length) params.set('deliveryTime', filters.deliveryTime.join(','));
+  if (filters.minRating !== undefined) params.set('minRating', String(filters.minRating));
+  params.set('sort', sort);
+  params.set('limit', String(limit));
+  if (cursor) params.set('cursor', cursor);
+  return request(`/search/faceted?${params.toString()}`, { skipCache: true, headers: { 'X-Session-Id': getSessionId() } });
+}
+
+export interface SearchSuggestions {
+  query: string;
+  recent: { text: string }[];
+  queries: { text: string }[];
+  categories: { id: number; name: string; icon?: string | null }[];
+  products: { id: number; name: string; image?: string | null }[];
+}
+
+// Autocomplete for the search box; personalized by the signed-in user or guest session
+export async function fetchSearchSuggestions(query: string): Promise<SearchSuggestions> {
+  return request(`/search/suggest?q=${encodeURIComponent(query)}`, {
+    skipCache: true,
+    headers: { 'X-Session-Id': getSessionId() }
+  });
+}
+
+// --- Recommendations ---
+export async function fetchSimilarProducts(productId: number | string, limit = 12) {
+  return request(`/products/${productId}/similar?limit=${limit}`);
+}
+
+export async function fetchBoughtTogether(productId: number | string, limit = 8) {
+  return request(`/products/${productId}/bought-together?limit=${limit}`);
+}
+
+// Personal feed from the user's or guest session's interactions; popular products when there is no history
+export async function fetchRecommendations(limit = 20) {
+  return request(`/recommendations/me?limit=${limit}`, {
+    skipCache: true,
+    headers: { 'X-Session-Id': getSessionId() }
+  });
+}
+
 // Admin: Products
 export async function createProduct(productData: any) {
   // If status is DRAFT, save locally instead of server
@@ -1126,6 +1266,144 @@ export async function updateUserPermissions(userId: string | number, permissions
   });
 }
 
+// Admin: Wallets
+export async function fetchUserWallet(userId: string | number, page = 1, token?: string | null) {
+  return request(`/admin/users/${userId}/wallet?page=${page}`, { token, skipCache: true });
+}
+
+export async function adjustUserWallet(userId: string | number, data: { amount: number; reason: string; type?: 'DEPOSIT' | 'ADJUSTMENT' }, token?: string | null) {
+  return request(`/admin/users/${userId}/wallet/adjust`, {
+    method: 'POST',
+    body: JSON.stringify(data),
+    token
+  });
+}
+
+export async function auditWallets(token?: string | null) {
+  return request('/admin/wallets/audit', { token, skipCache: true });
+}
+
+// Admin: Payment proofs
+export async function fetchPaymentProofs(status: string = 'PENDING', page = 1, token?: string | null) {
+  return request(`/admin/payment-proofs?status=${status}&page=${page}`, { token, skipCache: true });
+}
+
+export async function fetchPaymentProof(id: number | string, token?: string | null) {
+  return request(`/admin/payment-proofs/${id}`, { token, skipCache: true });
+}
+
+// The order's amount due is recorded; acceptAmountMismatch approves a proof whose declared amount differs
+export async function approvePaymentProof(id: number | string, token?: string | null, allowDuplicate = false, acceptAmountMismatch = false) {
+  return request(`/admin/payment-proofs/${id}/approve`, {
+    method: 'POST',
+    body: JSON.stringify({ allowDuplicate, acceptAmountMismatch }),
+    token
+  });
+}
+
+export async function rejectPaymentProof(id: number | string, reason: string, token?: string | null) {
+  return request(`/admin/payment-proofs/${id}/reject`, {
+    method: 'POST',
+    body: JSON.stringify({ reason }),
+    token
+  });
+}
+
+export async function refundOrderPayment(orderId: number | string, amount?: number, token?: string | null) {
+  return request(`/admin/orders/${orderId}/gateway-refund`, {
+    method: 'POST',
+    body: JSON.stringify(amount !== undefined ? { amount } : {}),
+    token
+  });
+}
+
+// Admin: Procurement
+export async function fetchProcurementQueue(status?: string, page = 1, token?: string | null) {
+  const query = new URLSearchParams({ page: String(page) });
+  if (status) query.set('status', status);
+  return request(`/admin/procurement?${query.toString()}`, { token, skipCache: true });
+}
+
+export async function markOrderItemPurchased(itemId: number | string, data: { originalPrice: number; sellerOrderNumber: string; exchangeRate?: number; remark?: string }, token?: string | null) {
+  return request(`/admin/order-items/${itemId}/purchase`, {
+    method: 'POST',
+    body: JSON.stringify(data),
+    token
+  });
+}
+
+export async function setOrderItemDomesticTracking(itemId: number | string, trackingNumber: string, token?: string | null) {
+  return request(`/admin/order-items/${itemId}/domestic-tracking`, {
+    method: 'PUT',
+    body: JSON.stringify({ trackingNumber }),
+    token
+  });
+}
+
+export async function markOrderItemArrived(itemId: number | string, weight?: number, token?: string | null) {
+  return request(`/admin/order-items/${itemId}/arrive`, {
+    method: 'POST',
+    body: JSON.stringify({ weight }),
+    token
+  });
+}
+
+export async function completeOrderItemQc(itemId: number | string, data: { photos: string[]; weight?: number; remark?: string }, token?: string | null) {
+  return request(`/admin/order-items/${itemId}/qc`, {
+    method: 'POST',
+    body: JSON.stringify(data),
+    token
+  });
+}
+
+export async function resolveOrderItemReturn(itemId: number | string, accept: boolean, note?: string, token?: string | null) {
+  return request(`/admin/order-items/${itemId}/resolve-return`, {
+    method: 'POST',
+    body: JSON.stringify({ accept, note }),
+    token
+  });
+}
+
+// Admin: Roles
+export async function fetchPermissionCatalog(token?: string | null) {
+  return request('/admin/permissions', { token });
+}
+
+export async function fetchAdminRoles(token?: string | null) {
+  return request('/admin/roles', { token, skipCache: true });
+}
+
+export async function createRole(roleData: { name: string; label?: string; description?: string; permissions: string[] }, token?: string | null) {
+  return request('/admin/roles', {
+    method: 'POST',
+    body: JSON.stringify(roleData),
+    token
+  });
+}
+
+export async function updateRole(id: number | string, roleData: { label?: string; description?: string; permissions?: string[] }, token?: string | null) {
+  return request(`/admin/roles/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(roleData),
+    token
+  });
+}
+
+export async function deleteRole(id: number | string, token?: string | null) {
+  return request(`/admin/roles/${id}`, {
+    method: 'DELETE',
+    token
+  });
+}
+
+export async function assignStaffRole(userId: string | number, roleId: number | string | null, token?: string | null) {
+  return request(`/admin/users/${userId}/staff-role`, {
+    method: 'PUT',
+    body: JSON.stringify({ roleId }),
+    token
+  });
+}
+
 // Admin: Reports
 export async function fetchReportSummary(period: string = 'monthly') {
   return request(`/admin/reports/summary?period=${period}`);
@@ -1135,6 +1413,24 @@ export async function sendTestReport() {
   return request('/admin/reports/send-test', { method: 'POST' });
 }
 
+// Admin: Search Analytics
+export async function fetchSearchAnalytics(days = 30, limit = 20, token?: string | null) {
+  return request(`/admin/search-analytics?days=${days}&limit=${limit}`, { token, skipCache: true });
+}
+
+export async function fetchSearchQueryTimeline(query: string, days = 30, token?: string | null) {
+  return request(`/admin/search-analytics/timeline?q=${encodeURIComponent(query)}&days=${days}`, { token, skipCache: true });
+}
+
+// Imports a listing found through a zero-result query's sourcing links as a draft product
+export async function sourceSearchProduct(query: string, url: string, token?: string | null) {
+  return request('/admin/search-analytics/source', {
+    method: 'POST',
+    body: JSON.stringify({ query, url }),
+    token
+  });
+}
+
 // User: Coupons
 export async function validateCoupon(code: string, orderAmount: number) {
   return request('/coupons/validate', {
@@ -1147,6 +1443,59 @@ export async function fetchCoupons() {
   return request('/coupons', { skipMaintenanceTrigger: true });
 }
 
+export type ExternalImportStage = 'checking' | 'connecting' | 'scraping' | 'translating' | 'saving';
+
+export interface ExternalImportEvent {
+  stage?: ExternalImportStage;
+  progress?: number;
+  complete?: boolean;
+  productId?: number;
+  created?: boolean;
+  error?: string;
+  code?: string;
+}
+
+// The import streams its stages as SSE, so it reads the body through fetch
+// rather than request(), which only parses JSON responses
+export async function importExternalProduct(url: string, onEvent: (event: ExternalImportEvent) => void) {
+  const response = await fetch(`${API_BASE_URL}/products/fetch-external`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...getAuthHeaders() },
+    body: JSON.stringify({ url })
+  });
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => ({}));
+    const error: any = new Error(data.error || 'Failed to fetch product');
+    error.status = response.status;
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let last: ExternalImportEvent = {};
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop() || '';
+    for (const message of messages) {
+      const data = message.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+      if (!data) continue;
+      last = JSON.parse(data);
+      onEvent(last);
+    }
+  }
+  if (!last.complete) throw new Error('Connection closed before the import finished');
+  if (last.error) {
+    const error: any = new Error(last.error);
+    error.code = last.code;
+    throw error;
+  }
+  return last;
+}
+
 export const api = {
   post: async (endpoint: string, body: any) => {
     return request(endpoint, {
@@ -1218,6 +1567,268 @@ export async function updateSettings(settingsData: any, token?: string | null) {
   return response;
 }
 
+// Admin: Categories
+export interface CategoryInput {
+  nameAr: string;
+  nameEn: string;
+  icon?: string | null;
+  parentId?: number | null;
+  sortOrder?: number;
+  isActive?: boolean;
+}
+
+export async function fetchAdminCategories(token?: string | null): Promise<Category[]> {
+  return request('/admin/categories', { token, skipCache: true });
+}
+
+export async function createCategory(category: CategoryInput, token?: string | null) {
+  const response = await request('/admin/categories', {
+    method: 'POST',
+    body: JSON.stringify(category),
+    token
+  });
+  // The storefront tree is cached like other GETs
+  persistentCache.delete('/categories');
+  return response;
+}
+
+export async function updateCategory(id: number | string, category: Partial<CategoryInput>, token?: string | null) {
+  const response = await request(`/admin/categories/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(category),
+    token
+  });
+  persistentCache.delete('/categories');
+  return response;
+}
+
+export async function deleteCategory(id: number | string, token?: string | null) {
+  const response = await request(`/admin/categories/${id}`, { method: 'DELETE', token });
+  persistentCache.delete('/categories');
+  return response;
+}
+
+// Admin: Search Dictionary
+export type SearchDictionaryType = 'SYNONYM' | 'STOP_WORD' | 'CORRECTION';
+
+export interface SearchDictionaryEntryInput {
+  type: SearchDictionaryType;
+  term: string;
+  values?: string[];
+  isActive?: boolean;
+}
+
+export interface SearchDictionaryEntry {
+  id: number;
+  type: SearchDictionaryType;
+  term: string;
+  values: string[];
+  isActive: boolean;
+  createdById: number | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SearchDictionaryStats {
+  synonyms: number;
+  stopWords: number;
+  corrections: number;
+  loadedAt: string | null;
+}
+
+export interface SearchQueryAnalysis {
+  query: string;
+  normalized: string;
+  tokens: {
+    token: string;
+    stopWord: boolean;
+    correction: { to: string; source: 'dictionary' | 'fuzzy'; distance?: number } | null;
+    stem: string;
+    synonyms: string[];
+    variants: string[];
+  }[];
+  groups: string[][];
+  terms: string[];
+  stats: SearchDictionaryStats;
+}
+
+export async function fetchSearchDictionary(
+  params: { type?: SearchDictionaryType; search?: string; page?: number; limit?: number } = {},
+  token?: string | null
+): Promise<{ entries: SearchDictionaryEntry[]; total: number; page: number; totalPages: number; stats: SearchDictionaryStats }> {
+  const query = new URLSearchParams();
+  if (params.type) query.set('type', params.type);
+  if (params.search) query.set('search', params.search);
+  if (params.page) query.set('page', String(params.page));
+  if (params.limit) query.set('limit', String(params.limit));
+  const qs = query.toString();
+  return request(`/admin/search-dictionary${qs ? `?${qs}` : ''}`, { token, skipCache: true });
+}
+
+export async function createSearchDictionaryEntry(entry: SearchDictionaryEntryInput, token?: string | null): Promise<SearchDictionaryEntry> {
+  return request('/admin/search-dictionary', {
+    method: 'POST',
+    body: JSON.stringify(entry),
+    token
+  });
+}
+
+export async function updateSearchDictionaryEntry(id: number | string, entry: Partial<SearchDictionaryEntryInput>, token?: string | null): Promise<SearchDictionaryEntry> {
+  return request(`/admin/search-dictionary/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(entry),
+    token
+  });
+}
+
+export async function deleteSearchDictionaryEntry(id: number | string, token?: string | null) {
+  return request(`/admin/search-dictionary/${id}`, { method: 'DELETE', token });
+}
+
+// How the server normalizes, corrects and expands a query
+export async function testSearchQuery(q: string, token?: string | null): Promise<SearchQueryAnalysis> {
+  return request(`/admin/search-dictionary/test?q=${encodeURIComponent(q)}`, { token, skipCache: true });
+}
+
+// Admin: Pricing Rules
+export interface PricingRuleInput {
+  name: string;
+  markupType: 'PERCENT' | 'FIXED';
+  markupValue: number;
+  priority?: number;
+  provider?: 'TAOBAO' | 'PDD' | '1688' | null;
+  categoryId?: number | null;
+  minCnyPrice?: number | null;
+  maxCnyPrice?: number | null;
+  shippingMethod?: 'AIR' | 'SEA' | null;
+  isActive?: boolean;
+}
+
+export async function fetchPricingRules(token?: string | null) {
+  return request('/admin/pricing-rules', { token, skipCache: true });
+}
+
+export async function createPricingRule(rule: PricingRuleInput, token?: string | null) {
+  return request('/admin/pricing-rules', {
+    method: 'POST',
+    body: JSON.stringify(rule),
+    token
+  });
+}
+
+export async function updatePricingRule(id: number | string, rule: Partial<PricingRuleInput>, token?: string | null) {
+  return request(`/admin/pricing-rules/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(rule),
+    token
+  });
+}
+
+export async function deletePricingRule(id: number | string, token?: string | null) {
+  return request(`/admin/pricing-rules/${id}`, { method: 'DELETE', token });
+}
+
+// Pass draft rules to preview them before saving; omit to use the saved set
+export async function simulatePricing(productId: number | string, rules?: PricingRuleInput[], token?: string | null) {
+  return request('/admin/pricing-rules/simulate', {
+    method: 'POST',
+    body: JSON.stringify({ productId, rules }),
+    token
+  });
+}
+
+// Admin: Compliance Rules
+export type ComplianceAction = 'BLOCKED' | 'SEA_ONLY' | 'ALLOW';
+
+export interface ComplianceRuleInput {
+  name: string;
+  matchType: 'KEYWORD' | 'REGEX' | 'CATEGORY';
+  action: ComplianceAction;
+  pattern?: string | null;
+  language?: 'zh' | 'ar' | 'en' | null;
+  categoryId?: number | null;
+  isActive?: boolean;
+}
+
+export interface ComplianceResult {
+  verdict: 'BLOCKED' | 'SEA_ONLY' | 'ALLOWED';
+  matches: { id: number | null; name: string; action: ComplianceAction; matchType: ComplianceRuleInput['matchType']; pattern: string | null; categoryId: number | null }[];
+}
+
+export async function fetchComplianceRules(params: { action?: ComplianceAction; search?: string } = {}, token?: string | null) {
+  const query = new URLSearchParams();
+  if (params.action) query.set('action', params.action);
+  if (params.search) query.set('search', params.search);
+  const qs = query.toString();
+  return request(`/admin/compliance-rules${qs ? `?${qs}` : ''}`, { token, skipCache: true });
+}
+
+export async function createComplianceRule(rule: ComplianceRuleInput, token?: string | null) {
+  return request('/admin/compliance-rules', {
+    method: 'POST',
+    body: JSON.stringify(rule),
+    token
+  });
+}
+
+export async function updateComplianceRule(id: number | string, rule: Partial<ComplianceRuleInput>, token?: string | null) {
+  return request(`/admin/compliance-rules/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(rule),
+    token
+  });
+}
+
+export async function deleteComplianceRule(id: number | string, token?: string | null) {
+  return request(`/admin/compliance-rules/${id}`, { method: 'DELETE', token });
+}
+
+// Classifies a saved product, or unsaved text, with the active rules
+export async function testComplianceRules(input: { productId?: number; text?: string; categoryIds?: number[] }, token?: string | null): Promise<ComplianceResult> {
+  return request('/admin/compliance-rules/test', {
+    method: 'POST',
+    body: JSON.stringify(input),
+    token
+  });
+}
+
+// Admin: Exchange Rates
+export async function fetchExchangeRates(params: { currency?: 'CNY' | 'USD'; page?: number } = {}, token?: string | null) {
+  const query = new URLSearchParams();
+  if (params.currency) query.set('currency', params.currency);
+  query.set('page', String(params.page || 1));
+  return request(`/admin/exchange-rates?${query.toString()}`, { token, skipCache: true });
+}
+
+export async function setExchangeRate(data: { currency: 'CNY' | 'USD'; rate: number; effectiveFrom?: string; note?: string; reprice?: boolean }, token?: string | null) {
+  return request('/admin/exchange-rates', {
+    method: 'POST',
+    body: JSON.stringify(data),
+    token
+  });
+}
+
+export async function importExchangeRates(source: 'FILE' | 'FEED', reprice = true, token?: string | null) {
+  return request('/admin/exchange-rates/import', {
+    method: 'POST',
+    body: JSON.stringify({ source, reprice }),
+    token
+  });
+}
+
+export async function previewRepricing(rate?: number, token?: string | null) {
+  const query = rate !== undefined ? `?rate=${rate}` : '';
+  return request(`/admin/exchange-rates/reprice/preview${query}`, { token, skipCache: true });
+}
+
+export async function startRepricing(token?: string | null) {
+  return request('/admin/exchange-rates/reprice', { method: 'POST', token });
+}
+
+export async function fetchRepricingStatus(token?: string | null) {
+  return request('/admin/exchange-rates/reprice/status', { token, skipCache: true });
+}
+
 // Admin: User Details
 export async function fetchUserDetails(id: string | number) {
   return request(`/admin/users/${id}`);
@@ -1259,14 +1870,18 @@ export async function fetchAbandonedCarts() {
   return request('/admin/reports/abandoned-carts');
 }
 
-export async function updateOrderStatus(id: number | string, status: string, token?: string | null) {
+export async function updateOrderStatus(id: number | string, status: string, token?: string | null, note?: string) {
   return request(`/admin/orders/${id}/status`, {
     method: 'PUT',
-    body: JSON.stringify({ status }),
+    body: JSON.stringify({ status, note }),
     token
   });
 }
 
+export async function fetchOrderStatusTransitions(token?: string | null) {
+  return request('/admin/orders/status-transitions', { token });
+}
+
 export async function updateOrderNote(id: number | string, note: string, token?: string | null) {
   return request(`/admin/orders/${id}/note`, {
     method: 'PUT',
@@ -1360,14 +1975,88 @@ export async function bulkDeleteProducts(ids: (number | string)[], token?: strin
   });
 }
 
-export async function bulkUpdateOrderStatus(ids: (number | string)[], status: string, token?: string | null) {
+export async function bulkUpdateOrderStatus(ids: (number | string)[], status: string, token?: string | null, note?: string) {
   return request('/admin/orders/bulk-status', {
     method: 'POST',
-    body: JSON.stringify({ ids, status }),
+    body: JSON.stringify({ ids, status, note }),
+    token
+  });
+}
+
+// Admin: Shipments
+export async function fetchShipments(params: { status?: string; method?: string; page?: number } = {}, token?: string | null) {
+  const query = new URLSearchParams();
+  if (params.status) query.set('status', params.status);
+  if (params.method) query.set('method', params.method);
+  query.set('page', String(params.page || 1));
+  return request(`/admin/shipments?${query.toString()}`, { token, skipCache: true });
+}
+
+export async function fetchShipment(id: number | string, token?: string | null) {
+  return request(`/admin/shipments/${id}`, { token, skipCache: true });
+}
+
+export async function createShipment(data: { method: 'air' | 'sea'; carrier?: string; masterTrackingNumber?: string; departureDate?: string; note?: string }, token?: string | null) {
+  return request('/admin/shipments', {
+    method: 'POST',
+    body: JSON.stringify(data),
     token
   });
 }
 
+export async function updateShipment(id: number | string, data: { method?: 'air' | 'sea'; carrier?: string; masterTrackingNumber?: string; departureDate?: string | null; note?: string; totalWeight?: number }, token?: string | null) {
+  return request(`/admin/shipments/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(data),
+    token
+  });
+}
+
+export async function deleteShipment(id: number | string, token?: string | null) {
+  return request(`/admin/shipments/${id}`, { method: 'DELETE', token });
+}
+
+export async function addToShipment(id: number | string, selection: { orderIds?: (number | string)[]; itemIds?: (number | string)[] }, token?: string | null) {
+  return request(`/admin/shipments/${id}/items`, {
+    method: 'POST',
+    body: JSON.stringify(selection),
+    token
+  });
+}
+
+export async function removeFromShipment(id: number | string, selection: { orderIds?: (number | string)[]; itemIds?: (number | string)[] }, token?: string | null) {
+  return request(`/admin/shipments/${id}/items/remove`, {
+    method: 'POST',
+    body: JSON.stringify(selection),
+    token
+  });
+}
+
+export async function shipShipment(id: number | string, departureDate?: string, token?: string | null) {
+  return request(`/admin/shipments/${id}/ship`, {
+    method: 'POST',
+    body: JSON.stringify({ departureDate }),
+    token
+  });
+}
+
+export async function markShipmentArrived(id: number | string, token?: string | null) {
+  return request(`/admin/shipments/${id}/arrive`, { method: 'POST', token });
+}
+
+export async function fetchShipmentManifest(id: number | string, token?: string | null) {
+  return request(`/admin/shipments/${id}/manifest`, { token, skipCache: true });
+}
+
+// CSV goes through fetch directly since request() only parses JSON bodies
+export async function downloadShipmentManifestCsv(id: number | string) {
+  const response = await fetch(`${API_BASE_URL}/admin/shipments/${id}/manifest?format=csv`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) throw new Error('Failed to download manifest');
+  return response.blob();
+}
+
 // Admin: Safe Import Workflow
 export async function bulkImportProducts(products: any[], token?: string | null) {
   return request('/products/bulk', {
@@ -1385,7 +2074,7 @@ export async function enqueueBulkImportProducts(products: any[], token?: string
   });
 }
 
-export async function fetchBulkImportJob(jobId: string, token?: string | null) {
+export async function fetchBulkImportJob(jobId: number | string, token?: string | null) {
   return request(`/admin/products/bulk-import-jobs/${jobId}`, {
     token
   });
@@ -1464,6 +2153,109 @@ export async function bulkCreateProducts(products: any[], token?: string | null)
   });
 }
 
+// Search embeddings: queues the backfill job for every product that has none for the current model
+export async function queueMissingEmbeddings(token?: string | null) {
+  return request('/admin/products/queue-missing-embeddings', { method: 'POST', token });
+}
+
+export async function fetchEmbeddingStatus(token?: string | null) {
+  return request('/admin/products/embeddings/status', { token, skipCache: true });
+}
+
+export async function recomputeRecommendations(token?: string | null) {
+  return request('/admin/recommendations/recompute', { method: 'POST', token });
+}
+
+export async function fetchRecommendationStatus(token?: string | null) {
+  return request('/admin/recommendations/status', { token, skipCache: true });
+}
+
+// Admin: Jobs
+export type JobStatus = 'QUEUED' | 'RUNNING' | 'COMPLETED' | 'FAILED' | 'CANCELLED';
+
+export interface BackgroundJob {
+  id: number;
+  type: 'BULK_IMPORT' | 'AI_PROCESS' | 'PRICE_MONITOR' | string;
+  status: JobStatus;
+  attempts: number;
+  maxAttempts: number;
+  progress: number;
+  result: any;
+  error: string | null;
+  cancelRequested: boolean;
+  createdById: number | null;
+  runAt: string;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
+export async function fetchJobs(params: { status?: JobStatus; type?: string; page?: number; limit?: number } = {}, token?: string | null): Promise<{ jobs: BackgroundJob[]; total: number; page: number; totalPages: number }> {
+  const query = new URLSearchParams();
+  if (params.status) query.append('status', params.status);
+  if (params.type) query.append('type', params.type);
+  if (params.page) query.append('page', String(params.page));
+  if (params.limit) query.append('limit', String(params.limit));
+  return request(`/admin/jobs?${query.toString()}`, { token, skipCache: true });
+}
+
+export async function fetchJob(id: number | string, token?: string | null): Promise<BackgroundJob> {
+  return request(`/admin/jobs/${id}`, { token, skipCache: true });
+}
+
+export async function cancelJob(id: number | string, token?: string | null): Promise<BackgroundJob> {
+  return request(`/admin/jobs/${id}/cancel`, { method: 'POST', token });
+}
+
+export async function retryJob(id: number | string, token?: string | null): Promise<BackgroundJob> {
+  return request(`/admin/jobs/${id}/retry`, { method: 'POST', token });
+}
+
+export async function startPriceMonitor(token?: string | null) {
+  return request('/admin/price-monitor/run', { method: 'POST', body: JSON.stringify({}), token });
+}
+
+// Admin: Price monitor
+export type PriceChangeStatus = 'APPLIED' | 'FLAGGED' | 'DISMISSED';
+
+export interface PriceChange {
+  id: number;
+  productId: number;
+  jobId: number | null;
+  changeType: 'PRICE' | 'AVAILABILITY' | 'PRICE_AND_AVAILABILITY' | 'UNAVAILABLE';
+  status: PriceChangeStatus;
+  previousPriceCny: number | null;
+  priceCny: number | null;
+  changeRatio: number | null;
+  variantChanges: {
+    variantId: number;
+    combination: Record<string, string>;
+    previousPriceCny: number | null;
+    priceCny: number | null;
+    wasActive: boolean;
+    isActive: boolean;
+  }[] | null;
+  resolvedAt: string | null;
+  createdAt: string;
+  product?: { id: number; name: string; image: string; provider: string | null; originalUrl: string | null; isActive: boolean; status: string };
+}
+
+export async function fetchPriceMonitorReport(jobId?: number, token?: string | null): Promise<{ job: Pick<BackgroundJob, 'id' | 'status' | 'result' | 'startedAt' | 'finishedAt'> | null; changes: PriceChange[] }> {
+  return request(`/admin/price-monitor/report${jobId ? `?jobId=${jobId}` : ''}`, { token, skipCache: true });
+}
+
+export async function fetchFlaggedPriceChanges(token?: string | null): Promise<PriceChange[]> {
+  return request('/admin/price-monitor/flags', { token, skipCache: true });
+}
+
+export async function resolvePriceChange(id: number, action: 'apply' | 'dismiss', token?: string | null): Promise<PriceChange> {
+  return request(`/admin/price-monitor/changes/${id}/resolve`, { method: 'POST', body: JSON.stringify({ action }), token });
+}
+
+export async function processProductAI(productId: number | string, token?: string | null) {
+  return request(`/admin/products/${productId}/process-ai`, { method: 'POST', token });
+}
+
 // Cart
 export async function fetchCart() {
   return request('/cart');
@@ -1495,13 +2287,22 @@ export async function calculateShipping(items: any[], method: string = 'sea') {
   });
 }
 
-export async function placeOrder(addressId: number | string, paymentMethod: string, shippingMethod: string, couponCode?: string, items?: any[]) {
+export async function placeOrder(addressId: number | string, paymentMethod: string, shippingMethod: string, couponCode?: string, items?: any[], walletOptions?: { useWallet?: boolean; walletAmount?: number }) {
   return request('/orders', {
     method: 'POST',
-    body: JSON.stringify({ addressId, paymentMethod, shippingMethod, couponCode, items }),
+    body: JSON.stringify({ addressId, paymentMethod, shippingMethod, couponCode, items, ...walletOptions }),
   });
 }
 
+// Wallet
+export async function fetchWallet() {
+  return request('/wallet', { skipCache: true });
+}
+
+export async function fetchWalletTransactions(page = 1, limit = 20) {
+  return request(`/wallet/transactions?page=${page}&limit=${limit}`, { skipCache: true });
+}
+
 export async function fetchOrders() {
   // Use a cache-busting timestamp for orders to ensure we get fresh status updates
   return request(`/orders?_t=${Date.now()}`, { skipMaintenanceTrigger: true });
@@ -1511,9 +2312,25 @@ export async function fetchOrderById(id: number | string) {
   return request(`/orders/${id}?_t=${Date.now()}`, { skipMaintenanceTrigger: true });
 }
 
-export async function confirmOrderPayment(id: number | string) {
+export async function fetchOrderTimeline(id: number | string) {
+  return request(`/orders/${id}/timeline?_t=${Date.now()}`, { skipMaintenanceTrigger: true });
+}
+
+export async function confirmOrderPayment(id: number | string, proof: { reference: string; screenshot: string; method?: string; amount?: number }) {
   return request(`/orders/${id}/confirm-payment`, {
     method: 'PUT',
+    body: JSON.stringify(proof),
+  });
+}
+
+export async function startOrderPayment(id: number | string) {
+  return request(`/orders/${id}/pay`, { method: 'POST' });
+}
+
+export async function submitItemQcDecision(orderId: number | string, itemId: number | string, approve: boolean, reason?: string) {
+  return request(`/orders/${orderId}/items/${itemId}/qc-decision`, {
+    method: 'POST',
+    body: JSON.stringify({ approve, reason }),
   });
 }
 
@@ -1521,10 +2338,9 @@ export async function cancelOrder(id: number | string) {
   return request(`/orders/${id}/cancel`, { method: 'PUT' });
 }
 
-// Wishlist - Replaced by local storage in useWishlistStore.ts
-/*
+// Wishlist
 export async function fetchWishlist() {
-  return request('/wishlist');
+  return request('/wishlist', { skipCache: true });
 }
 
 export async function addToWishlist(productId: number | string) {
@@ -1537,7 +2353,13 @@ export async function addToWishlist(productId: number | string) {
 export async function removeFromWishlist(productId: number | string) {
   return request(`/wishlist/${productId}`, { method: 'DELETE' });
 }
-*/
+
+export async function syncWishlist(productIds: Array<number | string>) {
+  return request('/wishlist/sync', {
+    method: 'POST',
+    body: JSON.stringify({ productIds }),
+  });
+}
 
 // Messages
 export async function fetchMessages(orderId: number | string) {
@@ -1,6 +1,7 @@
 import { create } from 'zustand';
 import { fetchMe, logout as apiLogout, performCacheMaintenance } from '../services/api';
 import { useCartStore } from './useCartStore';
+import { useWishlistStore } from './useWishlistStore';
 
 interface User {
   id: string; 
@@ -10,6 +11,7 @@ interface User {
   avatar?: string;
   role: string;
   permissions?: string;
+  effectivePermissions?: string[];
 }
 
 interface AuthState {
@@ -34,6 +36,9 @@ export const useAuthStore = create<AuthState>((set) => ({
       const trimmedToken = token?.trim();
       localStorage.setItem('auth_token', trimmedToken);
       set({ token: trimmedToken, user, isAuthenticated: true, isLoading: false });
+      // Login merged the guest cart on the server; load the result
+      useCartStore.getState().fetchCart();
+      useWishlistStore.getState().fetchWishlist();
     } catch (_e) {
       // If setting token fails, perform emergency cleanup
       performCacheMaintenance();
@@ -54,6 +59,7 @@ export const useAuthStore = create<AuthState>((set) => ({
       // ignore
     }
     useCartStore.getState().clearCart();
+    useWishlistStore.getState().clearWishlist();
     set({ user: null, token: null, isAuthenticated: false, isLoading: false });
   },
 
@@ -347,20 +347,10 @@ export const useCartStore = create<CartState>()(
         }, 0);
       },
 
-      getShippingTotal: (method) => {
-        // Agent Logic: Calculate estimated international shipping
-        const { items: allItems, rates } = get();
-        const items = method ? allItems.filter(i => i.shippingMethod === method) : allItems;
-        
-        return items.reduce((total, item) => {
-          // If it's an Agent product (has provider), we charge shipping separately
-          if (item.product.provider) {
-             const weight = item.variant?.weight || item.product.weight || 0.5; // Default 0.5kg
-             const rate = item.shippingMethod === 'air' ? rates.airRate : rates.seaRate;
-             return total + (weight * rate * item.quantity);
-          }
-          return total; // Standard products have free shipping (included in price)
-        }, 0);
+      getShippingTotal: (_method) => {
+        // International shipping is quoted per order by the server (POST /shipping/calculate)
+        // and shown as a separate line, so it is no longer estimated into the subtotal.
+        return 0;
       },
 
       getSubtotal: (method) => {
@@ -5,13 +5,13 @@ import type { ShippingInfo } from '../types/shipping';
 interface CheckoutState {
   selectedAddressId: number | string | null;
   shippingMethod: 'air' | 'sea';
-  paymentMethod: 'zain_cash' | 'super_key' | 'cash';
+  paymentMethod: 'zain_cash' | 'zain_cash_online' | 'super_key' | 'cash';
   appliedCoupon: any | null;
   shippingFee: number;
   shippingInfo: ShippingInfo | null;
   setSelectedAddressId: (id: number | string) => void;
   setShippingMethod: (method: 'air' | 'sea') => void;
-  setPaymentMethod: (method: 'zain_cash' | 'super_key' | 'cash') => void;
+  setPaymentMethod: (method: 'zain_cash' | 'zain_cash_online' | 'super_key' | 'cash') => void;
   setAppliedCoupon: (coupon: any | null) => void;
   setShippingFee: (fee: number) => void;
   setShippingInfo: (info: ShippingInfo | null) => void;
@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { fetchWishlist, addToWishlist, removeFromWishlist, syncWishlist } from '../services/api';
 import type { Product } from '../types/product';
 
 interface WishlistItem {
@@ -25,16 +26,48 @@ export const useWishlistStore = create<WishlistState>()(
       isLoading: false,
       error: null,
 
-      fetchWishlist: async () => {
-        // No-op for local favorites
+      fetchWishlist: async (silent = false) => {
+        const token = localStorage.getItem('auth_token');
+        if (!token) {
+          return; // Guests keep favorites on this device
+        }
+
+        if (!silent) {
+          set({ isLoading: true });
+        }
+
+        try {
+          // Favorites saved before logging in (or before the wishlist moved to
+          // the server) carry local- ids; upload them once, then use the server list
+          const localIds = get().items
+            .filter(item => String(item.id).startsWith('local-'))
+            .map(item => item.productId);
+          if (localIds.length > 0) {
+            await syncWishlist(localIds);
+          }
+
+          const serverData = await fetchWishlist();
+          set({ items: Array.isArray(serverData) ? serverData : [], isLoading: false, error: null });
+        } catch (error: any) {
+          console.error('Failed to fetch wishlist:', error);
+          set({ isLoading: false, error: error?.message || 'Failed to fetch wishlist' });
+        }
       },
 
       toggleWishlist: async (productId: number | string, productInfo?: any) => {
         const { items } = get();
         const isInWishlist = items.some(item => String(item.productId) === String(productId));
 
+        const isLoggedIn = !!localStorage.getItem('auth_token');
+
         if (isInWishlist) {
           set({ items: items.filter(item => String(item.productId) !== String(productId)) });
+          if (isLoggedIn) {
+            removeFromWishlist(productId).catch((error) => {
+              console.error('Failed to remove from wishlist:', error);
+              set({ items });
+            });
+          }
         } else if (productInfo) {
           const newItem: WishlistItem = {
             id: `local-${Date.now()}`,
@@ -52,6 +85,16 @@ export const useWishlistStore = create<WishlistState>()(
             }
           };
           set({ items: [...items, newItem] });
+          if (isLoggedIn) {
+            addToWishlist(productId)
+              .then((saved) => set((state) => ({
+                items: state.items.map(item => item.id === newItem.id ? { ...item, id: saved.id } : item)
+              })))
+              .catch((error) => {
+                console.error('Failed to add to wishlist:', error);
+                set((state) => ({ items: state.items.filter(item => item.id !== newItem.id) }));
+              });
+          }
         }
       },
 
@@ -1,7 +1,10 @@
 export interface Category {
   id: number;
-  name_en: string;
-  name_ar: string;
-  icon: string;
-  children?: Category[];
+  parentId: number | null;
+  nameAr: string;
+  nameEn: string;
+  icon: string | null;
+  sortOrder: number;
+  isActive?: boolean;
+  children: Category[];
 }
@@ -8,6 +8,43 @@ export interface ShippingInfo {
   internationalFee?: number;
   isAvailable?: boolean;
   itemsMissingWeight?: string[];
+  actualCost?: number;
+  freeShippingPromo?: boolean;
+  breakdown?: ShippingBreakdown;
+}
+
+export interface ShippingMethodBreakdown {
+  method: 'AIR' | 'SEA';
+  unit: 'kg' | 'cbm';
+  rate: number;
+  divisor: number;
+  chargeable: number;
+  subtotal: number;
+  baseCost: number;
+  floor: number;
+  floorApplied: boolean;
+  freeThreshold: number | null;
+  freeShippingApplied: boolean;
+  fee: number;
+}
+
+export interface ShippingItemBreakdown {
+  productId: number | string;
+  variantId: number | string | null;
+  name?: string;
+  quantity: number;
+  method: 'AIR' | 'SEA';
+  actualWeight: number;
+  volumetricWeight: number;
+  chargeable: number;
+  unit: 'kg' | 'cbm';
+  cost: number;
+  estimated: boolean;
+}
+
+export interface ShippingBreakdown {
+  methods: ShippingMethodBreakdown[];
+  items: ShippingItemBreakdown[];
 }
 
 export interface ShippingRates {